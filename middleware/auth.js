@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const cookieSession = require('cookie-session');
+const User = require('../models/User');
+const Scanner = require('../models/Scanner');
+
+const SESSION_MAX_AGE = 12 * 60 * 60 * 1000; // one gate shift
+
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('SESSION_SECRET must be set in production');
+}
+
+// Signed cookie sessions keep working across serverless instances
+const session = cookieSession({
+  name: 'bas.session',
+  keys: [process.env.SESSION_SECRET || 'development-session-secret'],
+  maxAge: SESSION_MAX_AGE,
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production'
+});
+
+// Load the logged-in user (if any) onto req.user and the view locals
+const loadUser = async (req, res, next) => {
+  res.locals.currentUser = null;
+
+  if (!req.session || !req.session.userId) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.session.userId);
+
+    if (!user || !user.active) {
+      req.session = null;
+      return next();
+    }
+
+    req.user = user;
+    res.locals.currentUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const wantsJson = (req) => req.xhr || !req.accepts('html');
+
+// Require a logged-in user holding one of `roles` (admins always pass)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    if (wantsJson(req)) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  if (!req.user.hasRole(...roles)) {
+    if (wantsJson(req)) {
+      return res.status(403).json({ error: 'You do not have permission to do that' });
+    }
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'Your account does not have permission to view this page.'
+    });
+  }
+
+  next();
+};
+
+// Gate devices send their key as "Authorization: Bearer <key>" or "X-Api-Key: <key>"
+const getApiKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.substring('Bearer '.length).trim();
+  }
+  return req.get('X-Api-Key') || null;
+};
+
+// Authenticate a registered scanner device by API key onto req.scanner
+const requireScanner = async (req, res, next) => {
+  try {
+    const scanner = await Scanner.findByApiKey(getApiKey(req));
+
+    if (!scanner || !scanner.active) {
+      return res.status(401).json({ error: 'Invalid or disabled scanner API key' });
+    }
+
+    scanner.lastSeenAt = new Date();
+    await scanner.save();
+
+    req.scanner = scanner;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept either kind of API key: scanner devices and integration users.
+// Leaves req.scanner / req.user unset when no valid key is presented.
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  if (!apiKey) return next();
+
+  try {
+    if (apiKey.startsWith(Scanner.API_KEY_PREFIX)) {
+      const scanner = await Scanner.findByApiKey(apiKey);
+      if (scanner && scanner.active) {
+        scanner.lastSeenAt = new Date();
+        await scanner.save();
+        req.scanner = scanner;
+      }
+    } else if (apiKey.startsWith(User.API_KEY_PREFIX)) {
+      const user = await User.findByApiKey(apiKey);
+      if (user && user.active) {
+        req.user = user;
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Scheduled jobs: Vercel Cron sends "Authorization: Bearer <CRON_SECRET>".
+// Signed-in admins may also run them by hand.
+const isCronRequest = (req) => {
+  const secret = process.env.CRON_SECRET;
+  const given = getApiKey(req);
+  if (!secret || !given) return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const requireAdmin = requireRole('admin');
+
+const requireCronOrAdmin = (req, res, next) => (isCronRequest(req) ? next() : requireAdmin(req, res, next));
+
+module.exports = {
+  session,
+  loadUser,
+  requireRole,
+  requireScanner,
+  authenticateApiKey,
+  requireCronOrAdmin,
+  requireAdmin,
+  requireIssuer: requireRole('issuer'),
+  requireGatekeeper: requireRole('gatekeeper')
+};
@@ -0,0 +1,42 @@
+const multer = require('multer');
+
+const MAX_CSV_BYTES = 2 * 1024 * 1024;
+const MAX_LOGO_BYTES = 512 * 1024;
+
+// Single file held in memory on req.file. Upload problems (too large, wrong
+// field) are left on req.uploadError for the route to report.
+const singleUpload = (field, maxBytes, tooLarge) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        req.uploadError = error.code === 'LIMIT_FILE_SIZE'
+          ? tooLarge
+          : `Upload failed: ${error.message}`;
+      }
+      next();
+    });
+  };
+};
+
+const csvUpload = (field = 'file') => singleUpload(
+  field,
+  MAX_CSV_BYTES,
+  `CSV files must be smaller than ${MAX_CSV_BYTES / 1024 / 1024} MB`
+);
+
+// Brand preset logos; the route checks that the file is a PNG it can draw
+const logoUpload = (field = 'logo') => singleUpload(
+  field,
+  MAX_LOGO_BYTES,
+  `Logos must be smaller than ${MAX_LOGO_BYTES / 1024} KB`
+);
+
+module.exports = {
+  csvUpload,
+  logoUpload
+};
@@ -1,5 +1,8 @@
 // models/Barcode.js
 const mongoose = require('mongoose');
+const { checkSchedule } = require('../services/accessPolicy');
+const { isValidTimezone } = require('../services/schedule');
+const { EMAIL_PATTERN } = require('../services/mailer');
 
 const barcodeSchema = new mongoose.Schema({
   code: {
@@ -38,42 +41,177 @@ const barcodeSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Where the pass is emailed; delivery records the latest attempt
+  recipientEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    match: [EMAIL_PATTERN, 'Recipient email must be a valid address']
+  },
+  delivery: {
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    sentTo: {
+      type: String,
+      trim: true
+    },
+    sentBy: {
+      type: String,
+      trim: true
+    },
+    transport: {
+      type: String,
+      trim: true
+    },
+    messageId: {
+      type: String,
+      trim: true
+    },
+    error: {
+      type: String,
+      trim: true
+    }
+  },
+  // Passes for an event inherit its schedule; the fields below override it when set
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+  // First and last calendar day the pass is valid; activeEndDate defaults to activeDate
   activeDate: {
     type: Date,
     default: null
   },
+  activeEndDate: {
+    type: Date,
+    default: null
+  },
   activeTime: {
     type: String,
-    default: '00:00'
+    default: null
   },
   endTime: {
     type: String,
-    default: '23:59'
+    default: null
   },
   allowEarlyAccess: {
     type: Boolean,
-    default: false
-  }
+    default: null
+  },
+  // IANA timezone the dates and times are read in
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimezone(value),
+      message: 'Timezone must be an IANA name such as Africa/Lagos'
+    }
+  },
+  // Usage policy: maxUses of 0 means unlimited entries within the active window
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  useCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reentryCooldownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set when the pass is cancelled; revoked passes are always denied
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  revokedBy: {
+    type: String,
+    trim: true
+  },
+  // Set while the pass is on hold; reinstating clears it
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedReason: {
+    type: String,
+    trim: true
+  },
+  suspendedBy: {
+    type: String,
+    trim: true
+  },
+  // Reissuing revokes this pass and links it to its replacement in both directions
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Barcode',
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Barcode',
+    default: null
+  },
+  // When the barcode.expired webhook was queued, so each expiry is announced once
+  expiryNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Who revoked, suspended, reinstated or reissued the pass, oldest first
+  statusHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['revoked', 'suspended', 'reinstated', 'reissued'],
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    actor: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
-barcodeSchema.methods.isActive = function() {
-  const now = new Date();
-  const today = new Date().toDateString();
-  
-  if (!this.activeDate) return true;
-  
-  const activeDate = new Date(this.activeDate).toDateString();
-  
-  if (today !== activeDate) return false;
-  
-  if (this.activeTime && this.endTime) {
-    const currentTime = now.toTimeString().substring(0, 5);
-    return currentTime >= this.activeTime && currentTime <= this.endTime;
-  }
-  
-  return true;
+// Whether the barcode is inside its scheduled access window right now.
+// Populate `event` first so an inherited schedule is taken into account.
+barcodeSchema.methods.isActive = function(now = new Date()) {
+  return checkSchedule(this, now) === null;
 };
 
 module.exports = mongoose.model('Barcode', barcodeSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+// models/BrandPreset.js
+const mongoose = require('mongoose');
+
+const HEX_COLOR = /^#?[0-9A-F]{6}$/i;
+
+// What the caption under a code shows
+const CAPTIONS = ['none', 'holder', 'event'];
+
+// A saved look for barcode images: colors, an optional logo for the middle of
+// QR codes and the caption printed under the code
+const brandPresetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  backgroundColor: {
+    type: String,
+    default: '#FFFFFF',
+    match: HEX_COLOR
+  },
+  foregroundColor: {
+    type: String,
+    default: '#000000',
+    match: HEX_COLOR
+  },
+  borderColor: {
+    type: String,
+    default: '#000000',
+    match: HEX_COLOR
+  },
+  // PNG, checked on upload. Loaded only when an image is drawn.
+  logo: {
+    type: Buffer,
+    default: null,
+    select: false
+  },
+  logoName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  caption: {
+    type: String,
+    enum: CAPTIONS,
+    default: 'none'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+brandPresetSchema.statics.CAPTIONS = CAPTIONS;
+
+module.exports = mongoose.model('BrandPreset', brandPresetSchema);
@@ -0,0 +1,65 @@
+// models/Event.js
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, TIME_PATTERN, isValidTimezone } = require('../services/schedule');
+
+// Groups passes and owns the schedule they inherit unless a pass overrides it
+const eventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  venue: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date must be on or after the start date'
+    }
+  },
+  // Daily doors-open window; an end before the start runs past midnight
+  dailyStartTime: {
+    type: String,
+    default: '09:00',
+    match: TIME_PATTERN
+  },
+  dailyEndTime: {
+    type: String,
+    default: '17:00',
+    match: TIME_PATTERN
+  },
+  // IANA name such as "Africa/Lagos"
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be an IANA name such as Africa/Lagos'
+    }
+  },
+  allowEarlyAccess: {
+    type: Boolean,
+    default: false
+  },
+  ticketTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TicketTemplate',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,90 @@
+// models/ScanEvent.js
+const mongoose = require('mongoose');
+
+// One document per scan attempt, granted or denied
+const scanEventSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  barcode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Barcode',
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: ['granted', 'denied'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // Whether the guest was coming in or leaving; exits feed the occupancy count
+  direction: {
+    type: String,
+    enum: ['entry', 'exit'],
+    default: 'entry'
+  },
+  message: {
+    type: String
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  scannerId: {
+    type: String,
+    trim: true
+  },
+  scanner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scanner',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // Offline scans: the device's own id for the scan (unique per scanner) and
+  // when it reached the server. `timestamp` is when the device scanned it.
+  clientScanId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when an offline entry could not be reconciled, e.g. the same pass
+  // redeemed at two offline gates. Admins resolve conflicts after reviewing them.
+  conflict: {
+    type: {
+      type: String
+    },
+    message: String,
+    resolvedAt: Date,
+    resolvedBy: String
+  }
+});
+
+scanEventSchema.index({ code: 1, timestamp: -1 });
+scanEventSchema.index(
+  { scanner: 1, clientScanId: 1 },
+  { unique: true, partialFilterExpression: { clientScanId: { $type: 'string' } } }
+);
+scanEventSchema.index({ outcome: 1, timestamp: -1 });
+scanEventSchema.index({ 'conflict.type': 1, 'conflict.resolvedAt': 1 });
+
+module.exports = mongoose.model('ScanEvent', scanEventSchema);
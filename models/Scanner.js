@@ -0,0 +1,73 @@
+// models/Scanner.js
+const mongoose = require('mongoose');
+const { hashApiKey, generateApiKey } = require('../services/apiKeys');
+
+const API_KEY_PREFIX = 'bas_';
+
+// A registered gate device that authenticates with an API key
+const scannerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  apiKeyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // First characters of the key, so admins can tell keys apart
+  keyHint: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Exit gates record guests leaving instead of redeeming an entry
+  direction: {
+    type: String,
+    enum: ['entry', 'exit'],
+    default: 'entry'
+  },
+  keyRotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  // Offline gate mode: last snapshot download and last upload of queued scans
+  lastSnapshotAt: {
+    type: Date
+  },
+  lastSyncAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generates a new key, stores its hash and returns the plain key
+scannerSchema.methods.rotateApiKey = function() {
+  const { apiKey, apiKeyHash, keyHint } = generateApiKey(API_KEY_PREFIX);
+  this.apiKeyHash = apiKeyHash;
+  this.keyHint = keyHint;
+  this.keyRotatedAt = new Date();
+  return apiKey;
+};
+
+scannerSchema.statics.API_KEY_PREFIX = API_KEY_PREFIX;
+
+scannerSchema.statics.findByApiKey = function(apiKey) {
+  if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) return Promise.resolve(null);
+  return this.findOne({ apiKeyHash: hashApiKey(apiKey) });
+};
+
+module.exports = mongoose.model('Scanner', scannerSchema);
@@ -0,0 +1,52 @@
+// models/SigningKey.js
+const mongoose = require('mongoose');
+
+const ALGORITHMS = ['Ed25519', 'HS256'];
+
+// A key for signing QR payloads. Only the active key signs new payloads;
+// retired keys keep verifying what they signed until they are deleted.
+const signingKeySchema = new mongoose.Schema({
+  // Key id carried in every token so verifiers know which key to check against
+  kid: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  algorithm: {
+    type: String,
+    enum: ALGORITHMS,
+    required: true
+  },
+  // Ed25519 public key (SPKI DER, base64). Empty for HS256.
+  publicKey: {
+    type: String,
+    default: null
+  },
+  // Ed25519 private key (PKCS8 DER, base64) or the HS256 shared secret
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active',
+    index: true
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+signingKeySchema.statics.ALGORITHMS = ALGORITHMS;
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
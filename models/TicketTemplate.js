@@ -0,0 +1,55 @@
+// models/TicketTemplate.js
+const mongoose = require('mongoose');
+
+const HEX_COLOR = /^#?[0-9A-F]{6}$/i;
+
+// Look and wording of printed tickets and badges
+const ticketTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  heading: {
+    type: String,
+    trim: true,
+    default: 'ACCESS PASS',
+    maxlength: 60
+  },
+  subheading: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  accentColor: {
+    type: String,
+    default: '#0D6EFD',
+    match: HEX_COLOR
+  },
+  footerText: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  showPurpose: {
+    type: Boolean,
+    default: true
+  },
+  showSchedule: {
+    type: Boolean,
+    default: true
+  },
+  showCode: {
+    type: Boolean,
+    default: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TicketTemplate', ticketTemplateSchema);
@@ -0,0 +1,100 @@
+// models/User.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { hashApiKey, generateApiKey } = require('../services/apiKeys');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'issuer', 'gatekeeper'];
+
+const KEY_LENGTH = 64;
+
+// Integration accounts (e.g. a registration system) call the JSON API with a key
+const API_KEY_PREFIX = 'basu_';
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    default: 'gatekeeper'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  apiKeyHash: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  apiKeyHint: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Passwords are stored as "scrypt$<salt>$<hash>" (hex encoded)
+userSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.passwordHash = `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+userSchema.methods.verifyPassword = async function(password) {
+  const [scheme, salt, storedHash] = (this.passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !storedHash) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expected = Buffer.from(storedHash, 'hex');
+  return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+};
+
+// Admins can do everything; other roles only what they are listed for
+userSchema.methods.hasRole = function(...roles) {
+  return this.role === 'admin' || roles.includes(this.role);
+};
+
+// Issues a new API key for this user (replacing any previous one) and returns it
+userSchema.methods.rotateApiKey = function() {
+  const { apiKey, apiKeyHash, keyHint } = generateApiKey(API_KEY_PREFIX);
+  this.apiKeyHash = apiKeyHash;
+  this.apiKeyHint = keyHint;
+  return apiKey;
+};
+
+userSchema.methods.revokeApiKey = function() {
+  this.apiKeyHash = undefined;
+  this.apiKeyHint = undefined;
+};
+
+userSchema.statics.findByApiKey = function(apiKey) {
+  if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) return Promise.resolve(null);
+  return this.findOne({ apiKeyHash: hashApiKey(apiKey) });
+};
+
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.API_KEY_PREFIX = API_KEY_PREFIX;
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,73 @@
+// models/Webhook.js
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'barcode.created',
+  'barcode.redeemed',
+  'barcode.denied',
+  'barcode.revoked',
+  'barcode.expired'
+];
+
+// An outside system that gets a signed POST for each pass event it subscribes to
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: [(events) => events.length > 0, 'Subscribe to at least one event']
+  },
+  // Shared HMAC secret the receiver checks signatures with. Kept in full
+  // because every delivery is signed with it.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // First characters of the secret, so admins can tell secrets apart
+  secretHint: {
+    type: String
+  },
+  secretRotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,91 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+// Deliveries are removed this long after they were queued
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+// One event sent to one webhook, with every attempt made to deliver it.
+// A pending delivery is retried at nextAttemptAt until it succeeds or runs
+// out of attempts; replays are new deliveries of the same payload.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by every delivery of the same event, replays included, so receivers can drop duplicates
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // The webhook URL when the delivery was queued
+  url: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  // Latest attempts, oldest first
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    responseBody: String,
+    durationMs: Number
+  }],
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  replayedBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,691 @@
+// routes/api/v1.js
+// Versioned JSON API for integrations such as registration systems and gate devices.
+// Every error response has the shape { error: { code, message, details? } }.
+
+const express = require('express');
+const Barcode = require('../../models/Barcode');
+const { authenticateApiKey } = require('../../middleware/auth');
+const { evaluateAccess, getStatus, getEffectiveSchedule } = require('../../services/accessPolicy');
+const { normalizeCode, readScannedCode } = require('../../services/redemption');
+const { processScan } = require('../../services/scanning');
+const { issueBarcode, resolveEvent } = require('../../services/barcodeIssuer');
+const { buildBarcodeFilter, buildBarcodeSort } = require('../../services/barcodeQuery');
+const {
+  SYMBOLOGIES,
+  IMAGE_CONTENT_TYPES,
+  encodingError,
+  parseImageOptions,
+  getBaseUrl,
+  getPassUrl,
+  getScanUrl,
+  generateBarcodeImage
+} = require('../../services/barcodeImage');
+const { parseBulkCsv, createBulkBarcodes, writeBulkZip } = require('../../services/bulkIssuer');
+const { streamBarcodeExport } = require('../../services/barcodeExport');
+const { loadBranding, presetColors, brandImageOptions } = require('../../services/brandPresets');
+const { csvUpload } = require('../../middleware/upload');
+const {
+  LIFECYCLE_ERRORS,
+  populatePass,
+  revokePass,
+  suspendPass,
+  reinstatePass,
+  reissuePass
+} = require('../../services/passLifecycle');
+const {
+  getPayloadSigner,
+  findVerificationKeys,
+  toPublishedKey,
+  invalidSignature,
+  TOKEN_PREFIX
+} = require('../../services/passSigning');
+const { toSnapshotPass, buildSnapshot, syncOfflineScans } = require('../../services/offlineSync');
+const { findEvent } = require('../../services/events');
+const { describePass, buildPkpass, buildGoogleWalletPass } = require('../../services/walletPass');
+const {
+  REDEMPTION_GROUPS,
+  parseAnalyticsRange,
+  buildAnalyticsReport,
+  entriesPerHour,
+  entriesPerGate,
+  deniedByReason,
+  redemptionRates,
+  findNoShows
+} = require('../../services/analytics');
+const { DIRECTIONS, getOccupancy, streamOccupancy } = require('../../services/occupancy');
+const {
+  REPLAY_ERRORS,
+  listWebhooks,
+  createWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  replayDelivery
+} = require('../../services/webhooks');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const notFound = (code) => new ApiError(404, 'NOT_FOUND', `No barcode found with code ${code}`);
+
+// Forward rejected promises to the error handler below
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Session users, integration users (API key) and scanner devices may call the API.
+// A scanner device only carries gatekeeper rights.
+const requireApiRole = (...roles) => (req, res, next) => {
+  if (req.user) {
+    return req.user.hasRole(...roles)
+      ? next()
+      : next(new ApiError(403, 'FORBIDDEN', 'Your account does not have permission to do that'));
+  }
+
+  if (req.scanner) {
+    return roles.includes('gatekeeper')
+      ? next()
+      : next(new ApiError(403, 'FORBIDDEN', 'Scanner devices can only verify codes'));
+  }
+
+  next(new ApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+};
+
+const serializeEvent = (event) => (event ? {
+  id: event._id,
+  name: event.name,
+  venue: event.venue || null,
+  startDate: event.startDate,
+  endDate: event.endDate,
+  dailyStartTime: event.dailyStartTime,
+  dailyEndTime: event.dailyEndTime,
+  timezone: event.timezone
+} : null);
+
+// Linked passes are populated with just their code
+const linkedCode = (linked) => (linked ? linked.code : null);
+
+// Latest email attempt, or null when the pass was never emailed
+const serializeDelivery = (delivery) => (delivery && delivery.attempts > 0 ? {
+  status: delivery.status,
+  attempts: delivery.attempts,
+  lastAttemptAt: delivery.lastAttemptAt,
+  sentAt: delivery.sentAt || null,
+  sentTo: delivery.sentTo || null,
+  error: delivery.error || null
+} : null);
+
+// Expects the barcode to be loaded with populatePass; `schedule` is what the gates actually enforce
+const serializeBarcode = (barcode, baseUrl) => ({
+  code: barcode.code,
+  issuedTo: barcode.issuedTo,
+  purpose: barcode.purpose || null,
+  recipientEmail: barcode.recipientEmail || null,
+  delivery: serializeDelivery(barcode.delivery),
+  status: getStatus(barcode),
+  event: serializeEvent(barcode.event),
+  issuedAt: barcode.issuedAt,
+  expiresAt: barcode.expiresAt || null,
+  activeDate: barcode.activeDate || null,
+  activeTime: barcode.activeTime,
+  endTime: barcode.endTime,
+  allowEarlyAccess: barcode.allowEarlyAccess,
+  schedule: getEffectiveSchedule(barcode),
+  maxUses: barcode.maxUses,
+  useCount: barcode.useCount,
+  reentryCooldownMinutes: barcode.reentryCooldownMinutes,
+  usedAt: barcode.usedAt || null,
+  scannerId: barcode.scannerId || null,
+  revokedAt: barcode.revokedAt || null,
+  revokedReason: barcode.revokedReason || null,
+  revokedBy: barcode.revokedBy || null,
+  suspendedAt: barcode.suspendedAt || null,
+  suspendedReason: barcode.suspendedReason || null,
+  suspendedBy: barcode.suspendedBy || null,
+  replaces: linkedCode(barcode.replaces),
+  replacedBy: linkedCode(barcode.replacedBy),
+  statusHistory: barcode.statusHistory || [],
+  links: {
+    pass: getPassUrl(baseUrl, barcode.code),
+    scan: getScanUrl(baseUrl, barcode.code),
+    png: `${baseUrl}/api/v1/barcodes/${barcode.code}/image.png`,
+    svg: `${baseUrl}/api/v1/barcodes/${barcode.code}/image.svg`,
+    pdf: `${baseUrl}/api/v1/barcodes/${barcode.code}/image.pdf`,
+    pkpass: `${baseUrl}/api/v1/barcodes/${barcode.code}/wallet.pkpass`,
+    googleWallet: `${baseUrl}/api/v1/barcodes/${barcode.code}/google-wallet`
+  }
+});
+
+const parsePositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+router.use(authenticateApiKey);
+
+// Create a barcode
+router.post('/barcodes', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const { barcode, error } = await issueBarcode(req.body || {});
+
+  if (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error);
+  }
+
+  res.status(201).json({ barcode: serializeBarcode(barcode, getBaseUrl(req)) });
+}));
+
+// Bulk create from CSV, sent as a multipart "file" field or a text/csv body.
+// Pass ?eventId= (or an eventId form field) to issue every row for one event.
+// Responds with a ZIP of PNGs plus results.csv; nothing is created if any row is invalid.
+router.post('/barcodes/bulk', requireApiRole('issuer'), csvUpload('file'), express.text({ type: 'text/csv', limit: '2mb' }), asyncHandler(async (req, res) => {
+  if (req.uploadError) {
+    throw new ApiError(400, 'VALIDATION_ERROR', req.uploadError);
+  }
+
+  const content = req.file ? req.file.buffer : req.body;
+  if (!content || (typeof content === 'object' && !Buffer.isBuffer(content))) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Send a CSV file in the "file" field or a text/csv body');
+  }
+
+  const { event, error: eventError } = await resolveEvent(req.query.eventId || (req.file && req.body.eventId));
+
+  if (eventError) {
+    throw new ApiError(400, 'VALIDATION_ERROR', eventError);
+  }
+
+  const { rows, errors } = parseBulkCsv(content, event);
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'One or more rows are invalid; no passes were created', { rows: errors });
+  }
+
+  const barcodes = await createBulkBarcodes(rows, event);
+  const payloadFor = await getPayloadSigner();
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename=passes.zip');
+  await writeBulkZip(barcodes, getBaseUrl(req), res, payloadFor);
+}));
+
+// List, search and filter barcodes. Sort with ?sort=<column>&order=asc|desc.
+router.get('/barcodes', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const { filter, error } = buildBarcodeFilter(req.query);
+  const { sort, error: sortError } = buildBarcodeSort(req.query);
+
+  if (error || sortError) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error || sortError);
+  }
+
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+  const [barcodes, total] = await Promise.all([
+    populatePass(Barcode.find(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit))
+      .lean(),
+    Barcode.countDocuments(filter)
+  ]);
+
+  const baseUrl = getBaseUrl(req);
+
+  res.json({
+    barcodes: barcodes.map((barcode) => serializeBarcode(barcode, baseUrl)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Stream every matching barcode as CSV, XLSX or NDJSON. Takes the same filters
+// and sort as the list; ?history=true adds each pass's scans.
+router.get('/barcodes/export.:format(csv|xlsx|ndjson)', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const { filter, error } = buildBarcodeFilter(req.query);
+  const { sort, error: sortError } = buildBarcodeSort(req.query);
+
+  if (error || sortError) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error || sortError);
+  }
+
+  const result = await streamBarcodeExport(res, {
+    format: req.params.format,
+    filter,
+    sort,
+    history: ['1', 'true'].includes(req.query.history)
+  });
+
+  if (result.error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', result.error);
+  }
+}));
+
+// Get a barcode
+router.get('/barcodes/:code', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const code = normalizeCode(req.params.code);
+  const barcode = await populatePass(Barcode.findOne({ code })).lean();
+
+  if (!barcode) {
+    throw notFound(code);
+  }
+
+  res.json({ barcode: serializeBarcode(barcode, getBaseUrl(req)) });
+}));
+
+// Barcode image as PNG, SVG or PDF. Query: type, size, eclevel, quietZone,
+// preset (brand preset id for colors and logo) and caption (none/holder/event).
+router.get('/barcodes/:code/image.:format(png|svg|pdf)', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const code = normalizeCode(req.params.code);
+  const { options, error } = parseImageOptions({ ...req.query, format: req.params.format });
+
+  if (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error);
+  }
+
+  const { branding, error: brandingError } = await loadBranding(req.query);
+
+  if (brandingError) {
+    throw new ApiError(400, 'VALIDATION_ERROR', brandingError);
+  }
+
+  const barcode = await Barcode.findOne({ code }).populate('event');
+
+  if (!barcode) {
+    throw notFound(code);
+  }
+
+  const unencodable = encodingError(code, options.type);
+  if (unencodable) {
+    throw new ApiError(400, 'VALIDATION_ERROR', unencodable);
+  }
+
+  // 2D codes carry a signed token while a signing key is active
+  const payload = SYMBOLOGIES[options.type].twoD ? (await getPayloadSigner())(barcode) : code;
+  const colors = branding.preset ? presetColors(branding.preset) : {};
+  const image = await generateBarcodeImage(payload, options.type, getBaseUrl(req), colors, options.format, {
+    ...options,
+    ...brandImageOptions(branding, barcode)
+  });
+
+  res.type(IMAGE_CONTENT_TYPES[options.format]);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(image);
+}));
+
+// Wallet passes carry the same QR payload as the images above
+const describeWalletPass = async (req) => {
+  const code = normalizeCode(req.params.code);
+  const barcode = await populatePass(Barcode.findOne({ code })).lean();
+
+  if (!barcode) {
+    throw notFound(code);
+  }
+
+  return describePass(barcode, { baseUrl: getBaseUrl(req), payload: (await getPayloadSigner())(barcode) });
+};
+
+// Apple Wallet bundle; revoked passes come out voided
+router.get('/barcodes/:code/wallet.pkpass', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const pass = await describeWalletPass(req);
+  const { pkpass, error } = await buildPkpass(pass);
+
+  if (error) {
+    throw new ApiError(503, 'WALLET_NOT_CONFIGURED', error);
+  }
+
+  res.type('application/vnd.apple.pkpass');
+  res.attachment(`pass-${pass.code}.pkpass`);
+  res.send(pkpass);
+}));
+
+// Google Wallet pass object, its signed JWT and the "Save to Google Wallet" link
+router.get('/barcodes/:code/google-wallet', requireApiRole('issuer'), asyncHandler(async (req, res) => {
+  const { object, jwt, saveUrl, error } = buildGoogleWalletPass(await describeWalletPass(req));
+
+  if (error) {
+    throw new ApiError(503, 'WALLET_NOT_CONFIGURED', error);
+  }
+
+  res.json({ object, jwt, saveUrl });
+}));
+
+const LIFECYCLE_STATUSES = {
+  [LIFECYCLE_ERRORS.NOT_FOUND]: 404,
+  [LIFECYCLE_ERRORS.ALREADY_REVOKED]: 409,
+  [LIFECYCLE_ERRORS.ALREADY_SUSPENDED]: 409,
+  [LIFECYCLE_ERRORS.NOT_SUSPENDED]: 409
+};
+
+// Revoke, suspend, reinstate or reissue a barcode. The body may carry a "reason".
+const lifecycleHandler = (action, status = 200) => asyncHandler(async (req, res) => {
+  const code = normalizeCode(req.params.code);
+  const { barcode, previous, error, errorCode } = await action(code, {
+    reason: req.body && req.body.reason,
+    actor: req.user.username
+  });
+
+  if (error) {
+    throw new ApiError(LIFECYCLE_STATUSES[errorCode], errorCode, error);
+  }
+
+  const baseUrl = getBaseUrl(req);
+  const body = { barcode: serializeBarcode(barcode, baseUrl) };
+  if (previous) body.previous = serializeBarcode(previous, baseUrl);
+
+  res.status(status).json(body);
+});
+
+router.post('/barcodes/:code/revoke', requireApiRole('issuer'), lifecycleHandler(revokePass));
+router.post('/barcodes/:code/suspend', requireApiRole('issuer'), lifecycleHandler(suspendPass));
+router.post('/barcodes/:code/reinstate', requireApiRole('issuer'), lifecycleHandler(reinstatePass));
+
+// Responds with the replacement as `barcode` and the revoked original as `previous`
+router.post('/barcodes/:code/reissue', requireApiRole('issuer'), lifecycleHandler(reissuePass, 201));
+
+// What a scanner device sees of a pass: the same fields as an offline
+// snapshot, with no holder contact or delivery details
+const serializeGatePass = (barcode) => ({
+  ...toSnapshotPass(barcode),
+  status: getStatus(barcode),
+  scannerId: barcode.scannerId || null
+});
+
+// Verify a code, redeeming it unless { "redeem": false } is sent.
+// { "direction": "exit" } records the holder leaving instead; scanner devices
+// set up as exit gates do that by default. Scanner devices get the pass as
+// serializeGatePass; user keys get the full pass.
+router.post('/verify', requireApiRole('gatekeeper'), asyncHandler(async (req, res) => {
+  const { code, redeem = true, direction: requestedDirection } = req.body || {};
+
+  if (!code || typeof code !== 'string') {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'No barcode code provided');
+  }
+
+  let barcode;
+  let decision;
+  let direction = 'entry';
+
+  if (requestedDirection && !DIRECTIONS.includes(requestedDirection)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `direction must be one of: ${DIRECTIONS.join(', ')}`);
+  }
+
+  if (redeem === false || redeem === 'false') {
+    const scanned = await readScannedCode(code);
+
+    if (scanned.error) {
+      barcode = null;
+      decision = invalidSignature(scanned.error);
+    } else {
+      barcode = await populatePass(Barcode.findOne({ code: scanned.code })).lean();
+      decision = evaluateAccess(barcode);
+    }
+  } else {
+    ({ barcode, decision, direction } = await processScan(code, req, 'api', requestedDirection));
+  }
+
+  res.json({
+    granted: decision.granted,
+    reason: decision.reason,
+    message: decision.message,
+    direction,
+    redeemed: decision.granted && direction === 'entry' && redeem !== false && redeem !== 'false',
+    barcode: barcode ? (req.scanner ? serializeGatePass(barcode) : serializeBarcode(barcode, getBaseUrl(req))) : null
+  });
+}));
+
+// Keys for checking signed QR payloads offline, including retired keys that
+// still verify passes they signed. Gate devices should refresh these regularly.
+// HS256 secrets go to scanner device keys only, never to user keys.
+router.get('/signing-keys', requireApiRole('gatekeeper'), asyncHandler(async (req, res) => {
+  const keys = await findVerificationKeys();
+  const includeSecret = Boolean(req.scanner);
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ tokenPrefix: TOKEN_PREFIX, keys: keys.map((key) => toPublishedKey(key, { includeSecret })) });
+}));
+
+// Offline gate mode: everything a device needs to decide scans for one event
+// without a connection. Pass ?since=<generatedAt of the last snapshot> to only
+// get passes that changed since then.
+router.get('/offline/snapshot', requireApiRole('gatekeeper'), asyncHandler(async (req, res) => {
+  const { eventId, since } = req.query;
+
+  if (!eventId) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'eventId is required; use "none" for passes without an event');
+  }
+
+  const event = eventId === 'none' ? null : await findEvent(eventId);
+  if (eventId !== 'none' && !event) {
+    throw new ApiError(404, 'NOT_FOUND', `No event found with id ${eventId}`);
+  }
+
+  let sinceDate = null;
+  if (since) {
+    sinceDate = new Date(since);
+    if (isNaN(sinceDate.getTime())) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'since is not a valid date');
+    }
+  }
+
+  const { filter } = buildBarcodeFilter({ event: event ? String(event._id) : 'none' });
+  const snapshot = await buildSnapshot(filter, { since: sinceDate });
+
+  if (req.scanner) {
+    req.scanner.lastSnapshotAt = snapshot.generatedAt;
+    await req.scanner.save();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ event: serializeEvent(event), ...snapshot });
+}));
+
+// Upload scans a device decided offline:
+// { "scans": [{ "id", "code", "scannedAt", "granted", "reason"?, "message"? }] }
+// Each scan gets a result row with status applied, logged, duplicate or conflict.
+router.post('/offline/sync', requireApiRole('gatekeeper'), asyncHandler(async (req, res) => {
+  if (!req.scanner) {
+    throw new ApiError(403, 'FORBIDDEN', 'Only registered scanner devices can sync offline scans');
+  }
+
+  const { results, error } = await syncOfflineScans((req.body || {}).scans, { scanner: req.scanner });
+
+  if (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error);
+  }
+
+  req.scanner.lastSyncAt = new Date();
+  await req.scanner.save();
+
+  res.json({
+    results,
+    conflicts: results.filter((result) => result.status === 'conflict').length
+  });
+}));
+
+// Attendance analytics. Scan figures cover ?from=&to= (YYYY-MM-DD) in the
+// event's timezone, defaulting to the event's days or the last week; ?event=
+// narrows everything to one event ("none" for passes without one).
+const analyticsRange = async (req) => {
+  const { range, error } = await parseAnalyticsRange(req.query);
+
+  if (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error);
+  }
+
+  return range;
+};
+
+const serializeRange = (range) => ({ from: range.from, to: range.to, timezone: range.timezone, event: range.event || null });
+
+router.get('/analytics', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  res.json(await buildAnalyticsReport(await analyticsRange(req)));
+}));
+
+router.get('/analytics/entries', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const range = await analyticsRange(req);
+  const [hours, gates] = await Promise.all([entriesPerHour(range), entriesPerGate(range)]);
+  res.json({ range: serializeRange(range), hours, gates });
+}));
+
+router.get('/analytics/denied', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const range = await analyticsRange(req);
+  res.json({ range: serializeRange(range), reasons: await deniedByReason(range) });
+}));
+
+// ?by=purpose (default) or ?by=event
+router.get('/analytics/redemption', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const by = req.query.by || 'purpose';
+
+  if (!REDEMPTION_GROUPS.includes(by)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `by must be one of: ${REDEMPTION_GROUPS.join(', ')}`);
+  }
+
+  const range = await analyticsRange(req);
+  res.json({ range: serializeRange(range), by, groups: await redemptionRates(range, by) });
+}));
+
+router.get('/analytics/no-shows', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const range = await analyticsRange(req);
+  res.json({ range: serializeRange(range), ...(await findNoShows(range)) });
+}));
+
+router.get('/analytics/occupancy', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(await getOccupancy());
+}));
+
+// Server-Sent Events stream of `occupancy` events, one per batch of scans
+router.get('/analytics/occupancy/live', requireApiRole('admin'), streamOccupancy);
+
+// Webhook subscriptions. Secrets are only returned when created or rotated.
+const serializeWebhook = (webhook) => ({
+  id: webhook._id,
+  name: webhook.name,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  secretHint: webhook.secretHint,
+  secretRotatedAt: webhook.secretRotatedAt,
+  lastDeliveryAt: webhook.lastDeliveryAt || null,
+  lastDeliveryStatus: webhook.lastDeliveryStatus || null,
+  createdAt: webhook.createdAt
+});
+
+const serializeWebhookDelivery = (delivery) => ({
+  id: delivery._id,
+  webhook: delivery.webhook && delivery.webhook._id ? delivery.webhook._id : delivery.webhook,
+  event: delivery.event,
+  eventId: delivery.eventId,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt || null,
+  lastAttemptAt: delivery.lastAttemptAt || null,
+  deliveredAt: delivery.deliveredAt || null,
+  responseStatus: delivery.responseStatus || null,
+  error: delivery.error || null,
+  replayOf: delivery.replayOf || null,
+  createdAt: delivery.createdAt,
+  attemptLog: delivery.attemptLog || [],
+  payload: delivery.payload
+});
+
+const REPLAY_STATUSES = {
+  [REPLAY_ERRORS.NOT_FOUND]: 404,
+  [REPLAY_ERRORS.WEBHOOK_DELETED]: 409,
+  [REPLAY_ERRORS.WEBHOOK_DISABLED]: 409
+};
+
+const webhookNotFound = (id) => new ApiError(404, 'NOT_FOUND', `No webhook found with id ${id}`);
+
+router.get('/webhooks', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const webhooks = await listWebhooks();
+  res.json({ webhooks: webhooks.map(serializeWebhook) });
+}));
+
+router.post('/webhooks', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const { webhook, secret, error } = await createWebhook(req.body || {}, { actor: req.user.username });
+
+  if (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error);
+  }
+
+  res.status(201).json({ webhook: serializeWebhook(webhook), secret });
+}));
+
+// ?webhook=<id>&event=<type>&status=pending|succeeded|failed&limit=<1-200>, newest first
+router.get('/webhooks/deliveries', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const { deliveries, error } = await listDeliveries(req.query);
+
+  if (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', error);
+  }
+
+  res.json({ deliveries: deliveries.map(serializeWebhookDelivery) });
+}));
+
+// Sends a logged event again as a new delivery
+router.post('/webhooks/deliveries/:id/replay', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const { delivery, error, errorCode } = await replayDelivery(req.params.id, { actor: req.user.username });
+
+  if (error) {
+    throw new ApiError(REPLAY_STATUSES[errorCode], errorCode, error);
+  }
+
+  res.status(202).json({ delivery: serializeWebhookDelivery(delivery) });
+}));
+
+router.post('/webhooks/:id/rotate', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const rotated = await rotateWebhookSecret(req.params.id);
+
+  if (!rotated) {
+    throw webhookNotFound(req.params.id);
+  }
+
+  res.json({ webhook: serializeWebhook(rotated.webhook), secret: rotated.secret });
+}));
+
+router.delete('/webhooks/:id', requireApiRole('admin'), asyncHandler(async (req, res) => {
+  const webhook = await deleteWebhook(req.params.id);
+
+  if (!webhook) {
+    throw webhookNotFound(req.params.id);
+  }
+
+  res.json({ webhook: serializeWebhook(webhook) });
+}));
+
+router.use((req, res, next) => {
+  next(new ApiError(404, 'NOT_FOUND', `No API endpoint ${req.method} ${req.originalUrl}`));
+});
+
+router.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    const error = { code: err.code, message: err.message };
+    if (err.details) error.details = err.details;
+    return res.status(err.status).json({ error });
+  }
+
+  console.error('API error:', err);
+  res.status(500).json({ error: { code: 'INTERNAL_ERROR', message: 'Something went wrong' } });
+});
+
+module.exports = router;
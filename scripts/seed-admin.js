@@ -0,0 +1,42 @@
+// scripts/seed-admin.js
+// Creates the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD.
+// Usage: ADMIN_USERNAME=admin ADMIN_PASSWORD=... npm run seed:admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const seedAdmin = async () => {
+  const username = (process.env.ADMIN_USERNAME || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!username || !password) {
+    throw new Error('ADMIN_USERNAME and ADMIN_PASSWORD must be set');
+  }
+
+  if (password.length < 8) {
+    throw new Error('ADMIN_PASSWORD must be at least 8 characters');
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/barcode_access_system';
+  await mongoose.connect(mongoUri);
+
+  try {
+    if (await User.exists({ username })) {
+      console.log(`User ${username} already exists; nothing to do`);
+      return;
+    }
+
+    const admin = new User({ username, name: process.env.ADMIN_NAME || 'Administrator', role: 'admin' });
+    await admin.setPassword(password);
+    await admin.save();
+
+    console.log(`✅ Admin user ${username} created`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+seedAdmin().catch((error) => {
+  console.error('❌ Failed to seed admin:', error.message);
+  process.exitCode = 1;
+});
@@ -3,12 +3,93 @@ const express = require('express');
 const mongoose = require('mongoose');
 const bodyParser = require('body-parser');
 const path = require('path');
-const bwipjs = require('bwip-js');
-const crypto = require('crypto');
 const moment = require('moment');
 
 // Remove the old schema and import the model
 const Barcode = require('./models/Barcode');
+const User = require('./models/User');
+const Scanner = require('./models/Scanner');
+const TicketTemplate = require('./models/TicketTemplate');
+const BrandPreset = require('./models/BrandPreset');
+const Event = require('./models/Event');
+const SigningKey = require('./models/SigningKey');
+const { normalizeCode, readScannedCode } = require('./services/redemption');
+const { getScanHistory } = require('./services/scanLog');
+const { processScan } = require('./services/scanning');
+const { issueBarcode, announceBarcode, resolveEvent } = require('./services/barcodeIssuer');
+const { getStatus, getEffectiveSchedule, checkSchedule, getMaxUses, getUseCount } = require('./services/accessPolicy');
+const { DEFAULT_TIMEZONE, TIMEZONES, formatActiveDays, getLocalTime } = require('./services/schedule');
+const { buildEventData, findEvent, listEvents, summarizeByEvent } = require('./services/events');
+const { STATUSES, buildBarcodeFilter, buildBarcodeSort, summarizeStatuses } = require('./services/barcodeQuery');
+const { populatePass, revokePass, suspendPass, reinstatePass, reissuePass } = require('./services/passLifecycle');
+const {
+  getPayloadSigner,
+  rotateSigningKey,
+  retireSigningKey,
+  deleteSigningKey,
+  listSigningKeys
+} = require('./services/passSigning');
+const { listOpenConflicts, countOpenConflicts, resolveConflict } = require('./services/offlineSync');
+const { deliverPass } = require('./services/passDelivery');
+const { parseAnalyticsRange, buildAnalyticsReport } = require('./services/analytics');
+const { streamBarcodeExport } = require('./services/barcodeExport');
+const { OCCUPANCY_WINDOW_HOURS, streamOccupancy } = require('./services/occupancy');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  MAX_ATTEMPTS: MAX_WEBHOOK_ATTEMPTS,
+  findWebhook,
+  listWebhooks,
+  createWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  replayDelivery,
+  settleWebhookDeliveries,
+  runWebhookWorker,
+  startWebhookWorker
+} = require('./services/webhooks');
+const { getAvailableWallets, describePass, buildPkpass, buildGoogleWalletPass } = require('./services/walletPass');
+const {
+  SYMBOLOGIES,
+  IMAGE_CONTENT_TYPES,
+  EC_LEVELS,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_SIZE,
+  MAX_QUIET_ZONE,
+  encodingError,
+  parseImageOptions,
+  getBaseUrl,
+  getPassUrl,
+  getScanUrl,
+  generateBarcodeImage
+} = require('./services/barcodeImage');
+const {
+  COLUMNS: BULK_COLUMNS,
+  MAX_ROWS: MAX_BULK_ROWS,
+  TEMPLATE_CSV: BULK_TEMPLATE_CSV,
+  parseBulkCsv,
+  createBulkBarcodes,
+  writeBulkZip
+} = require('./services/bulkIssuer');
+const {
+  LAYOUTS: TICKET_LAYOUTS,
+  findTicketTemplate,
+  findDefaultTicketTemplate,
+  writeTicketsPdf
+} = require('./services/ticketPdf');
+const {
+  CAPTION_LABELS,
+  listBrandPresets,
+  readLogoUpload,
+  presetColors,
+  loadBranding,
+  brandImageOptions
+} = require('./services/brandPresets');
+const { checkColors, isReadableQrCode } = require('./services/scannability');
+const apiV1Router = require('./routes/api/v1');
+const { csvUpload, logoUpload } = require('./middleware/upload');
+const { session, loadUser, requireAdmin, requireCronOrAdmin, requireIssuer, requireGatekeeper, requireScanner } = require('./middleware/auth');
 
 
 
@@ -18,99 +99,22 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 
+// Vercel sits behind a proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(session);
+app.use(loadUser);
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
 
 
-// Generate unique code
-const generateUniqueCode = () => {
-  return crypto.randomBytes(16).toString('hex').toUpperCase();
-};
-
-// Generate barcode image
-// Generate barcode image with high quality and square dimensions
-// Generate barcode image - UPDATED FOR BETTER SCANNING
-const generateBarcodeImage = (text, type = 'qrcode', baseUrl, colors = {}) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const encodedText = type === 'qrcode' ? `${baseUrl}/mobile-scan/${text}` : text;
-      
-      console.log(`Generating ${type} barcode for:`, encodedText);
-      
-      // Default colors with fallbacks
-      const defaultColors = {
-        background: 'FFFFFF',
-        foreground: '000000', 
-        border: '000000'
-      };
-      
-      // Merge with provided colors
-      const finalColors = { ...defaultColors, ...colors };
-      
-      // Clean color values (remove # if present)
-      const cleanColors = {
-        background: finalColors.background.replace('#', ''),
-        foreground: finalColors.foreground.replace('#', ''),
-        border: finalColors.border.replace('#', '')
-      };
-      
-      console.log('Final colors after cleaning:', cleanColors);
-      
-      // OPTIMIZED FOR MOBILE SCANNING - LARGER SIZE
-      const options = {
-        bcid: type,
-        text: encodedText,
-        scale: 6, // Good balance for mobile scanning
-        height: 20, // Increased height
-        width: 20, // Square dimensions
-        paddingwidth: 40, // More padding for better detection
-        paddingheight: 40,
-        includetext: false,
-        textxalign: 'center',
-        backgroundcolor: cleanColors.background,
-        barcolor: cleanColors.foreground,
-        bordercolor: cleanColors.border,
-      };
-
-      // For QR codes - optimize for mobile scanning
-      if (type === 'qrcode') {
-        options.scale = 8; // Larger scale for better quality
-        options.height = 15;
-        options.width = 15;
-        options.paddingwidth = 50; // Even more padding
-        options.paddingheight = 50;
-        options.includetext = false;
-        
-        // QR code specific optimizations for better scanning
-        options.eclevel = 'M'; // Medium error correction
-        options.version = 8; // Appropriate version for the data size
-      }
-
-      console.log('BWIP-JS options:', options);
-
-      bwipjs.toBuffer(options, (err, png) => {
-        if (err) {
-          console.error('BWIP-JS generation error:', err);
-          reject(new Error(`Barcode rendering failed: ${err.message}`));
-        } else {
-          console.log('BWIP-JS generated image successfully, size:', png.length);
-          resolve(png);
-        }
-      });
-      
-    } catch (setupError) {
-      console.error('Barcode setup error:', setupError);
-      reject(new Error(`Barcode setup failed: ${setupError.message}`));
-    }
-  });
-};
 // MongoDB connection with better error handling
 const connectDB = async () => {
   try {
@@ -141,254 +145,376 @@ app.get('/', (req, res) => {
   });
 });
 
-app.get('/generate', (req, res) => {
-  res.render('generate', { 
-    title: 'Generate Barcode',
-    barcode: null,
+// Only follow same-site relative redirects after login
+const safeRedirectPath = (next) => (
+  typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/'
+);
+
+app.get('/login', (req, res) => {
+  if (req.user) {
+    return res.redirect(safeRedirectPath(req.query.next));
+  }
+
+  res.render('login', {
+    title: 'Sign In',
+    next: safeRedirectPath(req.query.next),
+    username: '',
     error: null
   });
 });
 
+app.post('/login', async (req, res) => {
+  const { username = '', password = '' } = req.body;
+  const next = safeRedirectPath(req.body.next);
+
+  try {
+    const user = await User.findOne({ username: username.trim().toLowerCase() });
+    const valid = user && user.active && await user.verifyPassword(password);
+
+    if (!valid) {
+      console.log('Failed login attempt for:', username);
+      return res.status(401).render('login', {
+        title: 'Sign In',
+        next,
+        username,
+        error: 'Invalid username or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    req.session.userId = user._id.toString();
+    res.redirect(next);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).render('login', {
+      title: 'Sign In',
+      next,
+      username,
+      error: 'Login failed. Please try again.'
+    });
+  }
+});
+
+app.post('/logout', (req, res) => {
+  req.session = null;
+  res.redirect('/login');
+});
+
+// Generate form, with the events a pass can be issued for
+const renderGenerate = async (res, { barcode = null, error = null } = {}) => {
+  res.render('generate', {
+    title: 'Generate Barcode',
+    events: await listEvents(),
+    timezones: TIMEZONES,
+    defaultTimezone: DEFAULT_TIMEZONE,
+    moment: moment,
+    symbologies: SYMBOLOGIES,
+    ecLevels: EC_LEVELS,
+    minImageSize: MIN_IMAGE_SIZE,
+    maxImageSize: MAX_IMAGE_SIZE,
+    maxQuietZone: MAX_QUIET_ZONE,
+    brandPresets: await listBrandPresets(),
+    captionLabels: CAPTION_LABELS,
+    barcode,
+    error
+  });
+};
+
+// Query string for /download/:code that reproduces an image's options, colors and branding
+const toImageQuery = (options, colors, format, branding) => new URLSearchParams({
+  type: options.type,
+  format,
+  size: options.size,
+  eclevel: options.eclevel,
+  ...(options.quietZone === null ? {} : { quietZone: options.quietZone }),
+  bg: colors.background,
+  fg: colors.foreground,
+  border: colors.border,
+  ...(branding.preset ? { preset: String(branding.preset._id) } : {}),
+  caption: branding.caption
+}).toString();
+
+app.get('/generate', requireIssuer, async (req, res) => {
+  try {
+    await renderGenerate(res);
+  } catch (error) {
+    console.error('Generate page error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load the generate form' });
+  }
+});
+
 // Replace the baseUrl logic in your generate route:
 
-app.post('/generate', async (req, res) => {
+app.post('/generate', requireIssuer, async (req, res) => {
   try {
     const { 
-      issuedTo, 
-      purpose, 
-      expiryHours, 
       barcodeType = 'qrcode',
       backgroundColor = 'FFFFFF',
       foregroundColor = '000000',
-      borderColor = '000000',
-      activeDate,
-      activeTime = '09:00',
-      endTime = '17:00',
-      allowEarlyAccess = false
+      borderColor = '000000'
     } = req.body;
     
     console.log('=== GENERATE REQUEST - RAW FORM DATA ===');
     console.log('All form fields:', req.body);
-    console.log('Schedule fields:', {
-      activeDate: activeDate,
-      activeTime: activeTime,
-      endTime: endTime,
-      allowEarlyAccess: allowEarlyAccess,
-      allowEarlyAccessType: typeof allowEarlyAccess
+
+    const { options: imageOptions, error: imageError } = parseImageOptions({
+      type: barcodeType,
+      size: req.body.imageSize,
+      eclevel: req.body.eclevel,
+      quietZone: req.body.quietZone
     });
-    
-    if (!issuedTo) {
-      return res.render('generate', {
-        title: 'Generate Barcode',
-        barcode: null,
-        error: 'Issued To field is required'
-      });
+
+    if (imageError) {
+      return renderGenerate(res, { error: imageError });
     }
 
-    const code = generateUniqueCode();
-    let expiresAt = null;
-    
-    if (expiryHours && !isNaN(expiryHours)) {
-      expiresAt = new Date(Date.now() + parseInt(expiryHours) * 60 * 60 * 1000);
+    const { branding, error: brandingError } = await loadBranding({
+      preset: req.body.brandPresetId,
+      caption: req.body.caption
+    });
+
+    if (brandingError) {
+      return renderGenerate(res, { error: brandingError });
+    }
+
+    const { colors, warnings, error: colorError } = checkColors({
+      background: backgroundColor,
+      foreground: foregroundColor,
+      border: borderColor
+    });
+
+    if (colorError) {
+      return renderGenerate(res, { error: colorError });
     }
     
-    // Prepare barcode data with explicit logging
-    const barcodeData = {
-      code,
-      issuedTo: issuedTo.trim(),
-      purpose: purpose ? purpose.trim() : null,
-      expiresAt,
-      activeDate: activeDate ? new Date(activeDate) : null,
-      activeTime: activeTime,
-      endTime: endTime,
-      allowEarlyAccess: allowEarlyAccess === 'true' || allowEarlyAccess === true
-    };
-    
-    console.log('=== BARCODE DATA BEFORE SAVE ===');
-    console.log('Full barcode data:', JSON.stringify(barcodeData, null, 2));
-    console.log('Active date value:', barcodeData.activeDate);
-    console.log('Active date type:', typeof barcodeData.activeDate);
-    console.log('Allow early access value:', barcodeData.allowEarlyAccess);
-    console.log('Allow early access type:', typeof barcodeData.allowEarlyAccess);
+    // Announced only after the read-back below, since an unreadable pass is withdrawn
+    const { barcode: savedBarcode, error } = await issueBarcode(req.body, { announce: false });
     
-    const barcode = new Barcode(barcodeData);
+    if (error) {
+      return renderGenerate(res, { error });
+    }
     
-    // Save to database with detailed logging
-    console.log('=== SAVING TO DATABASE ===');
-    const savedBarcode = await barcode.save();
+    const code = savedBarcode.code;
+    const baseUrl = getBaseUrl(req);
+    const schedule = getEffectiveSchedule(savedBarcode);
     
-    console.log('=== AFTER SAVE - DATABASE RECORD ===');
-    console.log('Saved barcode ID:', savedBarcode._id);
-    console.log('All fields in saved document:', Object.keys(savedBarcode.toObject()));
-    console.log('Schedule fields in saved document:', {
-      activeDate: savedBarcode.activeDate,
-      activeTime: savedBarcode.activeTime,
-      endTime: savedBarcode.endTime,
-      allowEarlyAccess: savedBarcode.allowEarlyAccess
+    // 2D codes carry a signed token while a signing key is active; linear barcodes only fit the code
+    const payload = SYMBOLOGIES[barcodeType].twoD ? (await getPayloadSigner())(savedBarcode) : code;
+    const barcodeImage = await generateBarcodeImage(payload, barcodeType, baseUrl, colors, 'png', {
+      ...imageOptions,
+      ...brandImageOptions(branding, savedBarcode)
     });
-    
-    // Use production URL
-    const baseUrl = process.env.NODE_ENV === 'production' 
-      ? 'https://bar-event.vercel.app'
-      : `${req.protocol}://${req.get('host')}`;
-    
-    // Color options
-    const colors = {
-      background: backgroundColor ? backgroundColor.replace('#', '') : 'FFFFFF',
-      foreground: foregroundColor ? foregroundColor.replace('#', '') : '000000',
-      border: borderColor ? borderColor.replace('#', '') : '000000'
-    };
-    
-    // Generate barcode image
-    const barcodeImage = await generateBarcodeImage(code, barcodeType, baseUrl, colors);
+
+    // Read QR codes back before handing them out; withdraw a pass whose code does not scan
+    const verified = barcodeType === 'qrcode';
+    if (verified && !isReadableQrCode(barcodeImage, getPassUrl(baseUrl, payload))) {
+      await Barcode.deleteOne({ _id: savedBarcode._id });
+      console.log('Unreadable QR code withdrawn:', { code });
+      return renderGenerate(res, {
+        error: 'The QR code could not be read back, so no pass was issued. Try darker bars, a lighter background or a preset without a logo.'
+      });
+    }
+
+    await announceBarcode(savedBarcode);
+
     const barcodeDataUrl = `data:image/png;base64,${barcodeImage.toString('base64')}`;
+
+    // The pass is issued either way; a failed email only adds a warning
+    let delivery = null;
+    if (savedBarcode.recipientEmail && req.body.sendEmail) {
+      const sent = await deliverPass(code, { baseUrl, actor: req.user.username });
+      delivery = sent.barcode ? sent.barcode.delivery : null;
+      if (sent.error) warnings.push(sent.error);
+    }
     
-    res.render('generate', {
-      title: 'Generate Barcode',
+    await renderGenerate(res, {
       barcode: {
         code: savedBarcode.code,
         issuedTo: savedBarcode.issuedTo,
         purpose: savedBarcode.purpose,
+        recipientEmail: savedBarcode.recipientEmail,
+        delivery,
         expiresAt: savedBarcode.expiresAt,
         image: barcodeDataUrl,
         imageBase64: barcodeImage.toString('base64'),
-        scanUrl: `${baseUrl}/mobile-scan/${code}`,
-        mobileUrl: `${baseUrl}/mobile-scan/${code}`,
+        passUrl: getPassUrl(baseUrl, payload),
+        scanUrl: getScanUrl(baseUrl, payload),
+        signed: payload !== code,
+        verified,
+        warnings,
         colors: colors,
-        activeDate: savedBarcode.activeDate,
-        activeTime: savedBarcode.activeTime,
-        endTime: savedBarcode.endTime,
-        allowEarlyAccess: savedBarcode.allowEarlyAccess
-      },
-      error: null
+        symbology: SYMBOLOGIES[barcodeType].label,
+        downloads: {
+          png: toImageQuery(imageOptions, colors, 'png', branding),
+          svg: toImageQuery(imageOptions, colors, 'svg', branding),
+          pdf: toImageQuery(imageOptions, colors, 'pdf', branding)
+        },
+        event: savedBarcode.event,
+        activeDate: schedule.firstDay,
+        activeDays: formatActiveDays(schedule),
+        activeTime: schedule.startTime,
+        endTime: schedule.endTime,
+        timezone: schedule.timezone,
+        allowEarlyAccess: schedule.allowEarlyAccess,
+        scheduleDenial: checkSchedule(savedBarcode),
+        maxUses: savedBarcode.maxUses,
+        reentryCooldownMinutes: savedBarcode.reentryCooldownMinutes
+      }
     });
     
   } catch (error) {
     console.error('Barcode generation error:', error);
-    res.render('generate', {
-      title: 'Generate Barcode',
-      barcode: null,
-      error: 'Failed to generate barcode. Please try again.'
-    });
+    renderGenerate(res, { error: 'Failed to generate barcode. Please try again.' });
+  }
+});
+
+
+// Bulk generation from CSV
+const renderBulk = async (res, { errors = [], error = null, status = 200, eventId = '' } = {}) => {
+  res.status(status).render('bulk-generate', {
+    title: 'Bulk Generate',
+    columns: BULK_COLUMNS,
+    maxRows: MAX_BULK_ROWS,
+    events: await listEvents(),
+    eventId,
+    errors,
+    error
+  });
+};
+
+app.get('/generate/bulk', requireIssuer, async (req, res) => {
+  try {
+    await renderBulk(res);
+  } catch (error) {
+    console.error('Bulk page error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load bulk upload' });
   }
 });
 
+app.get('/generate/bulk/template.csv', requireIssuer, (req, res) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename=bulk-passes-template.csv');
+  res.send(BULK_TEMPLATE_CSV);
+});
+
+app.post('/generate/bulk', requireIssuer, csvUpload('file'), async (req, res) => {
+  const eventId = req.body.eventId || '';
+
+  try {
+    if (req.uploadError || !req.file) {
+      return renderBulk(res, { error: req.uploadError || 'Please choose a CSV file to upload', status: 400, eventId });
+    }
+
+    const { event, error: eventError } = await resolveEvent(eventId);
+
+    if (eventError) {
+      return renderBulk(res, { error: eventError, status: 400, eventId });
+    }
+
+    const { rows, errors } = parseBulkCsv(req.file.buffer, event);
+
+    if (errors.length > 0) {
+      return renderBulk(res, {
+        error: 'No passes were created. Fix the rows below and upload the file again.',
+        errors,
+        status: 400,
+        eventId
+      });
+    }
+
+    const barcodes = await createBulkBarcodes(rows, event);
+    const payloadFor = await getPayloadSigner();
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=passes-${moment().format('YYYYMMDD-HHmmss')}.zip`);
+    await writeBulkZip(barcodes, getBaseUrl(req), res, payloadFor);
+
+  } catch (error) {
+    console.error('Bulk generation error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    renderBulk(res, { error: 'Failed to generate passes. Please try again.', status: 500, eventId });
+  }
+});
 
 // Add this route to reset your database
-app.get('/reset-database', async (req, res) => {
+// Dropping every pass is a POST behind a typed confirmation, so a link or an
+// image on another site cannot trigger it with an admin's cookies
+const RESET_CONFIRM_WORD = 'RESET';
+
+const renderResetDatabase = (res, { status = 200, error = null, success = null } = {}) => {
+  res.status(status).render('reset-database', {
+    title: 'Reset Database',
+    confirmWord: RESET_CONFIRM_WORD,
+    error,
+    success
+  });
+};
+
+app.get('/reset-database', requireAdmin, (req, res) => {
+  renderResetDatabase(res);
+});
+
+app.post('/reset-database', requireAdmin, async (req, res) => {
+  if (req.body.confirm !== RESET_CONFIRM_WORD) {
+    return renderResetDatabase(res, { status: 400, error: `Type ${RESET_CONFIRM_WORD} to confirm the reset` });
+  }
+
   try {
     // Drop the entire barcodes collection
     await mongoose.connection.db.dropCollection('barcodes');
-    console.log('✅ Barcodes collection dropped');
-    
-    res.json({ 
-      message: 'Database reset successfully. The collection will be recreated with the correct schema.' 
+    console.log('✅ Barcodes collection dropped', { actor: req.user.username });
+
+    renderResetDatabase(res, {
+      success: 'Database reset successfully. The collection will be recreated with the correct schema.'
     });
   } catch (error) {
     console.error('Error resetting database:', error);
-    res.status(500).json({ error: error.message });
+    renderResetDatabase(res, { status: 500, error: error.message });
   }
 });
 
-app.get('/verify', async (req, res) => {
+// Shape a scan decision into the `result` object the verify views expect
+const toVerifyResult = ({ barcode, decision, direction }) => {
+  const result = {
+    success: decision.granted,
+    message: decision.message,
+    reason: decision.reason,
+    access: decision.granted ? 'granted' : 'denied',
+    direction
+  };
+
+  if (barcode) {
+    result.issuedTo = barcode.issuedTo;
+  }
+
+  if (decision.granted) {
+    result.purpose = barcode.purpose;
+    result.usedAt = barcode.usedAt;
+    result.useCount = barcode.useCount;
+    result.maxUses = barcode.maxUses;
+  }
+
+  return result;
+};
+
+app.get('/verify', requireGatekeeper, async (req, res) => {
   const { success, error, scannedCode, issuedTo } = req.query;
   
-  // If there's a scanned code in query params, process it with time validation
+  // If there's a scanned code in query params, process it through the access policy
   if (scannedCode) {
     try {
-      const barcode = await Barcode.findOne({ code: scannedCode.trim().toUpperCase() });
-      
-      if (barcode && !barcode.used) {
-        console.log('GET verify - Processing scanned code:', scannedCode);
-        
-        // Apply time validation logic
-        if (barcode.activeDate) {
-          const now = new Date();
-          const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          const activeDate = new Date(barcode.activeDate);
-          const eventDay = new Date(activeDate.getFullYear(), activeDate.getMonth(), activeDate.getDate());
-          
-          // Check if before event day
-          if (today < eventDay && !barcode.allowEarlyAccess) {
-            return res.render('verify', {
-              title: 'Verify Barcode',
-              result: { 
-                success: false, 
-                message: `Access not available until ${activeDate.toLocaleDateString()}`,
-                access: 'denied',
-                issuedTo: barcode.issuedTo
-              },
-              scannedCode: scannedCode
-            });
-          }
-          
-          // Check if after event day
-          if (today > eventDay) {
-            return res.render('verify', {
-              title: 'Verify Barcode',
-              result: { 
-                success: false, 
-                message: `Access was only available on ${activeDate.toLocaleDateString()}`,
-                access: 'denied',
-                issuedTo: barcode.issuedTo
-              },
-              scannedCode: scannedCode
-            });
-          }
-          
-          // Check time window on event day
-          if (today.getTime() === eventDay.getTime()) {
-            const currentHours = now.getHours().toString().padStart(2, '0');
-            const currentMinutes = now.getMinutes().toString().padStart(2, '0');
-            const currentTime = `${currentHours}:${currentMinutes}`;
-            
-            if (currentTime < barcode.activeTime) {
-              return res.render('verify', {
-                title: 'Verify Barcode',
-                result: { 
-                  success: false, 
-                  message: `Access available starting at ${barcode.activeTime} on ${activeDate.toLocaleDateString()}`,
-                  access: 'denied',
-                  issuedTo: barcode.issuedTo
-                },
-                scannedCode: scannedCode
-              });
-            }
-            
-            if (currentTime > barcode.endTime) {
-              return res.render('verify', {
-                title: 'Verify Barcode',
-                result: { 
-                  success: false, 
-                  message: `Access ended at ${barcode.endTime} on ${activeDate.toLocaleDateString()}`,
-                  access: 'denied',
-                  issuedTo: barcode.issuedTo
-                },
-                scannedCode: scannedCode
-              });
-            }
-          }
-        }
-        
-        // If time validation passes, mark as used and show success
-        console.log('GET verify - Granting access to:', barcode.code);
-        barcode.used = true;
-        barcode.usedAt = new Date();
-        await barcode.save();
-        
-        return res.render('verify', {
-          title: 'Verify Barcode',
-          result: { 
-            success: true, 
-            message: 'Access Granted',
-            access: 'granted',
-            issuedTo: barcode.issuedTo,
-            purpose: barcode.purpose,
-            usedAt: new Date()
-          },
-          scannedCode: scannedCode
-        });
-      }
+      const scan = await processScan(scannedCode, req, 'verify');
+
+      return res.render('verify', {
+        title: 'Verify Barcode',
+        result: toVerifyResult(scan),
+        scannedCode: scannedCode
+      });
     } catch (error) {
       console.error('GET verify error:', error);
     }
@@ -412,9 +538,9 @@ app.get('/verify', async (req, res) => {
   });
 });
 
-app.post('/verify', async (req, res) => {
+app.post('/verify', requireGatekeeper, async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, direction } = req.body;
     
     console.log('=== MANUAL VERIFICATION STARTED ===');
     console.log('Manual verification code:', code);
@@ -427,175 +553,18 @@ app.post('/verify', async (req, res) => {
           message: 'No barcode code provided',
           access: 'denied'
         },
-        scannedCode: code
-      });
-    }
-    
-    const barcode = await Barcode.findOne({ code: code.trim().toUpperCase() });
-    
-    if (!barcode) {
-      return res.render('verify', {
-        title: 'Verify Barcode',
-        result: { 
-          success: false, 
-          message: 'Invalid barcode',
-          access: 'denied'
-        },
-        scannedCode: code
-      });
-    }
-    
-    console.log('Barcode found in manual verification:', {
-      code: barcode.code,
-      activeDate: barcode.activeDate,
-      activeTime: barcode.activeTime,
-      endTime: barcode.endTime,
-      allowEarlyAccess: barcode.allowEarlyAccess,
-      used: barcode.used
-    });
-    
-    if (barcode.used) {
-      return res.render('verify', {
-        title: 'Verify Barcode',
-        result: { 
-          success: false, 
-          message: `Barcode already used on ${new Date(barcode.usedAt).toLocaleString()}`,
-          access: 'denied',
-          issuedTo: barcode.issuedTo
-        },
-        scannedCode: code
-      });
-    }
-    
-    if (barcode.expiresAt && new Date() > barcode.expiresAt) {
-      return res.render('verify', {
-        title: 'Verify Barcode',
-        result: { 
-          success: false, 
-          message: `Barcode expired on ${barcode.expiresAt.toLocaleString()}`,
-          access: 'denied',
-          issuedTo: barcode.issuedTo
-        },
-        scannedCode: code
-      });
-    }
-    
-    // ADD TIME-BASED ACCESS CONTROL HERE (SAME AS MOBILE-SCAN)
-    if (barcode.activeDate) {
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()); // Today at midnight
-      const activeDate = new Date(barcode.activeDate);
-      const eventDay = new Date(activeDate.getFullYear(), activeDate.getMonth(), activeDate.getDate()); // Event day at midnight
-      
-      console.log('Manual verification - Time validation details:', {
-        now: now.toISOString(),
-        today: today.toISOString(),
-        activeDate: activeDate.toISOString(),
-        eventDay: eventDay.toISOString(),
-        allowEarlyAccess: barcode.allowEarlyAccess
+        scannedCode: code,
+        direction
       });
-      
-      // Check if we're BEFORE the event day
-      if (today < eventDay) {
-        console.log('Manual verification - Before event day');
-        if (!barcode.allowEarlyAccess) {
-          console.log('Manual verification - Early access denied');
-          return res.render('verify', {
-            title: 'Verify Barcode',
-            result: { 
-              success: false, 
-              message: `Access not available until ${activeDate.toLocaleDateString()}`,
-              access: 'denied',
-              issuedTo: barcode.issuedTo
-            },
-            scannedCode: code
-          });
-        } else {
-          console.log('Manual verification - Early access allowed');
-        }
-      }
-      
-      // Check if we're AFTER the event day
-      if (today > eventDay) {
-        console.log('Manual verification - After event day');
-        return res.render('verify', {
-          title: 'Verify Barcode',
-          result: { 
-            success: false, 
-            message: `Access was only available on ${activeDate.toLocaleDateString()}`,
-            access: 'denied',
-            issuedTo: barcode.issuedTo
-          },
-          scannedCode: code
-        });
-      }
-      
-      // If we're ON the event day, check time window
-      if (today.getTime() === eventDay.getTime()) {
-        console.log('Manual verification - On event day');
-        const currentHours = now.getHours().toString().padStart(2, '0');
-        const currentMinutes = now.getMinutes().toString().padStart(2, '0');
-        const currentTime = `${currentHours}:${currentMinutes}`;
-        
-        console.log('Manual verification - Time window check:', {
-          currentTime,
-          activeTime: barcode.activeTime,
-          endTime: barcode.endTime
-        });
-        
-        // Check if before start time
-        if (currentTime < barcode.activeTime) {
-          console.log('Manual verification - Before start time');
-          return res.render('verify', {
-            title: 'Verify Barcode',
-            result: { 
-              success: false, 
-              message: `Access available starting at ${barcode.activeTime} on ${activeDate.toLocaleDateString()}`,
-              access: 'denied',
-              issuedTo: barcode.issuedTo
-            },
-            scannedCode: code
-          });
-        }
-        
-        // Check if after end time
-        if (currentTime > barcode.endTime) {
-          console.log('Manual verification - After end time');
-          return res.render('verify', {
-            title: 'Verify Barcode',
-            result: { 
-              success: false, 
-              message: `Access ended at ${barcode.endTime} on ${activeDate.toLocaleDateString()}`,
-              access: 'denied',
-              issuedTo: barcode.issuedTo
-            },
-            scannedCode: code
-          });
-        }
-        
-        console.log('Manual verification - Within time window');
-      }
-    } else {
-      console.log('Manual verification - No active date set');
     }
     
-    // If all checks pass, grant access
-    console.log('Manual verification - Granting access to:', barcode.code);
-    barcode.used = true;
-    barcode.usedAt = new Date();
-    await barcode.save();
+    const scan = await processScan(code, req, 'verify', direction);
     
     res.render('verify', {
       title: 'Verify Barcode',
-      result: { 
-        success: true, 
-        message: 'Access Granted',
-        access: 'granted',
-        issuedTo: barcode.issuedTo,
-        purpose: barcode.purpose,
-        usedAt: new Date()
-      },
-      scannedCode: code
+      result: toVerifyResult(scan),
+      scannedCode: code,
+      direction: scan.direction
     });
     
   } catch (error) {
@@ -612,135 +581,148 @@ app.post('/verify', async (req, res) => {
   }
 });
 
-// Mobile-only scan route (for QR codes)
-app.get('/mobile-scan/:code', async (req, res) => {
+// JSON verify for the camera scanner on the verify page, which keeps scanning
+// without reloading between guests
+app.post('/verify/scan', requireGatekeeper, async (req, res) => {
   try {
-    const { code } = req.params;
-    console.log('=== MOBILE SCAN STARTED ===');
-    console.log('Scanned code:', code);
+    const { code, direction } = req.body;
 
-    if (!code) {
-      return res.render('mobile-result', {
-        result: { success: false, message: 'No barcode provided', access: 'denied' }
-      });
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ success: false, access: 'denied', message: 'No barcode code provided' });
     }
 
-    const barcode = await Barcode.findOne({ code: code.trim().toUpperCase() });
+    const scan = await processScan(code, req, 'camera', direction);
+
+    res.json({ ...toVerifyResult(scan), code: scan.code });
+
+  } catch (error) {
+    console.error('Camera verify error:', error);
+    res.status(500).json({ success: false, access: 'denied', message: 'Verification error. Please try again.' });
+  }
+});
+
+// Read-only pass page for holders. QR codes link here, so attendees can check
+// their own pass without using it up; signed-in gate staff get a redeem link.
+app.get('/pass/:code', async (req, res) => {
+  try {
+    const scanned = await readScannedCode(req.params.code);
+    const barcode = scanned.error ? null : await populatePass(Barcode.findOne({ code: scanned.code })).lean();
+
+    res.setHeader('Cache-Control', 'no-store');
+
     if (!barcode) {
-      console.log('Barcode not found in database');
-      return res.render('mobile-result', {
-        result: { success: false, message: 'Invalid access code', access: 'denied' }
+      return res.status(404).render('pass', {
+        pass: null,
+        message: scanned.error ? 'This pass link could not be verified.' : 'No pass was found for this link.'
       });
     }
 
-    // Convert and normalize stored date/time values
-    const now = new Date();
-    const eventDate = new Date(barcode.activeDate); // Convert string to Date
-    const eventDateStr = eventDate.toISOString().split('T')[0];
-    const todayStr = now.toISOString().split('T')[0];
+    const baseUrl = getBaseUrl(req);
+    const schedule = getEffectiveSchedule(barcode);
+    const qrImage = await generateBarcodeImage((await getPayloadSigner())(barcode), 'qrcode', baseUrl);
 
-    console.log('Date check:', { todayStr, eventDateStr });
+    res.render('pass', {
+      pass: barcode,
+      message: null,
+      status: getStatus(barcode),
+      schedule,
+      activeDays: formatActiveDays(schedule),
+      scheduleDenial: checkSchedule(barcode),
+      maxUses: getMaxUses(barcode),
+      useCount: getUseCount(barcode),
+      qrImage: `data:image/png;base64,${qrImage.toString('base64')}`,
+      wallets: getAvailableWallets(),
+      walletPath: `/pass/${encodeURIComponent(req.params.code)}`,
+      staffScanUrl: req.user && req.user.hasRole('gatekeeper') ? getScanUrl(baseUrl, barcode.code) : null
+    });
 
-    // Already used?
-    if (barcode.used) {
-      return res.render('mobile-result', {
-        result: {
-          success: false,
-          message: `Access code was already used on ${new Date(barcode.usedAt).toLocaleString()}`,
-          access: 'denied',
-          issuedTo: barcode.issuedTo
-        }
-      });
-    }
+  } catch (error) {
+    console.error('Pass page error:', error);
+    res.status(500).render('pass', { pass: null, message: 'Could not load this pass. Please try again.' });
+  }
+});
 
-    // Expired?
-    if (barcode.expiresAt && new Date() > barcode.expiresAt) {
-      return res.render('mobile-result', {
-        result: {
-          success: false,
-          message: `Access code expired on ${barcode.expiresAt.toLocaleString()}`,
-          access: 'denied',
-          issuedTo: barcode.issuedTo
-        }
-      });
-    }
+// Wallet exports for holders, linked from the pass page. Returns { pass } or
+// { status, message } when the link is unknown or the pass no longer works.
+const describeHolderPass = async (req) => {
+  const scanned = await readScannedCode(req.params.code);
+  const barcode = scanned.error ? null : await populatePass(Barcode.findOne({ code: scanned.code })).lean();
 
-    // Before event day
-    if (todayStr < eventDateStr) {
-      if (!barcode.allowEarlyAccess) {
-        console.log('Access denied — before event day');
-        return res.render('mobile-result', {
-          result: {
-            success: false,
-            message: `Access not available until ${eventDate.toLocaleDateString()}`,
-            access: 'denied',
-            issuedTo: barcode.issuedTo
-          }
-        });
-      }
-    }
+  if (!barcode) {
+    return { status: 404, message: 'No pass was found for this link.' };
+  }
+
+  if (getStatus(barcode) !== 'active') {
+    return { status: 410, message: 'This pass is no longer valid, so it cannot be added to a wallet.' };
+  }
+
+  return { pass: describePass(barcode, { baseUrl: getBaseUrl(req), payload: (await getPayloadSigner())(barcode) }) };
+};
+
+app.get('/pass/:code/wallet.pkpass', async (req, res) => {
+  try {
+    const { pass, status, message } = await describeHolderPass(req);
+    if (!pass) return res.status(status).render('pass', { pass: null, message });
+
+    const { pkpass, error } = await buildPkpass(pass);
+    if (error) return res.status(503).render('pass', { pass: null, message: 'Apple Wallet passes are not available yet.' });
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('application/vnd.apple.pkpass');
+    res.attachment(`pass-${pass.code}.pkpass`);
+    res.send(pkpass);
+
+  } catch (error) {
+    console.error('Apple Wallet export error:', error);
+    res.status(500).render('pass', { pass: null, message: 'Could not build the wallet pass. Please try again.' });
+  }
+});
+
+app.get('/pass/:code/google-wallet', async (req, res) => {
+  try {
+    const { pass, status, message } = await describeHolderPass(req);
+    if (!pass) return res.status(status).render('pass', { pass: null, message });
+
+    const { saveUrl, error } = buildGoogleWalletPass(pass);
+    if (error) return res.status(503).render('pass', { pass: null, message: 'Google Wallet passes are not available yet.' });
+
+    res.redirect(saveUrl);
+
+  } catch (error) {
+    console.error('Google Wallet export error:', error);
+    res.status(500).render('pass', { pass: null, message: 'Could not build the wallet pass. Please try again.' });
+  }
+});
+
+// Printed tickets from before holder links point here too: anyone who cannot
+// redeem is sent to the read-only pass page rather than a sign-in prompt
+const sendHoldersToPassPage = (req, res, next) => (
+  req.user && req.user.hasRole('gatekeeper')
+    ? next()
+    : res.redirect(`/pass/${encodeURIComponent(req.params.code)}`)
+);
+
+// Staff redemption route
+app.get('/mobile-scan/:code', sendHoldersToPassPage, async (req, res) => {
+  try {
+    const { code } = req.params;
+    console.log('=== MOBILE SCAN STARTED ===');
+    console.log('Scanned code:', code);
 
-    // After event day
-    if (todayStr > eventDateStr) {
-      console.log('Access denied — after event day');
+    if (!code) {
       return res.render('mobile-result', {
-        result: {
-          success: false,
-          message: `Access was only available on ${eventDate.toLocaleDateString()}`,
-          access: 'denied',
-          issuedTo: barcode.issuedTo
-        }
+        result: { success: false, message: 'No barcode provided', access: 'denied' }
       });
     }
 
-    // On the event day, check time window
-    if (todayStr === eventDateStr) {
-      const currentTime = now.toTimeString().slice(0, 5); // HH:MM
-      const startTime = barcode.activeTime || "00:00";
-      const endTime = barcode.endTime || "23:59";
-
-      console.log('Time window check:', { currentTime, startTime, endTime });
-
-      if (currentTime < startTime) {
-        console.log('Access denied — too early');
-        return res.render('mobile-result', {
-          result: {
-            success: false,
-            message: `Access available starting at ${startTime} on ${eventDate.toLocaleDateString()}`,
-            access: 'denied',
-            issuedTo: barcode.issuedTo
-          }
-        });
-      }
+    const scan = await processScan(code, req, 'mobile-scan');
+    const result = toVerifyResult(scan);
 
-      if (currentTime > endTime) {
-        console.log('Access denied — too late');
-        return res.render('mobile-result', {
-          result: {
-            success: false,
-            message: `Access ended at ${endTime} on ${eventDate.toLocaleDateString()}`,
-            access: 'denied',
-            issuedTo: barcode.issuedTo
-          }
-        });
-      }
+    if (scan.decision.granted) {
+      result.message = 'Access authorized successfully';
     }
 
-    // ✅ Access granted
-    console.log('Access granted');
-    barcode.used = true;
-    barcode.usedAt = new Date();
-    await barcode.save();
-
-    res.render('mobile-result', {
-      result: {
-        success: true,
-        message: 'Access authorized successfully',
-        access: 'granted',
-        issuedTo: barcode.issuedTo,
-        purpose: barcode.purpose
-      }
-    });
+    res.render('mobile-result', { result });
 
   } catch (error) {
     console.error('Mobile scan error:', error);
@@ -752,73 +734,810 @@ app.get('/mobile-scan/:code', async (req, res) => {
 
 
 
-app.get('/admin', async (req, res) => {
+// Query parameters the dashboard keeps between searches, sorts and pages
+const ADMIN_SEARCH_FIELDS = ['search', 'status', 'event', 'issuedAfter', 'issuedBefore'];
+const ADMIN_FILTERS = [...ADMIN_SEARCH_FIELDS, 'sort', 'order'];
+const ADMIN_PAGE_SIZES = [20, 50, 100];
+
+app.get('/admin', requireAdmin, async (req, res) => {
+  const filters = {};
+  ADMIN_FILTERS.forEach((name) => {
+    filters[name] = typeof req.query[name] === 'string' ? req.query[name].trim() : '';
+  });
+
+  const limit = ADMIN_PAGE_SIZES.includes(parseInt(req.query.limit)) ? parseInt(req.query.limit) : ADMIN_PAGE_SIZES[0];
+
+  // Dashboard links keep the current filters; blank values are left out
+  const filterQuery = (changes) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...filters, ...changes }).forEach(([name, value]) => {
+      if (value !== '' && value !== null && value !== undefined) params.set(name, value);
+    });
+    return params.toString();
+  };
+  const adminUrl = (changes = {}) => `/admin?${filterQuery({ limit, ...changes })}`;
+  const exportUrl = (format, changes = {}) => `/admin/export.${format}?${filterQuery(changes)}`;
+
+  const render = (locals) => res.render('admin', {
+    title: 'Admin Dashboard',
+    filters,
+    statuses: STATUSES,
+    pageSizes: ADMIN_PAGE_SIZES,
+    limit,
+    adminUrl,
+    exportUrl,
+    moment: moment,
+    ...locals
+  });
+
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
     const skip = (page - 1) * limit;
-    
-    const barcodes = await Barcode.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
-    
-    const total = await Barcode.countDocuments();
-    const totalPages = Math.ceil(total / limit);
-    
-    res.render('admin', {
-      title: 'Admin Dashboard',
+
+    // Bad filters are reported and dropped so the dashboard still lists every pass
+    const { filter: built, error: filterError } = buildBarcodeFilter(filters);
+    const { sort: builtSort, error: sortError } = buildBarcodeSort({ sort: filters.sort || undefined, order: filters.order || undefined });
+    const filter = filterError ? {} : built;
+    const sort = sortError ? buildBarcodeSort().sort : builtSort;
+    if (filterError) {
+      ADMIN_SEARCH_FIELDS.forEach((name) => {
+        filters[name] = '';
+      });
+    }
+    if (sortError) {
+      Object.assign(filters, { sort: '', order: '' });
+    }
+
+    const [barcodes, matching, stats, events, eventSummary, openConflicts] = await Promise.all([
+      Barcode.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('event', 'name')
+        .lean(),
+      Barcode.countDocuments(filter),
+      summarizeStatuses(),
+      listEvents(),
+      summarizeByEvent(),
+      countOpenConflicts()
+    ]);
+
+    render({
       barcodes,
       currentPage: page,
-      totalPages,
-      totalBarcodes: total,
-      moment: moment,
-      error: null
+      totalPages: Math.max(Math.ceil(matching / limit), 1),
+      matching,
+      stats,
+      events,
+      eventSummary,
+      openConflicts,
+      error: filterError || sortError || null
     });
     
   } catch (error) {
     console.error('Admin dashboard error:', error);
-    res.render('admin', {
-      title: 'Admin Dashboard',
+    render({
       barcodes: [],
       currentPage: 1,
       totalPages: 1,
-      totalBarcodes: 0,
-      moment: moment,
+      matching: 0,
+      stats: null,
+      events: [],
+      eventSummary: [],
+      openConflicts: 0,
       error: 'Failed to load barcodes'
     });
   }
 });
 
-// Download route
-// Enhanced download route with high-quality square barcodes
-app.get('/download/:code', async (req, res) => {
+// Downloads every pass matching the admin list filters and sort as CSV, XLSX
+// or NDJSON; ?history=1 adds each pass's scans. Rows are streamed as they are read.
+app.get('/admin/export.:format(csv|xlsx|ndjson)', requireAdmin, async (req, res) => {
   try {
-    const { code } = req.params;
-    const { 
-      bg = 'FFFFFF', 
-      fg = '000000', 
-      border = '000000',
-      size = '1000' // Default to 1000px for high quality
-    } = req.query;
-    
-    // Use production URL
-    const baseUrl = process.env.NODE_ENV === 'production' 
-      ? 'https://bar-event.vercel.app'
-      : `${req.protocol}://${req.get('host')}`;
-    
-    const colors = {
-      background: bg.replace('#', ''),
-      foreground: fg.replace('#', ''),
-      border: border.replace('#', '')
-    };
-    
-    // Generate high-quality barcode
-    const barcodeImage = await generateBarcodeImage(code, 'qrcode', baseUrl, colors);
+    const { filter, error } = buildBarcodeFilter(req.query);
+    const { sort, error: sortError } = buildBarcodeSort({ sort: req.query.sort || undefined, order: req.query.order || undefined });
+
+    if (error || sortError) {
+      return res.status(400).render('error', { title: 'Export Failed', message: error || sortError });
+    }
+
+    const result = await streamBarcodeExport(res, {
+      format: req.params.format,
+      filter,
+      sort,
+      history: ['1', 'true'].includes(req.query.history)
+    });
+
+    if (result.error) {
+      res.status(400).render('error', { title: 'Export Failed', message: result.error });
+    }
+
+  } catch (error) {
+    console.error('Barcode export error:', error);
+    // Once rows have gone out, cut the download short rather than end it cleanly
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).render('error', { title: 'Error', message: 'Failed to export barcodes' });
+  }
+});
+
+// Versioned JSON API
+app.use('/api/v1', apiV1Router);
+
+// JSON verify endpoint for registered scanner devices
+app.post('/api/scanner/verify', requireScanner, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'No barcode code provided' });
+    }
+
+    const { barcode, decision, direction } = await processScan(code, req, 'scanner-api');
+
+    res.json({
+      granted: decision.granted,
+      direction,
+      reason: decision.reason,
+      message: decision.message,
+      code: normalizeCode(code),
+      issuedTo: barcode ? barcode.issuedTo : null,
+      purpose: decision.granted ? barcode.purpose : null,
+      useCount: barcode ? barcode.useCount : null,
+      maxUses: barcode ? barcode.maxUses : null,
+      usedAt: barcode ? barcode.usedAt : null,
+      scanner: req.scanner.name
+    });
+
+  } catch (error) {
+    console.error('Scanner verify error:', error);
+    res.status(500).json({ error: 'Verification error. Please try again.' });
+  }
+});
+
+// API keys let integration accounts (e.g. a registration system) call /api/v1
+app.post('/admin/users/:id/api-key', requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return renderUsers(res, { error: 'User not found' });
+    }
+
+    const apiKey = user.rotateApiKey();
+    await user.save();
+
+    // The plain key is only ever shown on this response
+    await renderUsers(res, {
+      success: `Issued a new API key for ${user.username}`,
+      newKey: { name: user.username, apiKey }
+    });
+
+  } catch (error) {
+    console.error('Issue API key error:', error);
+    renderUsers(res, { error: 'Failed to issue API key' });
+  }
+});
+
+app.post('/admin/users/:id/api-key/revoke', requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return renderUsers(res, { error: 'User not found' });
+    }
+
+    user.revokeApiKey();
+    await user.save();
+
+    res.redirect(`/admin/users?success=${encodeURIComponent(`Revoked API key for ${user.username}`)}`);
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    renderUsers(res, { error: 'Failed to revoke API key' });
+  }
+});
+
+// Scanner device management
+const renderScanners = async (res, { error = null, success = null, newKey = null } = {}) => {
+  const [scanners, signingKeys] = await Promise.all([
+    Scanner.find().sort({ name: 1 }).lean(),
+    listSigningKeys()
+  ]);
+  res.render('scanners', {
+    title: 'Scanners',
+    scanners,
+    signingKeys,
+    signingAlgorithms: SigningKey.ALGORITHMS,
+    moment: moment,
+    error,
+    success,
+    newKey
+  });
+};
+
+app.get('/admin/scanners', requireAdmin, async (req, res) => {
+  try {
+    await renderScanners(res, { success: req.query.success });
+  } catch (error) {
+    console.error('Scanner list error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load scanners' });
+  }
+});
+
+app.post('/admin/scanners', requireAdmin, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return renderScanners(res, { error: 'Scanner name is required' });
+    }
+
+    const scanner = new Scanner({ name, createdBy: req.user.username });
+    const apiKey = scanner.rotateApiKey();
+    await scanner.save();
+
+    // The plain key is only ever shown on this response
+    await renderScanners(res, { success: `Registered ${scanner.name}`, newKey: { name: scanner.name, apiKey } });
+
+  } catch (error) {
+    console.error('Register scanner error:', error);
+    renderScanners(res, { error: 'Failed to register scanner' });
+  }
+});
+
+app.post('/admin/scanners/:id/rename', requireAdmin, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const scanner = await Scanner.findById(req.params.id);
+
+    if (!scanner || !name) {
+      return renderScanners(res, { error: !scanner ? 'Scanner not found' : 'Scanner name is required' });
+    }
+
+    const previousName = scanner.name;
+    scanner.name = name;
+    await scanner.save();
+
+    res.redirect(`/admin/scanners?success=${encodeURIComponent(`Renamed ${previousName} to ${name}`)}`);
+
+  } catch (error) {
+    console.error('Rename scanner error:', error);
+    renderScanners(res, { error: 'Failed to rename scanner' });
+  }
+});
+
+app.post('/admin/scanners/:id/toggle', requireAdmin, async (req, res) => {
+  try {
+    const scanner = await Scanner.findById(req.params.id);
+
+    if (!scanner) {
+      return renderScanners(res, { error: 'Scanner not found' });
+    }
+
+    scanner.active = !scanner.active;
+    await scanner.save();
+
+    res.redirect(`/admin/scanners?success=${encodeURIComponent(`${scanner.name} ${scanner.active ? 'enabled' : 'disabled'}`)}`);
+
+  } catch (error) {
+    console.error('Toggle scanner error:', error);
+    renderScanners(res, { error: 'Failed to update scanner' });
+  }
+});
+
+// Exit gates record guests leaving for the occupancy count instead of admitting them
+app.post('/admin/scanners/:id/direction', requireAdmin, async (req, res) => {
+  try {
+    const scanner = await Scanner.findById(req.params.id);
+
+    if (!scanner) {
+      return renderScanners(res, { error: 'Scanner not found' });
+    }
+
+    scanner.direction = scanner.direction === 'exit' ? 'entry' : 'exit';
+    await scanner.save();
+
+    res.redirect(`/admin/scanners?success=${encodeURIComponent(`${scanner.name} is now an ${scanner.direction} gate`)}`);
+
+  } catch (error) {
+    console.error('Scanner direction error:', error);
+    renderScanners(res, { error: 'Failed to update scanner' });
+  }
+});
+
+app.post('/admin/scanners/:id/rotate', requireAdmin, async (req, res) => {
+  try {
+    const scanner = await Scanner.findById(req.params.id);
+
+    if (!scanner) {
+      return renderScanners(res, { error: 'Scanner not found' });
+    }
+
+    const apiKey = scanner.rotateApiKey();
+    await scanner.save();
+
+    await renderScanners(res, {
+      success: `Rotated key for ${scanner.name}; the old key no longer works`,
+      newKey: { name: scanner.name, apiKey }
+    });
+
+  } catch (error) {
+    console.error('Rotate scanner key error:', error);
+    renderScanners(res, { error: 'Failed to rotate scanner key' });
+  }
+});
+
+// Attendance analytics. The figures are aggregated in MongoDB by services/analytics.
+app.get('/admin/analytics', requireAdmin, async (req, res) => {
+  const filters = { from: req.query.from || '', to: req.query.to || '', event: req.query.event || '' };
+
+  try {
+    const events = await listEvents();
+    const { error, ...parsed } = await parseAnalyticsRange(filters);
+
+    // Bad filters are reported and the default report is shown instead
+    const { range } = error ? await parseAnalyticsRange({}) : parsed;
+
+    res.render('analytics', {
+      title: 'Analytics',
+      report: await buildAnalyticsReport(range),
+      filters: error ? { from: '', to: '', event: '' } : filters,
+      events,
+      occupancyWindowHours: OCCUPANCY_WINDOW_HOURS,
+      moment: moment,
+      error: error || null
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load analytics' });
+  }
+});
+
+// Server-Sent Events: the "currently inside" count, updated as scans happen
+app.get('/admin/analytics/live', requireAdmin, streamOccupancy);
+
+// Offline scans that could not be reconciled
+
+app.get('/admin/offline-conflicts', requireAdmin, async (req, res) => {
+  try {
+    res.render('offline-conflicts', {
+      title: 'Offline Conflicts',
+      conflicts: await listOpenConflicts(),
+      success: req.query.success || null,
+      error: req.query.error || null,
+      moment: moment
+    });
+  } catch (error) {
+    console.error('Offline conflicts error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load offline conflicts' });
+  }
+});
+
+app.post('/admin/offline-conflicts/:id/resolve', requireAdmin, async (req, res) => {
+  try {
+    const event = await resolveConflict(req.params.id, req.user.username);
+
+    if (!event) {
+      return res.redirect(`/admin/offline-conflicts?error=${encodeURIComponent('Conflict not found or already resolved')}`);
+    }
+
+    res.redirect(`/admin/offline-conflicts?success=${encodeURIComponent(`Resolved conflict on ${event.code}`)}`);
+
+  } catch (error) {
+    console.error('Resolve conflict error:', error);
+    res.redirect(`/admin/offline-conflicts?error=${encodeURIComponent('Failed to resolve conflict')}`);
+  }
+});
+
+// QR signing keys. Creating a key turns signing on and retires the previous key.
+app.post('/admin/signing-keys', requireAdmin, async (req, res) => {
+  try {
+    const { key, error } = await rotateSigningKey({ algorithm: req.body.algorithm, actor: req.user.username });
+
+    if (error) {
+      return renderScanners(res, { error });
+    }
+
+    res.redirect(`/admin/scanners?success=${encodeURIComponent(`New QR codes are now signed with ${key.algorithm} key ${key.kid}`)}`);
+
+  } catch (error) {
+    console.error('Create signing key error:', error);
+    renderScanners(res, { error: 'Failed to create signing key' });
+  }
+});
+
+app.post('/admin/signing-keys/:id/retire', requireAdmin, async (req, res) => {
+  try {
+    const key = await retireSigningKey(req.params.id);
+
+    if (!key) {
+      return renderScanners(res, { error: 'Active signing key not found' });
+    }
+
+    res.redirect(`/admin/scanners?success=${encodeURIComponent(`Retired key ${key.kid}; new QR codes carry plain links until another key is created`)}`);
+
+  } catch (error) {
+    console.error('Retire signing key error:', error);
+    renderScanners(res, { error: 'Failed to retire signing key' });
+  }
+});
+
+app.post('/admin/signing-keys/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const key = await deleteSigningKey(req.params.id);
+
+    if (!key) {
+      return renderScanners(res, { error: 'Only retired signing keys can be deleted' });
+    }
+
+    res.redirect(`/admin/scanners?success=${encodeURIComponent(`Deleted key ${key.kid}; passes it signed no longer verify`)}`);
+
+  } catch (error) {
+    console.error('Delete signing key error:', error);
+    renderScanners(res, { error: 'Failed to delete signing key' });
+  }
+});
+
+// Webhooks: subscriptions for outside systems and the log of what was sent to them
+const renderWebhooks = async (res, { error = null, success = null, newSecret = null, filters = {} } = {}) => {
+  const [webhooks, log] = await Promise.all([listWebhooks(), listDeliveries(filters)]);
+  res.render('webhooks', {
+    title: 'Webhooks',
+    webhooks,
+    deliveries: log.deliveries || [],
+    filters,
+    events: WEBHOOK_EVENTS,
+    statuses: DELIVERY_STATUSES,
+    maxAttempts: MAX_WEBHOOK_ATTEMPTS,
+    moment: moment,
+    error: error || log.error || null,
+    success,
+    newSecret
+  });
+};
+
+app.get('/admin/webhooks', requireAdmin, async (req, res) => {
+  const filters = { webhook: req.query.webhook || '', event: req.query.event || '', status: req.query.status || '' };
+
+  try {
+    await renderWebhooks(res, { success: req.query.success, error: req.query.error, filters });
+  } catch (error) {
+    console.error('Webhook list error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load webhooks' });
+  }
+});
+
+app.post('/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const { webhook, secret, error } = await createWebhook(req.body, { actor: req.user.username });
+
+    if (error) {
+      return renderWebhooks(res, { error });
+    }
+
+    // The plain secret is only ever shown on this response
+    await renderWebhooks(res, { success: `Added ${webhook.name}`, newSecret: { name: webhook.name, secret } });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    renderWebhooks(res, { error: 'Failed to add webhook' });
+  }
+});
+
+app.post('/admin/webhooks/:id/toggle', requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+
+    if (!webhook) {
+      return renderWebhooks(res, { error: 'Webhook not found' });
+    }
+
+    webhook.active = !webhook.active;
+    await webhook.save();
+
+    res.redirect(`/admin/webhooks?success=${encodeURIComponent(`${webhook.name} ${webhook.active ? 'enabled' : 'disabled'}`)}`);
+
+  } catch (error) {
+    console.error('Toggle webhook error:', error);
+    renderWebhooks(res, { error: 'Failed to update webhook' });
+  }
+});
+
+app.post('/admin/webhooks/:id/rotate', requireAdmin, async (req, res) => {
+  try {
+    const rotated = await rotateWebhookSecret(req.params.id);
+
+    if (!rotated) {
+      return renderWebhooks(res, { error: 'Webhook not found' });
+    }
+
+    await renderWebhooks(res, {
+      success: `Rotated the secret for ${rotated.webhook.name}; deliveries are signed with the new secret from now on`,
+      newSecret: { name: rotated.webhook.name, secret: rotated.secret }
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    renderWebhooks(res, { error: 'Failed to rotate webhook secret' });
+  }
+});
+
+app.post('/admin/webhooks/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const webhook = await deleteWebhook(req.params.id);
+
+    if (!webhook) {
+      return renderWebhooks(res, { error: 'Webhook not found' });
+    }
+
+    res.redirect(`/admin/webhooks?success=${encodeURIComponent(`Deleted ${webhook.name}`)}`);
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    renderWebhooks(res, { error: 'Failed to delete webhook' });
+  }
+});
+
+app.post('/admin/webhooks/deliveries/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const { delivery, webhook, error } = await replayDelivery(req.params.id, { actor: req.user.username });
+
+    if (error) {
+      return res.redirect(`/admin/webhooks?error=${encodeURIComponent(error)}`);
+    }
+
+    res.redirect(`/admin/webhooks?success=${encodeURIComponent(`Replaying ${delivery.event} to ${webhook.name}`)}`);
+
+  } catch (error) {
+    console.error('Replay webhook error:', error);
+    renderWebhooks(res, { error: 'Failed to replay delivery' });
+  }
+});
+
+// One run of the webhook worker: announces expired passes and sends due retries.
+// Long-running servers do this on a timer (see app.listen below); on Vercel
+// nothing stays up between requests, so vercel.json schedules this route instead.
+app.get('/cron/webhooks', requireCronOrAdmin, async (req, res) => {
+  try {
+    const result = await runWebhookWorker();
+
+    if (!result) {
+      return res.status(409).json({ error: 'The webhook worker is already running' });
+    }
+
+    // Finish sending before responding; a serverless instance may be frozen afterwards
+    await settleWebhookDeliveries();
+    res.json(result);
+  } catch (error) {
+    console.error('Webhook worker error:', error);
+    res.status(500).json({ error: 'Webhook worker failed' });
+  }
+});
+
+// User management
+const renderUsers = async (res, { error = null, success = null, newKey = null } = {}) => {
+  const users = await User.find().sort({ role: 1, username: 1 }).lean();
+  res.render('users', {
+    title: 'Users',
+    users,
+    roles: User.ROLES,
+    moment: moment,
+    error,
+    success,
+    newKey
+  });
+};
+
+app.get('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    await renderUsers(res, { success: req.query.success });
+  } catch (error) {
+    console.error('User list error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load users' });
+  }
+});
+
+app.post('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const { username = '', name = '', password = '', role } = req.body;
+
+    if (!username.trim() || !password) {
+      return renderUsers(res, { error: 'Username and password are required' });
+    }
+
+    if (password.length < 8) {
+      return renderUsers(res, { error: 'Password must be at least 8 characters' });
+    }
+
+    if (!User.ROLES.includes(role)) {
+      return renderUsers(res, { error: 'Please choose a valid role' });
+    }
+
+    if (await User.exists({ username: username.trim().toLowerCase() })) {
+      return renderUsers(res, { error: `User ${username} already exists` });
+    }
+
+    const user = new User({ username, name, role });
+    await user.setPassword(password);
+    await user.save();
+
+    res.redirect(`/admin/users?success=${encodeURIComponent(`Created ${role} ${user.username}`)}`);
+
+  } catch (error) {
+    console.error('Create user error:', error);
+    renderUsers(res, { error: 'Failed to create user' });
+  }
+});
+
+app.post('/admin/users/:id/toggle', requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return renderUsers(res, { error: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return renderUsers(res, { error: 'You cannot disable your own account' });
+    }
+
+    user.active = !user.active;
+    await user.save();
+
+    res.redirect(`/admin/users?success=${encodeURIComponent(`${user.username} ${user.active ? 'enabled' : 'disabled'}`)}`);
+
+  } catch (error) {
+    console.error('Toggle user error:', error);
+    renderUsers(res, { error: 'Failed to update user' });
+  }
+});
+
+// Scan history for a single pass
+app.get('/admin/barcodes/:code', requireAdmin, async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const barcode = await populatePass(Barcode.findOne({ code })).lean();
+
+    if (!barcode) {
+      return res.status(404).render('error', {
+        title: 'Barcode Not Found',
+        message: `No barcode found with code ${code}`
+      });
+    }
+
+    const { events, deniedByReason } = await getScanHistory(code);
+
+    res.render('barcode-history', {
+      title: 'Scan History',
+      barcode,
+      status: getStatus(barcode),
+      schedule: getEffectiveSchedule(barcode),
+      events,
+      deniedByReason,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      moment: moment
+    });
+
+  } catch (error) {
+    console.error('Scan history error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load scan history'
+    });
+  }
+});
+
+const LIFECYCLE_ACTIONS = {
+  revoke: { apply: revokePass, done: 'revoked' },
+  suspend: { apply: suspendPass, done: 'suspended' },
+  reinstate: { apply: reinstatePass, done: 'reinstated' },
+  reissue: { apply: reissuePass, done: 'reissued' }
+};
+
+// Revoke, suspend, reinstate or reissue a pass from its history page
+app.post('/admin/barcodes/:code/:action(revoke|suspend|reinstate|reissue)', requireAdmin, async (req, res) => {
+  const code = normalizeCode(req.params.code);
+  const { apply, done } = LIFECYCLE_ACTIONS[req.params.action];
+
+  try {
+    const { barcode, previous, error } = await apply(code, { reason: req.body.reason, actor: req.user.username });
+
+    if (error) {
+      return res.redirect(`/admin/barcodes/${code}?error=${encodeURIComponent(error)}`);
+    }
+
+    // A reissue lands on the replacement so it can be downloaded or printed straight away
+    const message = previous
+      ? `Reissued ${code} as ${barcode.code}; the old code no longer works`
+      : `Pass ${done}`;
+    res.redirect(`/admin/barcodes/${barcode.code}?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error(`Pass ${req.params.action} error:`, error);
+    res.redirect(`/admin/barcodes/${code}?error=${encodeURIComponent(`Failed to ${req.params.action} pass`)}`);
+  }
+});
+
+// Email the pass again, optionally to a corrected address
+app.post('/admin/barcodes/:code/resend', requireAdmin, async (req, res) => {
+  const code = normalizeCode(req.params.code);
+
+  try {
+    const { barcode, error } = await deliverPass(code, {
+      baseUrl: getBaseUrl(req),
+      actor: req.user.username,
+      to: req.body.recipientEmail
+    });
+
+    if (error) {
+      return res.redirect(`/admin/barcodes/${code}?error=${encodeURIComponent(error)}`);
+    }
+
+    res.redirect(`/admin/barcodes/${code}?success=${encodeURIComponent(`Pass emailed to ${barcode.delivery.sentTo}`)}`);
+
+  } catch (error) {
+    console.error('Pass resend error:', error);
+    res.redirect(`/admin/barcodes/${code}?error=${encodeURIComponent('Failed to email pass')}`);
+  }
+});
+
+// Download route
+// Enhanced download route with high-quality square barcodes
+// Barcode image as PNG, SVG or PDF. Query: type, format, size (longest side in
+// pixels), eclevel (L/M/Q/H), quietZone (modules), bg/fg/border colors, preset
+// (brand preset id, for its logo) and caption (none/holder/event).
+app.get('/download/:code', requireIssuer, async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const { 
+      bg = 'FFFFFF', 
+      fg = '000000', 
+      border = '000000'
+    } = req.query;
+
+    const { options, error } = parseImageOptions(req.query);
+
+    if (error) {
+      return res.status(400).send(error);
+    }
+
+    const { branding, error: brandingError } = await loadBranding(req.query);
+
+    if (brandingError) {
+      return res.status(400).send(brandingError);
+    }
+
+    const { colors, error: colorError } = checkColors({ background: bg, foreground: fg, border });
+
+    if (colorError) {
+      return res.status(400).send(colorError);
+    }
+    
+    const baseUrl = getBaseUrl(req);
+    
+    const barcode = await Barcode.findOne({ code }).populate('event');
+
+    if (!barcode) {
+      return res.status(404).send('Barcode not found');
+    }
+
+    const unencodable = encodingError(code, options.type);
+    if (unencodable) {
+      return res.status(400).send(unencodable);
+    }
+
+    // Generate high-quality barcode
+    const payload = SYMBOLOGIES[options.type].twoD ? (await getPayloadSigner())(barcode) : code;
+    const barcodeImage = await generateBarcodeImage(payload, options.type, baseUrl, colors, options.format, {
+      ...options,
+      ...brandImageOptions(branding, barcode)
+    });
     
-    res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Content-Disposition', `attachment; filename=barcode-${code}.png`);
+    res.setHeader('Content-Type', IMAGE_CONTENT_TYPES[options.format]);
+    res.setHeader('Content-Disposition', `attachment; filename=barcode-${code}.${options.format}`);
     res.setHeader('Cache-Control', 'no-cache');
     res.send(barcodeImage);
     
@@ -828,9 +1547,493 @@ app.get('/download/:code', async (req, res) => {
   }
 });
 
+// Tickets show the event's schedule and use its template
+const TICKET_EVENT_POPULATE = { path: 'event', populate: { path: 'ticketTemplate' } };
+
+// Printable PDF ticket for a single pass
+app.get('/download/:code/ticket.pdf', requireIssuer, async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const { layout = 'single', template: templateId } = req.query;
+
+    if (!TICKET_LAYOUTS.includes(layout)) {
+      return res.status(400).send(`Unknown layout. Use one of: ${TICKET_LAYOUTS.join(', ')}`);
+    }
+
+    const barcode = await Barcode.findOne({ code }).populate(TICKET_EVENT_POPULATE).lean();
+
+    if (!barcode) {
+      return res.status(404).send('Barcode not found');
+    }
+
+    const [template, defaultTemplate] = await Promise.all([findTicketTemplate(templateId), findDefaultTicketTemplate()]);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=ticket-${code}.pdf`);
+    await writeTicketsPdf([barcode], {
+      layout,
+      template,
+      defaultTemplate,
+      baseUrl: getBaseUrl(req),
+      payloadFor: await getPayloadSigner()
+    }, res);
+
+  } catch (error) {
+    console.error('Ticket download error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).send('Error generating ticket');
+  }
+});
+
+// Batch ticket printing
+const MAX_TICKETS = 500;
+
+const renderTickets = async (res, { codes = '', layout = 'sheet', templateId = '', error = null, status = 200 } = {}) => {
+  const templates = await TicketTemplate.find().sort({ name: 1 }).lean();
+  res.status(status).render('tickets', {
+    title: 'Print Tickets',
+    layouts: TICKET_LAYOUTS,
+    templates,
+    codes,
+    layout,
+    templateId,
+    maxTickets: MAX_TICKETS,
+    error
+  });
+};
+
+app.get('/tickets', requireIssuer, async (req, res) => {
+  try {
+    await renderTickets(res, { codes: req.query.codes || '' });
+  } catch (error) {
+    console.error('Tickets page error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load ticket printing' });
+  }
+});
+
+app.post('/tickets', requireIssuer, async (req, res) => {
+  const { codes: rawCodes = '', layout = 'sheet', template: templateId = '' } = req.body;
+  const form = { codes: rawCodes, layout, templateId };
+
+  try {
+    const codes = [...new Set(rawCodes.split(/[\s,]+/).filter(Boolean).map(normalizeCode))];
+
+    if (codes.length === 0) {
+      return renderTickets(res, { ...form, error: 'Enter at least one barcode code', status: 400 });
+    }
+
+    if (codes.length > MAX_TICKETS) {
+      return renderTickets(res, { ...form, error: `At most ${MAX_TICKETS} tickets can be printed at once`, status: 400 });
+    }
+
+    if (!TICKET_LAYOUTS.includes(layout)) {
+      return renderTickets(res, { ...form, error: 'Please choose a valid layout', status: 400 });
+    }
+
+    const found = await Barcode.find({ code: { $in: codes } }).populate(TICKET_EVENT_POPULATE).lean();
+    const byCode = new Map(found.map(barcode => [barcode.code, barcode]));
+    const missing = codes.filter(code => !byCode.has(code));
+
+    if (missing.length > 0) {
+      return renderTickets(res, { ...form, error: `Unknown codes: ${missing.join(', ')}`, status: 400 });
+    }
+
+    const [template, defaultTemplate] = await Promise.all([findTicketTemplate(templateId), findDefaultTicketTemplate()]);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=tickets-${moment().format('YYYYMMDD-HHmmss')}.pdf`);
+    await writeTicketsPdf(codes.map(code => byCode.get(code)), {
+      layout,
+      template,
+      defaultTemplate,
+      baseUrl: getBaseUrl(req),
+      payloadFor: await getPayloadSigner()
+    }, res);
+
+  } catch (error) {
+    console.error('Batch ticket error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    renderTickets(res, { ...form, error: 'Failed to generate tickets. Please try again.', status: 500 });
+  }
+});
+
+// Event management
+const renderEvents = async (res, { error = null, success = null, editing = null, status = 200 } = {}) => {
+  const [events, templates] = await Promise.all([
+    listEvents(),
+    TicketTemplate.find().sort({ name: 1 }).lean()
+  ]);
+  res.status(status).render('events', {
+    title: 'Events',
+    events,
+    templates,
+    timezones: TIMEZONES,
+    editing,
+    moment: moment,
+    error,
+    success
+  });
+};
+
+app.get('/admin/events', requireAdmin, async (req, res) => {
+  try {
+    const editing = mongoose.Types.ObjectId.isValid(req.query.edit)
+      ? await Event.findById(req.query.edit).lean()
+      : null;
+    await renderEvents(res, { success: req.query.success, editing });
+  } catch (error) {
+    console.error('Event list error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load events' });
+  }
+});
+
+app.post('/admin/events', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = buildEventData(req.body);
+
+    if (error) {
+      return renderEvents(res, { error, status: 400 });
+    }
+
+    const event = await new Event(data).save();
+
+    res.redirect(`/admin/events?success=${encodeURIComponent(`Created event ${event.name}`)}`);
+
+  } catch (error) {
+    console.error('Create event error:', error);
+    renderEvents(res, { error: 'Failed to create event', status: 500 });
+  }
+});
+
+app.post('/admin/events/:id', requireAdmin, async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+
+    if (!event) {
+      return renderEvents(res, { error: 'Event not found', status: 404 });
+    }
+
+    const { data, error } = buildEventData(req.body);
+
+    if (error) {
+      return renderEvents(res, { error, editing: event.toObject(), status: 400 });
+    }
+
+    event.set(data);
+    await event.save();
+
+    res.redirect(`/admin/events?success=${encodeURIComponent(`Saved ${event.name}; its passes now follow the new schedule`)}`);
+
+  } catch (error) {
+    console.error('Update event error:', error);
+    renderEvents(res, { error: 'Failed to save event', status: 500 });
+  }
+});
+
+app.post('/admin/events/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+
+    if (!event) {
+      return renderEvents(res, { error: 'Event not found', status: 404 });
+    }
+
+    const passes = await Barcode.countDocuments({ event: event._id });
+
+    if (passes > 0) {
+      return renderEvents(res, { error: `${event.name} still has ${passes} passes and cannot be deleted`, status: 409 });
+    }
+
+    await event.deleteOne();
+
+    res.redirect(`/admin/events?success=${encodeURIComponent(`Deleted event ${event.name}`)}`);
+
+  } catch (error) {
+    console.error('Delete event error:', error);
+    renderEvents(res, { error: 'Failed to delete event', status: 500 });
+  }
+});
+
+// Ticket template management
+const renderTicketTemplates = async (res, { error = null, success = null, editing = null } = {}) => {
+  const templates = await TicketTemplate.find().sort({ name: 1 }).lean();
+  res.render('ticket-templates', {
+    title: 'Ticket Templates',
+    templates,
+    editing,
+    error,
+    success
+  });
+};
+
+const readTemplateForm = (body) => ({
+  name: (body.name || '').trim(),
+  heading: (body.heading || '').trim() || 'ACCESS PASS',
+  subheading: (body.subheading || '').trim(),
+  footerText: (body.footerText || '').trim(),
+  accentColor: body.accentColor || '#0D6EFD',
+  showPurpose: body.showPurpose === 'on',
+  showSchedule: body.showSchedule === 'on',
+  showCode: body.showCode === 'on'
+});
+
+app.get('/admin/ticket-templates', requireAdmin, async (req, res) => {
+  try {
+    const editing = mongoose.Types.ObjectId.isValid(req.query.edit)
+      ? await TicketTemplate.findById(req.query.edit).lean()
+      : null;
+    await renderTicketTemplates(res, { success: req.query.success, editing });
+  } catch (error) {
+    console.error('Ticket template list error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load ticket templates' });
+  }
+});
+
+app.post('/admin/ticket-templates', requireAdmin, async (req, res) => {
+  try {
+    const fields = readTemplateForm(req.body);
+
+    if (!fields.name) {
+      return renderTicketTemplates(res, { error: 'Template name is required' });
+    }
+
+    const template = new TicketTemplate(fields);
+    template.isDefault = !(await TicketTemplate.exists({ isDefault: true }));
+    await template.save();
+
+    res.redirect(`/admin/ticket-templates?success=${encodeURIComponent(`Created template ${template.name}`)}`);
+
+  } catch (error) {
+    console.error('Create ticket template error:', error);
+    const message = error.name === 'ValidationError' ? 'Please check the template fields' : 'Failed to create template';
+    renderTicketTemplates(res, { error: message });
+  }
+});
+
+app.post('/admin/ticket-templates/:id', requireAdmin, async (req, res) => {
+  try {
+    const template = await TicketTemplate.findById(req.params.id);
+    const fields = readTemplateForm(req.body);
+
+    if (!template || !fields.name) {
+      return renderTicketTemplates(res, { error: !template ? 'Template not found' : 'Template name is required' });
+    }
+
+    template.set(fields);
+    await template.save();
+
+    res.redirect(`/admin/ticket-templates?success=${encodeURIComponent(`Saved template ${template.name}`)}`);
+
+  } catch (error) {
+    console.error('Update ticket template error:', error);
+    const message = error.name === 'ValidationError' ? 'Please check the template fields' : 'Failed to save template';
+    renderTicketTemplates(res, { error: message });
+  }
+});
+
+app.post('/admin/ticket-templates/:id/default', requireAdmin, async (req, res) => {
+  try {
+    const template = await TicketTemplate.findById(req.params.id);
+
+    if (!template) {
+      return renderTicketTemplates(res, { error: 'Template not found' });
+    }
+
+    await TicketTemplate.updateMany({ _id: { $ne: template._id } }, { isDefault: false });
+    template.isDefault = true;
+    await template.save();
+
+    res.redirect(`/admin/ticket-templates?success=${encodeURIComponent(`${template.name} is now the default template`)}`);
+
+  } catch (error) {
+    console.error('Default ticket template error:', error);
+    renderTicketTemplates(res, { error: 'Failed to update template' });
+  }
+});
+
+app.post('/admin/ticket-templates/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const template = await TicketTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return renderTicketTemplates(res, { error: 'Template not found' });
+    }
+
+    res.redirect(`/admin/ticket-templates?success=${encodeURIComponent(`Deleted template ${template.name}`)}`);
+
+  } catch (error) {
+    console.error('Delete ticket template error:', error);
+    renderTicketTemplates(res, { error: 'Failed to delete template' });
+  }
+});
+
+// Brand preset management
+const renderBrandPresets = async (res, { error = null, success = null, editing = null } = {}) => {
+  const presets = await listBrandPresets();
+  res.render('brand-presets', {
+    title: 'Brand Presets',
+    presets,
+    captionLabels: CAPTION_LABELS,
+    editing,
+    error,
+    success
+  });
+};
+
+const readPresetForm = (body) => ({
+  name: (body.name || '').trim(),
+  backgroundColor: body.backgroundColor || '#FFFFFF',
+  foregroundColor: body.foregroundColor || '#000000',
+  borderColor: body.borderColor || '#000000',
+  caption: body.caption || 'none'
+});
+
+app.get('/admin/brand-presets', requireAdmin, async (req, res) => {
+  try {
+    const editing = mongoose.Types.ObjectId.isValid(req.query.edit)
+      ? await BrandPreset.findById(req.query.edit).lean()
+      : null;
+    await renderBrandPresets(res, { success: req.query.success, editing });
+  } catch (error) {
+    console.error('Brand preset list error:', error);
+    res.status(500).render('error', { title: 'Error', message: 'Failed to load brand presets' });
+  }
+});
+
+app.get('/admin/brand-presets/:id/logo.png', requireAdmin, async (req, res) => {
+  try {
+    const preset = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BrandPreset.findById(req.params.id).select('+logo')
+      : null;
+
+    if (!preset || !preset.logo) {
+      return res.status(404).send('Logo not found');
+    }
+
+    res.type('image/png');
+    res.send(preset.logo);
+  } catch (error) {
+    console.error('Brand preset logo error:', error);
+    res.status(500).send('Failed to load logo');
+  }
+});
+
+app.post('/admin/brand-presets', requireAdmin, logoUpload('logo'), async (req, res) => {
+  try {
+    const fields = readPresetForm(req.body);
+
+    if (req.uploadError) {
+      return renderBrandPresets(res, { error: req.uploadError });
+    }
+
+    if (!fields.name) {
+      return renderBrandPresets(res, { error: 'Preset name is required' });
+    }
+
+    const { logo, error } = readLogoUpload(req.file);
+    const colorCheck = checkColors(presetColors(fields));
+    if (error || colorCheck.error) {
+      return renderBrandPresets(res, { error: error || colorCheck.error });
+    }
+
+    const preset = new BrandPreset(fields);
+    if (logo) {
+      preset.logo = logo;
+      preset.logoName = req.file.originalname;
+    }
+    preset.isDefault = !(await BrandPreset.exists({ isDefault: true }));
+    await preset.save();
+
+    res.redirect(`/admin/brand-presets?success=${encodeURIComponent(`Created preset ${preset.name}`)}`);
+
+  } catch (error) {
+    console.error('Create brand preset error:', error);
+    const message = error.name === 'ValidationError' ? 'Please check the preset fields' : 'Failed to create preset';
+    renderBrandPresets(res, { error: message });
+  }
+});
+
+app.post('/admin/brand-presets/:id', requireAdmin, logoUpload('logo'), async (req, res) => {
+  try {
+    const preset = mongoose.Types.ObjectId.isValid(req.params.id) ? await BrandPreset.findById(req.params.id) : null;
+    const fields = readPresetForm(req.body);
+
+    if (req.uploadError) {
+      return renderBrandPresets(res, { error: req.uploadError });
+    }
+
+    if (!preset || !fields.name) {
+      return renderBrandPresets(res, { error: !preset ? 'Preset not found' : 'Preset name is required' });
+    }
+
+    const { logo, error } = readLogoUpload(req.file);
+    const colorCheck = checkColors(presetColors(fields));
+    if (error || colorCheck.error) {
+      return renderBrandPresets(res, { error: error || colorCheck.error });
+    }
+
+    preset.set(fields);
+    if (logo) {
+      preset.logo = logo;
+      preset.logoName = req.file.originalname;
+    } else if (req.body.removeLogo === 'on') {
+      preset.logo = null;
+      preset.logoName = null;
+    }
+    await preset.save();
+
+    res.redirect(`/admin/brand-presets?success=${encodeURIComponent(`Saved preset ${preset.name}`)}`);
+
+  } catch (error) {
+    console.error('Update brand preset error:', error);
+    const message = error.name === 'ValidationError' ? 'Please check the preset fields' : 'Failed to save preset';
+    renderBrandPresets(res, { error: message });
+  }
+});
+
+app.post('/admin/brand-presets/:id/default', requireAdmin, async (req, res) => {
+  try {
+    const preset = mongoose.Types.ObjectId.isValid(req.params.id) ? await BrandPreset.findById(req.params.id) : null;
+
+    if (!preset) {
+      return renderBrandPresets(res, { error: 'Preset not found' });
+    }
+
+    await BrandPreset.updateMany({ _id: { $ne: preset._id } }, { isDefault: false });
+    preset.isDefault = true;
+    await preset.save();
+
+    res.redirect(`/admin/brand-presets?success=${encodeURIComponent(`${preset.name} is now the default preset`)}`);
+
+  } catch (error) {
+    console.error('Default brand preset error:', error);
+    renderBrandPresets(res, { error: 'Failed to update preset' });
+  }
+});
+
+app.post('/admin/brand-presets/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const preset = mongoose.Types.ObjectId.isValid(req.params.id) ? await BrandPreset.findByIdAndDelete(req.params.id) : null;
+
+    if (!preset) {
+      return renderBrandPresets(res, { error: 'Preset not found' });
+    }
+
+    res.redirect(`/admin/brand-presets?success=${encodeURIComponent(`Deleted preset ${preset.name}`)}`);
+
+  } catch (error) {
+    console.error('Delete brand preset error:', error);
+    renderBrandPresets(res, { error: 'Failed to delete preset' });
+  }
+});
+
 
 // Test time validation route
-app.get('/test-time-validation', async (req, res) => {
+app.get('/test-time-validation', requireAdmin, async (req, res) => {
   try {
     const testCode = 'TIMETEST123';
     
@@ -854,8 +2057,8 @@ app.get('/test-time-validation', async (req, res) => {
     }
     
     const now = new Date();
-    const today = new Date(now.toDateString());
-    const eventDay = new Date(tomorrow.toDateString());
+    const schedule = getEffectiveSchedule(barcode);
+    const local = getLocalTime(now, schedule.timezone);
     
     res.json({
       testBarcode: {
@@ -865,14 +2068,17 @@ app.get('/test-time-validation', async (req, res) => {
         endTime: barcode.endTime,
         allowEarlyAccess: barcode.allowEarlyAccess
       },
+      schedule,
       currentTime: {
         now: now.toISOString(),
-        today: today.toISOString(),
-        eventDay: eventDay.toISOString(),
-        isBeforeEvent: today < eventDay,
-        isAfterEvent: today > eventDay,
-        isSameDay: today.getTime() === eventDay.getTime()
+        timezone: schedule.timezone,
+        localDay: local.day,
+        localTime: local.time,
+        isBeforeEvent: local.day < schedule.firstDay,
+        isAfterEvent: local.day > schedule.lastDay,
+        isSameDay: local.day === schedule.firstDay
       },
+      decision: checkSchedule(barcode, now),
       testUrl: `/mobile-scan/${testCode}`
     });
     
@@ -915,6 +2121,7 @@ module.exports = app;
 // Only listen if not in Vercel environment
 if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   app.listen(PORT, () => {
+    startWebhookWorker();
     console.log(`🚀 Barcode Access System running on port ${PORT}`);
     console.log(`📍 Access the application at: http://localhost:${PORT}`);
   });
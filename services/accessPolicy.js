@@ -0,0 +1,171 @@
+// services/accessPolicy.js
+// Single source of truth for deciding whether a scanned barcode grants access.
+// Every verify route (GET /verify, POST /verify, /mobile-scan/:code) calls
+// evaluateAccess() and only differs in how it renders the decision.
+
+const {
+  DEFAULT_TIMEZONE,
+  toDay,
+  getLocalTime,
+  formatDay,
+  getClosingDay,
+  locate
+} = require('./schedule');
+
+const REASONS = {
+  GRANTED: 'GRANTED',
+  UNKNOWN_CODE: 'UNKNOWN_CODE',
+  USED: 'USED',
+  EXPIRED: 'EXPIRED',
+  NOT_YET_ACTIVE: 'NOT_YET_ACTIVE',
+  WINDOW_CLOSED: 'WINDOW_CLOSED',
+  COOLDOWN: 'COOLDOWN',
+  REVOKED: 'REVOKED',
+  SUSPENDED: 'SUSPENDED',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  EXITED: 'EXITED'
+};
+
+const deny = (reason, message) => ({ granted: false, reason, message });
+
+// Event-level defaults apply only once the pass's `event` has been populated
+const getEvent = (barcode) => (barcode.event && barcode.event.startDate ? barcode.event : null);
+
+const firstSet = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+// The schedule a pass is actually held to: its own fields, falling back to its event's.
+// firstDay/lastDay are "YYYY-MM-DD" calendar days, null for a pass valid on any day.
+// A pass with only an activeDate is valid on that single day.
+const getEffectiveSchedule = (barcode) => {
+  const event = getEvent(barcode) || {};
+  const ownRange = Boolean(barcode.activeDate);
+  const firstDate = ownRange ? barcode.activeDate : event.startDate;
+  const lastDate = ownRange ? firstSet(barcode.activeEndDate, barcode.activeDate) : event.endDate;
+
+  return {
+    firstDay: firstDate ? toDay(firstDate) : null,
+    lastDay: lastDate ? toDay(lastDate) : null,
+    startTime: firstSet(barcode.activeTime, event.dailyStartTime, '00:00'),
+    endTime: firstSet(barcode.endTime, event.dailyEndTime, '23:59'),
+    timezone: firstSet(barcode.timezone, event.timezone, DEFAULT_TIMEZONE),
+    allowEarlyAccess: Boolean(firstSet(barcode.allowEarlyAccess, event.allowEarlyAccess, false))
+  };
+};
+
+// Checks the effective day range and daily window in the schedule's timezone.
+// Returns null when the barcode is inside its schedule, otherwise a denial.
+const checkSchedule = (barcode, now = new Date()) => {
+  const schedule = getEffectiveSchedule(barcode);
+  if (!schedule.firstDay) return null;
+
+  const local = getLocalTime(now, schedule.timezone);
+  const position = locate(schedule, local);
+  if (position.open) return null;
+
+  const { firstDay, lastDay, startTime, endTime, timezone } = schedule;
+
+  if (local.day < firstDay) {
+    if (schedule.allowEarlyAccess) return null;
+    return deny(REASONS.NOT_YET_ACTIVE, `Access not available until ${formatDay(firstDay)}`);
+  }
+
+  if (position.opensOn === local.day) {
+    return deny(REASONS.NOT_YET_ACTIVE, `Access available starting at ${startTime} (${timezone}) on ${formatDay(local.day)}`);
+  }
+
+  if (position.opensOn) {
+    return deny(REASONS.NOT_YET_ACTIVE, `Access reopens at ${startTime} (${timezone}) on ${formatDay(position.opensOn)}`);
+  }
+
+  const closingDay = getClosingDay(schedule);
+  if (local.day === closingDay) {
+    return deny(REASONS.WINDOW_CLOSED, `Access ended at ${endTime} (${timezone}) on ${formatDay(closingDay)}`);
+  }
+
+  return deny(REASONS.WINDOW_CLOSED, firstDay === lastDay
+    ? `Access was only available on ${formatDay(firstDay)}`
+    : `Access was only available until ${formatDay(lastDay)}`);
+};
+
+// Barcodes created before usage policies existed have no maxUses: treat as single use
+const getMaxUses = (barcode) => (barcode.maxUses === undefined || barcode.maxUses === null ? 1 : barcode.maxUses);
+
+const getUseCount = (barcode) => barcode.useCount || (barcode.used ? 1 : 0);
+
+// True once the pass has no entries left (maxUses of 0 never runs out)
+const isExhausted = (barcode) => {
+  if (barcode.used) return true;
+  const maxUses = getMaxUses(barcode);
+  return maxUses > 0 && getUseCount(barcode) >= maxUses;
+};
+
+// When the last entry was too recent for a re-entry, returns the time it opens up again
+const getCooldownEndsAt = (barcode) => {
+  if (!barcode.reentryCooldownMinutes || !barcode.usedAt) return null;
+  return new Date(new Date(barcode.usedAt).getTime() + barcode.reentryCooldownMinutes * 60 * 1000);
+};
+
+// Evaluate a (possibly missing) barcode against the access policy at `now`.
+// Returns { granted, reason, message } where reason is one of REASONS.
+const evaluateAccess = (barcode, now = new Date()) => {
+  if (!barcode) {
+    return deny(REASONS.UNKNOWN_CODE, 'Invalid access code');
+  }
+
+  if (barcode.revokedAt) {
+    const because = barcode.revokedReason ? `: ${barcode.revokedReason}` : '';
+    return deny(REASONS.REVOKED, `Access code was revoked on ${new Date(barcode.revokedAt).toLocaleString()}${because}`);
+  }
+
+  if (barcode.suspendedAt) {
+    const because = barcode.suspendedReason ? `: ${barcode.suspendedReason}` : '';
+    return deny(REASONS.SUSPENDED, `Access code is suspended${because}. Please see the front desk.`);
+  }
+
+  if (isExhausted(barcode)) {
+    const usedBy = barcode.scannerId ? ` by scanner ${barcode.scannerId}` : '';
+    const lastUsed = `${new Date(barcode.usedAt).toLocaleString()}${usedBy}`;
+    const maxUses = getMaxUses(barcode);
+
+    if (maxUses > 1) {
+      return deny(REASONS.USED, `All ${maxUses} entries have been used; last entry on ${lastUsed}`);
+    }
+    return deny(REASONS.USED, `Access code was already used on ${lastUsed}`);
+  }
+
+  if (barcode.expiresAt && now > new Date(barcode.expiresAt)) {
+    return deny(REASONS.EXPIRED, `Access code expired on ${new Date(barcode.expiresAt).toLocaleString()}`);
+  }
+
+  const scheduleDenial = checkSchedule(barcode, now);
+  if (scheduleDenial) return scheduleDenial;
+
+  const cooldownEndsAt = getCooldownEndsAt(barcode);
+  if (cooldownEndsAt && now < cooldownEndsAt) {
+    const { timezone } = getEffectiveSchedule(barcode);
+    return deny(REASONS.COOLDOWN, `Re-entry allowed from ${getLocalTime(cooldownEndsAt, timezone).time} (${timezone})`);
+  }
+
+  return { granted: true, reason: REASONS.GRANTED, message: 'Access Granted' };
+};
+
+// Lifecycle status shown in listings: revoked, suspended, used, expired or active.
+// Schedule windows are not part of the status; they only matter at the gate.
+const getStatus = (barcode, now = new Date()) => {
+  if (barcode.revokedAt) return 'revoked';
+  if (barcode.suspendedAt) return 'suspended';
+  if (isExhausted(barcode)) return 'used';
+  if (barcode.expiresAt && now > new Date(barcode.expiresAt)) return 'expired';
+  return 'active';
+};
+
+module.exports = {
+  REASONS,
+  getStatus,
+  evaluateAccess,
+  getEffectiveSchedule,
+  checkSchedule,
+  getMaxUses,
+  getUseCount,
+  getCooldownEndsAt
+};
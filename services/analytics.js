@@ -0,0 +1,306 @@
+// services/analytics.js
+// Attendance reporting for the analytics page and /api/v1/analytics. Every
+// figure is an aggregation in MongoDB; callers only format the results.
+//
+// Scan figures (entries per hour and gate, denied attempts) cover a range of
+// days in the event's timezone. Pass figures (redemption rates, no-shows) cover
+// every pass in the selection, since a pass is not tied to one day.
+
+const mongoose = require('mongoose');
+const Barcode = require('../models/Barcode');
+const Event = require('../models/Event');
+const ScanEvent = require('../models/ScanEvent');
+const { DEFAULT_TIMEZONE, addDays, getLocalTime, toDay, toInstant } = require('./schedule');
+const { buildBarcodeFilter } = require('./barcodeQuery');
+const { findEvent } = require('./events');
+const { getOccupancy } = require('./occupancy');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+
+const MAX_NO_SHOW_PASSES = 50;
+
+const REDEMPTION_GROUPS = ['purpose', 'event'];
+
+const isExit = { $eq: ['$direction', 'exit'] };
+
+// Returns { range } for the report functions, or { error }. Without dates the
+// range is the selected event's days, else the last week.
+// `event` is an event id, "none" for passes without one, or blank for all.
+const parseAnalyticsRange = async ({ from, to, event } = {}, now = new Date()) => {
+  let selected = null;
+
+  if (event && event !== 'none') {
+    selected = await findEvent(event);
+    if (!selected) return { error: `No event found with id ${event}` };
+  }
+
+  if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+    return { error: 'Dates must use YYYY-MM-DD format' };
+  }
+
+  const timezone = selected ? selected.timezone : DEFAULT_TIMEZONE;
+  const today = getLocalTime(now, timezone).day;
+
+  const lastDay = to || (selected ? toDay(selected.endDate) : today);
+  const firstDay = from || (selected ? toDay(selected.startDate) : addDays(lastDay, 1 - DEFAULT_RANGE_DAYS));
+
+  if (lastDay < firstDay) {
+    return { error: 'The end date must be on or after the start date' };
+  }
+
+  if (addDays(firstDay, MAX_RANGE_DAYS) <= lastDay) {
+    return { error: `Reports can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return {
+    range: {
+      from: firstDay,
+      to: lastDay,
+      start: toInstant(firstDay, '00:00', timezone),
+      end: toInstant(addDays(lastDay, 1), '00:00', timezone),
+      timezone,
+      event: event || '',
+      selectedEvent: selected
+    }
+  };
+};
+
+// Scans in the range, joined to their pass when the report is for one event
+const scanPipeline = (range, match) => {
+  const stages = [{ $match: { timestamp: { $gte: range.start, $lt: range.end }, ...match } }];
+
+  if (range.event) {
+    stages.push(
+      { $lookup: { from: Barcode.collection.name, localField: 'barcode', foreignField: '_id', as: 'pass' } },
+      {
+        $match: range.event === 'none'
+          ? { 'pass.0': { $exists: true }, 'pass.event': null }
+          : { 'pass.event': new mongoose.Types.ObjectId(range.event) }
+      }
+    );
+  }
+
+  return stages;
+};
+
+const passFilter = (range) => buildBarcodeFilter({ event: range.event }).filter;
+
+// Granted entries and exits per hour of the day, in the range's timezone
+const entriesPerHour = async (range) => {
+  const hours = await ScanEvent.aggregate([
+    ...scanPipeline(range, { outcome: 'granted' }),
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d %H:00', date: '$timestamp', timezone: range.timezone } },
+        entries: { $sum: { $cond: [isExit, 0, 1] } },
+        exits: { $sum: { $cond: [isExit, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return hours.map(({ _id, entries, exits }) => ({ hour: _id, entries, exits }));
+};
+
+// Entries, exits and denied attempts per gate. Gates are scanner devices or,
+// for the verify page, the staff member who scanned.
+const entriesPerGate = async (range) => {
+  const gates = await ScanEvent.aggregate([
+    ...scanPipeline(range, {}),
+    {
+      $group: {
+        _id: { $ifNull: ['$scannerId', 'Unknown'] },
+        entries: { $sum: { $cond: [{ $and: [{ $eq: ['$outcome', 'granted'] }, { $not: [isExit] }] }, 1, 0] } },
+        exits: { $sum: { $cond: [{ $and: [{ $eq: ['$outcome', 'granted'] }, isExit] }, 1, 0] } },
+        denied: { $sum: { $cond: [{ $eq: ['$outcome', 'denied'] }, 1, 0] } },
+        lastScanAt: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { entries: -1, _id: 1 } }
+  ]);
+
+  return gates.map(({ _id, ...counts }) => ({ gate: _id, ...counts }));
+};
+
+// Denied attempts by reason, most common first
+const deniedByReason = async (range) => {
+  const reasons = await ScanEvent.aggregate([
+    ...scanPipeline(range, { outcome: 'denied' }),
+    { $group: { _id: '$reason', count: { $sum: 1 }, lastAt: { $max: '$timestamp' } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return reasons.map(({ _id, ...counts }) => ({ reason: _id, ...counts }));
+};
+
+// Share of passes used at least once, grouped by purpose or event. Revoked
+// passes are counted but left out of the rate.
+const redemptionRates = async (range, groupBy = 'purpose') => {
+  if (!REDEMPTION_GROUPS.includes(groupBy)) {
+    throw new Error(`Redemption rates are grouped by ${REDEMPTION_GROUPS.join(' or ')}`);
+  }
+
+  const revoked = { $ifNull: ['$revokedAt', false] };
+  const stages = [
+    { $match: passFilter(range) },
+    {
+      $group: {
+        _id: groupBy === 'event' ? '$event' : { $ifNull: ['$purpose', ''] },
+        passes: { $sum: 1 },
+        revoked: { $sum: { $cond: [revoked, 1, 0] } },
+        redeemed: { $sum: { $cond: [{ $and: [{ $not: [revoked] }, { $gt: [{ $ifNull: ['$useCount', 0] }, 0] }] }, 1, 0] } },
+        entries: { $sum: { $ifNull: ['$useCount', 0] } }
+      }
+    },
+    {
+      $set: {
+        rate: {
+          $let: {
+            vars: { eligible: { $subtract: ['$passes', '$revoked'] } },
+            in: { $cond: [{ $gt: ['$$eligible', 0] }, { $round: [{ $divide: ['$redeemed', '$$eligible'] }, 4] }, 0] }
+          }
+        }
+      }
+    }
+  ];
+
+  if (groupBy === 'event') {
+    stages.push(
+      { $lookup: { from: Event.collection.name, localField: '_id', foreignField: '_id', as: 'event' } },
+      { $set: { event: { $first: '$event' } } },
+      { $sort: { 'event.startDate': 1 } }
+    );
+  } else {
+    stages.push({ $sort: { passes: -1, _id: 1 } });
+  }
+
+  const groups = await Barcode.aggregate(stages);
+
+  return groups.map(({ _id, event, ...counts }) => (groupBy === 'event'
+    ? { event: event ? { _id: event._id, name: event.name, startDate: event.startDate } : null, ...counts }
+    : { purpose: _id || null, ...counts }));
+};
+
+// The first non-empty value, like firstSet in accessPolicy
+const firstSetExpression = (...values) => values.reduceRight((fallback, value) => ({
+  $cond: [{ $in: [{ $ifNull: [value, ''] }, ['']] }, fallback, value]
+}));
+
+// When a pass's last scheduled window closes, as in getScheduleBounds: the last
+// day (its own range, else its event's) at its end time, a day later for
+// overnight windows. Null for a pass valid on any day.
+const closesAtStages = () => [
+  { $lookup: { from: Event.collection.name, localField: 'event', foreignField: '_id', as: 'scheduleEvent' } },
+  { $set: { scheduleEvent: { $first: '$scheduleEvent' } } },
+  {
+    $set: {
+      lastDate: { $cond: [{ $ifNull: ['$activeDate', false] }, { $ifNull: ['$activeEndDate', '$activeDate'] }, '$scheduleEvent.endDate'] },
+      startTime: firstSetExpression('$activeTime', '$scheduleEvent.dailyStartTime', '00:00'),
+      endTime: firstSetExpression('$endTime', '$scheduleEvent.dailyEndTime', '23:59'),
+      timezone: firstSetExpression('$timezone', '$scheduleEvent.timezone', DEFAULT_TIMEZONE)
+    }
+  },
+  {
+    $set: {
+      closesAt: {
+        $cond: [
+          { $ifNull: ['$lastDate', false] },
+          {
+            $dateFromParts: {
+              year: { $year: '$lastDate' },
+              month: { $month: '$lastDate' },
+              day: { $add: [{ $dayOfMonth: '$lastDate' }, { $cond: [{ $lt: ['$endTime', '$startTime'] }, 1, 0] }] },
+              hour: { $toInt: { $substrBytes: ['$endTime', 0, 2] } },
+              minute: { $toInt: { $substrBytes: ['$endTime', 3, 2] } },
+              timezone: '$timezone'
+            }
+          },
+          null
+        ]
+      }
+    }
+  }
+];
+
+// Passes that were never used and can no longer be: expired, or past the last
+// day of their schedule. Revoked passes are not no-shows.
+// Returns { total, byEvent, passes } with up to MAX_NO_SHOW_PASSES passes.
+const findNoShows = async (range, now = new Date()) => {
+  const [result] = await Barcode.aggregate([
+    {
+      $match: {
+        $and: [
+          passFilter(range),
+          { revokedAt: null, usedAt: null, $or: [{ useCount: 0 }, { useCount: null }] }
+        ]
+      }
+    },
+    ...closesAtStages(),
+    {
+      $match: {
+        $or: [
+          { expiresAt: { $ne: null, $lte: now } },
+          { closesAt: { $ne: null, $lte: now } }
+        ]
+      }
+    },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byEvent: [
+          { $group: { _id: '$event', name: { $first: '$scheduleEvent.name' }, noShows: { $sum: 1 } } },
+          { $sort: { noShows: -1 } }
+        ],
+        passes: [
+          { $sort: { closesAt: -1, issuedAt: -1 } },
+          { $limit: MAX_NO_SHOW_PASSES },
+          { $project: { _id: 0, code: 1, issuedTo: 1, purpose: 1, recipientEmail: 1, expiresAt: 1, closesAt: 1, event: '$scheduleEvent.name' } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    total: result.total.length ? result.total[0].count : 0,
+    byEvent: result.byEvent.map(({ _id, name, noShows }) => ({ event: _id ? { _id, name: name || null } : null, noShows })),
+    passes: result.passes
+  };
+};
+
+// Everything on the analytics page
+const buildAnalyticsReport = async (range, now = new Date()) => {
+  const [hourly, gates, denied, byPurpose, byEvent, noShows, occupancy] = await Promise.all([
+    entriesPerHour(range),
+    entriesPerGate(range),
+    deniedByReason(range),
+    redemptionRates(range, 'purpose'),
+    redemptionRates(range, 'event'),
+    findNoShows(range, now),
+    getOccupancy(now)
+  ]);
+
+  return {
+    range: { from: range.from, to: range.to, timezone: range.timezone, event: range.event || null },
+    entriesPerHour: hourly,
+    gates,
+    denied,
+    redemption: { byPurpose, byEvent },
+    noShows,
+    occupancy
+  };
+};
+
+module.exports = {
+  REDEMPTION_GROUPS,
+  MAX_NO_SHOW_PASSES,
+  parseAnalyticsRange,
+  entriesPerHour,
+  entriesPerGate,
+  deniedByReason,
+  redemptionRates,
+  findNoShows,
+  buildAnalyticsReport
+};
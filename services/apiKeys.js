@@ -0,0 +1,24 @@
+// services/apiKeys.js
+// API keys are random tokens with a type prefix. Only a SHA-256 hash is
+// stored; the plain key is shown to the admin once, when it is created.
+
+const crypto = require('crypto');
+
+const HINT_LENGTH = 6;
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Returns { apiKey, apiKeyHash, keyHint } for a new key with the given prefix
+const generateApiKey = (prefix) => {
+  const apiKey = `${prefix}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    apiKey,
+    apiKeyHash: hashApiKey(apiKey),
+    keyHint: apiKey.substring(0, prefix.length + HINT_LENGTH)
+  };
+};
+
+module.exports = {
+  hashApiKey,
+  generateApiKey
+};
@@ -0,0 +1,250 @@
+// services/barcodeExport.js
+// Streams the passes matching the admin list filters as CSV, XLSX or NDJSON.
+// Passes are read with a cursor and written in batches, so memory use stays
+// flat however many passes match. With `history`, each batch's scans are
+// loaded in one query and added to its rows.
+
+const { stringify } = require('csv-stringify');
+const { finished } = require('stream/promises');
+const Barcode = require('../models/Barcode');
+const Event = require('../models/Event');
+const ScanEvent = require('../models/ScanEvent');
+const { getStatus } = require('./accessPolicy');
+const { XLSX_MAX_ROWS, escapeFormula, createXlsxWriter } = require('./xlsxWriter');
+
+const BATCH_SIZE = 500;
+
+// Spreadsheet cells hold at most 32767 characters
+const MAX_HISTORY_TEXT = 32000;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// One column per field, in export order. `eventNames` maps event ids to names.
+const COLUMNS = {
+  code: (barcode) => barcode.code,
+  issuedTo: (barcode) => barcode.issuedTo,
+  purpose: (barcode) => barcode.purpose || null,
+  status: (barcode, { now }) => getStatus(barcode, now),
+  event: (barcode, { eventNames }) => (barcode.event ? eventNames.get(String(barcode.event)) || null : null),
+  recipientEmail: (barcode) => barcode.recipientEmail || null,
+  issuedAt: (barcode) => barcode.issuedAt || null,
+  expiresAt: (barcode) => barcode.expiresAt || null,
+  activeDate: (barcode) => barcode.activeDate || null,
+  activeEndDate: (barcode) => barcode.activeEndDate || null,
+  activeTime: (barcode) => barcode.activeTime || null,
+  endTime: (barcode) => barcode.endTime || null,
+  timezone: (barcode) => barcode.timezone || null,
+  maxUses: (barcode) => (barcode.maxUses === undefined ? 1 : barcode.maxUses),
+  useCount: (barcode) => barcode.useCount || 0,
+  usedAt: (barcode) => barcode.usedAt || null,
+  scannerId: (barcode) => barcode.scannerId || null,
+  revokedAt: (barcode) => barcode.revokedAt || null,
+  revokedReason: (barcode) => barcode.revokedReason || null,
+  suspendedAt: (barcode) => barcode.suspendedAt || null,
+  suspendedReason: (barcode) => barcode.suspendedReason || null,
+  emailStatus: (barcode) => (barcode.delivery && barcode.delivery.status) || null,
+  emailSentAt: (barcode) => (barcode.delivery && barcode.delivery.sentAt) || null
+};
+
+const COLUMN_NAMES = Object.keys(COLUMNS);
+
+// Spreadsheets get the scan count and a readable timeline; NDJSON gets the scans themselves
+const HISTORY_COLUMNS = ['scans', 'scanHistory'];
+
+const toRecord = (barcode, context) => {
+  const record = {};
+  COLUMN_NAMES.forEach((name) => {
+    record[name] = COLUMNS[name](barcode, context);
+  });
+  return record;
+};
+
+const toScan = (event) => ({
+  timestamp: event.timestamp,
+  outcome: event.outcome,
+  reason: event.reason,
+  direction: event.direction || 'entry',
+  scannerId: event.scannerId || null,
+  source: event.source || null
+});
+
+// "2024-06-15T09:05:00.000Z granted GRANTED at North Gate; ..."
+const describeScans = (scans) => {
+  const text = scans
+    .map((scan) => `${scan.timestamp.toISOString()} ${scan.outcome} ${scan.reason}${scan.scannerId ? ` at ${scan.scannerId}` : ''}`)
+    .join('; ');
+  return text.length > MAX_HISTORY_TEXT ? `${text.substring(0, MAX_HISTORY_TEXT)}…` : text;
+};
+
+// Scan timelines for a batch of codes, oldest first
+const loadScans = async (codes) => {
+  const events = await ScanEvent.find({ code: { $in: codes } })
+    .sort({ timestamp: 1 })
+    .select('code timestamp outcome reason direction scannerId source')
+    .lean();
+
+  const scansByCode = new Map();
+  events.forEach((event) => {
+    if (!scansByCode.has(event.code)) scansByCode.set(event.code, []);
+    scansByCode.get(event.code).push(toScan(event));
+  });
+  return scansByCode;
+};
+
+// Each writer's write* methods return false, like stream.write, when `stream` must drain
+const createWriter = (format, output, columns) => {
+  if (format === 'csv') {
+    const csv = stringify({ cast: { date: (value) => value.toISOString(), string: escapeFormula } });
+    csv.pipe(output);
+
+    return {
+      stream: csv,
+      writeHeader: () => csv.write(columns),
+      writeRecord: (record) => csv.write(columns.map((name) => record[name])),
+      finish: async () => {
+        csv.end();
+        await finished(output);
+      }
+    };
+  }
+
+  if (format === 'xlsx') {
+    const xlsx = createXlsxWriter(output, { sheetName: 'Passes' });
+
+    return {
+      stream: xlsx.sheet,
+      writeHeader: () => xlsx.writeHeader(columns),
+      writeRecord: (record) => xlsx.writeRow(columns.map((name) => record[name])),
+      finish: async () => {
+        await xlsx.finish();
+        await finished(output);
+      }
+    };
+  }
+
+  return {
+    stream: output,
+    writeHeader: () => true,
+    writeRecord: (record) => output.write(`${JSON.stringify(record)}\n`),
+    finish: async () => {
+      output.end();
+      await finished(output);
+    }
+  };
+};
+
+// Resolves once `stream` can take more data, or has been closed
+const drained = (stream) => new Promise((resolve) => {
+  if (stream.destroyed) return resolve();
+
+  const done = () => {
+    stream.removeListener('drain', done);
+    stream.removeListener('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+const exportFileName = (extension, now) => (
+  `passes-${now.toISOString().substring(0, 16).replace(/[-:]/g, '').replace('T', '-')}.${extension}`
+);
+
+// Streams every pass matching `filter` to `output`, an HTTP response: sets the
+// download headers, then writes the rows batch by batch. Stops early when the
+// client goes away. Returns { rows, aborted }, or { error } before anything is sent.
+const streamBarcodeExport = async (output, { format, filter = {}, sort = { issuedAt: -1, _id: -1 }, history = false, now = new Date() }) => {
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return { error: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  if (format === 'xlsx' && await Barcode.countDocuments(filter) >= XLSX_MAX_ROWS) {
+    return { error: `Too many passes for one XLSX file (at most ${XLSX_MAX_ROWS - 1}); use CSV or NDJSON` };
+  }
+
+  const events = await Event.find().select('name').lean();
+  const context = { now, eventNames: new Map(events.map((event) => [String(event._id), event.name])) };
+  const columns = history && format !== 'ndjson' ? [...COLUMN_NAMES, ...HISTORY_COLUMNS] : COLUMN_NAMES;
+
+  output.setHeader('Content-Type', exportFormat.contentType);
+  output.setHeader('Content-Disposition', `attachment; filename=${exportFileName(exportFormat.extension, now)}`);
+  output.setHeader('Cache-Control', 'no-store');
+
+  const writer = createWriter(format, output, columns);
+  let aborted = false;
+  let rows = 0;
+
+  output.on('close', () => {
+    if (!output.writableFinished) {
+      aborted = true;
+      writer.stream.destroy();
+    }
+  });
+
+  const write = async (written) => {
+    if (!written && !aborted) await drained(writer.stream);
+  };
+
+  const writeBatch = async (batch) => {
+    const scansByCode = history ? await loadScans(batch.map((barcode) => barcode.code)) : null;
+
+    for (const barcode of batch) {
+      if (aborted) return;
+
+      const record = toRecord(barcode, context);
+      if (history) {
+        const scans = scansByCode.get(barcode.code) || [];
+        if (format === 'ndjson') {
+          record.scans = scans;
+        } else {
+          record.scans = scans.length;
+          record.scanHistory = describeScans(scans);
+        }
+      }
+
+      await write(writer.writeRecord(record));
+      rows++;
+    }
+  };
+
+  await write(writer.writeHeader());
+
+  let batch = [];
+  const cursor = Barcode.find(filter).sort(sort).allowDiskUse(true).lean().cursor({ batchSize: BATCH_SIZE });
+
+  for await (const barcode of cursor) {
+    if (aborted) break;
+
+    batch.push(barcode);
+    if (batch.length === BATCH_SIZE) {
+      await writeBatch(batch);
+      batch = [];
+    }
+  }
+
+  if (!aborted) {
+    await writeBatch(batch);
+  }
+
+  if (!aborted) {
+    await writer.finish();
+  }
+
+  console.log('Barcode export:', { format, rows, history, aborted });
+  return { rows, aborted };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  COLUMN_NAMES,
+  HISTORY_COLUMNS,
+  toRecord,
+  describeScans,
+  streamBarcodeExport
+};
@@ -0,0 +1,370 @@
+// services/barcodeImage.js
+// Code generation, public URLs and barcode rendering shared by the web routes and the API.
+
+const bwipjs = require('bwip-js');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { decodePng, encodePng, overlayLogo } = require('./pngImage');
+
+const PRODUCTION_BASE_URL = 'https://bar-event.vercel.app';
+
+// Symbologies a pass can be printed in. 2D codes carry the holder link (and a
+// signed token while signing is on); linear ones carry only the pass code.
+// `moduleUnits` is the width of one module in bwip-js units at scale 1, used to
+// size the quiet zone in modules. EAN-style codes only hold digits, so passes
+// meant for them get numeric codes (see generateUniqueCode).
+const SYMBOLOGIES = {
+  qrcode: { label: 'QR Code', twoD: true, moduleUnits: 2, quietZone: 4 },
+  datamatrix: { label: 'Data Matrix', twoD: true, moduleUnits: 2, quietZone: 2 },
+  azteccode: { label: 'Aztec', twoD: true, moduleUnits: 2, quietZone: 2 },
+  pdf417: { label: 'PDF417', twoD: true, moduleUnits: 1, quietZone: 2 },
+  code128: { label: 'Code 128', twoD: false, moduleUnits: 1, quietZone: 10 },
+  ean13: { label: 'EAN-13', twoD: false, moduleUnits: 1, quietZone: 11, digits: 13 },
+  upca: { label: 'UPC-A', twoD: false, moduleUnits: 1, quietZone: 9, digits: 12 }
+};
+
+const IMAGE_CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml', pdf: 'application/pdf' };
+const IMAGE_FORMATS = Object.keys(IMAGE_CONTENT_TYPES);
+
+// Error correction as QR levels; other symbologies map them to their own scale
+const EC_LEVELS = ['L', 'M', 'Q', 'H'];
+const EC_OPTIONS = {
+  qrcode: { L: 'L', M: 'M', Q: 'Q', H: 'H' },
+  pdf417: { L: 2, M: 4, Q: 5, H: 6 },
+  azteccode: { L: 10, M: 23, Q: 36, H: 50 }
+};
+
+// Longest side of the image in pixels (points for PDF)
+const DEFAULT_IMAGE_SIZE = 1000;
+const MIN_IMAGE_SIZE = 100;
+const MAX_IMAGE_SIZE = 4000;
+const MAX_QUIET_ZONE = 20;
+
+// A logo covers this share of the QR symbol's side, background margin included.
+// Level H error correction recovers about 30% of the code, so this stays readable.
+const LOGO_RATIO = 0.25;
+const MAX_CAPTION_LENGTH = 40;
+
+// Use production URL
+const getBaseUrl = (req) => (
+  process.env.NODE_ENV === 'production'
+    ? PRODUCTION_BASE_URL
+    : `${req.protocol}://${req.get('host')}`
+);
+
+// Holder link printed in QR codes: a read-only pass page, so attendees who
+// scan their own ticket never use up an entry
+const getPassUrl = (baseUrl, code) => `${baseUrl}/pass/${code}`;
+
+// Staff redemption link: opening it redeems an entry and needs a gatekeeper sign-in
+const getScanUrl = (baseUrl, code) => `${baseUrl}/mobile-scan/${code}`;
+
+// GS1 check digit for EAN-13 and UPC-A
+const gs1CheckDigit = (digits) => {
+  const sum = digits.split('').reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Random digits with a valid check digit, for passes printed as EAN-style codes
+const generateNumericCode = (length) => {
+  let digits = '';
+  while (digits.length < length - 1) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits + gs1CheckDigit(digits);
+};
+
+// Generate unique code. EAN-style symbologies need a numeric code of their length.
+const generateUniqueCode = (type = 'qrcode') => {
+  const symbology = SYMBOLOGIES[type];
+  if (symbology && symbology.digits) {
+    return generateNumericCode(symbology.digits);
+  }
+  return crypto.randomBytes(16).toString('hex').toUpperCase();
+};
+
+// The symbology a code was issued for, so a replacement can use the same kind of code
+const codeTypeFor = (code) => {
+  const type = Object.keys(SYMBOLOGIES).find((candidate) => {
+    const { digits } = SYMBOLOGIES[candidate];
+    return digits && code.length === digits && /^\d+$/.test(code) && gs1CheckDigit(code.slice(0, -1)) === code.slice(-1);
+  });
+  return type || 'qrcode';
+};
+
+// Why `code` cannot be drawn as `type`, or null when it can
+const encodingError = (code, type) => {
+  const symbology = SYMBOLOGIES[type];
+  if (!symbology || !symbology.digits || new RegExp(`^\\d{${symbology.digits - 1},${symbology.digits}}$`).test(code)) {
+    return null;
+  }
+  return `${symbology.label} can only encode ${symbology.digits}-digit codes; issue the pass as ${symbology.label} or pick another type`;
+};
+
+// Checks image options from a form or query string.
+// Returns { options: { type, format, size, eclevel, quietZone } } or { error }.
+const parseImageOptions = ({ type, format, size, eclevel, quietZone } = {}) => {
+  const options = {
+    type: type || 'qrcode',
+    format: format || 'png',
+    size: DEFAULT_IMAGE_SIZE,
+    eclevel: eclevel ? String(eclevel).toUpperCase() : 'M',
+    quietZone: null
+  };
+
+  if (!SYMBOLOGIES[options.type]) {
+    return { error: `Type must be one of: ${Object.keys(SYMBOLOGIES).join(', ')}` };
+  }
+
+  if (!IMAGE_FORMATS.includes(options.format)) {
+    return { error: `Format must be one of: ${IMAGE_FORMATS.join(', ')}` };
+  }
+
+  if (size !== undefined && size !== '') {
+    options.size = Number(size);
+    if (!Number.isInteger(options.size) || options.size < MIN_IMAGE_SIZE || options.size > MAX_IMAGE_SIZE) {
+      return { error: `Size must be a whole number of pixels from ${MIN_IMAGE_SIZE} to ${MAX_IMAGE_SIZE}` };
+    }
+  }
+
+  if (!EC_LEVELS.includes(options.eclevel)) {
+    return { error: `Error correction level must be one of: ${EC_LEVELS.join(', ')}` };
+  }
+
+  if (quietZone !== undefined && quietZone !== '') {
+    options.quietZone = Number(quietZone);
+    if (!Number.isInteger(options.quietZone) || options.quietZone < 0 || options.quietZone > MAX_QUIET_ZONE) {
+      return { error: `Quiet zone must be from 0 to ${MAX_QUIET_ZONE} modules` };
+    }
+  }
+
+  return { options };
+};
+
+const readViewBox = (svg) => {
+  const [, width, height] = svg.match(/viewBox="0 0 ([\d.]+) ([\d.]+)"/);
+  return { width: Number(width), height: Number(height) };
+};
+
+const readAttributes = (text) => {
+  const attributes = {};
+  text.replace(/([\w-]+)="([^"]*)"/g, (match, name, value) => {
+    attributes[name] = value;
+  });
+  return attributes;
+};
+
+// Redraws bwip-js SVG output on a PDF page of the same size, so the PDF stays vector.
+// `overlay` ({ logo, box }) is drawn on top, as placed by placeLogo.
+const svgToPdf = (svg, overlay = null) => new Promise((resolve, reject) => {
+  const { width, height } = readViewBox(svg);
+  const doc = new PDFDocument({ size: [width, height], margin: 0 });
+  const chunks = [];
+
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const background = svg.match(/<rect [^>]*fill="(#[0-9A-Fa-f]{6})"/);
+  if (background) {
+    doc.rect(0, 0, width, height).fill(background[1]);
+  }
+
+  const pathPattern = /<path ([^>]*)\/>/g;
+  let match;
+  while ((match = pathPattern.exec(svg)) !== null) {
+    const path = readAttributes(match[1]);
+    doc.path(path.d);
+    if (path.stroke) {
+      doc.lineWidth(Number(path['stroke-width'] || 1)).stroke(path.stroke);
+    } else {
+      doc.fill(path.fill || '#000000');
+    }
+  }
+
+  if (overlay) {
+    const { left, top, size, margin, background } = overlay.box;
+    doc.rect(left, top, size, size).fill(`#${background}`);
+    doc.image(overlay.logo, left + margin, top + margin, {
+      fit: [size - margin * 2, size - margin * 2],
+      align: 'center',
+      valign: 'center'
+    });
+  }
+
+  doc.end();
+});
+
+// Where a logo goes on a QR code: a square of whole modules in the middle of the
+// symbol. `symbol` is the viewBox at scale 1 without a caption; a caption only
+// adds room below, and the symbol stays centered across the image's width.
+const placeLogo = (symbol, image, { padding, moduleUnits, scale, background }) => {
+  const side = (symbol.width - padding * 2) * scale;
+  const moduleSize = moduleUnits * scale;
+  const size = Math.max(3, Math.round((side * LOGO_RATIO) / moduleSize)) * moduleSize;
+
+  return {
+    left: Math.round((image.width * scale - size) / 2),
+    top: Math.round(padding * scale + (side - size) / 2),
+    size,
+    margin: moduleSize,
+    background
+  };
+};
+
+// Draws the logo on a bwip-js SVG as an embedded PNG
+const addSvgLogo = (svg, logo, { left, top, size, margin, background }) => svg.replace('</svg>', [
+  `<rect x="${left}" y="${top}" width="${size}" height="${size}" fill="#${background}"/>`,
+  `<image x="${left + margin}" y="${top + margin}" width="${size - margin * 2}" height="${size - margin * 2}" href="data:image/png;base64,${logo.toString('base64')}"/>`,
+  '</svg>'
+].join(''));
+
+const cleanCaption = (caption) => (caption ? String(caption).replace(/\s+/g, ' ').trim().substring(0, MAX_CAPTION_LENGTH) : '');
+
+// Generate barcode image
+// Resolves with a PNG Buffer, an SVG string or a PDF Buffer depending on `format`.
+// `options` takes size, eclevel and quietZone as checked by parseImageOptions,
+// plus `logo` (a PNG Buffer, drawn on QR codes only) and `caption` (text printed
+// under the code; EAN-style codes already print their digits there).
+const generateBarcodeImage = (text, type = 'qrcode', baseUrl, colors = {}, format = 'png', options = {}) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const symbology = SYMBOLOGIES[type];
+
+      if (!symbology) {
+        return reject(new Error(`Unknown barcode type: ${type}`));
+      }
+
+      const unencodable = encodingError(text, type);
+      if (unencodable) {
+        return reject(new Error(unencodable));
+      }
+
+      const encodedText = symbology.twoD ? getPassUrl(baseUrl, text) : text;
+      const { size = DEFAULT_IMAGE_SIZE } = options;
+      const quietZone = options.quietZone === undefined || options.quietZone === null ? symbology.quietZone : options.quietZone;
+      const logo = type === 'qrcode' && options.logo ? options.logo : null;
+      const caption = symbology.digits ? '' : cleanCaption(options.caption);
+      // The logo hides part of the symbol, so always use the highest level with one
+      const eclevel = logo ? 'H' : options.eclevel || 'M';
+      
+      console.log(`Generating ${type} barcode for:`, encodedText);
+      
+      // Default colors with fallbacks
+      const defaultColors = {
+        background: 'FFFFFF',
+        foreground: '000000', 
+        border: '000000'
+      };
+      
+      // Merge with provided colors
+      const finalColors = { ...defaultColors, ...colors };
+      
+      // Clean color values (remove # if present)
+      const cleanColors = {
+        background: finalColors.background.replace('#', ''),
+        foreground: finalColors.foreground.replace('#', ''),
+        border: finalColors.border.replace('#', '')
+      };
+      
+      const bwipOptions = {
+        bcid: type,
+        text: encodedText,
+        paddingwidth: quietZone * symbology.moduleUnits,
+        paddingheight: quietZone * symbology.moduleUnits,
+        // EAN-style codes print their digits underneath, as retail scanners expect
+        includetext: Boolean(symbology.digits),
+        textxalign: 'center',
+        backgroundcolor: cleanColors.background,
+        barcolor: cleanColors.foreground,
+        bordercolor: cleanColors.border,
+      };
+
+      if (type === 'code128') {
+        bwipOptions.height = 20;
+      }
+
+      if (EC_OPTIONS[type]) {
+        bwipOptions.eclevel = EC_OPTIONS[type][eclevel];
+      }
+
+      // bwip-js changes the options it is given, so every render gets a copy
+      const symbol = readViewBox(bwipjs.toSVG({ ...bwipOptions, scale: 1 }));
+
+      if (caption) {
+        bwipOptions.alttext = caption;
+        bwipOptions.includetext = true;
+        // Keep the caption clear of the quiet zone
+        bwipOptions.textyoffset = -Math.max(quietZone * symbology.moduleUnits, 2);
+      }
+
+      // Whole-pixel modules keep edges crisp: use the largest scale that fits `size`
+      const natural = caption ? readViewBox(bwipjs.toSVG({ ...bwipOptions, scale: 1 })) : symbol;
+      bwipOptions.scale = Math.max(1, Math.floor(size / Math.max(natural.width, natural.height)));
+
+      const logoBox = logo ? placeLogo(symbol, natural, {
+        padding: bwipOptions.paddingwidth,
+        moduleUnits: symbology.moduleUnits,
+        scale: bwipOptions.scale,
+        background: cleanColors.background
+      }) : null;
+
+      console.log('BWIP-JS options:', bwipOptions);
+
+      if (format === 'svg' || format === 'pdf') {
+        const svg = bwipjs.toSVG({ ...bwipOptions });
+        const { width, height } = readViewBox(svg);
+        const sized = svg.replace('<svg ', `<svg width="${width}" height="${height}" `);
+
+        if (format === 'pdf') {
+          return svgToPdf(sized, logoBox ? { logo, box: logoBox } : null).then(resolve, reject);
+        }
+        return resolve(logoBox ? addSvgLogo(sized, logo, logoBox) : sized);
+      }
+
+      bwipjs.toBuffer({ ...bwipOptions }, (err, png) => {
+        if (err) {
+          console.error('BWIP-JS generation error:', err);
+          return reject(new Error(`Barcode rendering failed: ${err.message}`));
+        }
+
+        console.log('BWIP-JS generated image successfully, size:', png.length);
+
+        if (!logoBox) {
+          return resolve(png);
+        }
+
+        try {
+          resolve(encodePng(overlayLogo(decodePng(png), decodePng(logo), logoBox)));
+        } catch (logoError) {
+          console.error('Logo overlay error:', logoError);
+          reject(new Error(`Logo could not be drawn: ${logoError.message}`));
+        }
+      });
+      
+    } catch (setupError) {
+      console.error('Barcode setup error:', setupError);
+      reject(new Error(`Barcode setup failed: ${setupError.message}`));
+    }
+  });
+};
+
+module.exports = {
+  SYMBOLOGIES,
+  IMAGE_FORMATS,
+  IMAGE_CONTENT_TYPES,
+  EC_LEVELS,
+  DEFAULT_IMAGE_SIZE,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_SIZE,
+  MAX_QUIET_ZONE,
+  MAX_CAPTION_LENGTH,
+  generateUniqueCode,
+  codeTypeFor,
+  encodingError,
+  parseImageOptions,
+  getBaseUrl,
+  getPassUrl,
+  getScanUrl,
+  generateBarcodeImage
+};
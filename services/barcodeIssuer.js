@@ -0,0 +1,178 @@
+// services/barcodeIssuer.js
+// Validates pass details and creates Barcode documents. Shared by the
+// generate form and the JSON API so both apply the same rules.
+
+const Barcode = require('../models/Barcode');
+const { SYMBOLOGIES, generateUniqueCode } = require('./barcodeImage');
+const { parseUsagePolicy } = require('./usagePolicy');
+const { findEvent } = require('./events');
+const { DEFAULT_TIMEZONE, TIME_PATTERN, isValidTimezone } = require('./schedule');
+const { isValidEmail } = require('./mailer');
+const { serializePass, emitWebhookEvent } = require('./webhooks');
+
+// Numeric codes have far fewer possible values than hex ones, so a new one
+// can collide with an existing pass; a few fresh draws make that vanishingly rare
+const MAX_CODE_ATTEMPTS = 5;
+
+const isTrue = (value) => value === true || value === 'true' || value === 'on';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Returns { data } ready for new Barcode(data), or { error } describing the first problem.
+// With an `event`, schedule fields left blank are inherited from the event instead of defaulted.
+const buildBarcodeData = (input = {}, event = null) => {
+  const scheduleDefault = (value, fallback) => (isBlank(value) ? (event ? null : fallback) : value);
+  const activeTime = scheduleDefault(input.activeTime, '09:00');
+  const endTime = scheduleDefault(input.endTime, '17:00');
+  const allowEarlyAccess = scheduleDefault(input.allowEarlyAccess, false);
+  const timezone = scheduleDefault(input.timezone, DEFAULT_TIMEZONE);
+  const {
+    issuedTo,
+    purpose,
+    expiryHours,
+    activeDate,
+    activeEndDate,
+    usageMode = 'single',
+    maxUses,
+    reentryCooldownMinutes,
+    barcodeType = 'qrcode'
+  } = input;
+
+  if (!issuedTo || typeof issuedTo !== 'string' || issuedTo.trim().length === 0) {
+    return { error: 'Issued To field is required' };
+  }
+
+  if (issuedTo.length > 100) {
+    return { error: 'Issued To field too long' };
+  }
+
+  if (purpose && String(purpose).length > 200) {
+    return { error: 'Purpose field too long' };
+  }
+
+  const recipientEmail = isBlank(input.recipientEmail) ? null : String(input.recipientEmail).trim().toLowerCase();
+  if (recipientEmail && !isValidEmail(recipientEmail)) {
+    return { error: 'Recipient email must be a valid address' };
+  }
+
+  // The symbology decides the kind of code: EAN-style ones need digits
+  if (!SYMBOLOGIES[barcodeType]) {
+    return { error: `Barcode type must be one of: ${Object.keys(SYMBOLOGIES).join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (expiryHours !== undefined && expiryHours !== null && expiryHours !== '') {
+    const hours = Number(expiryHours);
+    if (isNaN(hours) || hours <= 0) {
+      return { error: 'Expiry hours must be a positive number' };
+    }
+    expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  }
+
+  let parsedActiveDate = null;
+  if (activeDate) {
+    parsedActiveDate = new Date(activeDate);
+    if (isNaN(parsedActiveDate.getTime())) {
+      return { error: 'Active date is not a valid date' };
+    }
+  }
+
+  let parsedActiveEndDate = null;
+  if (activeEndDate) {
+    parsedActiveEndDate = new Date(activeEndDate);
+    if (isNaN(parsedActiveEndDate.getTime())) {
+      return { error: 'Active end date is not a valid date' };
+    }
+    if (!parsedActiveDate) {
+      return { error: 'Active end date needs an active date to start from' };
+    }
+    if (parsedActiveEndDate < parsedActiveDate) {
+      return { error: 'Active end date must be on or after the active date' };
+    }
+  }
+
+  // An end time before the start time is an overnight window, e.g. 22:00-02:00
+  if ((activeTime !== null && !TIME_PATTERN.test(activeTime)) || (endTime !== null && !TIME_PATTERN.test(endTime))) {
+    return { error: 'Start and end times must use HH:MM format' };
+  }
+
+  if (timezone !== null && !isValidTimezone(timezone)) {
+    return { error: `Unknown timezone "${timezone}"` };
+  }
+
+  const usagePolicy = parseUsagePolicy({ usageMode, maxUses, reentryCooldownMinutes });
+  if (usagePolicy.error) {
+    return { error: usagePolicy.error };
+  }
+
+  return {
+    data: {
+      code: generateUniqueCode(barcodeType),
+      event: event ? event._id : null,
+      issuedTo: issuedTo.trim(),
+      purpose: purpose ? String(purpose).trim() : null,
+      recipientEmail,
+      expiresAt,
+      activeDate: parsedActiveDate,
+      activeEndDate: parsedActiveEndDate,
+      activeTime,
+      endTime,
+      allowEarlyAccess: allowEarlyAccess === null ? null : isTrue(allowEarlyAccess),
+      timezone,
+      maxUses: usagePolicy.maxUses,
+      reentryCooldownMinutes: usagePolicy.reentryCooldownMinutes
+    }
+  };
+};
+
+// Looks up input.eventId. Returns { event } (null when none was chosen) or { error }.
+const resolveEvent = async (eventId) => {
+  if (isBlank(eventId)) return { event: null };
+
+  const event = await findEvent(eventId);
+  return event ? { event } : { error: 'Selected event was not found' };
+};
+
+const isDuplicateCode = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.code);
+
+// Saves a new pass, drawing another `type` code when the first is already taken
+const saveWithUniqueCode = async (data, type) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await new Barcode(data).save();
+    } catch (error) {
+      if (!isDuplicateCode(error) || attempt >= MAX_CODE_ATTEMPTS) throw error;
+      console.log('Barcode code collision, drawing another:', { code: data.code, attempt });
+      data = { ...data, code: generateUniqueCode(type) };
+    }
+  }
+};
+
+// Tells webhook subscribers about a pass that has been handed out
+const announceBarcode = (barcode) => emitWebhookEvent('barcode.created', { barcode: serializePass(barcode) });
+
+// Validates and saves a new pass. Returns { barcode } with its event populated, or { error }.
+// Pass `announce: false` when the caller may still withdraw the pass; it then
+// calls announceBarcode once the pass is final.
+const issueBarcode = async (input = {}, { announce = true } = {}) => {
+  const { event, error: eventError } = await resolveEvent(input.eventId);
+  if (eventError) return { error: eventError };
+
+  const { data, error } = buildBarcodeData(input, event);
+  if (error) return { error };
+
+  const barcode = await saveWithUniqueCode(data, input.barcodeType || 'qrcode');
+  barcode.event = event;
+  console.log('Barcode issued:', { code: barcode.code, issuedTo: barcode.issuedTo });
+  if (announce) await announceBarcode(barcode);
+
+  return { barcode };
+};
+
+module.exports = {
+  buildBarcodeData,
+  resolveEvent,
+  saveWithUniqueCode,
+  announceBarcode,
+  issueBarcode
+};
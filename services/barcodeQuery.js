@@ -0,0 +1,172 @@
+// services/barcodeQuery.js
+// Builds MongoDB filters and sorts for barcode listings from request query
+// parameters, and counts passes by status.
+
+const mongoose = require('mongoose');
+const Barcode = require('../models/Barcode');
+const { addDays } = require('./schedule');
+
+const STATUSES = ['active', 'used', 'expired', 'revoked', 'suspended'];
+
+// Columns listings can be sorted by, with the order used when none is given
+const SORT_FIELDS = {
+  issuedAt: { field: 'issuedAt', order: 'desc' },
+  usedAt: { field: 'usedAt', order: 'desc' },
+  entries: { field: 'useCount', order: 'desc' },
+  code: { field: 'code', order: 'asc' },
+  issuedTo: { field: 'issuedTo', order: 'asc' },
+  purpose: { field: 'purpose', order: 'asc' }
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mirrors accessPolicy.getStatus so listings and single lookups agree
+const buildStatusFilter = (status, now) => {
+  switch (status) {
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    case 'suspended':
+      return { revokedAt: null, suspendedAt: { $ne: null } };
+    case 'used':
+      return { revokedAt: null, suspendedAt: null, used: true };
+    case 'expired':
+      return { revokedAt: null, suspendedAt: null, used: false, expiresAt: { $ne: null, $lte: now } };
+    case 'active':
+      return { revokedAt: null, suspendedAt: null, used: false, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+    default:
+      return {};
+  }
+};
+
+// Status of each pass as an aggregation expression, with the same precedence as getStatus
+const statusExpression = (now) => ({
+  $switch: {
+    branches: [
+      { case: { $ifNull: ['$revokedAt', false] }, then: 'revoked' },
+      { case: { $ifNull: ['$suspendedAt', false] }, then: 'suspended' },
+      { case: { $eq: ['$used', true] }, then: 'used' },
+      { case: { $and: [{ $ifNull: ['$expiresAt', false] }, { $lte: ['$expiresAt', now] }] }, then: 'expired' }
+    ],
+    default: 'active'
+  }
+});
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Returns { filter } or { error } for invalid parameters. `search` matches the
+// holder, code or purpose. A bare issuedBefore day ("2024-06-15") includes that day.
+const buildBarcodeFilter = ({ search, status, issuedTo, purpose, issuedAfter, issuedBefore, event } = {}, now = new Date()) => {
+  if (status && !STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${STATUSES.join(', ')}` };
+  }
+
+  const conditions = [];
+
+  // "none" lists passes that do not belong to any event
+  if (event === 'none') {
+    conditions.push({ event: null });
+  } else if (event) {
+    if (!mongoose.Types.ObjectId.isValid(event)) return { error: 'event must be an event id or "none"' };
+    conditions.push({ event: new mongoose.Types.ObjectId(event) });
+  }
+
+  if (status) {
+    conditions.push(buildStatusFilter(status, now));
+  }
+
+  if (search && String(search).trim()) {
+    const pattern = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+    conditions.push({ $or: [{ issuedTo: pattern }, { code: pattern }, { purpose: pattern }] });
+  }
+
+  if (issuedTo) {
+    conditions.push({ issuedTo: { $regex: escapeRegex(String(issuedTo)), $options: 'i' } });
+  }
+
+  if (purpose) {
+    conditions.push({ purpose: { $regex: escapeRegex(String(purpose)), $options: 'i' } });
+  }
+
+  if (issuedAfter || issuedBefore) {
+    const issuedAt = {};
+
+    if (issuedAfter) {
+      const after = parseDate(issuedAfter);
+      if (!after) return { error: 'issuedAfter is not a valid date' };
+      issuedAt.$gte = after;
+    }
+
+    if (issuedBefore) {
+      const before = parseDate(issuedBefore);
+      if (!before) return { error: 'issuedBefore is not a valid date' };
+      if (DAY_PATTERN.test(String(issuedBefore))) {
+        issuedAt.$lt = new Date(`${addDays(issuedBefore, 1)}T00:00:00Z`);
+      } else {
+        issuedAt.$lte = before;
+      }
+    }
+
+    conditions.push({ issuedAt });
+  }
+
+  return { filter: conditions.length ? { $and: conditions } : {} };
+};
+
+// Returns { sort } for Model.sort(), or { error }. Ties are broken by _id so pages stay stable.
+const buildBarcodeSort = ({ sort = 'issuedAt', order } = {}) => {
+  const column = SORT_FIELDS[sort];
+
+  if (!column) {
+    return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+
+  if (order && order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const direction = (order || column.order) === 'asc' ? 1 : -1;
+  return { sort: { [column.field]: direction, _id: direction } };
+};
+
+// Pass counts by status plus entries used, over every pass matching `filter`
+const summarizeStatuses = async (filter = {}, now = new Date()) => {
+  const groups = await Barcode.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: statusExpression(now),
+        passes: { $sum: 1 },
+        entries: { $sum: { $ifNull: ['$useCount', 0] } }
+      }
+    }
+  ]);
+
+  const summary = { total: 0, entries: 0 };
+  STATUSES.forEach((status) => {
+    summary[status] = 0;
+  });
+
+  groups.forEach(({ _id, passes, entries }) => {
+    summary[_id] = passes;
+    summary.total += passes;
+    summary.entries += entries;
+  });
+
+  return summary;
+};
+
+module.exports = {
+  STATUSES,
+  SORT_FIELDS,
+  escapeRegex,
+  statusExpression,
+  buildStatusFilter,
+  buildBarcodeFilter,
+  buildBarcodeSort,
+  summarizeStatuses
+};
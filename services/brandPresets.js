@@ -0,0 +1,90 @@
+// services/brandPresets.js
+// Saved brand presets and what they add to a barcode image: colors, a logo for
+// QR codes and a caption with the holder's name or the event title.
+
+const mongoose = require('mongoose');
+const BrandPreset = require('../models/BrandPreset');
+const { decodePng } = require('./pngImage');
+
+const MAX_LOGO_SIDE = 2000;
+
+const CAPTION_LABELS = {
+  none: 'No caption',
+  holder: 'Holder name',
+  event: 'Event name'
+};
+
+const listBrandPresets = () => BrandPreset.find().sort({ name: 1 }).lean();
+
+// The preset picked in a form or query string, with its logo, or null
+const findBrandPreset = async (presetId) => {
+  if (!presetId || !mongoose.Types.ObjectId.isValid(presetId)) return null;
+  return BrandPreset.findById(presetId).select('+logo');
+};
+
+// Checks an uploaded logo. Returns { logo } (a PNG Buffer) or { error }.
+const readLogoUpload = (file) => {
+  if (!file) {
+    return { logo: null };
+  }
+
+  try {
+    const { width, height } = decodePng(file.buffer);
+    if (width > MAX_LOGO_SIDE || height > MAX_LOGO_SIDE) {
+      return { error: `Logos can be at most ${MAX_LOGO_SIDE} pixels on each side` };
+    }
+  } catch (error) {
+    return { error: `Logo could not be read: ${error.message}` };
+  }
+
+  return { logo: file.buffer };
+};
+
+// Colors in the form generateBarcodeImage takes
+const presetColors = (preset) => ({
+  background: preset.backgroundColor.replace('#', ''),
+  foreground: preset.foregroundColor.replace('#', ''),
+  border: preset.borderColor.replace('#', '')
+});
+
+// Checks the branding asked for in a form or query string: `preset` is a preset
+// id and `caption` ('none', 'holder' or 'event') overrides the preset's caption.
+// Returns { branding: { preset, caption } } or { error }.
+const loadBranding = async ({ preset: presetId, caption } = {}) => {
+  const preset = await findBrandPreset(presetId);
+
+  if (presetId && !preset) {
+    return { error: 'Brand preset not found' };
+  }
+
+  const source = caption || (preset ? preset.caption : 'none');
+  if (!BrandPreset.CAPTIONS.includes(source)) {
+    return { error: `Caption must be one of: ${BrandPreset.CAPTIONS.join(', ')}` };
+  }
+
+  return { branding: { preset, caption: source } };
+};
+
+// Caption text for a pass. Populate `event` first for event captions.
+const captionFor = (source, barcode) => {
+  if (source === 'holder') return barcode.issuedTo;
+  if (source === 'event') return barcode.event && barcode.event.name ? barcode.event.name : '';
+  return '';
+};
+
+// The logo and caption options for generateBarcodeImage
+const brandImageOptions = (branding, barcode) => ({
+  logo: branding.preset && branding.preset.logo ? branding.preset.logo : null,
+  caption: captionFor(branding.caption, barcode)
+});
+
+module.exports = {
+  CAPTION_LABELS,
+  listBrandPresets,
+  findBrandPreset,
+  readLogoUpload,
+  presetColors,
+  loadBranding,
+  captionFor,
+  brandImageOptions
+};
@@ -0,0 +1,141 @@
+// services/bulkIssuer.js
+// Bulk pass generation from CSV: parse and validate every row, create the
+// barcodes in one batch, then package PNGs and a result CSV into a ZIP.
+
+const archiver = require('archiver');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const Barcode = require('../models/Barcode');
+const { buildBarcodeData } = require('./barcodeIssuer');
+const { getPassUrl, generateBarcodeImage } = require('./barcodeImage');
+const { serializePass, emitWebhookEvents } = require('./webhooks');
+
+const MAX_ROWS = 1000;
+
+const COLUMNS = ['issuedTo', 'purpose', 'recipientEmail', 'expiryHours', 'activeDate', 'activeEndDate', 'activeTime', 'endTime', 'timezone', 'allowEarlyAccess'];
+
+const TEMPLATE_CSV = stringify([
+  COLUMNS,
+  ['Ada Lovelace', 'Speaker', 'ada@example.com', '', '2024-06-15', '2024-06-16', '09:00', '17:00', 'Africa/Lagos', 'false'],
+  ['Grace Hopper', 'Attendee', '', '48', '', '', '', '', '', '']
+]);
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+// Blank cells fall back to the same defaults as the generate form, or to the event's schedule
+const rowToInput = (record) => {
+  const input = {};
+
+  COLUMNS.forEach((column) => {
+    const value = record[column] === undefined ? '' : String(record[column]).trim();
+    if (value !== '') input[column] = value;
+  });
+
+  if (input.allowEarlyAccess !== undefined) {
+    input.allowEarlyAccess = TRUE_VALUES.includes(input.allowEarlyAccess.toLowerCase());
+  }
+
+  return input;
+};
+
+// Returns { rows, errors }. Rows carry their CSV line number (header is line 1).
+// When errors is non-empty nothing should be created. Every row joins `event` when given.
+const parseBulkCsv = (content, event = null) => {
+  let records;
+
+  try {
+    records = parse(content, {
+      columns: (header) => header.map((column) => column.trim()),
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+      bom: true
+    });
+  } catch (error) {
+    return { rows: [], errors: [{ row: null, error: `Could not read CSV: ${error.message}` }] };
+  }
+
+  if (records.length === 0) {
+    return { rows: [], errors: [{ row: null, error: 'The CSV file has no rows' }] };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(records[0], 'issuedTo')) {
+    return { rows: [], errors: [{ row: null, error: 'The CSV file must have an issuedTo column' }] };
+  }
+
+  if (records.length > MAX_ROWS) {
+    return { rows: [], errors: [{ row: null, error: `At most ${MAX_ROWS} rows can be uploaded at once` }] };
+  }
+
+  const rows = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const { data, error } = buildBarcodeData(rowToInput(record), event);
+
+    if (error) {
+      errors.push({ row, issuedTo: record.issuedTo || '', error });
+    } else {
+      rows.push({ row, data });
+    }
+  });
+
+  return { rows, errors };
+};
+
+// Pass the event the rows were parsed with so it is populated on the results
+const createBulkBarcodes = async (rows, event = null) => {
+  const barcodes = await Barcode.insertMany(rows.map(({ data }) => data));
+  if (event) {
+    barcodes.forEach((barcode) => {
+      barcode.event = event;
+    });
+  }
+  console.log(`Bulk issued ${barcodes.length} barcodes`);
+  await emitWebhookEvents('barcode.created', barcodes.map((barcode) => ({ barcode: serializePass(barcode) })));
+  return barcodes;
+};
+
+const toFileName = (barcode) => {
+  const name = barcode.issuedTo.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 40);
+  return `${name || 'pass'}-${barcode.code}.png`;
+};
+
+// Streams a ZIP with one PNG per barcode plus results.csv mapping names to codes.
+// passUrl is the holder's pass page the QR opens, safe to send to holders.
+// `payloadFor` picks what each QR code carries (see passSigning.getPayloadSigner).
+const writeBulkZip = async (barcodes, baseUrl, output, payloadFor = (barcode) => barcode.code) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  const results = [['issuedTo', 'purpose', 'code', 'passUrl', 'image']];
+
+  for (const barcode of barcodes) {
+    const fileName = toFileName(barcode);
+    const payload = payloadFor(barcode);
+    const png = await generateBarcodeImage(payload, 'qrcode', baseUrl);
+
+    archive.append(png, { name: `png/${fileName}` });
+    results.push([barcode.issuedTo, barcode.purpose || '', barcode.code, getPassUrl(baseUrl, payload), `png/${fileName}`]);
+  }
+
+  archive.append(stringify(results), { name: 'results.csv' });
+  await archive.finalize();
+  await finished;
+};
+
+module.exports = {
+  MAX_ROWS,
+  COLUMNS,
+  TEMPLATE_CSV,
+  parseBulkCsv,
+  createBulkBarcodes,
+  writeBulkZip
+};
@@ -0,0 +1,108 @@
+// services/events.js
+// Validates event details from the admin form and looks events up for the
+// generate form, bulk upload and the API.
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Barcode = require('../models/Barcode');
+const { DEFAULT_TIMEZONE, TIME_PATTERN, isValidTimezone } = require('./schedule');
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Returns { data } for new Event(data) / event.set(data), or { error }
+const buildEventData = (input = {}) => {
+  const name = (input.name || '').trim();
+  const venue = (input.venue || '').trim();
+  const timezone = (input.timezone || '').trim() || DEFAULT_TIMEZONE;
+  const dailyStartTime = input.dailyStartTime || '09:00';
+  const dailyEndTime = input.dailyEndTime || '17:00';
+
+  if (!name) {
+    return { error: 'Event name is required' };
+  }
+
+  if (name.length > 100) {
+    return { error: 'Event name too long' };
+  }
+
+  const startDate = parseDay(input.startDate);
+  if (!startDate) {
+    return { error: 'Start date is required' };
+  }
+
+  const endDate = input.endDate ? parseDay(input.endDate) : startDate;
+  if (!endDate) {
+    return { error: 'End date is not a valid date' };
+  }
+
+  if (endDate < startDate) {
+    return { error: 'End date must be on or after the start date' };
+  }
+
+  if (!TIME_PATTERN.test(dailyStartTime) || !TIME_PATTERN.test(dailyEndTime)) {
+    return { error: 'Daily hours must use HH:MM format' };
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone "${timezone}"` };
+  }
+
+  const ticketTemplate = input.ticketTemplate && mongoose.Types.ObjectId.isValid(input.ticketTemplate)
+    ? input.ticketTemplate
+    : null;
+
+  return {
+    data: {
+      name,
+      venue: venue || null,
+      startDate,
+      endDate,
+      dailyStartTime,
+      dailyEndTime,
+      timezone,
+      allowEarlyAccess: input.allowEarlyAccess === true || input.allowEarlyAccess === 'true' || input.allowEarlyAccess === 'on',
+      ticketTemplate
+    }
+  };
+};
+
+// Returns the event for an id from a form or request body, or null
+const findEvent = async (eventId) => {
+  if (!eventId || !mongoose.Types.ObjectId.isValid(eventId)) return null;
+  return Event.findById(eventId);
+};
+
+// Events for pickers and filters, in date order
+const listEvents = () => Event.find().sort({ startDate: 1 }).lean();
+
+// Pass counts per event across the whole collection. Passes without an event
+// are grouped under `event: null`.
+const summarizeByEvent = async () => {
+  const groups = await Barcode.aggregate([
+    {
+      $group: {
+        _id: '$event',
+        passes: { $sum: 1 },
+        used: { $sum: { $cond: ['$used', 1, 0] } },
+        entries: { $sum: { $ifNull: ['$useCount', 0] } },
+        revoked: { $sum: { $cond: [{ $ifNull: ['$revokedAt', false] }, 1, 0] } }
+      }
+    },
+    { $lookup: { from: Event.collection.name, localField: '_id', foreignField: '_id', as: 'event' } },
+    { $set: { event: { $first: '$event' } } },
+    { $sort: { 'event.startDate': 1 } }
+  ]);
+
+  return groups.map(({ _id, event, ...counts }) => ({ event: event || null, ...counts }));
+};
+
+module.exports = {
+  buildEventData,
+  findEvent,
+  listEvents,
+  summarizeByEvent
+};
@@ -0,0 +1,113 @@
+// services/mailer.js
+// Outgoing email. MAIL_TRANSPORT picks how messages leave the app:
+//   smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+//   file     each message is written as an .eml file to MAIL_FILE_DIR
+//   console  messages are logged instead of sent
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and console otherwise.
+// MAIL_FROM sets the sender.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEFAULT_FROM = 'Barcode Access System <no-reply@localhost>';
+
+const isValidEmail = (value) => typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value);
+
+// Each transport is { name, send(message) } where send resolves to { messageId }
+const TRANSPORTS = {
+  smtp: () => {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  file: (directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'barcode-mail')) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      name: 'file',
+      directory,
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^A-Za-z0-9.-]/g, '')}.eml`;
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(path.join(directory, fileName), info.message);
+        return { messageId: info.messageId, file: path.join(directory, fileName) };
+      }
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      name: 'console',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        console.log('Email (console transport):', {
+          to: message.to,
+          subject: message.subject,
+          attachments: (message.attachments || []).length
+        });
+        return { messageId: info.messageId };
+      }
+    };
+  }
+};
+
+const createTransport = (name, ...args) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory(...args);
+};
+
+let transport = null;
+
+// The configured transport, created on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'));
+  }
+  return transport;
+};
+
+// Swaps the transport, e.g. for a file transport in tests; null goes back to the configured one
+const setTransport = (next) => {
+  transport = next;
+};
+
+// Sends { to, subject, html, text, attachments }. Resolves to { messageId, transport }.
+const sendMail = async (message) => {
+  const current = getTransport();
+  const { messageId } = await current.send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+  console.log('Email sent:', { to: message.to, transport: current.name, messageId });
+  return { messageId, transport: current.name };
+};
+
+module.exports = {
+  EMAIL_PATTERN,
+  isValidEmail,
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
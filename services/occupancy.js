@@ -0,0 +1,185 @@
+// services/occupancy.js
+// Who is inside right now. Guests are counted in by granted entries and out by
+// exit scans (exit gates, or staff scanning in exit mode). A pass counts as
+// inside while its latest scan in the last OCCUPANCY_WINDOW_HOURS is an entry,
+// so guests who leave without an exit scan drop off by the next day.
+//
+// Live dashboards subscribe with streamOccupancy, a Server-Sent Events stream.
+// Scans this process records are pushed at once; the stream also polls the
+// scan log, since on serverless hosting most scans run in other instances.
+
+const Barcode = require('../models/Barcode');
+const ScanEvent = require('../models/ScanEvent');
+const { REASONS } = require('./accessPolicy');
+const { readScannedCode } = require('./redemption');
+const { invalidSignature } = require('./passSigning');
+const { scanFeed } = require('./scanLog');
+
+const DIRECTIONS = ['entry', 'exit'];
+
+const OCCUPANCY_WINDOW_HOURS = parseInt(process.env.OCCUPANCY_WINDOW_HOURS) || 12;
+
+// Scans arriving together (e.g. an offline sync) are sent as one update
+const REFRESH_DELAY_MS = 250;
+const HEARTBEAT_MS = 25000;
+// How often open streams re-read the scan log for scans recorded elsewhere
+const POLL_MS = (parseInt(process.env.OCCUPANCY_POLL_SECONDS) || 5) * 1000;
+
+// An exit is never refused; it only has to be a pass we know.
+// Returns { code, barcode, decision } like redeemCode.
+const checkExit = async (rawCode) => {
+  const { code, error } = await readScannedCode(rawCode);
+
+  if (error) {
+    return { code, barcode: null, decision: invalidSignature(error) };
+  }
+
+  const barcode = await Barcode.findOne({ code }).populate('event');
+
+  if (!barcode) {
+    return { code, barcode: null, decision: { granted: false, reason: REASONS.UNKNOWN_CODE, message: 'Invalid access code' } };
+  }
+
+  return {
+    code,
+    barcode,
+    decision: { granted: true, reason: REASONS.EXITED, message: `Exit recorded for ${barcode.issuedTo}` }
+  };
+};
+
+// { inside, entries, exits, since, updatedAt } over the occupancy window
+const getOccupancy = async (now = new Date()) => {
+  const since = new Date(now.getTime() - OCCUPANCY_WINDOW_HOURS * 60 * 60 * 1000);
+  const isExit = { $eq: ['$direction', 'exit'] };
+
+  const [summary] = await ScanEvent.aggregate([
+    { $match: { outcome: 'granted', timestamp: { $gte: since, $lte: now } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: '$code',
+        lastExit: { $last: isExit },
+        entries: { $sum: { $cond: [isExit, 0, 1] } },
+        exits: { $sum: { $cond: [isExit, 1, 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        inside: { $sum: { $cond: ['$lastExit', 0, 1] } },
+        entries: { $sum: '$entries' },
+        exits: { $sum: '$exits' }
+      }
+    }
+  ]);
+
+  return {
+    inside: summary ? summary.inside : 0,
+    entries: summary ? summary.entries : 0,
+    exits: summary ? summary.exits : 0,
+    since,
+    updatedAt: now
+  };
+};
+
+const clients = new Set();
+let refreshTimer = null;
+let heartbeat = null;
+let pollTimer = null;
+let polling = false;
+let latestScan = null;
+let lastSent = null;
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (occupancy, scan) => {
+  lastSent = occupancy;
+  clients.forEach((res) => sendEvent(res, 'occupancy', { ...occupancy, scan }));
+};
+
+const refreshClients = async () => {
+  refreshTimer = null;
+  const scan = latestScan;
+  latestScan = null;
+
+  try {
+    broadcast(await getOccupancy(), scan);
+  } catch (error) {
+    console.error('Occupancy refresh failed:', error);
+  }
+};
+
+const onScan = (scan) => {
+  latestScan = scan;
+  if (!refreshTimer) {
+    refreshTimer = setTimeout(refreshClients, REFRESH_DELAY_MS);
+  }
+};
+
+const hasChanged = (occupancy) => !lastSent || ['inside', 'entries', 'exits'].some((key) => occupancy[key] !== lastSent[key]);
+
+// Picks up scans recorded by other processes; sends only when the counts moved
+const pollClients = async () => {
+  if (polling || refreshTimer) return;
+  polling = true;
+
+  try {
+    const occupancy = await getOccupancy();
+    if (clients.size > 0 && hasChanged(occupancy)) broadcast(occupancy, null);
+  } catch (error) {
+    console.error('Occupancy poll failed:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+// Express handler: sends the current occupancy, then an update after every
+// scan in this process and whenever a poll finds the counts changed
+const streamOccupancy = async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (clients.size === 0) {
+    scanFeed.on('scan', onScan);
+    heartbeat = setInterval(() => clients.forEach((client) => client.write(': keep-alive\n\n')), HEARTBEAT_MS);
+    heartbeat.unref();
+    pollTimer = setInterval(pollClients, POLL_MS);
+    pollTimer.unref();
+  }
+  clients.add(res);
+
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0) {
+      scanFeed.removeListener('scan', onScan);
+      clearInterval(heartbeat);
+      clearInterval(pollTimer);
+      lastSent = null;
+    }
+  });
+
+  try {
+    const occupancy = await getOccupancy();
+    if (!lastSent) lastSent = occupancy;
+    sendEvent(res, 'occupancy', { ...occupancy, scan: null });
+  } catch (error) {
+    console.error('Occupancy stream error:', error);
+    sendEvent(res, 'error', { message: 'Failed to load occupancy' });
+  }
+};
+
+module.exports = {
+  DIRECTIONS,
+  OCCUPANCY_WINDOW_HOURS,
+  checkExit,
+  getOccupancy,
+  streamOccupancy
+};
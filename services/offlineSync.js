@@ -0,0 +1,273 @@
+// services/offlineSync.js
+// Offline gate mode. A scanner device downloads a snapshot of an event's passes,
+// decides each scan locally with the same access policy (evaluateAccess works
+// on snapshot passes as they are) and queues what it admitted. When it is back
+// online it uploads the queue and the server reconciles it here.
+//
+// Reconciling an entry is a conditional update like a live redemption, but it
+// is judged at the time the device scanned, not now. Entries that cannot be
+// applied, such as the last entry on a pass used at two offline gates, are
+// kept in the scan log as conflicts for an admin to review.
+
+const mongoose = require('mongoose');
+const Barcode = require('../models/Barcode');
+const ScanEvent = require('../models/ScanEvent');
+const { getEffectiveSchedule, getMaxUses, REASONS } = require('./accessPolicy');
+const { normalizeCode } = require('./redemption');
+const { publishScan } = require('./scanLog');
+const { scanEventData, emitWebhookEvent } = require('./webhooks');
+
+const MAX_SYNC_SCANS = 500;
+
+// Logged for denied offline scans that did not say why
+const OFFLINE_DENIED = 'OFFLINE_DENIED';
+
+const CONFLICTS = {
+  UNKNOWN_CODE: 'UNKNOWN_CODE',
+  REVOKED: 'REVOKED',
+  SUSPENDED: 'SUSPENDED',
+  OVER_REDEEMED: 'OVER_REDEEMED'
+};
+
+// A pass as a gate device needs it: flat, with the event's schedule resolved
+// and days as "YYYY-MM-DD", so devices never need the event itself
+const toSnapshotPass = (barcode) => {
+  const schedule = getEffectiveSchedule(barcode);
+
+  return {
+    code: barcode.code,
+    issuedTo: barcode.issuedTo,
+    purpose: barcode.purpose || null,
+    expiresAt: barcode.expiresAt || null,
+    activeDate: schedule.firstDay,
+    activeEndDate: schedule.lastDay,
+    activeTime: schedule.startTime,
+    endTime: schedule.endTime,
+    timezone: schedule.timezone,
+    allowEarlyAccess: schedule.allowEarlyAccess,
+    maxUses: getMaxUses(barcode),
+    useCount: barcode.useCount || 0,
+    used: Boolean(barcode.used),
+    usedAt: barcode.usedAt || null,
+    reentryCooldownMinutes: barcode.reentryCooldownMinutes || 0,
+    revokedAt: barcode.revokedAt || null,
+    revokedReason: barcode.revokedReason || null,
+    suspendedAt: barcode.suspendedAt || null,
+    suspendedReason: barcode.suspendedReason || null,
+    updatedAt: barcode.updatedAt
+  };
+};
+
+// Passes matching `filter` (see barcodeQuery.buildBarcodeFilter). With `since`,
+// only passes changed after it, so devices can refresh without a full download.
+const buildSnapshot = async (filter, { since = null, now = new Date() } = {}) => {
+  const conditions = since ? { $and: [filter, { updatedAt: { $gt: since } }] } : filter;
+  const barcodes = await Barcode.find(conditions).populate('event').lean();
+
+  return {
+    generatedAt: now,
+    since,
+    passes: barcodes.map(toSnapshotPass)
+  };
+};
+
+// Checks one uploaded scan. Returns { scan } or { error }.
+const parseQueuedScan = (input, index) => {
+  if (!input || typeof input !== 'object') {
+    return { error: `Scan ${index + 1} must be an object` };
+  }
+
+  // `code` is the pass code; for a signed QR payload that is its "c" claim
+  const { id, code, scannedAt, granted } = input;
+
+  if (!id || typeof id !== 'string' || id.length > 100) {
+    return { error: `Scan ${index + 1} needs an id of up to 100 characters` };
+  }
+
+  if (!code || typeof code !== 'string') {
+    return { error: `Scan ${index + 1} needs a code` };
+  }
+
+  const time = new Date(scannedAt);
+  if (!scannedAt || isNaN(time.getTime())) {
+    return { error: `Scan ${index + 1} needs a valid scannedAt time` };
+  }
+
+  return {
+    scan: {
+      id,
+      code: normalizeCode(code),
+      scannedAt: time,
+      granted: granted === true,
+      reason: input.reason ? String(input.reason).substring(0, 50) : null,
+      message: input.message ? String(input.message).substring(0, 200) : null
+    }
+  };
+};
+
+// Counts an offline entry made at `scannedAt`. The pass must still have an entry
+// left and must not have been revoked or suspended before the scan. Cooldowns are
+// not re-checked: the gate enforced them against what it knew at the time.
+const applyOfflineEntry = (code, scannedAt, scannerId) => Barcode.findOneAndUpdate(
+  {
+    code,
+    used: false,
+    $and: [
+      { $or: [{ revokedAt: null }, { revokedAt: { $gt: scannedAt } }] },
+      { $or: [{ suspendedAt: null }, { suspendedAt: { $gt: scannedAt } }] },
+      { $expr: { $or: [{ $eq: ['$maxUses', 0] }, { $lt: [{ $ifNull: ['$useCount', 0] }, { $ifNull: ['$maxUses', 1] }] }] } }
+    ]
+  },
+  [
+    {
+      $set: {
+        useCount: { $add: [{ $ifNull: ['$useCount', 0] }, 1] },
+        // Scans from different gates arrive out of order; keep the latest entry
+        scannerId: { $cond: [{ $gte: [scannedAt, { $ifNull: ['$usedAt', scannedAt] }] }, { $literal: scannerId }, '$scannerId'] },
+        usedAt: { $max: [{ $ifNull: ['$usedAt', scannedAt] }, scannedAt] }
+      }
+    },
+    {
+      $set: {
+        used: {
+          $let: {
+            vars: { maxUses: { $ifNull: ['$maxUses', 1] } },
+            in: { $and: [{ $gt: ['$$maxUses', 0] }, { $gte: ['$useCount', '$$maxUses'] }] }
+          }
+        }
+      }
+    }
+  ],
+  { new: true }
+);
+
+// Why an offline entry could not be applied to the pass as it is now
+const explainConflict = (barcode, scannedAt) => {
+  if (!barcode) {
+    return { type: CONFLICTS.UNKNOWN_CODE, message: 'Admitted offline but no pass has this code' };
+  }
+
+  if (barcode.revokedAt && barcode.revokedAt <= scannedAt) {
+    return { type: CONFLICTS.REVOKED, message: `Admitted offline after the pass was revoked on ${barcode.revokedAt.toLocaleString()}` };
+  }
+
+  if (barcode.suspendedAt && barcode.suspendedAt <= scannedAt) {
+    return { type: CONFLICTS.SUSPENDED, message: `Admitted offline while the pass was suspended since ${barcode.suspendedAt.toLocaleString()}` };
+  }
+
+  const lastBy = barcode.scannerId ? ` (last entry by ${barcode.scannerId})` : '';
+  return { type: CONFLICTS.OVER_REDEEMED, message: `Admitted offline but all entries were already used${lastBy}` };
+};
+
+// Applies one queued scan and records it in the scan log. Returns a result row.
+// Scans from an exit gate are logged as exits and never use up an entry.
+const reconcileScan = async (scan, { scanner, now }) => {
+  const barcode = await Barcode.findOne({ code: scan.code }).lean();
+  const direction = scanner.direction === 'exit' ? 'exit' : 'entry';
+
+  // Claim the device's scan id first so a re-uploaded queue is never applied twice
+  let scanEvent;
+  try {
+    scanEvent = await ScanEvent.create({
+      code: scan.code,
+      barcode: barcode ? barcode._id : null,
+      outcome: scan.granted ? 'granted' : 'denied',
+      reason: scan.reason || (scan.granted ? REASONS.GRANTED : OFFLINE_DENIED),
+      message: scan.message,
+      direction,
+      source: 'offline-sync',
+      scannerId: scanner.name,
+      scanner: scanner._id,
+      timestamp: scan.scannedAt,
+      clientScanId: scan.id,
+      syncedAt: now
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { id: scan.id, code: scan.code, status: 'duplicate' };
+    }
+    throw error;
+  }
+
+  publishScan(scanEvent);
+
+  const decision = { granted: scan.granted, reason: scanEvent.reason, message: scan.message };
+  const webhookScan = { scannerId: scanner.name, source: 'offline-sync', scannedAt: scan.scannedAt };
+
+  // Denied scans and exits are only logged; exits have no webhook event
+  if (!scan.granted || direction === 'exit') {
+    if (direction === 'entry') {
+      await emitWebhookEvent('barcode.denied', scanEventData({ code: scan.code, barcode, decision }, webhookScan));
+    }
+    return { id: scan.id, code: scan.code, status: 'logged' };
+  }
+
+  const applied = await applyOfflineEntry(scan.code, scan.scannedAt, scanner.name);
+  if (applied) {
+    await emitWebhookEvent('barcode.redeemed', scanEventData({ code: scan.code, barcode: applied, decision }, webhookScan));
+    return { id: scan.id, code: scan.code, status: 'applied', useCount: applied.useCount };
+  }
+
+  const conflict = explainConflict(await Barcode.findOne({ code: scan.code }).lean(), scan.scannedAt);
+  await ScanEvent.updateOne({ _id: scanEvent._id }, { $set: { conflict } });
+  console.log('Offline sync conflict:', { code: scan.code, scanner: scanner.name, type: conflict.type });
+
+  return { id: scan.id, code: scan.code, status: 'conflict', conflict };
+};
+
+// Reconciles a device's queue in the order the scans happened.
+// Returns { results } with one row per scan, or { error } if the upload is invalid.
+const syncOfflineScans = async (scans, { scanner, now = new Date() }) => {
+  if (!Array.isArray(scans)) {
+    return { error: 'Send the queued scans as a "scans" array' };
+  }
+
+  if (scans.length > MAX_SYNC_SCANS) {
+    return { error: `At most ${MAX_SYNC_SCANS} scans can be synced at once` };
+  }
+
+  const parsed = [];
+  for (let index = 0; index < scans.length; index++) {
+    const { scan, error } = parseQueuedScan(scans[index], index);
+    if (error) return { error };
+    parsed.push(scan);
+  }
+
+  parsed.sort((a, b) => a.scannedAt - b.scannedAt);
+
+  const results = [];
+  for (const scan of parsed) {
+    results.push(await reconcileScan(scan, { scanner, now }));
+  }
+
+  return { results };
+};
+
+// Unresolved conflicts, newest first, for the admin review page
+const listOpenConflicts = () => ScanEvent.find({ 'conflict.type': { $ne: null }, 'conflict.resolvedAt': null })
+  .sort({ timestamp: -1 })
+  .lean();
+
+const countOpenConflicts = () => ScanEvent.countDocuments({ 'conflict.type': { $ne: null }, 'conflict.resolvedAt': null });
+
+// Marks a conflict reviewed. Returns the scan event, or null if there is no open conflict.
+const resolveConflict = async (id, actor) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return ScanEvent.findOneAndUpdate(
+    { _id: id, 'conflict.type': { $ne: null }, 'conflict.resolvedAt': null },
+    { $set: { 'conflict.resolvedAt': new Date(), 'conflict.resolvedBy': actor } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  MAX_SYNC_SCANS,
+  CONFLICTS,
+  toSnapshotPass,
+  buildSnapshot,
+  parseQueuedScan,
+  syncOfflineScans,
+  listOpenConflicts,
+  countOpenConflicts,
+  resolveConflict
+};
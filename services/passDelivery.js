@@ -0,0 +1,113 @@
+// services/passDelivery.js
+// Emails a pass to its holder: the QR code goes inline with the schedule and a
+// link to the pass page. Every attempt is recorded on barcode.delivery.
+
+const path = require('path');
+const ejs = require('ejs');
+const Barcode = require('../models/Barcode');
+const { getStatus, getEffectiveSchedule, getMaxUses } = require('./accessPolicy');
+const { formatActiveDays } = require('./schedule');
+const { getPassUrl, generateBarcodeImage } = require('./barcodeImage');
+const { getPayloadSigner } = require('./passSigning');
+const { populatePass } = require('./passLifecycle');
+const { isValidEmail, sendMail } = require('./mailer');
+const { getAvailableWallets } = require('./walletPass');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+const QR_CID = 'pass-qr@barcode-access';
+
+const renderTemplate = (name, locals) => ejs.renderFile(path.join(TEMPLATE_DIR, name), locals);
+
+const subjectFor = (barcode) => (
+  barcode.event ? `Your pass for ${barcode.event.name}` : `Your pass for ${barcode.issuedTo}`
+);
+
+// Builds the message for a populated pass: { subject, html, text, attachments }
+const buildPassEmail = async (barcode, baseUrl, payload) => {
+  const schedule = getEffectiveSchedule(barcode);
+  const qrImage = await generateBarcodeImage(payload, 'qrcode', baseUrl);
+  const locals = {
+    pass: barcode,
+    schedule,
+    activeDays: formatActiveDays(schedule),
+    maxUses: getMaxUses(barcode),
+    passUrl: getPassUrl(baseUrl, payload),
+    wallets: getAvailableWallets(),
+    qrCid: QR_CID
+  };
+
+  return {
+    subject: subjectFor(barcode),
+    html: await renderTemplate('pass.ejs', locals),
+    text: await renderTemplate('pass-text.ejs', locals),
+    attachments: [{
+      filename: `pass-${barcode.code}.png`,
+      content: qrImage,
+      contentType: 'image/png',
+      cid: QR_CID
+    }]
+  };
+};
+
+// Sends the pass to `to`, or to its recipientEmail; a new address is saved on the pass.
+// Returns { barcode } with the updated delivery record, or { error } (with
+// `barcode` too when the attempt was made and failed).
+const deliverPass = async (code, { baseUrl, actor = null, to, now = new Date() } = {}) => {
+  const barcode = await populatePass(Barcode.findOne({ code })).lean();
+
+  if (!barcode) {
+    return { error: `No barcode found with code ${code}` };
+  }
+
+  const recipient = to ? String(to).trim().toLowerCase() : barcode.recipientEmail;
+
+  if (!recipient) {
+    return { error: `Barcode ${code} has no recipient email` };
+  }
+
+  if (!isValidEmail(recipient)) {
+    return { error: 'Recipient email must be a valid address' };
+  }
+
+  const status = getStatus(barcode, now);
+  if (status !== 'active') {
+    return { error: `Barcode ${code} is ${status} and cannot be emailed` };
+  }
+
+  const delivery = { lastAttemptAt: now, sentTo: recipient, sentBy: actor };
+  let sendError = null;
+
+  try {
+    const payload = (await getPayloadSigner())(barcode);
+    const message = await buildPassEmail(barcode, baseUrl, payload);
+    const { messageId, transport } = await sendMail({ to: recipient, ...message });
+    Object.assign(delivery, { status: 'sent', sentAt: now, messageId, transport, error: null });
+  } catch (error) {
+    console.error('Pass email failed:', { code, to: recipient, error: error.message });
+    sendError = error.message;
+    Object.assign(delivery, { status: 'failed', error: sendError });
+  }
+
+  const $set = { recipientEmail: recipient };
+  Object.keys(delivery).forEach((field) => {
+    $set[`delivery.${field}`] = delivery[field];
+  });
+
+  const updated = await populatePass(Barcode.findOneAndUpdate(
+    { code },
+    { $set, $inc: { 'delivery.attempts': 1 } },
+    { new: true }
+  )).lean();
+
+  if (sendError) {
+    return { barcode: updated, error: `Email to ${recipient} failed: ${sendError}` };
+  }
+
+  return { barcode: updated };
+};
+
+module.exports = {
+  buildPassEmail,
+  deliverPass
+};
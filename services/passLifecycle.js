@@ -0,0 +1,178 @@
+// services/passLifecycle.js
+// Revoke, suspend, reinstate and reissue passes after they have been issued.
+// Each action is a single conditional update, so two admins acting on the same
+// pass at once cannot both succeed, and each one is recorded in the pass's
+// statusHistory with its reason and actor.
+//
+// Revocation is final. Suspension is a hold that reinstate lifts. Reissuing
+// revokes the old code and issues a linked replacement with the same details.
+
+const Barcode = require('../models/Barcode');
+const { generateUniqueCode, codeTypeFor } = require('./barcodeImage');
+const { saveWithUniqueCode } = require('./barcodeIssuer');
+const { serializePass, emitWebhookEvent } = require('./webhooks');
+
+const MAX_REASON_LENGTH = 200;
+
+// Why an action could not be applied; the API maps these to HTTP statuses
+const LIFECYCLE_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  ALREADY_REVOKED: 'ALREADY_REVOKED',
+  ALREADY_SUSPENDED: 'ALREADY_SUSPENDED',
+  NOT_SUSPENDED: 'NOT_SUSPENDED'
+};
+
+// Pass details a replacement carries over, including entries already used
+const REISSUED_FIELDS = [
+  'issuedTo',
+  'purpose',
+  'recipientEmail',
+  'expiresAt',
+  'event',
+  'activeDate',
+  'activeEndDate',
+  'activeTime',
+  'endTime',
+  'allowEarlyAccess',
+  'timezone',
+  'maxUses',
+  'useCount',
+  'used',
+  'usedAt',
+  'reentryCooldownMinutes'
+];
+
+const cleanReason = (reason) => {
+  const text = reason === undefined || reason === null ? '' : String(reason).trim();
+  return text ? text.substring(0, MAX_REASON_LENGTH) : null;
+};
+
+// What pass views and the API show: the event and the codes of linked passes
+const PASS_POPULATE = ['event', { path: 'replaces', select: 'code' }, { path: 'replacedBy', select: 'code' }];
+
+// Works on a query or a saved document
+const populatePass = (target) => target.populate(PASS_POPULATE);
+
+const historyEntry = (action, reason, actor, at) => ({ action, reason, actor: actor || null, at });
+
+// Explains why the conditional update matched nothing
+const explainMiss = async (code) => {
+  const barcode = await Barcode.findOne({ code }).lean();
+
+  if (!barcode) {
+    return { errorCode: LIFECYCLE_ERRORS.NOT_FOUND, error: `No barcode found with code ${code}` };
+  }
+
+  if (barcode.revokedAt) {
+    return { errorCode: LIFECYCLE_ERRORS.ALREADY_REVOKED, error: `Barcode ${code} is already revoked` };
+  }
+
+  if (barcode.suspendedAt) {
+    return { errorCode: LIFECYCLE_ERRORS.ALREADY_SUSPENDED, error: `Barcode ${code} is already suspended` };
+  }
+
+  return { errorCode: LIFECYCLE_ERRORS.NOT_SUSPENDED, error: `Barcode ${code} is not suspended` };
+};
+
+// Applies `update` to the pass only while it matches `conditions`.
+// Returns { barcode } populated with populatePass, or { error, errorCode }.
+const transition = async (code, conditions, update) => {
+  const barcode = await populatePass(Barcode.findOneAndUpdate({ code, ...conditions }, update, { new: true }));
+  return barcode ? { barcode } : explainMiss(code);
+};
+
+// Permanently voids a pass. Suspended passes can be revoked too.
+const revokePass = async (code, { reason, actor, now = new Date() } = {}) => {
+  const why = cleanReason(reason);
+  const result = await transition(code, { revokedAt: null }, {
+    $set: { revokedAt: now, revokedReason: why, revokedBy: actor || null },
+    $push: { statusHistory: historyEntry('revoked', why, actor, now) }
+  });
+
+  if (result.barcode) {
+    console.log('Barcode revoked:', { code, actor, reason: why });
+    await emitWebhookEvent('barcode.revoked', { barcode: serializePass(result.barcode, now) }, now);
+  }
+  return result;
+};
+
+// Puts a pass on hold; every gate denies it until it is reinstated
+const suspendPass = async (code, { reason, actor, now = new Date() } = {}) => {
+  const why = cleanReason(reason);
+  const result = await transition(code, { revokedAt: null, suspendedAt: null }, {
+    $set: { suspendedAt: now, suspendedReason: why, suspendedBy: actor || null },
+    $push: { statusHistory: historyEntry('suspended', why, actor, now) }
+  });
+
+  if (result.barcode) console.log('Barcode suspended:', { code, actor, reason: why });
+  return result;
+};
+
+// Lifts a suspension. Revoked passes stay revoked; reissue them instead.
+const reinstatePass = async (code, { reason, actor, now = new Date() } = {}) => {
+  const why = cleanReason(reason);
+  const result = await transition(code, { revokedAt: null, suspendedAt: { $ne: null } }, {
+    $set: { suspendedAt: null, suspendedReason: null, suspendedBy: null },
+    $push: { statusHistory: historyEntry('reinstated', why, actor, now) }
+  });
+
+  if (result.barcode) console.log('Barcode reinstated:', { code, actor });
+  return result;
+};
+
+// Issues a replacement with a new code and revokes the old one.
+// Returns { barcode: replacement, previous } or { error, errorCode }.
+const reissuePass = async (code, { reason, actor, now = new Date() } = {}) => {
+  const previous = await Barcode.findOne({ code }).lean();
+
+  if (!previous) {
+    return { errorCode: LIFECYCLE_ERRORS.NOT_FOUND, error: `No barcode found with code ${code}` };
+  }
+
+  if (previous.revokedAt) {
+    return { errorCode: LIFECYCLE_ERRORS.ALREADY_REVOKED, error: `Barcode ${code} is already revoked` };
+  }
+
+  // Numeric codes made for EAN-style printing get a numeric replacement
+  const codeType = codeTypeFor(previous.code);
+  const data = { code: generateUniqueCode(codeType), replaces: previous._id };
+  REISSUED_FIELDS.forEach((field) => {
+    if (previous[field] !== undefined) data[field] = previous[field];
+  });
+
+  const replacement = await saveWithUniqueCode(data, codeType);
+  const why = cleanReason(reason);
+
+  // Claim the old pass last: if another admin got there first, drop the replacement
+  const voided = await transition(code, { revokedAt: null }, {
+    $set: {
+      revokedAt: now,
+      revokedReason: why ? `Reissued as ${replacement.code}: ${why}` : `Reissued as ${replacement.code}`,
+      revokedBy: actor || null,
+      replacedBy: replacement._id
+    },
+    $push: { statusHistory: historyEntry('reissued', why, actor, now) }
+  });
+
+  if (!voided.barcode) {
+    await Barcode.deleteOne({ _id: replacement._id });
+    return voided;
+  }
+
+  await populatePass(replacement);
+  console.log('Barcode reissued:', { code, replacement: replacement.code, actor });
+
+  await emitWebhookEvent('barcode.revoked', { barcode: serializePass(voided.barcode, now), replacedBy: replacement.code }, now);
+  await emitWebhookEvent('barcode.created', { barcode: serializePass(replacement, now), replaces: code }, now);
+
+  return { barcode: replacement, previous: voided.barcode };
+};
+
+module.exports = {
+  LIFECYCLE_ERRORS,
+  populatePass,
+  revokePass,
+  suspendPass,
+  reinstatePass,
+  reissuePass
+};
@@ -0,0 +1,243 @@
+// services/passSigning.js
+// Signed QR payloads that gate devices can check without reaching MongoDB.
+//
+// A token looks like BAS1.<kid>.<claims>.<signature>: the claims are base64url
+// JSON and the signature (Ed25519 or HMAC-SHA256) covers everything before it.
+// Claims are kept short so the QR code stays scannable:
+//   c    pass code
+//   h    holder (issuedTo)
+//   iat  issued-at, Unix seconds
+//   exp  expiry, Unix seconds (omitted when the pass never expires)
+//   w    schedule window [firstDay, lastDay, startTime, endTime, timezone, earlyAccess]
+//        (omitted when the pass is valid on any day)
+//
+// Signing is on while there is an active key. Rotating creates a new active key
+// and retires the old one, which keeps verifying tokens it already signed.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SigningKey = require('../models/SigningKey');
+const { evaluateAccess, getEffectiveSchedule, REASONS } = require('./accessPolicy');
+
+const TOKEN_PREFIX = 'BAS1';
+
+const TOKEN_PATTERN = /^BAS1\.[0-9a-f]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const isSignedToken = (text) => typeof text === 'string' && TOKEN_PATTERN.test(text);
+
+// Fresh key material: { kid, publicKey, secret } as base64 strings
+const createKeyMaterial = (algorithm) => {
+  const kid = crypto.randomBytes(4).toString('hex');
+
+  if (algorithm === 'HS256') {
+    return { kid, publicKey: null, secret: crypto.randomBytes(32).toString('base64') };
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'der' }
+  });
+  return { kid, publicKey: publicKey.toString('base64'), secret: privateKey.toString('base64') };
+};
+
+const sign = (input, key) => {
+  if (key.algorithm === 'HS256') {
+    return crypto.createHmac('sha256', Buffer.from(key.secret, 'base64')).update(input).digest();
+  }
+
+  const privateKey = crypto.createPrivateKey({ key: Buffer.from(key.secret, 'base64'), format: 'der', type: 'pkcs8' });
+  return crypto.sign(null, Buffer.from(input), privateKey);
+};
+
+const isValidSignature = (input, signature, key) => {
+  if (key.algorithm === 'HS256') {
+    const expected = sign(input, key);
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const publicKey = crypto.createPublicKey({ key: Buffer.from(key.publicKey, 'base64'), format: 'der', type: 'spki' });
+  return crypto.verify(null, Buffer.from(input), publicKey, signature);
+};
+
+// Claims for a pass. Populate `event` first so an inherited schedule is signed in.
+const buildClaims = (barcode, now = new Date()) => {
+  const claims = { c: barcode.code, h: barcode.issuedTo, iat: toSeconds(now) };
+  const schedule = getEffectiveSchedule(barcode);
+
+  if (barcode.expiresAt) {
+    claims.exp = toSeconds(barcode.expiresAt);
+  }
+
+  if (schedule.firstDay) {
+    claims.w = [
+      schedule.firstDay,
+      schedule.lastDay,
+      schedule.startTime,
+      schedule.endTime,
+      schedule.timezone,
+      schedule.allowEarlyAccess ? 1 : 0
+    ];
+  }
+
+  return claims;
+};
+
+const signClaims = (claims, key) => {
+  const input = `${TOKEN_PREFIX}.${key.kid}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  return `${input}.${sign(input, key).toString('base64url')}`;
+};
+
+// Checks a token against `keys` (each { kid, algorithm, publicKey, secret }).
+// Returns { claims } or { error }.
+const verifyToken = (token, keys) => {
+  if (!isSignedToken(token)) {
+    return { error: 'Not a signed pass' };
+  }
+
+  const [, kid, encodedClaims, encodedSignature] = token.split('.');
+  const key = keys.find((candidate) => candidate.kid === kid);
+
+  if (!key) {
+    return { error: 'Signed with an unknown or deleted key' };
+  }
+
+  const input = `${TOKEN_PREFIX}.${kid}.${encodedClaims}`;
+  let valid = false;
+  try {
+    valid = isValidSignature(input, Buffer.from(encodedSignature, 'base64url'), key);
+  } catch (error) {
+    valid = false;
+  }
+
+  if (!valid) {
+    return { error: 'Signature does not match' };
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+    return claims && claims.c ? { claims } : { error: 'Signed pass has no code' };
+  } catch (error) {
+    return { error: 'Signed pass is malformed' };
+  }
+};
+
+const windowDay = (day) => (day ? new Date(`${day}T00:00:00Z`) : null);
+
+// The pass as far as the claims describe it, in the shape accessPolicy expects
+const claimsToPass = (claims) => {
+  const [firstDay, lastDay, startTime, endTime, timezone, early] = claims.w || [];
+
+  return {
+    code: claims.c,
+    issuedTo: claims.h,
+    expiresAt: claims.exp ? new Date(claims.exp * 1000) : null,
+    activeDate: windowDay(firstDay),
+    activeEndDate: windowDay(lastDay),
+    activeTime: startTime || null,
+    endTime: endTime || null,
+    timezone: timezone || null,
+    allowEarlyAccess: Boolean(early)
+  };
+};
+
+// Denial for a token that fails verification
+const invalidSignature = (error) => ({
+  granted: false,
+  reason: REASONS.INVALID_SIGNATURE,
+  message: `Signed pass could not be verified: ${error}`
+});
+
+// Offline check a gate device can run with the published keys: signature,
+// expiry and schedule. Usage counts and revocations need the server.
+const evaluateOfflineToken = (token, keys, now = new Date()) => {
+  const { claims, error } = verifyToken(token, keys);
+
+  if (error) {
+    return invalidSignature(error);
+  }
+
+  return { ...evaluateAccess(claimsToPass(claims), now), code: claims.c, issuedTo: claims.h };
+};
+
+// What gate devices need to verify tokens. An HS256 secret also signs passes,
+// so it is only included for registered scanner devices (`includeSecret`);
+// that is why Ed25519 is the default.
+const toPublishedKey = (key, { includeSecret = false } = {}) => ({
+  kid: key.kid,
+  algorithm: key.algorithm,
+  status: key.status,
+  publicKey: key.publicKey || null,
+  secret: includeSecret && key.algorithm === 'HS256' ? key.secret : undefined,
+  createdAt: key.createdAt
+});
+
+const findActiveKey = () => SigningKey.findOne({ status: 'active' }).select('+secret').lean();
+
+const findVerificationKeys = () => SigningKey.find().select('+secret').sort({ createdAt: -1 }).lean();
+
+// Returns a function mapping a pass to its QR payload: a signed token while a
+// key is active, otherwise the plain code. Load once per request or batch.
+const getPayloadSigner = async () => {
+  const key = await findActiveKey();
+  return key ? (barcode) => signClaims(buildClaims(barcode), key) : (barcode) => barcode.code;
+};
+
+// Verifies a token against every stored key. Returns { claims } or { error }.
+const verifySignedToken = async (token) => verifyToken(token, await findVerificationKeys());
+
+// Makes a new active key and retires the previous one
+const rotateSigningKey = async ({ algorithm = 'Ed25519', actor = null } = {}) => {
+  if (!SigningKey.ALGORITHMS.includes(algorithm)) {
+    return { error: `Algorithm must be one of: ${SigningKey.ALGORITHMS.join(', ')}` };
+  }
+
+  const key = await SigningKey.create({ ...createKeyMaterial(algorithm), algorithm, createdBy: actor });
+  await SigningKey.updateMany(
+    { _id: { $ne: key._id }, status: 'active' },
+    { $set: { status: 'retired', retiredAt: new Date() } }
+  );
+
+  console.log('Signing key rotated:', { kid: key.kid, algorithm, actor });
+  return { key };
+};
+
+// Stops signing with a key without replacing it, which turns signing off.
+// The key keeps verifying passes it already signed.
+const retireSigningKey = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return SigningKey.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { $set: { status: 'retired', retiredAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Only retired keys can be deleted; passes they signed stop verifying
+const deleteSigningKey = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return SigningKey.findOneAndDelete({ _id: id, status: 'retired' });
+};
+
+const listSigningKeys = () => SigningKey.find().sort({ createdAt: -1 }).lean();
+
+module.exports = {
+  TOKEN_PREFIX,
+  isSignedToken,
+  createKeyMaterial,
+  buildClaims,
+  signClaims,
+  verifyToken,
+  claimsToPass,
+  invalidSignature,
+  evaluateOfflineToken,
+  toPublishedKey,
+  findVerificationKeys,
+  getPayloadSigner,
+  verifySignedToken,
+  rotateSigningKey,
+  retireSigningKey,
+  deleteSigningKey,
+  listSigningKeys
+};
@@ -0,0 +1,264 @@
+// services/pngImage.js
+// Just enough PNG handling to put a logo in the middle of a QR code: decode the
+// barcode and logo to RGBA pixels, draw one over the other and encode the result.
+// Decoding is synchronous so a broken upload fails where it can be reported.
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Channels per pixel for each supported color type (8 bits per channel)
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const MAX_PIXELS = 4000 * 4000;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let index = 0; index < buffer.length; index++) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+};
+
+const isPng = (buffer) => Buffer.isBuffer(buffer) && buffer.length > 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+
+const readChunks = (buffer) => {
+  const chunks = { data: [] };
+  let position = 8;
+
+  while (position + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(position);
+    const type = buffer.toString('ascii', position + 4, position + 8);
+    const body = buffer.subarray(position + 8, position + 8 + length);
+
+    if (body.length !== length) {
+      throw new Error('PNG image is truncated');
+    }
+
+    if (type === 'IHDR') {
+      chunks.header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      chunks.palette = body;
+    } else if (type === 'tRNS') {
+      chunks.transparency = body;
+    } else if (type === 'IDAT') {
+      chunks.data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    position += length + 12;
+  }
+
+  return chunks;
+};
+
+// Reverses the per-row filters. Returns the raw samples without filter bytes.
+const unfilter = (data, width, height, channels) => {
+  const stride = width * channels;
+  const samples = Buffer.alloc(stride * height);
+
+  if (data.length < (stride + 1) * height) {
+    throw new Error('PNG image is truncated');
+  }
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const input = y * (stride + 1) + 1;
+    const row = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? samples[row + x - channels] : 0;
+      const up = y > 0 ? samples[row - stride + x] : 0;
+      const upLeft = x >= channels && y > 0 ? samples[row - stride + x - channels] : 0;
+      const value = data[input + x];
+
+      if (filter === 0) samples[row + x] = value;
+      else if (filter === 1) samples[row + x] = value + left;
+      else if (filter === 2) samples[row + x] = value + up;
+      else if (filter === 3) samples[row + x] = value + ((left + up) >> 1);
+      else if (filter === 4) samples[row + x] = value + paeth(left, up, upLeft);
+      else throw new Error(`PNG image uses an unknown row filter (${filter})`);
+    }
+  }
+
+  return samples;
+};
+
+// Decodes an 8-bit, non-interlaced PNG. Returns { width, height, pixels } with
+// pixels as RGBA bytes. Throws with a readable message for anything else.
+const decodePng = (buffer) => {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const { header, palette, transparency, data } = readChunks(buffer);
+
+  if (!header || data.length === 0) {
+    throw new Error('PNG image has no pixel data');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error('Only 8-bit, non-interlaced PNG images are supported');
+  }
+
+  if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+    throw new Error('PNG image is too large');
+  }
+
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG image is missing its palette');
+  }
+
+  const samples = unfilter(zlib.inflateSync(Buffer.concat(data)), width, height, channels);
+  const pixels = Buffer.alloc(width * height * 4);
+
+  for (let index = 0; index < width * height; index++) {
+    const sample = index * channels;
+    const pixel = index * 4;
+
+    if (colorType === 3) {
+      const entry = samples[sample];
+      palette.copy(pixels, pixel, entry * 3, entry * 3 + 3);
+      pixels[pixel + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      pixels.fill(samples[sample], pixel, pixel + 3);
+      pixels[pixel + 3] = colorType === 4 ? samples[sample + 1] : 255;
+    } else {
+      samples.copy(pixels, pixel, sample, sample + 3);
+      pixels[pixel + 3] = colorType === 6 ? samples[sample + 3] : 255;
+    }
+  }
+
+  return { width, height, pixels };
+};
+
+const chunk = (type, body) => {
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+
+  length.writeUInt32BE(body.length);
+  crc.writeUInt32BE(crc32(typed));
+  return Buffer.concat([length, typed, crc]);
+};
+
+// Encodes RGBA pixels as a PNG Buffer
+const encodePng = ({ width, height, pixels }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  const stride = width * 4;
+  const data = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(data, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(data)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// "FFFFFF" or "#FFFFFF" as [r, g, b]
+const parseHexColor = (hex) => {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Fills a `size` square at (left, top) with `background`, then draws `logo` in
+// it, `margin` pixels in from each edge, scaled to fit and keeping its shape.
+// Changes `image` in place.
+const overlayLogo = (image, logo, { left, top, size, margin, background }) => {
+  const [red, green, blue] = parseHexColor(background);
+
+  for (let y = top; y < top + size; y++) {
+    for (let x = left; x < left + size; x++) {
+      const pixel = (y * image.width + x) * 4;
+      image.pixels[pixel] = red;
+      image.pixels[pixel + 1] = green;
+      image.pixels[pixel + 2] = blue;
+      image.pixels[pixel + 3] = 255;
+    }
+  }
+
+  const room = size - margin * 2;
+  const ratio = Math.min(room / logo.width, room / logo.height);
+  const width = Math.max(1, Math.round(logo.width * ratio));
+  const height = Math.max(1, Math.round(logo.height * ratio));
+  const offsetX = left + margin + Math.floor((room - width) / 2);
+  const offsetY = top + margin + Math.floor((room - height) / 2);
+
+  // Each target pixel averages the logo pixels it covers, weighted by their alpha
+  for (let y = 0; y < height; y++) {
+    const fromY = Math.floor(y / ratio);
+    const toY = Math.min(logo.height, Math.max(fromY + 1, Math.floor((y + 1) / ratio)));
+
+    for (let x = 0; x < width; x++) {
+      const fromX = Math.floor(x / ratio);
+      const toX = Math.min(logo.width, Math.max(fromX + 1, Math.floor((x + 1) / ratio)));
+      let sum = [0, 0, 0];
+      let alpha = 0;
+      let count = 0;
+
+      for (let sy = fromY; sy < toY; sy++) {
+        for (let sx = fromX; sx < toX; sx++) {
+          const source = (sy * logo.width + sx) * 4;
+          const weight = logo.pixels[source + 3];
+          sum = sum.map((total, channel) => total + logo.pixels[source + channel] * weight);
+          alpha += weight;
+          count++;
+        }
+      }
+
+      if (alpha === 0) continue;
+
+      const coverage = alpha / count / 255;
+      const target = ((offsetY + y) * image.width + offsetX + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        const color = sum[channel] / alpha;
+        image.pixels[target + channel] = Math.round(color * coverage + image.pixels[target + channel] * (1 - coverage));
+      }
+    }
+  }
+
+  return image;
+};
+
+module.exports = {
+  isPng,
+  decodePng,
+  encodePng,
+  overlayLogo
+};
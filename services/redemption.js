@@ -0,0 +1,136 @@
+// services/redemption.js
+// Looks up a scanned code, evaluates it with the access policy and redeems it.
+// Redemption is a single conditional update that re-checks the usage policy
+// inside MongoDB, so two scanners racing on the same code can never both use
+// up the same entry.
+
+const Barcode = require('../models/Barcode');
+const { evaluateAccess, REASONS } = require('./accessPolicy');
+const { isSignedToken, verifySignedToken, invalidSignature } = require('./passSigning');
+
+// A lost race is re-evaluated against the winner's state; this bounds the retries
+const MAX_ATTEMPTS = 3;
+
+// QR codes hold a holder pass link; older ones hold a staff scan link
+const SCAN_PATHS = ['/pass/', '/mobile-scan/'];
+
+const normalizeCode = (rawCode) => String(rawCode).trim().toUpperCase();
+
+// Scanners read the whole QR content, which may be a pass or scan URL around the code
+const stripScanUrl = (text) => {
+  const path = SCAN_PATHS.find((candidate) => text.includes(candidate));
+  if (!path) return text;
+
+  const index = text.lastIndexOf(path);
+  const segment = text.substring(index + path.length).split(/[?#]/)[0];
+
+  // A malformed escape is just an unknown code, not a server error
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+// Accepts a plain code or a signed token, bare or inside a pass or scan URL.
+// Returns { code } or, for a token that fails verification, { code: token, error }.
+const readScannedCode = async (rawCode) => {
+  const text = stripScanUrl(String(rawCode).trim());
+
+  if (!isSignedToken(text)) {
+    return { code: normalizeCode(text) };
+  }
+
+  const { claims, error } = await verifySignedToken(text);
+  return error ? { code: text, error } : { code: normalizeCode(claims.c) };
+};
+
+// Matches the barcode only while it still has an entry available at `now`
+const buildRedemptionFilter = (barcode, now) => {
+  const filter = { _id: barcode._id, used: false, revokedAt: null, suspendedAt: null };
+
+  if (barcode.maxUses > 0) {
+    filter.$expr = { $lt: [{ $ifNull: ['$useCount', 0] }, barcode.maxUses] };
+  }
+
+  if (barcode.reentryCooldownMinutes > 0) {
+    const cutoff = new Date(now.getTime() - barcode.reentryCooldownMinutes * 60 * 1000);
+    filter.$or = [{ usedAt: null }, { usedAt: { $lte: cutoff } }];
+  }
+
+  return filter;
+};
+
+// Pipeline update: count the entry, then flag the pass as used once it is exhausted
+const buildRedemptionUpdate = (now, scannerId) => [
+  {
+    $set: {
+      useCount: { $add: [{ $ifNull: ['$useCount', 0] }, 1] },
+      usedAt: now,
+      scannerId
+    }
+  },
+  {
+    $set: {
+      used: {
+        $let: {
+          vars: { maxUses: { $ifNull: ['$maxUses', 1] } },
+          in: { $and: [{ $gt: ['$$maxUses', 0] }, { $gte: ['$useCount', '$$maxUses'] }] }
+        }
+      }
+    }
+  }
+];
+
+// Passes inherit their schedule from the event, so it is always loaded with them
+const withEvent = (query) => query.populate('event');
+
+// Returns { code, barcode, decision }. On success `barcode` is the redeemed document;
+// when another scanner won the race it is the winner's version of the document.
+const redeemCode = async (rawCode, { scannerId = null, now = new Date() } = {}) => {
+  const { code, error } = await readScannedCode(rawCode);
+
+  if (error) {
+    return { code, barcode: null, decision: invalidSignature(error) };
+  }
+
+  let barcode = await withEvent(Barcode.findOne({ code }));
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const decision = evaluateAccess(barcode, now);
+
+    if (!decision.granted) {
+      return { code, barcode, decision };
+    }
+
+    const redeemed = await withEvent(Barcode.findOneAndUpdate(
+      buildRedemptionFilter(barcode, now),
+      buildRedemptionUpdate(now, scannerId),
+      { new: true }
+    ));
+
+    if (redeemed) {
+      return { code, barcode: redeemed, decision };
+    }
+
+    // Lost the race: re-read and report the redemption that actually happened
+    barcode = await withEvent(Barcode.findById(barcode._id));
+    console.log('Redemption race lost:', { code, scannerId, winner: barcode && barcode.scannerId });
+  }
+
+  return {
+    code,
+    barcode,
+    decision: {
+      granted: false,
+      reason: REASONS.USED,
+      message: 'Access code is being redeemed at another gate. Please scan again.'
+    }
+  };
+};
+
+module.exports = {
+  normalizeCode,
+  readScannedCode,
+  redeemCode
+};
@@ -0,0 +1,72 @@
+// services/scanLog.js
+// Writes a ScanEvent for every scan attempt. Logging failures are reported
+// but never change the access decision the guest receives. Each recorded scan
+// is also published on `scanFeed` for live dashboards in this process.
+
+const EventEmitter = require('events');
+const ScanEvent = require('../models/ScanEvent');
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+const scanFeed = new EventEmitter();
+// Every open live dashboard adds a listener
+scanFeed.setMaxListeners(0);
+
+// Announces a logged scan: { code, outcome, reason, direction, scannerId, timestamp }
+const publishScan = (event) => {
+  scanFeed.emit('scan', {
+    code: event.code,
+    outcome: event.outcome,
+    reason: event.reason,
+    direction: event.direction || 'entry',
+    scannerId: event.scannerId || null,
+    timestamp: event.timestamp
+  });
+};
+
+const recordScanEvent = async ({ code, barcode, decision, source, direction = 'entry', scannerId = null, scanner = null, req }) => {
+  try {
+    const userAgent = req ? req.get('User-Agent') : null;
+
+    const event = await ScanEvent.create({
+      code,
+      barcode: barcode ? barcode._id : null,
+      outcome: decision.granted ? 'granted' : 'denied',
+      reason: decision.reason,
+      message: decision.message,
+      direction,
+      source,
+      scannerId,
+      scanner: scanner ? scanner._id : null,
+      ip: req ? req.ip : null,
+      userAgent: userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null
+    });
+
+    publishScan(event);
+  } catch (error) {
+    console.error('Failed to record scan event:', error);
+  }
+};
+
+// Full timeline for one code, newest first, plus denied-attempt counts by reason
+const getScanHistory = async (code) => {
+  const events = await ScanEvent.find({ code })
+    .sort({ timestamp: -1 })
+    .lean();
+
+  const deniedByReason = {};
+  events
+    .filter((event) => event.outcome === 'denied')
+    .forEach((event) => {
+      deniedByReason[event.reason] = (deniedByReason[event.reason] || 0) + 1;
+    });
+
+  return { events, deniedByReason };
+};
+
+module.exports = {
+  scanFeed,
+  publishScan,
+  recordScanEvent,
+  getScanHistory
+};
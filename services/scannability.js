@@ -0,0 +1,92 @@
+// services/scannability.js
+// Catches barcodes that gate scanners will not read before they are handed out:
+// colors are checked for contrast up front, and rendered QR codes are decoded
+// again to make sure they carry what was encoded.
+
+const jsQR = require('jsqr');
+const { decodePng } = require('./pngImage');
+
+// WCAG contrast ratios between bar and background colors. Below the minimum,
+// scanners fail regularly; below the recommended ratio, in poor light.
+const MIN_CONTRAST = 3;
+const RECOMMENDED_CONTRAST = 4.5;
+
+const COLOR_FIELDS = {
+  background: { label: 'Background color', fallback: 'FFFFFF' },
+  foreground: { label: 'Barcode color', fallback: '000000' },
+  border: { label: 'Border color', fallback: '000000' }
+};
+
+// "#1a2B3c" or "1a2B3c" as "1A2B3C", or null
+const normalizeHex = (value) => {
+  const text = String(value).trim().replace(/^#/, '');
+  return /^[0-9A-F]{6}$/i.test(text) ? text.toUpperCase() : null;
+};
+
+// WCAG relative luminance of a normalized hex color, from 0 (black) to 1 (white)
+const luminance = (hex) => {
+  const [red, green, blue] = [0, 2, 4].map((start) => {
+    const channel = parseInt(hex.substring(start, start + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+const contrastRatio = (first, second) => {
+  const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Checks colors from a form, query string or preset. Missing colors get the
+// black-on-white defaults. Returns { colors, contrast, warnings } with colors as
+// bare hex, or { error } for bad hex values and unreadable combinations.
+const checkColors = (input = {}) => {
+  const colors = {};
+
+  for (const [field, { label, fallback }] of Object.entries(COLOR_FIELDS)) {
+    const value = input[field];
+    colors[field] = value === undefined || value === null || value === '' ? fallback : normalizeHex(value);
+
+    if (!colors[field]) {
+      return { error: `${label} must be a hex color like #1A2B3C` };
+    }
+  }
+
+  const contrast = contrastRatio(colors.foreground, colors.background);
+  const shown = `${contrast.toFixed(1)}:1`;
+
+  if (contrast < MIN_CONTRAST) {
+    return { error: `Barcode and background colors are too close to scan (contrast ${shown}, at least ${MIN_CONTRAST}:1 is needed)` };
+  }
+
+  const warnings = [];
+
+  if (luminance(colors.foreground) > luminance(colors.background)) {
+    warnings.push('Light bars on a dark background make an inverted code, which many gate scanners cannot read');
+  }
+
+  if (contrast < RECOMMENDED_CONTRAST) {
+    warnings.push(`Contrast is low (${shown}) and may not scan in poor light; ${RECOMMENDED_CONTRAST}:1 or more is safer`);
+  }
+
+  return { colors, contrast, warnings };
+};
+
+// Decodes a rendered QR code PNG. Returns its text, or null if it cannot be read.
+const readQrCode = (png) => {
+  const { width, height, pixels } = decodePng(png);
+  const result = jsQR(new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.length), width, height);
+  return result ? result.data : null;
+};
+
+// True when the QR code PNG reads back as `expected`
+const isReadableQrCode = (png, expected) => readQrCode(png) === expected;
+
+module.exports = {
+  MIN_CONTRAST,
+  RECOMMENDED_CONTRAST,
+  contrastRatio,
+  checkColors,
+  readQrCode,
+  isReadableQrCode
+};
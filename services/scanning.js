@@ -0,0 +1,62 @@
+// services/scanning.js
+// The full handling of one scan attempt from any entry point: redeem the
+// code through the access policy (or record an exit), write the attempt to
+// the audit log and tell webhook subscribers about entries.
+
+const { redeemCode } = require('./redemption');
+const { recordScanEvent } = require('./scanLog');
+const { DIRECTIONS, checkExit } = require('./occupancy');
+const { scanEventData, emitWebhookEvent } = require('./webhooks');
+
+// Who is admitting the guest: a registered scanner device, else the signed-in staff member
+const getScannerId = (req) => {
+  if (req.scanner) return req.scanner.name;
+  if (req.user) return req.user.username;
+  return null;
+};
+
+// Scanner devices scan the way their gate is set up; staff pick exit mode per scan
+const getDirection = (req, requested) => {
+  if (DIRECTIONS.includes(requested)) return requested;
+  return req.scanner && req.scanner.direction === 'exit' ? 'exit' : 'entry';
+};
+
+// Run a scanned code through the shared access policy, redeem it atomically
+// and record the attempt in the scan audit log. Exits are only recorded.
+const processScan = async (rawCode, req, source, requestedDirection) => {
+  const scannerId = getScannerId(req);
+  const direction = getDirection(req, requestedDirection);
+  const scan = direction === 'exit'
+    ? await checkExit(rawCode)
+    : await redeemCode(rawCode, { scannerId });
+
+  console.log('Access decision:', { code: rawCode, reason: scan.decision.reason, direction, scannerId });
+
+  await recordScanEvent({
+    code: scan.code,
+    barcode: scan.barcode,
+    decision: scan.decision,
+    source,
+    direction,
+    scannerId,
+    scanner: req.scanner,
+    req
+  });
+
+  // Exits neither redeem nor deny a pass, so they have no webhook event.
+  // Only the delivery rows are written here; receivers are called in the background.
+  if (direction === 'entry') {
+    await emitWebhookEvent(
+      scan.decision.granted ? 'barcode.redeemed' : 'barcode.denied',
+      scanEventData(scan, { scannerId, source })
+    );
+  }
+
+  return { ...scan, direction };
+};
+
+module.exports = {
+  getScannerId,
+  getDirection,
+  processScan
+};
@@ -0,0 +1,135 @@
+// services/schedule.js
+// Calendar and clock helpers for access schedules. A schedule is a range of
+// calendar days ("YYYY-MM-DD") with the same daily window on each day, read in
+// an IANA timezone. A window whose end is before its start runs overnight,
+// e.g. 22:00-02:00 opens on each scheduled day and closes the next morning.
+
+const moment = require('moment');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const TIMEZONES = Intl.supportedValuesOf('timeZone');
+
+// A 24-hour "HH:MM" daily time
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Dates picked in a form ("2024-06-15") are stored as UTC midnight, so the
+// UTC calendar date is the day that was chosen
+const toDay = (date) => new Date(date).toISOString().substring(0, 10);
+
+const addDays = (day, count) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return toDay(date);
+};
+
+// Wall-clock day and "HH:MM" of an instant in the given timezone
+const getLocalTime = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+const formatDay = (day) => moment.utc(day).format('ddd D MMM YYYY');
+
+// "Sat 15 Jun 2024" or "Sat 15 Jun 2024 – Sun 16 Jun 2024" for a schedule's
+// days, or null when it is valid on any day
+const formatActiveDays = (schedule) => {
+  if (!schedule.firstDay) return null;
+  return schedule.firstDay === schedule.lastDay
+    ? formatDay(schedule.firstDay)
+    : `${formatDay(schedule.firstDay)} – ${formatDay(schedule.lastDay)}`;
+};
+
+const isOvernight = ({ startTime, endTime }) => endTime < startTime;
+
+// The day the last window closes on: the day after lastDay for overnight windows
+const getClosingDay = (schedule) => (isOvernight(schedule) ? addDays(schedule.lastDay, 1) : schedule.lastDay);
+
+// The instant a wall-clock day and "HH:MM" happen in the given timezone
+const toInstant = (day, time, timezone) => {
+  const wall = Date.parse(`${day}T${time}:00Z`);
+  const offsetAt = (instant) => {
+    const local = getLocalTime(new Date(instant), timezone);
+    return Date.parse(`${local.day}T${local.time}:00Z`) - instant;
+  };
+  // The second pass settles instants near a daylight saving change
+  return new Date(wall - offsetAt(wall - offsetAt(wall)));
+};
+
+// When the first window opens and the last one closes, or null for a schedule
+// that is valid on any day
+const getScheduleBounds = (schedule) => {
+  if (!schedule.firstDay) return null;
+  return {
+    opensAt: toInstant(schedule.firstDay, schedule.startTime, schedule.timezone),
+    closesAt: toInstant(getClosingDay(schedule), schedule.endTime, schedule.timezone)
+  };
+};
+
+// Where a local { day, time } falls in the schedule. Returns { open: true } inside a
+// window, otherwise { open: false, opensOn } where opensOn is the day the next window
+// opens, or null once the schedule is over.
+const locate = (schedule, { day, time }) => {
+  const { firstDay, lastDay, startTime, endTime } = schedule;
+  const scheduled = (candidate) => candidate >= firstDay && candidate <= lastDay;
+
+  if (isOvernight(schedule)) {
+    if ((scheduled(day) && time >= startTime) || (scheduled(addDays(day, -1)) && time <= endTime)) {
+      return { open: true };
+    }
+  } else if (scheduled(day) && time >= startTime && time <= endTime) {
+    return { open: true };
+  }
+
+  if (day < firstDay) return { open: false, opensOn: firstDay };
+  if (scheduled(day) && time < startTime) return { open: false, opensOn: day };
+  if (day < lastDay) return { open: false, opensOn: addDays(day, 1) };
+  return { open: false, opensOn: null };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIMEZONES,
+  TIME_PATTERN,
+  isValidTimezone,
+  toDay,
+  addDays,
+  getLocalTime,
+  formatDay,
+  formatActiveDays,
+  isOvernight,
+  getClosingDay,
+  toInstant,
+  getScheduleBounds,
+  locate
+};
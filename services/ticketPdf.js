@@ -0,0 +1,217 @@
+// services/ticketPdf.js
+// Renders printable tickets and badges as PDF using the same QR images as
+// /download/:code. Three layouts:
+//   single - one A6 ticket per page
+//   sheet  - A4 pages of credit-card sized badges (2 x 5)
+//   label  - one 4x6 inch shipping-label sized ticket per page
+
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const TicketTemplate = require('../models/TicketTemplate');
+const { generateBarcodeImage } = require('./barcodeImage');
+const { getEffectiveSchedule } = require('./accessPolicy');
+const { formatDay } = require('./schedule');
+
+const MM = 72 / 25.4;
+
+const LAYOUTS = {
+  single: { page: 'A6', card: null },
+  label: { page: [4 * 72, 6 * 72], card: null },
+  sheet: { page: 'A4', card: { width: 85.6 * MM, height: 54 * MM, columns: 2, rows: 5, gap: 4 * MM } }
+};
+
+// Used when no template is stored or chosen
+const DEFAULT_TEMPLATE = {
+  heading: 'ACCESS PASS',
+  subheading: null,
+  accentColor: '#0D6EFD',
+  footerText: null,
+  showPurpose: true,
+  showSchedule: true,
+  showCode: true
+};
+
+const scheduleLines = (barcode) => {
+  const schedule = getEffectiveSchedule(barcode);
+  if (!schedule.firstDay) return ['Valid any day'];
+
+  const firstDay = formatDay(schedule.firstDay);
+  const lastDay = formatDay(schedule.lastDay);
+
+  return [
+    firstDay === lastDay ? firstDay : `${firstDay} – ${lastDay}`,
+    `${schedule.startTime} – ${schedule.endTime} (${schedule.timezone})`
+  ];
+};
+
+// A populated event's own template, if it has one
+const getEventTemplate = (barcode) => {
+  const { event } = barcode;
+  return event && event.ticketTemplate && event.ticketTemplate.name ? event.ticketTemplate : null;
+};
+
+const withHash = (color) => (color.startsWith('#') ? color : `#${color}`);
+
+// Tall ticket: heading band, large QR, holder details underneath
+const drawTicket = (doc, barcode, qr, template, { x, y, width, height }) => {
+  const padding = width * 0.08;
+  const bandHeight = height * 0.12;
+  const accent = withHash(template.accentColor);
+
+  doc.save();
+  doc.rect(x, y, width, bandHeight).fill(accent);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(bandHeight * 0.4)
+    .text(template.heading, x, y + bandHeight * 0.3, { width, align: 'center', lineBreak: false });
+
+  let cursor = y + bandHeight + padding * 0.6;
+
+  if (template.subheading) {
+    doc.fillColor('#333333').font('Helvetica').fontSize(10)
+      .text(template.subheading, x + padding, cursor, { width: width - padding * 2, align: 'center' });
+    cursor = doc.y + 4;
+  }
+
+  const qrSize = Math.min(width - padding * 2, height * 0.45);
+  doc.image(qr, x + (width - qrSize) / 2, cursor, { width: qrSize, height: qrSize });
+  cursor += qrSize + padding * 0.5;
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+    .text(barcode.issuedTo, x + padding, cursor, { width: width - padding * 2, align: 'center' });
+
+  doc.font('Helvetica').fontSize(10).fillColor('#333333');
+  if (template.showPurpose && barcode.purpose) {
+    doc.text(barcode.purpose, { width: width - padding * 2, align: 'center' });
+  }
+  if (template.showSchedule) {
+    doc.moveDown(0.4);
+    scheduleLines(barcode).forEach((line) => doc.text(line, { width: width - padding * 2, align: 'center' }));
+  }
+
+  const footer = [template.footerText, template.showCode ? barcode.code : null].filter(Boolean);
+  if (footer.length > 0) {
+    doc.fontSize(7).fillColor('#666666')
+      .text(footer.join('  •  '), x + padding, y + height - padding - 10, { width: width - padding * 2, align: 'center', lineBreak: false });
+  }
+  doc.restore();
+};
+
+// Wide badge: QR on the left, details on the right
+const drawBadge = (doc, barcode, qr, template, { x, y, width, height }) => {
+  const padding = 3 * MM;
+  const bandHeight = height * 0.2;
+  const accent = withHash(template.accentColor);
+
+  doc.save();
+  doc.lineWidth(0.5).strokeColor('#BBBBBB').rect(x, y, width, height).stroke();
+  doc.rect(x, y, width, bandHeight).fill(accent);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(bandHeight * 0.45)
+    .text(template.heading, x + padding, y + bandHeight * 0.28, { width: width - padding * 2, lineBreak: false });
+
+  const qrSize = height - bandHeight - padding * 2;
+  doc.image(qr, x + padding, y + bandHeight + padding, { width: qrSize, height: qrSize });
+
+  const textX = x + padding * 2 + qrSize;
+  const textWidth = width - (textX - x) - padding;
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(11)
+    .text(barcode.issuedTo, textX, y + bandHeight + padding, { width: textWidth, height: 28, ellipsis: true });
+
+  doc.font('Helvetica').fontSize(7.5).fillColor('#333333');
+  if (template.showPurpose && barcode.purpose) {
+    doc.text(barcode.purpose, { width: textWidth, height: 20, ellipsis: true });
+  }
+  if (template.showSchedule) {
+    scheduleLines(barcode).forEach((line) => doc.text(line, { width: textWidth }));
+  }
+  if (template.showCode) {
+    doc.fontSize(5).fillColor('#666666')
+      .text(barcode.code, textX, y + height - padding - 6, { width: textWidth, lineBreak: false });
+  }
+  doc.restore();
+};
+
+// Streams a PDF for `barcodes` to `output` and resolves once it is fully written.
+// Each ticket uses `template` when one was chosen, else its event's template, else `defaultTemplate`.
+// `payloadFor` picks what each QR code carries (see passSigning.getPayloadSigner).
+const writeTicketsPdf = async (barcodes, {
+  layout = 'single',
+  template = null,
+  defaultTemplate = null,
+  baseUrl,
+  payloadFor = (barcode) => barcode.code
+}, output) => {
+  const settings = LAYOUTS[layout];
+  if (!settings) {
+    throw new Error(`Unknown ticket layout "${layout}"`);
+  }
+
+  const templateFor = (barcode) => ({
+    ...DEFAULT_TEMPLATE,
+    ...(template || getEventTemplate(barcode) || defaultTemplate || {})
+  });
+  const doc = new PDFDocument({ size: settings.page, margin: 0, autoFirstPage: false });
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    doc.on('error', reject);
+  });
+
+  doc.pipe(output);
+
+  const images = [];
+  for (const barcode of barcodes) {
+    images.push(await generateBarcodeImage(payloadFor(barcode), 'qrcode', baseUrl));
+  }
+
+  if (settings.card) {
+    const { card } = settings;
+    const perPage = card.columns * card.rows;
+
+    barcodes.forEach((barcode, index) => {
+      if (index % perPage === 0) doc.addPage();
+
+      const { width: pageWidth, height: pageHeight } = doc.page;
+      const gridWidth = card.columns * card.width + (card.columns - 1) * card.gap;
+      const gridHeight = card.rows * card.height + (card.rows - 1) * card.gap;
+      const slot = index % perPage;
+      const column = slot % card.columns;
+      const row = Math.floor(slot / card.columns);
+
+      drawBadge(doc, barcode, images[index], templateFor(barcode), {
+        x: (pageWidth - gridWidth) / 2 + column * (card.width + card.gap),
+        y: (pageHeight - gridHeight) / 2 + row * (card.height + card.gap),
+        width: card.width,
+        height: card.height
+      });
+    });
+  } else {
+    barcodes.forEach((barcode, index) => {
+      doc.addPage();
+      drawTicket(doc, barcode, images[index], templateFor(barcode), {
+        x: 0,
+        y: 0,
+        width: doc.page.width,
+        height: doc.page.height
+      });
+    });
+  }
+
+  doc.end();
+  await finished;
+};
+
+// The template picked in a form, or null
+const findTicketTemplate = async (templateId) => {
+  if (!templateId || !mongoose.Types.ObjectId.isValid(templateId)) return null;
+  return TicketTemplate.findById(templateId).lean();
+};
+
+// The template marked as default, or null for the built-in look
+const findDefaultTicketTemplate = () => TicketTemplate.findOne({ isDefault: true }).lean();
+
+module.exports = {
+  LAYOUTS: Object.keys(LAYOUTS),
+  DEFAULT_TEMPLATE,
+  findTicketTemplate,
+  findDefaultTicketTemplate,
+  writeTicketsPdf
+};
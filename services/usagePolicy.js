@@ -0,0 +1,42 @@
+// services/usagePolicy.js
+// Turns the usage-policy fields submitted with a new pass into Barcode fields.
+
+const USAGE_MODES = ['single', 'limited', 'unlimited'];
+
+const MAX_ENTRIES = 1000;
+const MAX_COOLDOWN_MINUTES = 24 * 60;
+
+// Returns { maxUses, reentryCooldownMinutes } or { error } for invalid input
+const parseUsagePolicy = ({ usageMode = 'single', maxUses, reentryCooldownMinutes } = {}) => {
+  if (!USAGE_MODES.includes(usageMode)) {
+    return { error: `Unknown usage mode "${usageMode}"` };
+  }
+
+  let cooldown = 0;
+  if (reentryCooldownMinutes !== undefined && reentryCooldownMinutes !== '') {
+    cooldown = Number(reentryCooldownMinutes);
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+      return { error: `Re-entry cooldown must be between 0 and ${MAX_COOLDOWN_MINUTES} minutes` };
+    }
+  }
+
+  if (usageMode === 'single') {
+    return { maxUses: 1, reentryCooldownMinutes: 0 };
+  }
+
+  if (usageMode === 'unlimited') {
+    return { maxUses: 0, reentryCooldownMinutes: cooldown };
+  }
+
+  const entries = Number(maxUses);
+  if (!Number.isInteger(entries) || entries < 1 || entries > MAX_ENTRIES) {
+    return { error: `Number of entries must be between 1 and ${MAX_ENTRIES}` };
+  }
+
+  return { maxUses: entries, reentryCooldownMinutes: cooldown };
+};
+
+module.exports = {
+  USAGE_MODES,
+  parseUsagePolicy
+};
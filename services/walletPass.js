@@ -0,0 +1,326 @@
+// services/walletPass.js
+// Wallet versions of a pass: an Apple Wallet .pkpass bundle and a Google Wallet
+// "save" link. Both carry the same QR payload as the printed code, so gates
+// treat them alike.
+//
+// Configuration (certificate and key settings are file paths to PEM or JSON):
+//   WALLET_ORGANIZATION         name shown on passes
+//   WALLET_UNSIGNED=true        test mode: unsigned passes, no certificates needed
+//   APPLE_PASS_TYPE_ID, APPLE_TEAM_ID
+//   APPLE_PASS_CERT, APPLE_PASS_KEY, APPLE_PASS_KEY_PASSPHRASE, APPLE_WWDR_CERT
+//   GOOGLE_WALLET_ISSUER_ID, GOOGLE_WALLET_CLASS_SUFFIX, GOOGLE_WALLET_KEY_FILE
+//
+// Unsigned .pkpass files have no signature, so iPhones refuse them, and unsigned
+// Google links use alg "none"; both are meant for building and testing offline.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const archiver = require('archiver');
+const forge = require('node-forge');
+const { getStatus, getEffectiveSchedule, getMaxUses } = require('./accessPolicy');
+const { formatActiveDays, getScheduleBounds } = require('./schedule');
+const { getPassUrl } = require('./barcodeImage');
+const { encodePng } = require('./pngImage');
+
+const GOOGLE_SAVE_URL = 'https://pay.google.com/gp/v/save/';
+
+const PASS_COLORS = { background: [102, 126, 234], foreground: [255, 255, 255], label: [226, 232, 255] };
+
+const UNSIGNED_APPLE = { passTypeId: 'pass.test.barcode-access', teamId: 'UNSIGNED' };
+const UNSIGNED_GOOGLE = { issuerId: '3388000000000000000', classSuffix: 'barcode-access-test', clientEmail: 'unsigned@wallet.test' };
+
+const isTrue = (value) => value === true || value === 'true';
+
+const readFile = (file, label) => {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read ${label} at ${file}: ${error.message}`);
+  }
+};
+
+const isAppleConfigured = (env) => Boolean(
+  env.APPLE_PASS_TYPE_ID && env.APPLE_TEAM_ID && env.APPLE_PASS_CERT && env.APPLE_PASS_KEY && env.APPLE_WWDR_CERT
+);
+
+const isGoogleConfigured = (env) => Boolean(
+  env.GOOGLE_WALLET_ISSUER_ID && env.GOOGLE_WALLET_CLASS_SUFFIX && env.GOOGLE_WALLET_KEY_FILE
+);
+
+// Which wallet buttons to offer, without reading any key files
+const getAvailableWallets = (env = process.env) => ({
+  apple: isTrue(env.WALLET_UNSIGNED) || isAppleConfigured(env),
+  google: isTrue(env.WALLET_UNSIGNED) || isGoogleConfigured(env)
+});
+
+// Reads the settings above. Returns { unsigned, organization, apple, google } where
+// apple and google are null when their signing settings are incomplete.
+const getWalletConfig = (env = process.env) => {
+  const unsigned = isTrue(env.WALLET_UNSIGNED);
+  const organization = env.WALLET_ORGANIZATION || 'Barcode Access System';
+
+  return {
+    unsigned,
+    organization,
+    apple: isAppleConfigured(env) ? {
+      passTypeId: env.APPLE_PASS_TYPE_ID,
+      teamId: env.APPLE_TEAM_ID,
+      certificate: readFile(env.APPLE_PASS_CERT, 'APPLE_PASS_CERT'),
+      key: readFile(env.APPLE_PASS_KEY, 'APPLE_PASS_KEY'),
+      keyPassphrase: env.APPLE_PASS_KEY_PASSPHRASE || null,
+      wwdr: readFile(env.APPLE_WWDR_CERT, 'APPLE_WWDR_CERT')
+    } : null,
+    google: isGoogleConfigured(env) ? (() => {
+      const account = JSON.parse(readFile(env.GOOGLE_WALLET_KEY_FILE, 'GOOGLE_WALLET_KEY_FILE'));
+      return {
+        issuerId: env.GOOGLE_WALLET_ISSUER_ID,
+        classSuffix: env.GOOGLE_WALLET_CLASS_SUFFIX,
+        clientEmail: account.client_email,
+        privateKey: account.private_key
+      };
+    })() : null
+  };
+};
+
+// What both wallets show, from a pass with its event populated
+const describePass = (barcode, { baseUrl, payload, now = new Date() }) => {
+  const schedule = getEffectiveSchedule(barcode);
+  const bounds = getScheduleBounds(schedule);
+  const maxUses = getMaxUses(barcode);
+  const event = barcode.event || null;
+
+  // The pass stops working at whichever comes first: expiry or the last window closing
+  const ends = [bounds ? bounds.closesAt : null, barcode.expiresAt ? new Date(barcode.expiresAt) : null].filter(Boolean);
+
+  return {
+    code: barcode.code,
+    holder: barcode.issuedTo,
+    purpose: barcode.purpose || null,
+    eventName: event ? event.name : null,
+    venue: event ? event.venue || null : null,
+    days: formatActiveDays(schedule) || 'Any day',
+    window: `${schedule.startTime} – ${schedule.endTime} (${schedule.timezone})`,
+    entries: maxUses === 0 ? 'Unlimited' : String(maxUses),
+    startsAt: bounds ? bounds.opensAt : null,
+    endsAt: ends.length > 0 ? new Date(Math.min(...ends)) : null,
+    status: getStatus(barcode, now),
+    // What printed QR codes encode too (see generateBarcodeImage)
+    passUrl: getPassUrl(baseUrl, payload)
+  };
+};
+
+const rgb = ([red, green, blue]) => `rgb(${red}, ${green}, ${blue})`;
+
+const hex = (color) => `#${color.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+
+// Apple Wallet pass.json for a described pass
+const buildApplePassJson = (pass, { passTypeId, teamId, organization }) => {
+  const barcode = { format: 'PKBarcodeFormatQR', message: pass.passUrl, messageEncoding: 'iso-8859-1', altText: pass.code };
+  const json = {
+    formatVersion: 1,
+    passTypeIdentifier: passTypeId,
+    teamIdentifier: teamId,
+    serialNumber: pass.code,
+    organizationName: organization,
+    description: pass.eventName ? `Pass for ${pass.eventName}` : 'Access pass',
+    logoText: pass.eventName || organization,
+    backgroundColor: rgb(PASS_COLORS.background),
+    foregroundColor: rgb(PASS_COLORS.foreground),
+    labelColor: rgb(PASS_COLORS.label),
+    barcodes: [barcode],
+    barcode,
+    eventTicket: {
+      primaryFields: [{ key: 'holder', label: 'HOLDER', value: pass.holder }],
+      secondaryFields: [{ key: 'event', label: pass.eventName ? 'EVENT' : 'PURPOSE', value: pass.eventName || pass.purpose || 'Access pass' }],
+      auxiliaryFields: [
+        { key: 'date', label: 'DATE', value: pass.days },
+        { key: 'time', label: 'TIME', value: pass.window }
+      ],
+      backFields: [
+        pass.purpose ? { key: 'purpose', label: 'Purpose', value: pass.purpose } : null,
+        pass.venue ? { key: 'venue', label: 'Venue', value: pass.venue } : null,
+        { key: 'entries', label: 'Entries', value: pass.entries },
+        { key: 'code', label: 'Pass code', value: pass.code },
+        { key: 'link', label: 'Pass page', value: pass.passUrl }
+      ].filter(Boolean)
+    }
+  };
+
+  if (pass.startsAt) json.relevantDate = pass.startsAt.toISOString();
+  if (pass.endsAt) json.expirationDate = pass.endsAt.toISOString();
+  if (pass.status === 'revoked') json.voided = true;
+
+  return json;
+};
+
+// Solid square in the pass color; Apple requires an icon in every bundle
+const buildIcon = (side) => {
+  const pixels = Buffer.alloc(side * side * 4);
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    pixels.set([...PASS_COLORS.background, 255], offset);
+  }
+  return encodePng({ width: side, height: side, pixels });
+};
+
+const sha1 = (buffer) => crypto.createHash('sha1').update(buffer).digest('hex');
+
+// Detached PKCS#7 signature of manifest.json, as Apple Wallet expects
+const signManifest = (manifest, { certificate, key, keyPassphrase, wwdr }) => {
+  const signerCertificate = forge.pki.certificateFromPem(certificate);
+  const privateKey = keyPassphrase
+    ? forge.pki.decryptRsaPrivateKey(key, keyPassphrase)
+    : forge.pki.privateKeyFromPem(key);
+
+  if (!privateKey) {
+    throw new Error('APPLE_PASS_KEY could not be decrypted; check APPLE_PASS_KEY_PASSPHRASE');
+  }
+
+  const signed = forge.pkcs7.createSignedData();
+  signed.content = forge.util.createBuffer(manifest.toString('binary'));
+  signed.addCertificate(signerCertificate);
+  signed.addCertificate(forge.pki.certificateFromPem(wwdr));
+  signed.addSigner({
+    key: privateKey,
+    certificate: signerCertificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  signed.sign({ detached: true });
+
+  return Buffer.from(forge.asn1.toDer(signed.toAsn1()).getBytes(), 'binary');
+};
+
+// The files of a .pkpass bundle by name. `signing` is null in unsigned mode.
+const buildPkpassFiles = (pass, { passTypeId, teamId, organization, signing = null }) => {
+  const files = {
+    'pass.json': Buffer.from(JSON.stringify(buildApplePassJson(pass, { passTypeId, teamId, organization }), null, 2)),
+    'icon.png': buildIcon(29),
+    'icon@2x.png': buildIcon(58)
+  };
+
+  const manifest = {};
+  Object.keys(files).forEach((name) => {
+    manifest[name] = sha1(files[name]);
+  });
+  files['manifest.json'] = Buffer.from(JSON.stringify(manifest, null, 2));
+
+  if (signing) {
+    files.signature = signManifest(files['manifest.json'], signing);
+  }
+
+  return files;
+};
+
+const zipFiles = (files) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const chunks = [];
+
+  archive.on('data', (chunk) => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  Object.keys(files).forEach((name) => archive.append(files[name], { name }));
+  archive.finalize();
+});
+
+// Resolves to { pkpass } (a ZIP Buffer) or { error } when Apple signing is not set up
+const buildPkpass = async (pass, config = getWalletConfig()) => {
+  if (!config.apple && !config.unsigned) {
+    return { error: 'Apple Wallet passes are not configured. Set the APPLE_* certificate settings, or WALLET_UNSIGNED=true to test.' };
+  }
+
+  const apple = config.apple || UNSIGNED_APPLE;
+  const files = buildPkpassFiles(pass, {
+    passTypeId: apple.passTypeId,
+    teamId: apple.teamId,
+    organization: config.organization,
+    signing: config.apple
+  });
+
+  return { pkpass: await zipFiles(files) };
+};
+
+const GOOGLE_STATES = { active: 'ACTIVE', used: 'COMPLETED', expired: 'EXPIRED', suspended: 'INACTIVE', revoked: 'INACTIVE' };
+
+const localized = (value) => ({ defaultValue: { language: 'en-US', value } });
+
+// Google Wallet generic pass object for a described pass
+const buildGoogleWalletObject = (pass, { issuerId, classSuffix, organization }) => {
+  const object = {
+    id: `${issuerId}.${pass.code}`,
+    classId: `${issuerId}.${classSuffix}`,
+    state: GOOGLE_STATES[pass.status] || 'ACTIVE',
+    cardTitle: localized(pass.eventName || organization),
+    header: localized(pass.holder),
+    hexBackgroundColor: hex(PASS_COLORS.background),
+    barcode: { type: 'QR_CODE', value: pass.passUrl, alternateText: pass.code },
+    textModulesData: [
+      { id: 'date', header: 'Date', body: pass.days },
+      { id: 'time', header: 'Time', body: pass.window },
+      { id: 'entries', header: 'Entries', body: pass.entries }
+    ],
+    linksModuleData: { uris: [{ uri: pass.passUrl, description: 'View pass' }] }
+  };
+
+  if (pass.purpose) object.subheader = localized(pass.purpose);
+  if (pass.venue) object.textModulesData.push({ id: 'venue', header: 'Venue', body: pass.venue });
+
+  if (pass.startsAt || pass.endsAt) {
+    object.validTimeInterval = {};
+    if (pass.startsAt) object.validTimeInterval.start = { date: pass.startsAt.toISOString() };
+    if (pass.endsAt) object.validTimeInterval.end = { date: pass.endsAt.toISOString() };
+  }
+
+  return object;
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// "Save to Google Wallet" JWT for one object, with its class so Google can create it
+const signGoogleWalletJwt = (object, { clientEmail, privateKey }, now = new Date()) => {
+  const header = { alg: privateKey ? 'RS256' : 'none', typ: 'JWT' };
+  const claims = {
+    iss: clientEmail,
+    aud: 'google',
+    typ: 'savetowallet',
+    iat: Math.floor(now.getTime() / 1000),
+    origins: [],
+    payload: {
+      genericClasses: [{ id: object.classId }],
+      genericObjects: [object]
+    }
+  };
+
+  const input = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = privateKey ? crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url') : '';
+  return `${input}.${signature}`;
+};
+
+// Returns { object, jwt, saveUrl } or { error } when Google Wallet is not set up
+const buildGoogleWalletPass = (pass, config = getWalletConfig()) => {
+  if (!config.google && !config.unsigned) {
+    return { error: 'Google Wallet passes are not configured. Set the GOOGLE_WALLET_* settings, or WALLET_UNSIGNED=true to test.' };
+  }
+
+  const google = config.google || { ...UNSIGNED_GOOGLE, privateKey: null };
+  const object = buildGoogleWalletObject(pass, { ...google, organization: config.organization });
+  const jwt = signGoogleWalletJwt(object, google);
+
+  return { object, jwt, saveUrl: `${GOOGLE_SAVE_URL}${jwt}` };
+};
+
+module.exports = {
+  getAvailableWallets,
+  getWalletConfig,
+  describePass,
+  buildApplePassJson,
+  buildPkpassFiles,
+  buildPkpass,
+  buildGoogleWalletObject,
+  signGoogleWalletJwt,
+  buildGoogleWalletPass
+};
@@ -0,0 +1,551 @@
+// services/webhooks.js
+// Outbound webhooks for pass events. Emitting an event queues one delivery per
+// subscribed webhook and sends it in the background, so issuing and scanning
+// never wait on a receiver. Failed deliveries are retried with exponential
+// backoff until MAX_ATTEMPTS; the worker picks up retries that fell due while
+// the process was down and announces passes as they expire.
+//
+// Every request is a JSON POST of { id, type, createdAt, data } with headers:
+//   X-Webhook-Event:     the event type, e.g. barcode.redeemed
+//   X-Webhook-Id:        the delivery id, different for every replay
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers check the signature with verifyWebhookSignature or its equivalent.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Barcode = require('../models/Barcode');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getStatus } = require('./accessPolicy');
+const { buildBarcodeFilter } = require('./barcodeQuery');
+
+const WEBHOOK_EVENTS = Webhook.EVENTS;
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Why a delivery could not be replayed; the API maps these to HTTP statuses
+const REPLAY_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  WEBHOOK_DELETED: 'WEBHOOK_DELETED',
+  WEBHOOK_DISABLED: 'WEBHOOK_DISABLED'
+};
+
+const SECRET_PREFIX = 'whsec_';
+const HINT_LENGTH = 6;
+
+const USER_AGENT = 'barcode-access-system-webhooks/1.0';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// The first retry waits this long; each one after waits twice as long as the last
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// A claimed delivery is left alone this long, in case the process dies mid-request
+const CLAIM_MS = REQUEST_TIMEOUT_MS + 30000;
+const MAX_CONCURRENT_DELIVERIES = 4;
+const WORKER_INTERVAL_MS = 30000;
+const WORKER_BATCH_SIZE = 100;
+
+// Passes that expired longer ago than this are not announced, e.g. after a webhook is added
+const EXPIRY_LOOKBACK_HOURS = 24;
+
+// How far a signature's timestamp may be from the receiver's clock
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const MAX_ATTEMPT_LOG = 20;
+const MAX_RESPONSE_BODY = 500;
+const MAX_DELIVERY_LIST = 200;
+
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const buildSignatureHeader = (secret, body, now = new Date()) => {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+};
+
+// True when `header` is a current signature of the raw request `body`
+const verifyWebhookSignature = (secret, header, body, now = new Date()) => {
+  const parts = {};
+  String(header || '').split(',').forEach((part) => {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.trim()] = value.trim();
+  });
+
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isInteger(timestamp)) return false;
+  if (Math.abs(now.getTime() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Returns { secret, secretHint } for a new signing secret
+const generateWebhookSecret = () => {
+  const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { secret, secretHint: secret.substring(0, SECRET_PREFIX.length + HINT_LENGTH) };
+};
+
+// Seconds to wait after the given number of failed attempts
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+
+// The pass as receivers see it. `event` may be populated or just an id.
+const serializePass = (barcode, now = new Date()) => ({
+  code: barcode.code,
+  issuedTo: barcode.issuedTo,
+  purpose: barcode.purpose || null,
+  recipientEmail: barcode.recipientEmail || null,
+  status: getStatus(barcode, now),
+  event: barcode.event ? { id: String(barcode.event._id || barcode.event), name: barcode.event.name || null } : null,
+  issuedAt: barcode.issuedAt,
+  expiresAt: barcode.expiresAt || null,
+  maxUses: barcode.maxUses,
+  useCount: barcode.useCount || 0,
+  usedAt: barcode.usedAt || null,
+  revokedAt: barcode.revokedAt || null,
+  revokedReason: barcode.revokedReason || null
+});
+
+// Data for barcode.redeemed and barcode.denied. `barcode` is null for unknown codes.
+const scanEventData = ({ code, barcode, decision }, { scannerId = null, source = null, scannedAt = new Date() } = {}) => ({
+  code,
+  barcode: barcode ? serializePass(barcode, scannedAt) : null,
+  scan: {
+    granted: decision.granted,
+    reason: decision.reason,
+    message: decision.message || null,
+    scannerId,
+    source,
+    scannedAt
+  }
+});
+
+// Background sending: a small queue so a bulk issue cannot open hundreds of connections
+const queue = [];
+const idleWaiters = [];
+let sending = 0;
+
+const pump = () => {
+  while (sending < MAX_CONCURRENT_DELIVERIES && queue.length > 0) {
+    const id = queue.shift();
+    sending++;
+    attemptDelivery(id)
+      .catch((error) => console.error('Webhook delivery error:', { id: String(id), error: error.message }))
+      .finally(() => {
+        sending--;
+        pump();
+      });
+  }
+
+  if (sending === 0 && queue.length === 0) {
+    idleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+};
+
+const scheduleAttempt = (id, delayMs = 0) => {
+  if (delayMs > 0) {
+    setTimeout(() => scheduleAttempt(id), delayMs).unref();
+    return;
+  }
+  queue.push(id);
+  pump();
+};
+
+// Resolves once every queued attempt has been made; retries waiting on a timer are not included
+const settleWebhookDeliveries = () => new Promise((resolve) => {
+  if (sending === 0 && queue.length === 0) return resolve();
+  idleWaiters.push(resolve);
+});
+
+// POSTs the payload once. Returns { ok, responseStatus, responseBody, error, durationMs }.
+const postDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Signature': buildSignatureHeader(webhook.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const responseBody = (await response.text()).substring(0, MAX_RESPONSE_BODY);
+
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      responseBody,
+      error: response.ok ? null : `Receiver responded with HTTP ${response.status}`,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : (error.cause && error.cause.message) || error.message;
+
+    return { ok: false, responseStatus: null, responseBody: null, error: message, durationMs: Date.now() - started };
+  }
+};
+
+// Makes the next attempt at a pending delivery that is due at `now`, and
+// records the outcome. Returns the updated delivery, or null when the
+// delivery is not due or another worker claimed it first.
+const attemptDelivery = async (id, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+    { new: true }
+  ).lean();
+
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+
+  if (!webhook || !webhook.active) {
+    return WebhookDelivery.findByIdAndUpdate(id, {
+      $set: { status: 'failed', nextAttemptAt: null, error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' }
+    }, { new: true }).lean();
+  }
+
+  const result = await postDelivery(webhook, delivery);
+  const attempts = delivery.attempts + 1;
+  const gaveUp = !result.ok && attempts >= MAX_ATTEMPTS;
+  const retryAt = result.ok || gaveUp ? null : new Date(now.getTime() + retryDelaySeconds(attempts) * 1000);
+
+  const updated = await WebhookDelivery.findByIdAndUpdate(id, {
+    $set: {
+      url: webhook.url,
+      status: result.ok ? 'succeeded' : (gaveUp ? 'failed' : 'pending'),
+      attempts,
+      lastAttemptAt: now,
+      nextAttemptAt: retryAt,
+      deliveredAt: result.ok ? now : null,
+      responseStatus: result.responseStatus,
+      error: result.error
+    },
+    $push: {
+      attemptLog: {
+        $each: [{
+          at: now,
+          responseStatus: result.responseStatus,
+          error: result.error,
+          responseBody: result.responseBody,
+          durationMs: result.durationMs
+        }],
+        $slice: -MAX_ATTEMPT_LOG
+      }
+    }
+  }, { new: true }).lean();
+
+  await Webhook.updateOne({ _id: webhook._id }, {
+    $set: { lastDeliveryAt: now, lastDeliveryStatus: result.ok ? 'succeeded' : 'failed' }
+  });
+
+  console.log('Webhook delivery:', {
+    event: delivery.event,
+    url: webhook.url,
+    attempt: attempts,
+    status: updated.status,
+    responseStatus: result.responseStatus
+  });
+
+  if (retryAt) {
+    scheduleAttempt(id, retryAt.getTime() - now.getTime());
+  }
+
+  return updated;
+};
+
+// Queues a `type` event for each item in `dataList` to every active webhook
+// subscribed to it, then starts sending. Resolves once the delivery rows are
+// written, without waiting on any receiver, so callers should await it before
+// responding: a serverless instance may be frozen afterwards, and the worker
+// can only retry deliveries that were stored. Never throws: a broken subscription
+// must not stop a pass being issued or scanned. Returns the queued deliveries.
+const emitWebhookEvents = async (type, dataList, now = new Date()) => {
+  try {
+    if (dataList.length === 0) return [];
+
+    const webhooks = await Webhook.find({ active: true, events: type }).select('url').lean();
+    if (webhooks.length === 0) return [];
+
+    const deliveries = [];
+    dataList.forEach((data) => {
+      const payload = { id: `evt_${crypto.randomBytes(12).toString('hex')}`, type, createdAt: now.toISOString(), data };
+      webhooks.forEach((webhook) => {
+        deliveries.push({ webhook: webhook._id, url: webhook.url, event: type, eventId: payload.id, payload, nextAttemptAt: now });
+      });
+    });
+
+    const queued = await WebhookDelivery.insertMany(deliveries);
+    queued.forEach((delivery) => scheduleAttempt(delivery._id));
+
+    return queued;
+  } catch (error) {
+    console.error('Failed to queue webhooks:', { type, error: error.message });
+    return [];
+  }
+};
+
+const emitWebhookEvent = (type, data, now = new Date()) => emitWebhookEvents(type, [data], now);
+
+// Sends the same payload again to the webhook's current URL as a new delivery.
+// Returns { delivery, webhook } or { error, errorCode }.
+const replayDelivery = async (id, { actor = null, now = new Date() } = {}) => {
+  const original = mongoose.Types.ObjectId.isValid(id) ? await WebhookDelivery.findById(id).lean() : null;
+
+  if (!original) {
+    return { errorCode: REPLAY_ERRORS.NOT_FOUND, error: `No webhook delivery found with id ${id}` };
+  }
+
+  const webhook = await Webhook.findById(original.webhook).lean();
+
+  if (!webhook) {
+    return { errorCode: REPLAY_ERRORS.WEBHOOK_DELETED, error: 'The webhook for this delivery has been deleted' };
+  }
+
+  if (!webhook.active) {
+    return { errorCode: REPLAY_ERRORS.WEBHOOK_DISABLED, error: `${webhook.name} is disabled; enable it before replaying` };
+  }
+
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    url: webhook.url,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    nextAttemptAt: now,
+    replayOf: original._id,
+    replayedBy: actor
+  });
+
+  console.log('Webhook replayed:', { event: original.event, eventId: original.eventId, webhook: webhook.name, actor });
+  scheduleAttempt(delivery._id);
+
+  return { delivery: delivery.toObject(), webhook };
+};
+
+// Returns { data } ready for a Webhook, or { error }. `events` may be one name or a list.
+const parseWebhookInput = ({ name, url, events } = {}) => {
+  const cleanName = name ? String(name).trim() : '';
+  const cleanUrl = url ? String(url).trim() : '';
+
+  if (!cleanName) {
+    return { error: 'Webhook name is required' };
+  }
+
+  if (cleanName.length > 100) {
+    return { error: 'Webhook name too long' };
+  }
+
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(cleanUrl);
+  } catch (error) {
+    parsedUrl = null;
+  }
+
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol) || cleanUrl.length > 2000) {
+    return { error: 'Webhook URL must be a full http:// or https:// address' };
+  }
+
+  const list = (Array.isArray(events) ? events : [events]).filter(Boolean).map(String);
+
+  if (list.length === 0) {
+    return { error: 'Choose at least one event to send' };
+  }
+
+  const unknown = list.find((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) {
+    return { error: `Unknown event "${unknown}"; events are: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  return { data: { name: cleanName, url: parsedUrl.toString(), events: [...new Set(list)] } };
+};
+
+const findWebhook = (id) => (mongoose.Types.ObjectId.isValid(id) ? Webhook.findById(id) : Promise.resolve(null));
+
+const listWebhooks = () => Webhook.find().sort({ name: 1 }).lean();
+
+// Returns { webhook, secret } or { error }. The plain secret is only returned here and on rotation.
+const createWebhook = async (input, { actor = null } = {}) => {
+  const { data, error } = parseWebhookInput(input);
+  if (error) return { error };
+
+  const { secret, secretHint } = generateWebhookSecret();
+  const webhook = await Webhook.create({ ...data, secret, secretHint, createdBy: actor });
+  console.log('Webhook created:', { name: webhook.name, url: webhook.url, events: webhook.events, actor });
+
+  return { webhook, secret };
+};
+
+// Returns { webhook, secret }, or null if there is no such webhook. Deliveries
+// still waiting to be retried are signed with the new secret.
+const rotateWebhookSecret = async (id) => {
+  const webhook = await findWebhook(id);
+  if (!webhook) return null;
+
+  const { secret, secretHint } = generateWebhookSecret();
+  Object.assign(webhook, { secret, secretHint, secretRotatedAt: new Date() });
+  await webhook.save();
+
+  return { webhook, secret };
+};
+
+// Pending deliveries to a deleted webhook are given up; the log is kept
+const deleteWebhook = async (id) => {
+  const webhook = await findWebhook(id);
+  if (!webhook) return null;
+
+  await webhook.deleteOne();
+  await WebhookDelivery.updateMany(
+    { webhook: webhook._id, status: 'pending' },
+    { $set: { status: 'failed', nextAttemptAt: null, error: 'Webhook was deleted' } }
+  );
+
+  console.log('Webhook deleted:', { name: webhook.name, url: webhook.url });
+  return webhook;
+};
+
+// Newest deliveries first. Returns { deliveries } or { error } for bad filters.
+const listDeliveries = async ({ webhook, status, event, limit = 50 } = {}) => {
+  const filter = {};
+
+  if (webhook) {
+    if (!mongoose.Types.ObjectId.isValid(webhook)) return { error: 'webhook must be a webhook id' };
+    filter.webhook = webhook;
+  }
+
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) return { error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` };
+    filter.status = status;
+  }
+
+  if (event) {
+    if (!WEBHOOK_EVENTS.includes(event)) return { error: `Event must be one of: ${WEBHOOK_EVENTS.join(', ')}` };
+    filter.event = event;
+  }
+
+  const size = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_DELIVERY_LIST);
+  const deliveries = await WebhookDelivery.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(size)
+    .populate('webhook', 'name url')
+    .lean();
+
+  return { deliveries };
+};
+
+// Retries that fell due while nothing was scheduled, e.g. after a restart
+const processDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WORKER_BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  for (const { _id } of due) {
+    await attemptDelivery(_id, now);
+  }
+
+  return due.length;
+};
+
+// Passes only expire by the clock, so the worker looks for ones that have
+// expired since it last ran and sends barcode.expired once for each.
+const sweepExpiredPasses = async (now = new Date()) => {
+  if (!await Webhook.exists({ active: true, events: 'barcode.expired' })) return 0;
+
+  const { filter } = buildBarcodeFilter({ status: 'expired' }, now);
+  const since = new Date(now.getTime() - EXPIRY_LOOKBACK_HOURS * 60 * 60 * 1000);
+  const query = { $and: [filter, { expiresAt: { $gt: since } }, { expiryNotifiedAt: null }] };
+  let announced = 0;
+
+  for (;;) {
+    const batch = await Barcode.find(query).limit(WORKER_BATCH_SIZE).populate('event').lean();
+    if (batch.length === 0) break;
+
+    // Claim each pass first so two workers never announce the same expiry
+    const claimed = [];
+    for (const barcode of batch) {
+      const { modifiedCount } = await Barcode.updateOne(
+        { _id: barcode._id, expiryNotifiedAt: null },
+        { $set: { expiryNotifiedAt: now } }
+      );
+      if (modifiedCount) claimed.push(barcode);
+    }
+
+    await emitWebhookEvents('barcode.expired', claimed.map((barcode) => ({ barcode: serializePass(barcode, now) })), now);
+    announced += claimed.length;
+  }
+
+  return announced;
+};
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Announces newly expired passes and sends retries that are due. Returns
+// { expired, delivered }, or null when a run is already in progress.
+const runWebhookWorker = async (now = new Date()) => {
+  if (workerRunning) return null;
+  workerRunning = true;
+
+  try {
+    const expired = await sweepExpiredPasses(now);
+    const delivered = await processDueDeliveries(now);
+    return { expired, delivered };
+  } finally {
+    workerRunning = false;
+  }
+};
+
+// Runs the worker on an interval for the life of the process. Serverless
+// deployments have no such process and call GET /cron/webhooks instead.
+const startWebhookWorker = (intervalMs = WORKER_INTERVAL_MS) => {
+  if (!workerTimer) {
+    workerTimer = setInterval(() => {
+      runWebhookWorker().catch((error) => console.error('Webhook worker error:', error));
+    }, intervalMs);
+    workerTimer.unref();
+  }
+  return workerTimer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  REPLAY_ERRORS,
+  MAX_ATTEMPTS,
+  buildSignatureHeader,
+  verifyWebhookSignature,
+  retryDelaySeconds,
+  serializePass,
+  scanEventData,
+  emitWebhookEvent,
+  emitWebhookEvents,
+  attemptDelivery,
+  settleWebhookDeliveries,
+  replayDelivery,
+  parseWebhookInput,
+  findWebhook,
+  listWebhooks,
+  createWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  processDueDeliveries,
+  sweepExpiredPasses,
+  runWebhookWorker,
+  startWebhookWorker
+};
@@ -0,0 +1,158 @@
+// services/xlsxWriter.js
+// Minimal streaming XLSX writer: one worksheet of strings, numbers and dates,
+// written row by row into a ZIP so large exports never sit in memory.
+// Cells use inline strings, so there is no shared string table to build up.
+// Dates are written in UTC.
+
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+
+// Spreadsheet applications stop reading after this many rows
+const XLSX_MAX_ROWS = 1048576;
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const NS_DOC_RELS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Style ids in styles.xml: 0 default, 1 date, 2 bold header
+const STYLE_DATE = 1;
+const STYLE_HEADER = 2;
+
+// Days between the spreadsheet epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="${NS_RELS}">` +
+  `<Relationship Id="rId1" Type="${NS_DOC_RELS}/officeDocument" Target="xl/workbook.xml"/>` +
+  '</Relationships>';
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="${NS_RELS}">` +
+  `<Relationship Id="rId1" Type="${NS_DOC_RELS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+  `<Relationship Id="rId2" Type="${NS_DOC_RELS}/styles" Target="styles.xml"/>` +
+  '</Relationships>';
+
+const STYLES = `${XML_HEADER}<styleSheet xmlns="${NS_MAIN}">` +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs>' +
+  '</styleSheet>';
+
+const SHEET_START = `${XML_HEADER}<worksheet xmlns="${NS_MAIN}">` +
+  '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+  '<sheetData>';
+
+const SHEET_END = '</sheetData></worksheet>';
+
+const escapeXml = (value) => String(value)
+  // Control characters are not allowed in XML at all
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Text starting with one of these is read as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Prefixes formula-like text with ' so a value such as =HYPERLINK(...) typed
+// by an operator is shown as text, not run, when the export is opened.
+// Shared by the XLSX cells and CSV exports.
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const toSerialDate = (date) => date.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+
+const toCell = (value, ref, style) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (value instanceof Date) {
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${toSerialDate(value)}</v></c>`;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${value}</v></c>`;
+  }
+
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(escapeFormula(value))}</t></is></c>`;
+};
+
+// One <row> of sheet XML; rowNumber starts at 1
+const toRowXml = (values, rowNumber, style = 0) => (
+  `<row r="${rowNumber}">${values.map((value, index) => toCell(value, `${columnName(index)}${rowNumber}`, style)).join('')}</row>`
+);
+
+const workbookXml = (sheetName) => `${XML_HEADER}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_DOC_RELS}">` +
+  `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  '</workbook>';
+
+// Starts an XLSX file on `output`. Returns { sheet, writeHeader, writeRow, finish }:
+// like stream.write, each write returns false when `sheet` needs to drain first.
+// finish() resolves once the ZIP has been written.
+const createXlsxWriter = (output, { sheetName = 'Sheet1' } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const sheet = new PassThrough();
+  let rowNumber = 0;
+
+  archive.on('error', (error) => sheet.destroy(error));
+  archive.pipe(output);
+
+  archive.append(CONTENT_TYPES, { name: '[Content_Types].xml' });
+  archive.append(ROOT_RELS, { name: '_rels/.rels' });
+  archive.append(workbookXml(sheetName), { name: 'xl/workbook.xml' });
+  archive.append(WORKBOOK_RELS, { name: 'xl/_rels/workbook.xml.rels' });
+  archive.append(STYLES, { name: 'xl/styles.xml' });
+  archive.append(sheet, { name: 'xl/worksheets/sheet1.xml' });
+
+  sheet.write(SHEET_START);
+
+  const writeRow = (values, style) => {
+    if (rowNumber >= XLSX_MAX_ROWS) {
+      throw new Error(`XLSX files hold at most ${XLSX_MAX_ROWS} rows; use CSV or NDJSON for larger exports`);
+    }
+    rowNumber++;
+    return sheet.write(toRowXml(values, rowNumber, style));
+  };
+
+  return {
+    sheet,
+    writeHeader: (values) => writeRow(values, STYLE_HEADER),
+    writeRow: (values) => writeRow(values),
+    finish: async () => {
+      sheet.end(SHEET_END);
+      await archive.finalize();
+    }
+  };
+};
+
+module.exports = {
+  XLSX_MAX_ROWS,
+  escapeFormula,
+  columnName,
+  toSerialDate,
+  toRowXml,
+  createXlsxWriter
+};
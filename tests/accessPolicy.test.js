@@ -0,0 +1,421 @@
+const { evaluateAccess, checkSchedule, getEffectiveSchedule, REASONS } = require('../services/accessPolicy');
+
+// Instants in June 2024 given in UTC; calendar days are stored as UTC midnight
+const june = (dayOfMonth, hours = 0, minutes = 0) => new Date(Date.UTC(2024, 5, dayOfMonth, hours, minutes));
+
+// Fixed clock: 15 June 2024, 10:30 UTC
+const NOW = june(15, 10, 30);
+
+const makeBarcode = (overrides = {}) => ({
+  code: 'ABC123',
+  issuedTo: 'Test User',
+  used: false,
+  usedAt: null,
+  expiresAt: null,
+  activeDate: null,
+  activeTime: '09:00',
+  endTime: '17:00',
+  allowEarlyAccess: false,
+  timezone: 'UTC',
+  ...overrides
+});
+
+describe('evaluateAccess', () => {
+  test('denies an unknown code', () => {
+    const decision = evaluateAccess(null, NOW);
+    expect(decision.granted).toBe(false);
+    expect(decision.reason).toBe(REASONS.UNKNOWN_CODE);
+    expect(decision.message).toEqual(expect.any(String));
+  });
+
+  test('grants an unscheduled, unused barcode', () => {
+    const decision = evaluateAccess(makeBarcode(), NOW);
+    expect(decision).toEqual({
+      granted: true,
+      reason: REASONS.GRANTED,
+      message: 'Access Granted'
+    });
+  });
+
+  test('denies a barcode that was already used', () => {
+    const barcode = makeBarcode({ used: true, usedAt: june(15, 9, 0) });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.granted).toBe(false);
+    expect(decision.reason).toBe(REASONS.USED);
+  });
+
+  test('reports USED before EXPIRED when both apply', () => {
+    const barcode = makeBarcode({
+      used: true,
+      usedAt: june(14, 9, 0),
+      expiresAt: june(14, 12, 0)
+    });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.USED);
+  });
+
+  test('denies a revoked barcode ahead of every other check', () => {
+    const barcode = makeBarcode({
+      used: true,
+      usedAt: june(15, 9, 0),
+      revokedAt: june(15, 9, 30),
+      revokedReason: 'Lost pass'
+    });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.reason).toBe(REASONS.REVOKED);
+    expect(decision.message).toContain('Lost pass');
+  });
+
+  test('denies a suspended barcode with its reason', () => {
+    const barcode = makeBarcode({ suspendedAt: june(15, 9, 30), suspendedReason: 'Payment pending' });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.reason).toBe(REASONS.SUSPENDED);
+    expect(decision.message).toContain('Payment pending');
+  });
+
+  test('reports revocation ahead of suspension', () => {
+    const barcode = makeBarcode({ suspendedAt: june(15, 9, 0), revokedAt: june(15, 9, 30) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.REVOKED);
+  });
+
+  test('denies a barcode past its expiry', () => {
+    const barcode = makeBarcode({ expiresAt: june(15, 10, 29) });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.granted).toBe(false);
+    expect(decision.reason).toBe(REASONS.EXPIRED);
+  });
+
+  test('grants a barcode that has not yet expired', () => {
+    const barcode = makeBarcode({ expiresAt: june(15, 10, 31) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('applies the expiry check even inside the scheduled window', () => {
+    const barcode = makeBarcode({
+      activeDate: june(15),
+      expiresAt: june(15, 10, 0)
+    });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.EXPIRED);
+  });
+
+  test('denies before the event day without early access', () => {
+    const barcode = makeBarcode({ activeDate: june(16) });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.granted).toBe(false);
+    expect(decision.reason).toBe(REASONS.NOT_YET_ACTIVE);
+  });
+
+  test('grants before the event day with early access', () => {
+    const barcode = makeBarcode({ activeDate: june(16), allowEarlyAccess: true });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('denies after the event day', () => {
+    const barcode = makeBarcode({ activeDate: june(14), allowEarlyAccess: true });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.granted).toBe(false);
+    expect(decision.reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('denies on the event day before the start time', () => {
+    const barcode = makeBarcode({ activeDate: june(15), activeTime: '11:00' });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(decision.message).toContain('11:00');
+  });
+
+  test('denies on the event day after the end time', () => {
+    const barcode = makeBarcode({ activeDate: june(15), endTime: '10:00' });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.reason).toBe(REASONS.WINDOW_CLOSED);
+    expect(decision.message).toContain('10:00');
+  });
+
+  test('grants on the event day inside the time window', () => {
+    const barcode = makeBarcode({ activeDate: june(15) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('treats the window boundaries as inclusive', () => {
+    const barcode = makeBarcode({ activeDate: june(15), activeTime: '10:30', endTime: '10:30' });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('falls back to a full-day window when times are missing', () => {
+    const barcode = makeBarcode({ activeDate: june(15), activeTime: null, endTime: null });
+    expect(evaluateAccess(barcode, june(15, 0, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(15, 23, 59)).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('defaults the clock to the current time', () => {
+    expect(evaluateAccess(makeBarcode()).reason).toBe(REASONS.GRANTED);
+  });
+});
+
+describe('evaluateAccess with usage policies', () => {
+  test('treats a legacy barcode without maxUses as single use', () => {
+    const barcode = makeBarcode({ used: true, usedAt: june(15, 9, 0) });
+    delete barcode.maxUses;
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.USED);
+  });
+
+  test('grants a limited pass with entries remaining', () => {
+    const barcode = makeBarcode({ maxUses: 5, useCount: 2, usedAt: june(15, 9, 0) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('denies a limited pass once every entry is used', () => {
+    const barcode = makeBarcode({ maxUses: 5, useCount: 5, usedAt: june(15, 9, 0) });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.reason).toBe(REASONS.USED);
+    expect(decision.message).toContain('All 5 entries');
+  });
+
+  test('never exhausts an unlimited pass', () => {
+    const barcode = makeBarcode({ maxUses: 0, useCount: 250, usedAt: june(15, 9, 0) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('still applies the schedule to an unlimited pass', () => {
+    const barcode = makeBarcode({ maxUses: 0, activeDate: june(14) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('denies re-entry inside the cooldown', () => {
+    const barcode = makeBarcode({
+      maxUses: 0,
+      useCount: 1,
+      usedAt: june(15, 10, 15),
+      reentryCooldownMinutes: 30
+    });
+    const decision = evaluateAccess(barcode, NOW);
+    expect(decision.reason).toBe(REASONS.COOLDOWN);
+    expect(decision.message).toContain('10:45');
+  });
+
+  test('grants re-entry once the cooldown has passed', () => {
+    const barcode = makeBarcode({
+      maxUses: 3,
+      useCount: 1,
+      usedAt: june(15, 10, 0),
+      reentryCooldownMinutes: 30
+    });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('ignores the cooldown for a pass that was never used', () => {
+    const barcode = makeBarcode({ maxUses: 3, reentryCooldownMinutes: 30 });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.GRANTED);
+  });
+});
+
+describe('checkSchedule', () => {
+  test('returns null for a barcode without an active date', () => {
+    expect(checkSchedule(makeBarcode(), NOW)).toBeNull();
+  });
+
+  test('returns the denial for a closed window', () => {
+    const barcode = makeBarcode({ activeDate: june(14) });
+    expect(checkSchedule(barcode, NOW)).toMatchObject({ granted: false, reason: REASONS.WINDOW_CLOSED });
+  });
+});
+
+describe('event schedules', () => {
+  // A populated event running 14-16 June, doors 08:00-18:00
+  const makeEvent = (overrides = {}) => ({
+    _id: 'event1',
+    name: 'Summit',
+    startDate: june(14),
+    endDate: june(16),
+    dailyStartTime: '08:00',
+    dailyEndTime: '18:00',
+    timezone: 'UTC',
+    allowEarlyAccess: false,
+    ...overrides
+  });
+
+  const makeEventBarcode = (eventOverrides = {}, overrides = {}) => makeBarcode({
+    event: makeEvent(eventOverrides),
+    activeTime: null,
+    endTime: null,
+    allowEarlyAccess: null,
+    timezone: null,
+    ...overrides
+  });
+
+  test('inherits the event date range and daily hours', () => {
+    expect(getEffectiveSchedule(makeEventBarcode({ timezone: 'Africa/Lagos' }))).toEqual({
+      firstDay: '2024-06-14',
+      lastDay: '2024-06-16',
+      startTime: '08:00',
+      endTime: '18:00',
+      timezone: 'Africa/Lagos',
+      allowEarlyAccess: false
+    });
+  });
+
+  test('grants on any day inside the event range', () => {
+    expect(evaluateAccess(makeEventBarcode(), june(14, 8, 0)).granted).toBe(true);
+    expect(evaluateAccess(makeEventBarcode(), june(16, 18, 0)).granted).toBe(true);
+  });
+
+  test('denies after the last event day', () => {
+    const decision = evaluateAccess(makeEventBarcode(), june(17, 10, 0));
+    expect(decision.reason).toBe(REASONS.WINDOW_CLOSED);
+    expect(decision.message).toContain('until');
+  });
+
+  test('applies the event daily hours', () => {
+    const decision = evaluateAccess(makeEventBarcode(), june(15, 7, 59));
+    expect(decision.reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(decision.message).toContain('08:00');
+  });
+
+  test('follows the event when its hours change', () => {
+    const barcode = makeEventBarcode({ dailyStartTime: '11:00' });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.NOT_YET_ACTIVE);
+  });
+
+  test('inherits early access from the event', () => {
+    const barcode = makeEventBarcode({ startDate: june(20), endDate: june(21), allowEarlyAccess: true });
+    expect(evaluateAccess(barcode, NOW).granted).toBe(true);
+  });
+
+  test('lets the pass override the event hours', () => {
+    const barcode = makeEventBarcode({}, { activeTime: '12:00', endTime: '13:00' });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.NOT_YET_ACTIVE);
+  });
+
+  test('lets the pass narrow the event to a single day', () => {
+    const barcode = makeEventBarcode({}, { activeDate: june(14) });
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('lets the pass turn off early access the event allows', () => {
+    const barcode = makeEventBarcode(
+      { startDate: june(20), endDate: june(21), allowEarlyAccess: true },
+      { allowEarlyAccess: false }
+    );
+    expect(evaluateAccess(barcode, NOW).reason).toBe(REASONS.NOT_YET_ACTIVE);
+  });
+
+  test('ignores an event reference that was not populated', () => {
+    const barcode = makeBarcode({ event: '665f1c2e9b1e8a0012345678' });
+    expect(getEffectiveSchedule(barcode).firstDay).toBeNull();
+  });
+});
+
+describe('timezones', () => {
+  // 09:00-17:00 on 15 June in the given zone
+  const makeZonedBarcode = (timezone, overrides = {}) => makeBarcode({ activeDate: june(15), timezone, ...overrides });
+
+  test('opens a Lagos pass at 09:00 Lagos time, which is 08:00 UTC', () => {
+    const barcode = makeZonedBarcode('Africa/Lagos');
+    expect(evaluateAccess(barcode, june(15, 7, 59)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateAccess(barcode, june(15, 8, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(15, 16, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(15, 16, 1)).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('reads New York hours in daylight saving time', () => {
+    // EDT is UTC-4, so 09:00-17:00 is 13:00-21:00 UTC
+    const barcode = makeZonedBarcode('America/New_York');
+    expect(evaluateAccess(barcode, june(15, 12, 59)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateAccess(barcode, june(15, 20, 30)).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('uses the local calendar day, not the UTC one', () => {
+    // 23:30 UTC on 14 June is already 09:30 on 15 June in Sydney (UTC+10)
+    const barcode = makeZonedBarcode('Australia/Sydney');
+    expect(evaluateAccess(barcode, june(14, 23, 30)).reason).toBe(REASONS.GRANTED);
+    // 01:00 UTC on 16 June is 21:00 on 15 June in Los Angeles (UTC-7), after hours
+    const laBarcode = makeZonedBarcode('America/Los_Angeles');
+    expect(evaluateAccess(laBarcode, june(16, 1, 0)).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('handles half-hour offsets', () => {
+    // Kolkata is UTC+5:30, so 09:00 local is 03:30 UTC
+    const barcode = makeZonedBarcode('Asia/Kolkata');
+    expect(evaluateAccess(barcode, june(15, 3, 29)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateAccess(barcode, june(15, 3, 30)).reason).toBe(REASONS.GRANTED);
+  });
+
+  test('names the timezone in time-of-day denials', () => {
+    const decision = evaluateAccess(makeZonedBarcode('Africa/Lagos'), june(15, 7, 0));
+    expect(decision.message).toContain('09:00 (Africa/Lagos)');
+  });
+
+  test('reports the cooldown end in the pass timezone', () => {
+    const barcode = makeBarcode({
+      timezone: 'Africa/Lagos',
+      maxUses: 0,
+      useCount: 1,
+      usedAt: june(15, 10, 15),
+      reentryCooldownMinutes: 30
+    });
+    expect(evaluateAccess(barcode, NOW).message).toContain('11:45');
+  });
+
+  test('lets the pass timezone override the event timezone', () => {
+    const barcode = makeBarcode({
+      event: { name: 'Summit', startDate: june(15), endDate: june(15), timezone: 'Asia/Tokyo' },
+      timezone: 'Africa/Lagos'
+    });
+    expect(getEffectiveSchedule(barcode).timezone).toBe('Africa/Lagos');
+  });
+});
+
+describe('multi-day and overnight windows', () => {
+  test('applies the daily hours on every day of a multi-day pass', () => {
+    const barcode = makeBarcode({ activeDate: june(14), activeEndDate: june(16) });
+    expect(evaluateAccess(barcode, june(14, 9, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 17, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(17, 9, 0)).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('tells a holder between days when the next window opens', () => {
+    const barcode = makeBarcode({ activeDate: june(14), activeEndDate: june(16) });
+    const decision = evaluateAccess(barcode, june(15, 18, 0));
+    expect(decision.reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(decision.message).toContain('reopens at 09:00');
+    expect(decision.message).toContain('16 Jun 2024');
+  });
+
+  test('closes for good after the last day', () => {
+    const barcode = makeBarcode({ activeDate: june(14), activeEndDate: june(16) });
+    const decision = evaluateAccess(barcode, june(16, 18, 0));
+    expect(decision.reason).toBe(REASONS.WINDOW_CLOSED);
+    expect(decision.message).toContain('17:00');
+  });
+
+  test('keeps a 22:00-02:00 window open across midnight', () => {
+    const barcode = makeBarcode({ activeDate: june(15), activeTime: '22:00', endTime: '02:00' });
+    expect(evaluateAccess(barcode, june(15, 21, 59)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateAccess(barcode, june(15, 22, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 1, 30)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 2, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 2, 1)).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('does not open an overnight window early on its first morning', () => {
+    // 01:00 on 15 June belongs to the night of 14 June, which is not scheduled
+    const barcode = makeBarcode({ activeDate: june(15), activeTime: '22:00', endTime: '02:00' });
+    expect(evaluateAccess(barcode, june(15, 1, 0)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+  });
+
+  test('runs overnight windows across a multi-day range', () => {
+    const barcode = makeBarcode({ activeDate: june(14), activeEndDate: june(15), activeTime: '22:00', endTime: '02:00' });
+    expect(evaluateAccess(barcode, june(15, 1, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(15, 12, 0)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateAccess(barcode, june(16, 1, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 3, 0)).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+
+  test('evaluates an overnight Lagos window in Lagos time', () => {
+    // 22:00-02:00 Lagos (UTC+1) is 21:00-01:00 UTC
+    const barcode = makeBarcode({ activeDate: june(15), activeTime: '22:00', endTime: '02:00', timezone: 'Africa/Lagos' });
+    expect(evaluateAccess(barcode, june(15, 20, 59)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateAccess(barcode, june(15, 21, 0)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 0, 59)).reason).toBe(REASONS.GRANTED);
+    expect(evaluateAccess(barcode, june(16, 1, 1)).reason).toBe(REASONS.WINDOW_CLOSED);
+  });
+});
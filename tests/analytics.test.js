@@ -0,0 +1,250 @@
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const Event = require('../models/Event');
+const ScanEvent = require('../models/ScanEvent');
+const {
+  parseAnalyticsRange,
+  entriesPerHour,
+  entriesPerGate,
+  deniedByReason,
+  redemptionRates,
+  findNoShows
+} = require('../services/analytics');
+const { getOccupancy } = require('../services/occupancy');
+const { processScan } = require('../services/scanning');
+const { scanFeed } = require('../services/scanLog');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const now = new Date('2024-06-15T18:00:00Z');
+
+const staffRequest = { user: { username: 'north-gate' }, get: () => 'jest', ip: '127.0.0.1' };
+
+const scan = (code, at, fields = {}) => ({
+  code,
+  outcome: 'granted',
+  reason: fields.outcome === 'denied' ? 'USED' : 'GRANTED',
+  scannerId: 'North Gate',
+  timestamp: new Date(at),
+  ...fields
+});
+
+describe('parseAnalyticsRange', () => {
+  test('defaults to the last 7 days', async () => {
+    const { range } = await parseAnalyticsRange({}, now);
+
+    expect(range).toMatchObject({ from: '2024-06-09', to: '2024-06-15', timezone: 'UTC', event: '' });
+    expect(range.start).toEqual(new Date('2024-06-09T00:00:00Z'));
+    expect(range.end).toEqual(new Date('2024-06-16T00:00:00Z'));
+  });
+
+  test('defaults to the days of the selected event in its timezone', async () => {
+    const event = await Event.create({
+      name: 'Summit',
+      startDate: new Date('2024-06-14'),
+      endDate: new Date('2024-06-15'),
+      timezone: 'Africa/Lagos'
+    });
+
+    const { range } = await parseAnalyticsRange({ event: String(event._id) }, now);
+
+    expect(range).toMatchObject({ from: '2024-06-14', to: '2024-06-15', timezone: 'Africa/Lagos' });
+    expect(range.start).toEqual(new Date('2024-06-13T23:00:00Z'));
+  });
+
+  test('rejects bad dates, reversed ranges and unknown events', async () => {
+    expect((await parseAnalyticsRange({ from: 'yesterday' }, now)).error).toMatch(/YYYY-MM-DD/);
+    expect((await parseAnalyticsRange({ from: '2024-06-15', to: '2024-06-01' }, now)).error).toMatch(/on or after/);
+    expect((await parseAnalyticsRange({ event: '000000000000000000000000' }, now)).error).toMatch(/No event/);
+  });
+});
+
+describe('scan figures', () => {
+  const seedScans = () => ScanEvent.insertMany([
+    scan('A', '2024-06-15T09:05:00Z'),
+    scan('B', '2024-06-15T09:40:00Z', { scannerId: 'South Gate' }),
+    scan('A', '2024-06-15T10:15:00Z', { direction: 'exit', reason: 'EXITED' }),
+    scan('C', '2024-06-15T10:20:00Z', { outcome: 'denied' }),
+    scan('D', '2024-06-15T10:25:00Z', { outcome: 'denied', reason: 'EXPIRED' }),
+    scan('E', '2024-06-15T10:30:00Z', { outcome: 'denied' }),
+    scan('F', '2024-06-01T09:00:00Z')
+  ]);
+
+  test('counts entries and exits per hour in the range', async () => {
+    await seedScans();
+    const { range } = await parseAnalyticsRange({}, now);
+
+    expect(await entriesPerHour(range)).toEqual([
+      { hour: '2024-06-15 09:00', entries: 2, exits: 0 },
+      { hour: '2024-06-15 10:00', entries: 0, exits: 1 }
+    ]);
+  });
+
+  test('buckets hours in the event timezone', async () => {
+    await seedScans();
+    const { range } = await parseAnalyticsRange({ from: '2024-06-15', to: '2024-06-15' }, now);
+
+    const hours = await entriesPerHour({ ...range, timezone: 'Africa/Lagos' });
+
+    expect(hours[0]).toEqual({ hour: '2024-06-15 10:00', entries: 2, exits: 0 });
+  });
+
+  test('counts entries, exits and denied attempts per gate', async () => {
+    await seedScans();
+    const { range } = await parseAnalyticsRange({}, now);
+
+    const gates = await entriesPerGate(range);
+
+    expect(gates).toEqual([
+      expect.objectContaining({ gate: 'North Gate', entries: 1, exits: 1, denied: 3 }),
+      expect.objectContaining({ gate: 'South Gate', entries: 1, exits: 0, denied: 0 })
+    ]);
+  });
+
+  test('breaks denied attempts down by reason', async () => {
+    await seedScans();
+    const { range } = await parseAnalyticsRange({}, now);
+
+    const reasons = await deniedByReason(range);
+
+    expect(reasons.map(({ reason, count }) => ({ reason, count }))).toEqual([
+      { reason: 'USED', count: 2 },
+      { reason: 'EXPIRED', count: 1 }
+    ]);
+  });
+
+  test('limits scan figures to passes of the selected event', async () => {
+    const event = await Event.create({ name: 'Summit', startDate: new Date('2024-06-15'), endDate: new Date('2024-06-15') });
+    const [pass] = await Barcode.insertMany([{ code: 'A', issuedTo: 'Ada', event: event._id }]);
+    await ScanEvent.insertMany([
+      scan('A', '2024-06-15T09:05:00Z', { barcode: pass._id }),
+      scan('B', '2024-06-15T09:10:00Z')
+    ]);
+
+    const { range } = await parseAnalyticsRange({ event: String(event._id) }, now);
+
+    expect(await entriesPerHour(range)).toEqual([{ hour: '2024-06-15 09:00', entries: 1, exits: 0 }]);
+  });
+});
+
+describe('redemptionRates', () => {
+  test('reports the share of passes used per purpose, leaving revoked passes out', async () => {
+    await Barcode.insertMany([
+      { code: 'A', issuedTo: 'Ada', purpose: 'Speaker', useCount: 1, used: true },
+      { code: 'B', issuedTo: 'Alan', purpose: 'Speaker' },
+      { code: 'C', issuedTo: 'Grace', purpose: 'Speaker', revokedAt: now },
+      { code: 'D', issuedTo: 'Edsger', useCount: 2, maxUses: 0 }
+    ]);
+    const { range } = await parseAnalyticsRange({}, now);
+
+    const groups = await redemptionRates(range, 'purpose');
+
+    expect(groups).toEqual([
+      { purpose: 'Speaker', passes: 3, revoked: 1, redeemed: 1, entries: 1, rate: 0.5 },
+      { purpose: null, passes: 1, revoked: 0, redeemed: 1, entries: 2, rate: 1 }
+    ]);
+  });
+
+  test('groups by event', async () => {
+    const event = await Event.create({ name: 'Summit', startDate: new Date('2024-06-15'), endDate: new Date('2024-06-15') });
+    await Barcode.insertMany([
+      { code: 'A', issuedTo: 'Ada', event: event._id, useCount: 1, used: true },
+      { code: 'B', issuedTo: 'Alan', event: event._id },
+      { code: 'C', issuedTo: 'Grace' }
+    ]);
+    const { range } = await parseAnalyticsRange({}, now);
+
+    const groups = await redemptionRates(range, 'event');
+
+    expect(groups).toHaveLength(2);
+    expect(groups.find((group) => group.event && group.event.name === 'Summit')).toMatchObject({ passes: 2, redeemed: 1, rate: 0.5 });
+    expect(groups.find((group) => group.event === null)).toMatchObject({ passes: 1, redeemed: 0, rate: 0 });
+  });
+});
+
+describe('findNoShows', () => {
+  test('lists unused passes whose access has ended', async () => {
+    const ended = await Event.create({ name: 'Past', startDate: new Date('2024-06-10'), endDate: new Date('2024-06-11'), dailyEndTime: '17:00' });
+    const today = await Event.create({ name: 'Today', startDate: new Date('2024-06-15'), endDate: new Date('2024-06-15'), dailyEndTime: '20:00' });
+    await Barcode.insertMany([
+      { code: 'EXPIRED', issuedTo: 'Ada', expiresAt: new Date('2024-06-14T00:00:00Z') },
+      { code: 'ENDED', issuedTo: 'Alan', event: ended._id },
+      { code: 'OWNDAY', issuedTo: 'Grace', activeDate: new Date('2024-06-14'), endTime: '18:00' },
+      { code: 'USED', issuedTo: 'Edsger', event: ended._id, used: true, useCount: 1, usedAt: new Date('2024-06-10T10:00:00Z') },
+      { code: 'REVOKED', issuedTo: 'Barbara', event: ended._id, revokedAt: new Date('2024-06-09T00:00:00Z') },
+      { code: 'STILLOPEN', issuedTo: 'Ken', event: today._id },
+      { code: 'ANYDAY', issuedTo: 'Linus' }
+    ]);
+    const { range } = await parseAnalyticsRange({}, now);
+
+    const noShows = await findNoShows(range, now);
+
+    expect(noShows.total).toBe(3);
+    expect(noShows.passes.map((pass) => pass.code).sort()).toEqual(['ENDED', 'EXPIRED', 'OWNDAY']);
+    expect(noShows.passes.find((pass) => pass.code === 'ENDED')).toMatchObject({
+      event: 'Past',
+      closesAt: new Date('2024-06-11T17:00:00Z')
+    });
+    expect(noShows.byEvent).toHaveLength(2);
+  });
+
+  test('waits for an overnight window to close on the next day', async () => {
+    await Barcode.insertMany([
+      { code: 'LATE', issuedTo: 'Ada', activeDate: new Date('2024-06-14'), activeTime: '22:00', endTime: '02:00' }
+    ]);
+    const { range } = await parseAnalyticsRange({}, now);
+
+    expect((await findNoShows(range, new Date('2024-06-15T01:00:00Z'))).total).toBe(0);
+    expect((await findNoShows(range, new Date('2024-06-15T03:00:00Z'))).total).toBe(1);
+  });
+});
+
+describe('occupancy', () => {
+  test('counts passes whose latest scan is an entry', async () => {
+    const recent = new Date(Date.now() - 60 * 60 * 1000);
+    const later = new Date(Date.now() - 30 * 60 * 1000);
+    await ScanEvent.insertMany([
+      scan('A', recent),
+      scan('B', recent),
+      scan('B', later, { direction: 'exit', reason: 'EXITED' }),
+      scan('C', later, { outcome: 'denied' }),
+      scan('D', new Date(Date.now() - 2 * 24 * 60 * 60 * 1000))
+    ]);
+
+    expect(await getOccupancy()).toMatchObject({ inside: 1, entries: 2, exits: 1 });
+  });
+
+  test('records exits through processScan without redeeming the pass', async () => {
+    await Barcode.create({ code: 'EXIT01', issuedTo: 'Ada' });
+
+    const entry = await processScan('EXIT01', staffRequest, 'verify');
+    const exit = await processScan('EXIT01', staffRequest, 'verify', 'exit');
+
+    expect(entry.decision.granted).toBe(true);
+    expect(exit).toMatchObject({ direction: 'exit', decision: { granted: true, reason: 'EXITED' } });
+    expect((await Barcode.findOne({ code: 'EXIT01' })).useCount).toBe(1);
+    expect(await ScanEvent.countDocuments({ code: 'EXIT01', direction: 'exit' })).toBe(1);
+    expect((await getOccupancy()).inside).toBe(0);
+  });
+
+  test('refuses exits for unknown codes', async () => {
+    const exit = await processScan('NOPE', staffRequest, 'verify', 'exit');
+    expect(exit.decision).toMatchObject({ granted: false, reason: 'UNKNOWN_CODE' });
+  });
+
+  test('publishes each recorded scan to live listeners', async () => {
+    await Barcode.create({ code: 'LIVE01', issuedTo: 'Ada' });
+    const published = [];
+    const listener = (event) => published.push(event);
+    scanFeed.on('scan', listener);
+
+    await processScan('LIVE01', staffRequest, 'verify');
+    scanFeed.removeListener('scan', listener);
+
+    expect(published).toEqual([expect.objectContaining({ code: 'LIVE01', outcome: 'granted', direction: 'entry', scannerId: 'north-gate' })]);
+  });
+});
@@ -0,0 +1,971 @@
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const User = require('../models/User');
+const Scanner = require('../models/Scanner');
+const Event = require('../models/Event');
+const BrandPreset = require('../models/BrandPreset');
+const apiV1Router = require('../routes/api/v1');
+const { rotateSigningKey, getPayloadSigner } = require('../services/passSigning');
+const { encodePng } = require('../services/pngImage');
+const { settleWebhookDeliveries, verifyWebhookSignature } = require('../services/webhooks');
+
+jest.setTimeout(60000);
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1', apiV1Router);
+
+let issuerKey;
+let gatekeeperKey;
+let scannerKey;
+
+const createUserWithKey = async (username, role) => {
+  const user = new User({ username, role });
+  await user.setPassword('correct horse battery');
+  const apiKey = user.rotateApiKey();
+  await user.save();
+  return apiKey;
+};
+
+const auth = (key) => ({ Authorization: `Bearer ${key}` });
+
+const createPass = (body = {}) => request(app)
+  .post('/api/v1/barcodes')
+  .set(auth(issuerKey))
+  .send({ issuedTo: 'Ada Lovelace', purpose: 'Conference', ...body });
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+  await db.clear();
+  issuerKey = await createUserWithKey('registration', 'issuer');
+  gatekeeperKey = await createUserWithKey('north-gate', 'gatekeeper');
+
+  const scanner = new Scanner({ name: 'North Gate Tablet 2' });
+  scannerKey = scanner.rotateApiKey();
+  await scanner.save();
+});
+
+describe('authentication', () => {
+  test('rejects requests without a key with a consistent error body', async () => {
+    const res = await request(app).get('/api/v1/barcodes');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: { code: 'UNAUTHORIZED', message: expect.any(String) } });
+  });
+
+  test('rejects an unknown key', async () => {
+    const res = await request(app).get('/api/v1/barcodes').set(auth('basu_not-a-real-key'));
+    expect(res.status).toBe(401);
+  });
+
+  test('does not let a gatekeeper create passes', async () => {
+    const res = await request(app)
+      .post('/api/v1/barcodes')
+      .set(auth(gatekeeperKey))
+      .send({ issuedTo: 'Someone' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+
+  test('does not let a scanner device read passes', async () => {
+    const res = await request(app).get('/api/v1/barcodes').set('X-Api-Key', scannerKey);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/v1/barcodes', () => {
+  test('creates a pass and returns its code, scan URL and image links', async () => {
+    const res = await createPass({ usageMode: 'limited', maxUses: 3 });
+
+    expect(res.status).toBe(201);
+    const { barcode } = res.body;
+    expect(barcode.code).toMatch(/^[0-9A-F]{32}$/);
+    expect(barcode.status).toBe('active');
+    expect(barcode.maxUses).toBe(3);
+    expect(barcode.links.pass).toMatch(new RegExp(`/pass/${barcode.code}$`));
+    expect(barcode.links.scan).toMatch(new RegExp(`/mobile-scan/${barcode.code}$`));
+    expect(barcode.links.png).toMatch(new RegExp(`/api/v1/barcodes/${barcode.code}/image.png$`));
+    expect(barcode.links.svg).toMatch(new RegExp(`/api/v1/barcodes/${barcode.code}/image.svg$`));
+    expect(barcode.links.pdf).toMatch(new RegExp(`/api/v1/barcodes/${barcode.code}/image.pdf$`));
+
+    expect(await Barcode.countDocuments()).toBe(1);
+  });
+
+  test('returns a validation error for missing fields', async () => {
+    const res = await request(app).post('/api/v1/barcodes').set(auth(issuerKey)).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toEqual({ code: 'VALIDATION_ERROR', message: 'Issued To field is required' });
+  });
+
+  test('stores a recipient email without sending it', async () => {
+    const res = await createPass({ recipientEmail: ' Ada@Example.com ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.barcode.recipientEmail).toBe('ada@example.com');
+    expect(res.body.barcode.delivery).toBeNull();
+
+    const invalid = await createPass({ recipientEmail: 'ada@example' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.message).toBe('Recipient email must be a valid address');
+  });
+});
+
+describe('event passes', () => {
+  let event;
+
+  beforeEach(async () => {
+    event = await new Event({
+      name: 'Lagos Summit',
+      venue: 'Eko Hotel',
+      startDate: new Date('2024-06-14'),
+      endDate: new Date('2024-06-16'),
+      dailyStartTime: '08:00',
+      dailyEndTime: '18:00',
+      timezone: 'Africa/Lagos'
+    }).save();
+  });
+
+  test('inherits the event schedule and follows later changes to it', async () => {
+    const res = await createPass({ eventId: event._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(res.body.barcode.event).toMatchObject({ name: 'Lagos Summit', timezone: 'Africa/Lagos' });
+    expect(res.body.barcode.schedule).toMatchObject({ startTime: '08:00', endTime: '18:00' });
+
+    event.dailyStartTime = '10:00';
+    await event.save();
+
+    const { body } = await request(app).get(`/api/v1/barcodes/${res.body.barcode.code}`).set(auth(issuerKey));
+    expect(body.barcode.schedule.startTime).toBe('10:00');
+  });
+
+  test('keeps a per-pass override', async () => {
+    const res = await createPass({ eventId: event._id.toString(), activeTime: '12:00' });
+    expect(res.body.barcode.schedule).toMatchObject({ startTime: '12:00', endTime: '18:00' });
+  });
+
+  test('rejects an unknown event', async () => {
+    const res = await createPass({ eventId: '665f1c2e9b1e8a0012345678' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Selected event was not found');
+  });
+
+  test('filters the list by event', async () => {
+    await createPass({ eventId: event._id.toString() });
+    await createPass({ issuedTo: 'Walk-in' });
+
+    const byEvent = await request(app).get(`/api/v1/barcodes?event=${event._id}`).set(auth(issuerKey));
+    expect(byEvent.body.barcodes.map((b) => b.issuedTo)).toEqual(['Ada Lovelace']);
+
+    const noEvent = await request(app).get('/api/v1/barcodes?event=none').set(auth(issuerKey));
+    expect(noEvent.body.barcodes.map((b) => b.issuedTo)).toEqual(['Walk-in']);
+  });
+});
+
+describe('POST /api/v1/barcodes/bulk', () => {
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  // Reads one file out of a ZIP through its central directory
+  const readZipEntry = (zip, name) => {
+    let entry = zip.readUInt32LE(zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06])) + 16);
+    for (;;) {
+      const nameLength = zip.readUInt16LE(entry + 28);
+      const local = zip.readUInt32LE(entry + 42);
+      if (zip.toString('utf8', entry + 46, entry + 46 + nameLength) === name) {
+        const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+        const data = zip.subarray(start, start + zip.readUInt32LE(entry + 20));
+        return zip.readUInt16LE(entry + 10) === 8 ? zlib.inflateRawSync(data).toString() : data.toString();
+      }
+      entry += 46 + nameLength + zip.readUInt16LE(entry + 30) + zip.readUInt16LE(entry + 32);
+    }
+  };
+
+  test('creates every row from a text/csv body and returns a ZIP', async () => {
+    const csv = 'issuedTo,purpose,expiryHours\nAda Lovelace,Speaker,\nGrace Hopper,Attendee,48\n';
+
+    const res = await request(app)
+      .post('/api/v1/barcodes/bulk')
+      .set(auth(issuerKey))
+      .set('Content-Type', 'text/csv')
+      .buffer(true)
+      .parse(binary)
+      .send(csv);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+    expect(await Barcode.countDocuments()).toBe(2);
+
+    // Holders get the pass page the QR opens, never the staff link that redeems it
+    const [header, first] = readZipEntry(res.body, 'results.csv').trim().split('\n');
+    expect(header).toBe('issuedTo,purpose,code,passUrl,image');
+    expect(first).toMatch(/^Ada Lovelace,Speaker,(\w+),http:\/\/127\.0\.0\.1:\d+\/pass\/\1,png\//);
+    expect(first).not.toContain('/mobile-scan/');
+  });
+
+  test('accepts a multipart upload', async () => {
+    const res = await request(app)
+      .post('/api/v1/barcodes/bulk')
+      .set(auth(issuerKey))
+      .buffer(true)
+      .parse(binary)
+      .attach('file', Buffer.from('issuedTo\nAda Lovelace\n'), 'passes.csv');
+
+    expect(res.status).toBe(200);
+    expect(await Barcode.countDocuments()).toBe(1);
+  });
+
+  test('reports every invalid row and creates nothing', async () => {
+    const csv = 'issuedTo,activeDate,activeTime\nAda Lovelace,,\n,2024-06-15,\nGrace Hopper,,25:00\n';
+
+    const res = await request(app)
+      .post('/api/v1/barcodes/bulk')
+      .set(auth(issuerKey))
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details.rows).toEqual([
+      { row: 3, issuedTo: '', error: 'Issued To field is required' },
+      { row: 4, issuedTo: 'Grace Hopper', error: 'Start and end times must use HH:MM format' }
+    ]);
+    expect(await Barcode.countDocuments()).toBe(0);
+  });
+});
+
+describe('GET /api/v1/barcodes', () => {
+  test('gets a single pass by code, case-insensitively', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app)
+      .get(`/api/v1/barcodes/${body.barcode.code.toLowerCase()}`)
+      .set(auth(issuerKey));
+
+    expect(res.status).toBe(200);
+    expect(res.body.barcode.issuedTo).toBe('Ada Lovelace');
+  });
+
+  test('returns 404 for an unknown code', async () => {
+    const res = await request(app).get('/api/v1/barcodes/UNKNOWN').set(auth(issuerKey));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('lists passes filtered by holder and status with pagination', async () => {
+    await createPass({ issuedTo: 'Grace Hopper' });
+    await createPass({ issuedTo: 'Grace Kelly' });
+    const { body } = await createPass({ issuedTo: 'Alan Turing' });
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/revoke`).set(auth(issuerKey));
+
+    const byName = await request(app).get('/api/v1/barcodes?issuedTo=grace&limit=1').set(auth(issuerKey));
+    expect(byName.status).toBe(200);
+    expect(byName.body.barcodes).toHaveLength(1);
+    expect(byName.body.pagination).toEqual({ page: 1, limit: 1, total: 2, totalPages: 2 });
+
+    const revoked = await request(app).get('/api/v1/barcodes?status=revoked').set(auth(issuerKey));
+    expect(revoked.body.barcodes.map((b) => b.issuedTo)).toEqual(['Alan Turing']);
+  });
+
+  test('searches and sorts passes', async () => {
+    await createPass({ issuedTo: 'Grace Hopper', purpose: 'Keynote' });
+    await createPass({ issuedTo: 'Alan Turing' });
+    await createPass({ issuedTo: 'Ada Lovelace', purpose: 'Keynote' });
+
+    const res = await request(app).get('/api/v1/barcodes?search=keynote&sort=issuedTo').set(auth(issuerKey));
+    expect(res.body.barcodes.map((b) => b.issuedTo)).toEqual(['Ada Lovelace', 'Grace Hopper']);
+
+    const reversed = await request(app).get('/api/v1/barcodes?sort=issuedTo&order=desc').set(auth(issuerKey));
+    expect(reversed.body.barcodes.map((b) => b.issuedTo)).toEqual(['Grace Hopper', 'Alan Turing', 'Ada Lovelace']);
+
+    expect((await request(app).get('/api/v1/barcodes?sort=secret').set(auth(issuerKey))).status).toBe(400);
+  });
+
+  test('rejects an unknown status filter', async () => {
+    const res = await request(app).get('/api/v1/barcodes?status=lost').set(auth(issuerKey));
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('renders PNG and SVG images', async () => {
+    const { body } = await createPass();
+
+    const png = await request(app).get(`/api/v1/barcodes/${body.barcode.code}/image.png`).set(auth(issuerKey));
+    expect(png.status).toBe(200);
+    expect(png.headers['content-type']).toBe('image/png');
+
+    const svg = await request(app).get(`/api/v1/barcodes/${body.barcode.code}/image.svg`).set(auth(issuerKey));
+    expect(svg.status).toBe(200);
+    expect(svg.headers['content-type']).toMatch(/^image\/svg\+xml/);
+  });
+
+  test('renders other symbologies as PDF with image options', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app)
+      .get(`/api/v1/barcodes/${body.barcode.code}/image.pdf?type=datamatrix&size=600&quietZone=4`)
+      .set(auth(issuerKey));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+  });
+
+  test('rejects bad image options and codes the symbology cannot hold', async () => {
+    const { body } = await createPass();
+    const url = `/api/v1/barcodes/${body.barcode.code}/image.png`;
+
+    expect((await request(app).get(`${url}?size=5`).set(auth(issuerKey))).status).toBe(400);
+    expect((await request(app).get(`${url}?type=ean13`).set(auth(issuerKey))).status).toBe(400);
+  });
+
+  test('draws a brand preset\'s logo and caption', async () => {
+    const { body } = await createPass();
+    const logo = encodePng({ width: 2, height: 2, pixels: Buffer.alloc(16, 255) });
+    const preset = await BrandPreset.create({ name: 'Acme', foregroundColor: '#112233', logo, caption: 'holder' });
+    const url = `/api/v1/barcodes/${body.barcode.code}/image.svg`;
+
+    const res = await request(app).get(`${url}?preset=${preset._id}`).set(auth(issuerKey));
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/<image /);
+    expect(res.text).toMatch(/fill="#112233"/);
+
+    const missing = await request(app).get(`${url}?preset=64b000000000000000000000`).set(auth(issuerKey));
+    expect(missing.status).toBe(400);
+    expect((await request(app).get(`${url}?caption=title`).set(auth(issuerKey))).status).toBe(400);
+  });
+
+  test('issues numeric codes for EAN-13 passes', async () => {
+    const { body } = await createPass({ barcodeType: 'ean13' });
+
+    expect(body.barcode.code).toMatch(/^\d{13}$/);
+    const res = await request(app).get(`/api/v1/barcodes/${body.barcode.code}/image.svg?type=ean13`).set(auth(issuerKey));
+    expect(res.status).toBe(200);
+  });
+
+  test('draws another numeric code when the first is taken', async () => {
+    // Both passes first draw all ones; the second then draws all twos
+    let draws = 0;
+    const randomInt = jest.spyOn(crypto, 'randomInt').mockImplementation(() => (draws++ < 24 ? 1 : 2));
+
+    try {
+      const first = await createPass({ barcodeType: 'ean13' });
+      const second = await createPass({ barcodeType: 'ean13' });
+
+      expect(first.body.barcode.code).toMatch(/^1{12}\d$/);
+      expect(second.status).toBe(201);
+      expect(second.body.barcode.code).toMatch(/^2{12}\d$/);
+    } finally {
+      randomInt.mockRestore();
+    }
+  });
+});
+
+describe('wallet passes', () => {
+  afterEach(() => {
+    delete process.env.WALLET_UNSIGNED;
+  });
+
+  test('exports unsigned Apple and Google passes in test mode', async () => {
+    process.env.WALLET_UNSIGNED = 'true';
+    const { body } = await createPass();
+
+    const pkpass = await request(app).get(`/api/v1/barcodes/${body.barcode.code}/wallet.pkpass`).set(auth(issuerKey));
+    expect(pkpass.status).toBe(200);
+    expect(pkpass.headers['content-type']).toBe('application/vnd.apple.pkpass');
+
+    const google = await request(app).get(`/api/v1/barcodes/${body.barcode.code}/google-wallet`).set(auth(issuerKey));
+    expect(google.status).toBe(200);
+    expect(google.body.object.barcode.value).toBe(body.barcode.links.pass);
+    expect(google.body.saveUrl).toBe(`https://pay.google.com/gp/v/save/${google.body.jwt}`);
+  });
+
+  test('reports missing wallet configuration', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app).get(`/api/v1/barcodes/${body.barcode.code}/google-wallet`).set(auth(issuerKey));
+    expect(res.status).toBe(503);
+    expect(res.body.error.code).toBe('WALLET_NOT_CONFIGURED');
+  });
+});
+
+describe('POST /api/v1/barcodes/:code/revoke', () => {
+  test('revokes a pass once and reports a conflict on repeat', async () => {
+    const { body } = await createPass();
+    const url = `/api/v1/barcodes/${body.barcode.code}/revoke`;
+
+    const first = await request(app).post(url).set(auth(issuerKey)).send({ reason: 'Lost badge' });
+    expect(first.status).toBe(200);
+    expect(first.body.barcode.status).toBe('revoked');
+    expect(first.body.barcode.revokedReason).toBe('Lost badge');
+
+    const second = await request(app).post(url).set(auth(issuerKey));
+    expect(second.status).toBe(409);
+    expect(second.body.error.code).toBe('ALREADY_REVOKED');
+  });
+
+  test('records who revoked the pass', async () => {
+    const { body } = await createPass();
+    const res = await request(app).post(`/api/v1/barcodes/${body.barcode.code}/revoke`).set(auth(issuerKey)).send({ reason: 'Lost badge' });
+
+    expect(res.body.barcode.revokedBy).toBe('registration');
+    expect(res.body.barcode.statusHistory).toEqual([
+      expect.objectContaining({ action: 'revoked', reason: 'Lost badge', actor: 'registration' })
+    ]);
+  });
+
+  test('reports an unknown code', async () => {
+    const res = await request(app).post('/api/v1/barcodes/NOPE/revoke').set(auth(issuerKey));
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('is not open to gatekeepers', async () => {
+    const { body } = await createPass();
+    const res = await request(app).post(`/api/v1/barcodes/${body.barcode.code}/revoke`).set(auth(gatekeeperKey));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('suspending and reinstating', () => {
+  const verify = (code) => request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code, redeem: false });
+
+  test('denies a suspended pass until it is reinstated', async () => {
+    const { body } = await createPass();
+    const { code } = body.barcode;
+
+    const suspended = await request(app).post(`/api/v1/barcodes/${code}/suspend`).set(auth(issuerKey)).send({ reason: 'Payment pending' });
+    expect(suspended.status).toBe(200);
+    expect(suspended.body.barcode).toMatchObject({ status: 'suspended', suspendedReason: 'Payment pending', suspendedBy: 'registration' });
+
+    const denied = await verify(code);
+    expect(denied.body).toMatchObject({ granted: false, reason: 'SUSPENDED' });
+    expect(denied.body.message).toContain('Payment pending');
+
+    const reinstated = await request(app).post(`/api/v1/barcodes/${code}/reinstate`).set(auth(issuerKey));
+    expect(reinstated.status).toBe(200);
+    expect(reinstated.body.barcode.status).toBe('active');
+    expect(reinstated.body.barcode.statusHistory.map((entry) => entry.action)).toEqual(['suspended', 'reinstated']);
+
+    expect((await verify(code)).body.granted).toBe(true);
+  });
+
+  test('does not redeem a suspended pass', async () => {
+    const { body } = await createPass();
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/suspend`).set(auth(issuerKey));
+
+    const res = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: body.barcode.code });
+
+    expect(res.body).toMatchObject({ granted: false, reason: 'SUSPENDED', redeemed: false });
+    expect((await Barcode.findOne({ code: body.barcode.code })).useCount).toBe(0);
+  });
+
+  test('reports conflicts for repeated or impossible transitions', async () => {
+    const { body } = await createPass();
+    const { code } = body.barcode;
+
+    const notSuspended = await request(app).post(`/api/v1/barcodes/${code}/reinstate`).set(auth(issuerKey));
+    expect(notSuspended.status).toBe(409);
+    expect(notSuspended.body.error.code).toBe('NOT_SUSPENDED');
+
+    await request(app).post(`/api/v1/barcodes/${code}/suspend`).set(auth(issuerKey));
+    const twice = await request(app).post(`/api/v1/barcodes/${code}/suspend`).set(auth(issuerKey));
+    expect(twice.body.error.code).toBe('ALREADY_SUSPENDED');
+
+    await request(app).post(`/api/v1/barcodes/${code}/revoke`).set(auth(issuerKey));
+    const revoked = await request(app).post(`/api/v1/barcodes/${code}/reinstate`).set(auth(issuerKey));
+    expect(revoked.status).toBe(409);
+    expect(revoked.body.error.code).toBe('ALREADY_REVOKED');
+  });
+
+  test('lists suspended passes by status', async () => {
+    await createPass({ issuedTo: 'Grace Hopper' });
+    const { body } = await createPass({ issuedTo: 'Alan Turing' });
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/suspend`).set(auth(issuerKey));
+
+    const suspended = await request(app).get('/api/v1/barcodes?status=suspended').set(auth(issuerKey));
+    expect(suspended.body.barcodes.map((b) => b.issuedTo)).toEqual(['Alan Turing']);
+
+    const active = await request(app).get('/api/v1/barcodes?status=active').set(auth(issuerKey));
+    expect(active.body.barcodes.map((b) => b.issuedTo)).toEqual(['Grace Hopper']);
+  });
+});
+
+describe('POST /api/v1/barcodes/:code/reissue', () => {
+  test('voids the old code and links a replacement with the same details', async () => {
+    const { body } = await createPass({ usageMode: 'limited', maxUses: 3 });
+    const oldCode = body.barcode.code;
+    await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: oldCode });
+
+    const res = await request(app).post(`/api/v1/barcodes/${oldCode}/reissue`).set(auth(issuerKey)).send({ reason: 'Phone stolen' });
+
+    expect(res.status).toBe(201);
+    const replacement = res.body.barcode;
+    expect(replacement.code).not.toBe(oldCode);
+    expect(replacement).toMatchObject({ issuedTo: 'Ada Lovelace', purpose: 'Conference', maxUses: 3, useCount: 1, replaces: oldCode, status: 'active' });
+
+    expect(res.body.previous).toMatchObject({ code: oldCode, status: 'revoked', replacedBy: replacement.code, revokedBy: 'registration' });
+    expect(res.body.previous.revokedReason).toBe(`Reissued as ${replacement.code}: Phone stolen`);
+
+    const old = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: oldCode });
+    expect(old.body).toMatchObject({ granted: false, reason: 'REVOKED' });
+
+    const fresh = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: replacement.code });
+    expect(fresh.body.granted).toBe(true);
+  });
+
+  test('can reissue a suspended pass', async () => {
+    const { body } = await createPass();
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/suspend`).set(auth(issuerKey));
+
+    const res = await request(app).post(`/api/v1/barcodes/${body.barcode.code}/reissue`).set(auth(issuerKey));
+
+    expect(res.status).toBe(201);
+    expect(res.body.barcode.status).toBe('active');
+  });
+
+  test('refuses to reissue a revoked pass and creates nothing', async () => {
+    const { body } = await createPass();
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/revoke`).set(auth(issuerKey));
+
+    const res = await request(app).post(`/api/v1/barcodes/${body.barcode.code}/reissue`).set(auth(issuerKey));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('ALREADY_REVOKED');
+    expect(await Barcode.countDocuments()).toBe(1);
+  });
+});
+
+describe('POST /api/v1/verify', () => {
+  test('redeems a pass for a scanner device and records the scanner', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set('X-Api-Key', scannerKey)
+      .send({ code: body.barcode.code });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ granted: true, reason: 'GRANTED', redeemed: true });
+    expect(res.body.barcode.scannerId).toBe('North Gate Tablet 2');
+    expect(res.body.barcode).toMatchObject({ code: body.barcode.code, issuedTo: 'Ada Lovelace', status: 'used', useCount: 1 });
+
+    const again = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: body.barcode.code });
+
+    expect(again.body).toMatchObject({ granted: false, reason: 'USED', redeemed: false });
+  });
+
+  test('records an exit without using up an entry', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: body.barcode.code, direction: 'exit' });
+
+    expect(res.body).toMatchObject({ granted: true, reason: 'EXITED', direction: 'exit', redeemed: false });
+    expect((await Barcode.findOne({ code: body.barcode.code })).useCount).toBe(0);
+  });
+
+  test('records exits for scanner devices set up as exit gates', async () => {
+    const { body } = await createPass();
+    await Scanner.updateOne({ name: 'North Gate Tablet 2' }, { direction: 'exit' });
+
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set('X-Api-Key', scannerKey)
+      .send({ code: body.barcode.code });
+
+    expect(res.body).toMatchObject({ granted: true, direction: 'exit', redeemed: false });
+  });
+
+  test('shows scanner devices the pass without holder contact details', async () => {
+    const { body } = await createPass({ recipientEmail: 'ada@example.com' });
+
+    const device = await request(app)
+      .post('/api/v1/verify')
+      .set('X-Api-Key', scannerKey)
+      .send({ code: body.barcode.code, redeem: false });
+
+    expect(device.body.barcode).toMatchObject({ issuedTo: 'Ada Lovelace', purpose: 'Conference', activeTime: '09:00', maxUses: 1, useCount: 0 });
+    ['recipientEmail', 'delivery', 'statusHistory', 'links'].forEach((field) => {
+      expect(device.body.barcode).not.toHaveProperty(field);
+    });
+
+    const staff = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: body.barcode.code, redeem: false });
+
+    expect(staff.body.barcode.recipientEmail).toBe('ada@example.com');
+  });
+
+  test('rejects an unknown direction', async () => {
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: 'ANY', direction: 'sideways' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('checks without redeeming when redeem is false', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: body.barcode.code, redeem: false });
+
+    expect(res.body).toMatchObject({ granted: true, redeemed: false });
+    expect((await Barcode.findOne({ code: body.barcode.code })).useCount).toBe(0);
+  });
+
+  test('denies a revoked pass', async () => {
+    const { body } = await createPass();
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/revoke`).set(auth(issuerKey));
+
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: body.barcode.code });
+
+    expect(res.body).toMatchObject({ granted: false, reason: 'REVOKED' });
+  });
+
+  test('denies an unknown code', async () => {
+    const res = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: 'NOPE' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ granted: false, reason: 'UNKNOWN_CODE', barcode: null });
+  });
+
+  test('requires a code', async () => {
+    const res = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+test('returns the standard error body for unknown endpoints', async () => {
+  const res = await request(app).get('/api/v1/nothing-here').set(auth(issuerKey));
+
+  expect(res.status).toBe(404);
+  expect(res.body.error.code).toBe('NOT_FOUND');
+});
+
+describe('signed QR payloads', () => {
+  const signedPayloadFor = async (code) => (await getPayloadSigner())(await Barcode.findOne({ code }).populate('event'));
+
+  test('redeems a signed token and a scan URL wrapping it', async () => {
+    await rotateSigningKey();
+    const first = await createPass();
+    const second = await createPass();
+
+    const token = await signedPayloadFor(first.body.barcode.code);
+    expect(token).toMatch(/^BAS1\./);
+
+    const bare = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: token });
+    expect(bare.body).toMatchObject({ granted: true, redeemed: true });
+    expect(bare.body.barcode.code).toBe(first.body.barcode.code);
+
+    const url = `https://gate.example/mobile-scan/${await signedPayloadFor(second.body.barcode.code)}`;
+    const wrapped = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: url });
+    expect(wrapped.body).toMatchObject({ granted: true, redeemed: true });
+  });
+
+  test('still accepts plain codes while signing is on', async () => {
+    await rotateSigningKey();
+    const { body } = await createPass();
+
+    const res = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: body.barcode.code });
+    expect(res.body.granted).toBe(true);
+  });
+
+  test('denies a forged token without redeeming anything', async () => {
+    await rotateSigningKey();
+    const { body } = await createPass();
+    const token = await signedPayloadFor(body.barcode.code);
+    const [prefix, kid, , signature] = token.split('.');
+    const forgedClaims = Buffer.from(JSON.stringify({ c: body.barcode.code, h: 'Mallory' })).toString('base64url');
+
+    const res = await request(app)
+      .post('/api/v1/verify')
+      .set(auth(gatekeeperKey))
+      .send({ code: [prefix, kid, forgedClaims, signature].join('.') });
+
+    expect(res.body).toMatchObject({ granted: false, reason: 'INVALID_SIGNATURE', barcode: null });
+    expect((await Barcode.findOne({ code: body.barcode.code })).useCount).toBe(0);
+  });
+
+  test('keeps accepting tokens from a rotated-out key', async () => {
+    await rotateSigningKey();
+    const { body } = await createPass();
+    const token = await signedPayloadFor(body.barcode.code);
+
+    await rotateSigningKey({ algorithm: 'HS256' });
+
+    const res = await request(app).post('/api/v1/verify').set(auth(gatekeeperKey)).send({ code: token, redeem: false });
+    expect(res.body.granted).toBe(true);
+  });
+
+  test('publishes verification keys to scanner devices without private keys', async () => {
+    await rotateSigningKey();
+    await rotateSigningKey();
+
+    const res = await request(app).get('/api/v1/signing-keys').set('X-Api-Key', scannerKey);
+
+    expect(res.status).toBe(200);
+    expect(res.body.tokenPrefix).toBe('BAS1');
+    expect(res.body.keys.map((key) => key.status)).toEqual(['active', 'retired']);
+    res.body.keys.forEach((key) => {
+      expect(key.publicKey).toBeTruthy();
+      expect(key.secret).toBeUndefined();
+    });
+  });
+
+  test('shares HS256 secrets with scanner devices but not with user keys', async () => {
+    await rotateSigningKey({ algorithm: 'HS256' });
+
+    const device = await request(app).get('/api/v1/signing-keys').set('X-Api-Key', scannerKey);
+    expect(device.body.keys[0].secret).toEqual(expect.any(String));
+
+    const user = await request(app).get('/api/v1/signing-keys').set(auth(gatekeeperKey));
+    expect(user.status).toBe(200);
+    expect(user.body.keys[0]).not.toHaveProperty('secret');
+  });
+});
+
+describe('offline gate mode', () => {
+  test('snapshots an event\'s passes with the event schedule resolved', async () => {
+    const event = await Event.create({
+      name: 'Summit',
+      startDate: new Date('2030-03-01T00:00:00Z'),
+      endDate: new Date('2030-03-02T00:00:00Z'),
+      timezone: 'Africa/Lagos'
+    });
+    await createPass({ eventId: String(event._id) });
+    await createPass();
+
+    const res = await request(app).get(`/api/v1/offline/snapshot?eventId=${event._id}`).set('X-Api-Key', scannerKey);
+
+    expect(res.status).toBe(200);
+    expect(res.body.event.name).toBe('Summit');
+    expect(res.body.passes).toHaveLength(1);
+    expect(res.body.passes[0]).toMatchObject({ timezone: 'Africa/Lagos', activeTime: '09:00', maxUses: 1 });
+    expect((await Scanner.findOne({ name: 'North Gate Tablet 2' })).lastSnapshotAt).toBeInstanceOf(Date);
+  });
+
+  test('requires an event id', async () => {
+    const res = await request(app).get('/api/v1/offline/snapshot').set('X-Api-Key', scannerKey);
+    expect(res.status).toBe(400);
+  });
+
+  test('syncs queued scans from a scanner device', async () => {
+    const { body } = await createPass();
+
+    const res = await request(app)
+      .post('/api/v1/offline/sync')
+      .set('X-Api-Key', scannerKey)
+      .send({ scans: [{ id: 'q1', code: body.barcode.code, scannedAt: new Date().toISOString(), granted: true }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ conflicts: 0, results: [{ id: 'q1', status: 'applied' }] });
+    expect((await Barcode.findOne({ code: body.barcode.code })).used).toBe(true);
+  });
+
+  test('only lets scanner devices sync', async () => {
+    const res = await request(app).post('/api/v1/offline/sync').set(auth(gatekeeperKey)).send({ scans: [] });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/v1/analytics', () => {
+  let adminKey;
+
+  beforeEach(async () => {
+    adminKey = await createUserWithKey('ops', 'admin');
+  });
+
+  test('reports entries, gates, redemption and occupancy', async () => {
+    const { body } = await createPass();
+    await request(app).post('/api/v1/verify').set('X-Api-Key', scannerKey).send({ code: body.barcode.code });
+    await request(app).post('/api/v1/verify').set('X-Api-Key', scannerKey).send({ code: body.barcode.code });
+
+    const res = await request(app).get('/api/v1/analytics').set(auth(adminKey));
+
+    expect(res.status).toBe(200);
+    expect(res.body.gates).toEqual([expect.objectContaining({ gate: 'North Gate Tablet 2', entries: 1, denied: 1 })]);
+    expect(res.body.denied).toEqual([expect.objectContaining({ reason: 'USED', count: 1 })]);
+    expect(res.body.redemption.byPurpose).toEqual([expect.objectContaining({ purpose: 'Conference', passes: 1, redeemed: 1, rate: 1 })]);
+    expect(res.body.occupancy).toMatchObject({ inside: 1, entries: 1, exits: 0 });
+  });
+
+  test('groups redemption by event on request', async () => {
+    await createPass();
+
+    const res = await request(app).get('/api/v1/analytics/redemption?by=event').set(auth(adminKey));
+
+    expect(res.status).toBe(200);
+    expect(res.body.groups).toEqual([expect.objectContaining({ event: null, passes: 1, redeemed: 0, rate: 0 })]);
+  });
+
+  test('rejects bad ranges and groupings', async () => {
+    const badDate = await request(app).get('/api/v1/analytics/entries?from=15-06-2024').set(auth(adminKey));
+    const badGroup = await request(app).get('/api/v1/analytics/redemption?by=colour').set(auth(adminKey));
+
+    expect(badDate.status).toBe(400);
+    expect(badGroup.status).toBe(400);
+  });
+
+  test('is only for admins', async () => {
+    const res = await request(app).get('/api/v1/analytics/occupancy').set(auth(issuerKey));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/v1/barcodes/export', () => {
+  test('streams matching passes as CSV with their status', async () => {
+    await createPass({ issuedTo: 'Grace Hopper' });
+    const { body } = await createPass({ issuedTo: 'Alan Turing' });
+    await request(app).post(`/api/v1/barcodes/${body.barcode.code}/revoke`).set(auth(issuerKey));
+
+    const res = await request(app).get('/api/v1/barcodes/export.csv?status=revoked').set(auth(issuerKey));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename=passes-\d{8}-\d{4}\.csv$/);
+    const lines = res.text.trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(new RegExp(`^${body.barcode.code},Alan Turing,Conference,revoked,`));
+  });
+
+  test('includes scan history in NDJSON on request', async () => {
+    const { body } = await createPass();
+    await request(app).post('/api/v1/verify').set('X-Api-Key', scannerKey).send({ code: body.barcode.code });
+
+    const res = await request(app).get('/api/v1/barcodes/export.ndjson?history=true').set(auth(issuerKey));
+
+    const record = JSON.parse(res.text.trim());
+    expect(record).toMatchObject({ code: body.barcode.code, status: 'used' });
+    expect(record.scans).toEqual([expect.objectContaining({ outcome: 'granted', scannerId: 'North Gate Tablet 2' })]);
+  });
+
+  test('rejects filters the list would reject', async () => {
+    const res = await request(app).get('/api/v1/barcodes/export.csv?status=lost').set(auth(issuerKey));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('is not open to scanner devices', async () => {
+    const res = await request(app).get('/api/v1/barcodes/export.csv').set('X-Api-Key', scannerKey);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('webhooks', () => {
+  let adminKey;
+  let receiver;
+
+  beforeEach(async () => {
+    adminKey = await createUserWithKey('ops', 'admin');
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    receiver = { server, requests, url: `http://127.0.0.1:${server.address().port}/crm` };
+  });
+
+  afterEach(() => new Promise((resolve) => receiver.server.close(resolve)));
+
+  const subscribe = (events) => request(app)
+    .post('/api/v1/webhooks')
+    .set(auth(adminKey))
+    .send({ name: 'CRM', url: receiver.url, events });
+
+  test('creates a subscription and returns its secret once', async () => {
+    const created = await subscribe(['barcode.redeemed']);
+
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toMatch(/^whsec_/);
+    expect(created.body.webhook).toMatchObject({ name: 'CRM', url: receiver.url, events: ['barcode.redeemed'], active: true });
+
+    const list = await request(app).get('/api/v1/webhooks').set(auth(adminKey));
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(list.body.webhooks[0]).not.toHaveProperty('secret');
+  });
+
+  test('sends signed check-ins from the verify endpoint and logs them for replay', async () => {
+    const { body: { secret } } = await subscribe(['barcode.redeemed']);
+    const { body } = await createPass();
+
+    await request(app).post('/api/v1/verify').set('X-Api-Key', scannerKey).send({ code: body.barcode.code });
+    await settleWebhookDeliveries();
+
+    expect(receiver.requests).toHaveLength(1);
+    const [checkIn] = receiver.requests;
+    expect(verifyWebhookSignature(secret, checkIn.headers['x-webhook-signature'], checkIn.body)).toBe(true);
+    expect(JSON.parse(checkIn.body).data).toMatchObject({ code: body.barcode.code, scan: { granted: true, scannerId: 'North Gate Tablet 2' } });
+
+    const log = await request(app).get('/api/v1/webhooks/deliveries?status=succeeded').set(auth(adminKey));
+    expect(log.body.deliveries).toEqual([expect.objectContaining({ event: 'barcode.redeemed', attempts: 1, responseStatus: 200 })]);
+
+    const replay = await request(app).post(`/api/v1/webhooks/deliveries/${log.body.deliveries[0].id}/replay`).set(auth(adminKey));
+    await settleWebhookDeliveries();
+
+    expect(replay.status).toBe(202);
+    expect(replay.body.delivery).toMatchObject({ eventId: log.body.deliveries[0].eventId, replayOf: log.body.deliveries[0].id });
+    expect(receiver.requests).toHaveLength(2);
+  });
+
+  test('rejects bad subscriptions and unknown deliveries', async () => {
+    const badUrl = await request(app).post('/api/v1/webhooks').set(auth(adminKey)).send({ name: 'CRM', url: 'not a url', events: ['barcode.created'] });
+    const badEvent = await request(app).post('/api/v1/webhooks').set(auth(adminKey)).send({ name: 'CRM', url: receiver.url, events: ['pass.printed'] });
+    const badFilter = await request(app).get('/api/v1/webhooks/deliveries?status=lost').set(auth(adminKey));
+    const missing = await request(app).post('/api/v1/webhooks/deliveries/000000000000000000000000/replay').set(auth(adminKey));
+
+    expect([badUrl.status, badEvent.status, badFilter.status]).toEqual([400, 400, 400]);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('rotates and deletes subscriptions', async () => {
+    const { body: created } = await subscribe(['barcode.created']);
+
+    const rotated = await request(app).post(`/api/v1/webhooks/${created.webhook.id}/rotate`).set(auth(adminKey));
+    expect(rotated.body.secret).not.toBe(created.secret);
+
+    const deleted = await request(app).delete(`/api/v1/webhooks/${created.webhook.id}`).set(auth(adminKey));
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get('/api/v1/webhooks').set(auth(adminKey))).body.webhooks).toEqual([]);
+  });
+
+  test('is only for admins', async () => {
+    const res = await request(app).get('/api/v1/webhooks').set(auth(issuerKey));
+    expect(res.status).toBe(403);
+  });
+});
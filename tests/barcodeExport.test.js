@@ -0,0 +1,133 @@
+const { Writable } = require('stream');
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const Event = require('../models/Event');
+const ScanEvent = require('../models/ScanEvent');
+const { COLUMN_NAMES, describeScans, streamBarcodeExport } = require('../services/barcodeExport');
+const { buildBarcodeFilter } = require('../services/barcodeQuery');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+// Collects what an export writes, with the headers it sets, like a response
+const createOutput = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  output.headers = {};
+  output.setHeader = (name, value) => {
+    output.headers[name.toLowerCase()] = value;
+  };
+  output.text = () => Buffer.concat(chunks).toString();
+  return output;
+};
+
+const seed = async () => {
+  const event = await Event.create({ name: 'Summit', startDate: new Date('2024-06-15'), endDate: new Date('2024-06-15') });
+  await Barcode.insertMany([
+    { code: 'ACTIVE01', issuedTo: 'Ada, "Countess" Lovelace', event: event._id, issuedAt: new Date('2024-06-01T00:00:00Z') },
+    { code: 'USED0001', issuedTo: 'Grace Hopper', used: true, useCount: 1, issuedAt: new Date('2024-06-02T00:00:00Z') },
+    { code: 'REVOKED1', issuedTo: 'Ken Thompson', revokedAt: now, issuedAt: new Date('2024-06-03T00:00:00Z') }
+  ]);
+  await ScanEvent.insertMany([
+    { code: 'USED0001', outcome: 'granted', reason: 'GRANTED', scannerId: 'North Gate', timestamp: new Date('2024-06-15T09:05:00Z') },
+    { code: 'USED0001', outcome: 'denied', reason: 'USED', scannerId: 'North Gate', timestamp: new Date('2024-06-15T09:10:00Z') }
+  ]);
+};
+
+describe('streamBarcodeExport', () => {
+  test('writes a CSV row with the computed status for each pass', async () => {
+    await seed();
+    const output = createOutput();
+
+    const result = await streamBarcodeExport(output, { format: 'csv', now });
+
+    expect(result).toEqual({ rows: 3, aborted: false });
+    expect(output.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(output.headers['content-disposition']).toBe('attachment; filename=passes-20240615-1200.csv');
+
+    const lines = output.text().trim().split('\n');
+    expect(lines[0]).toBe(COLUMN_NAMES.join(','));
+    expect(lines.map((line) => line.split(',')[0])).toEqual(['code', 'REVOKED1', 'USED0001', 'ACTIVE01']);
+    expect(lines[1]).toContain(',revoked,');
+    expect(lines[3]).toMatch(/^ACTIVE01,"Ada, ""Countess"" Lovelace",,active,Summit,/);
+  });
+
+  test('exports only the passes matching the list filters', async () => {
+    await seed();
+    const output = createOutput();
+    const { filter } = buildBarcodeFilter({ status: 'used' }, now);
+
+    await streamBarcodeExport(output, { format: 'ndjson', filter, now });
+
+    const records = output.text().trim().split('\n').map((line) => JSON.parse(line));
+    expect(records).toEqual([expect.objectContaining({ code: 'USED0001', status: 'used', useCount: 1 })]);
+    expect(records[0]).not.toHaveProperty('scans');
+  });
+
+  test('adds scan history as a list in NDJSON and as text in CSV', async () => {
+    await seed();
+    const { filter } = buildBarcodeFilter({ search: 'USED0001' }, now);
+
+    const ndjson = createOutput();
+    await streamBarcodeExport(ndjson, { format: 'ndjson', filter, history: true, now });
+    const [record] = ndjson.text().trim().split('\n').map((line) => JSON.parse(line));
+    expect(record.scans).toEqual([
+      expect.objectContaining({ outcome: 'granted', reason: 'GRANTED', scannerId: 'North Gate' }),
+      expect.objectContaining({ outcome: 'denied', reason: 'USED' })
+    ]);
+
+    const csv = createOutput();
+    await streamBarcodeExport(csv, { format: 'csv', filter, history: true, now });
+    const [header, row] = csv.text().trim().split('\n');
+    expect(header).toMatch(/,scans,scanHistory$/);
+    expect(row).toMatch(/,2,2024-06-15T09:05:00.000Z granted GRANTED at North Gate; 2024-06-15T09:10:00.000Z denied USED at North Gate$/);
+  });
+
+  test('writes formula-like holder details as text', async () => {
+    await Barcode.create({ code: 'FORMULA1', issuedTo: '=HYPERLINK("http://evil.test","Ada")', purpose: '+cmd|calc' });
+    const output = createOutput();
+
+    await streamBarcodeExport(output, { format: 'csv', now });
+
+    const row = output.text().trim().split('\n')[1];
+    expect(row).toMatch(/^FORMULA1,"'=HYPERLINK\(""http:\/\/evil.test"",""Ada""\)",'\+cmd\|calc,/);
+  });
+
+  test('writes an XLSX workbook', async () => {
+    await seed();
+    const output = createOutput();
+
+    const result = await streamBarcodeExport(output, { format: 'xlsx', now });
+
+    expect(result.rows).toBe(3);
+    expect(output.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(output.text().substring(0, 2)).toBe('PK');
+  });
+
+  test('rejects an unknown format before writing anything', async () => {
+    const output = createOutput();
+
+    expect(await streamBarcodeExport(output, { format: 'pdf', now })).toEqual({ error: expect.stringMatching(/csv, xlsx, ndjson/) });
+    expect(output.headers).toEqual({});
+  });
+});
+
+describe('describeScans', () => {
+  test('keeps long histories within a spreadsheet cell', () => {
+    const scans = Array.from({ length: 1000 }, () => ({
+      timestamp: now, outcome: 'denied', reason: 'USED', scannerId: 'North Gate'
+    }));
+
+    expect(describeScans(scans).length).toBeLessThanOrEqual(32001);
+  });
+});
@@ -0,0 +1,179 @@
+const {
+  SYMBOLOGIES,
+  IMAGE_FORMATS,
+  MAX_IMAGE_SIZE,
+  generateUniqueCode,
+  codeTypeFor,
+  encodingError,
+  parseImageOptions,
+  generateBarcodeImage
+} = require('../services/barcodeImage');
+const { decodePng, encodePng } = require('../services/pngImage');
+
+const BASE_URL = 'http://localhost:3000';
+const CODE = '0123456789ABCDEF0123456789ABCDEF';
+
+// A solid red square logo
+const makeLogo = (side = 20) => encodePng({
+  width: side,
+  height: side,
+  pixels: Buffer.from(Array.from({ length: side * side }, () => [255, 0, 0, 255]).flat())
+});
+
+const pixelAt = (image, x, y) => Array.from(image.pixels.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+
+const pngSize = (png) => ({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) });
+const svgSize = (svg) => {
+  const [, width, height] = svg.match(/<svg width="(\d+)" height="(\d+)"/);
+  return { width: Number(width), height: Number(height) };
+};
+
+describe('generateBarcodeImage', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test.each(Object.keys(SYMBOLOGIES))('renders %s in every format', async (type) => {
+    const code = generateUniqueCode(type);
+
+    for (const format of IMAGE_FORMATS) {
+      const image = await generateBarcodeImage(code, type, BASE_URL, {}, format, { size: 400 });
+
+      if (format === 'png') expect(image.subarray(1, 4).toString()).toBe('PNG');
+      if (format === 'svg') expect(image).toMatch(/^<svg /);
+      if (format === 'pdf') expect(image.subarray(0, 5).toString()).toBe('%PDF-');
+    }
+  });
+
+  test('fits the longest side within the requested size', async () => {
+    const small = pngSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'png', { size: 300 }));
+    const large = pngSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'png', { size: 1500 }));
+
+    expect(small.width).toBeLessThanOrEqual(300);
+    expect(large.width).toBeLessThanOrEqual(1500);
+    expect(large.width).toBeGreaterThan(1500 * 0.9);
+    expect(large.width).toBeGreaterThan(small.width * 4);
+  });
+
+  test('gives SVG output the requested size too', async () => {
+    const svg = await generateBarcodeImage(CODE, 'datamatrix', BASE_URL, {}, 'svg', { size: 800 });
+    expect(svgSize(svg).width).toBeGreaterThan(700);
+  });
+
+  test('uses more modules for higher error correction', async () => {
+    const low = svgSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'svg', { size: 100, eclevel: 'L' }));
+    const high = svgSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'svg', { size: 100, eclevel: 'H' }));
+
+    expect(high.width).toBeGreaterThan(low.width);
+  });
+
+  test('pads the symbol by the quiet zone in modules', async () => {
+    const none = svgSize(await generateBarcodeImage(CODE, 'code128', BASE_URL, {}, 'svg', { size: 100, quietZone: 0 }));
+    const wide = svgSize(await generateBarcodeImage(CODE, 'code128', BASE_URL, {}, 'svg', { size: 100, quietZone: 10 }));
+
+    expect(wide.width - none.width).toBe(20);
+  });
+
+  test('refuses to draw a non-numeric code as EAN-13', async () => {
+    await expect(generateBarcodeImage(CODE, 'ean13', BASE_URL)).rejects.toThrow(/13-digit/);
+  });
+});
+
+describe('logos and captions', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('draws the logo in the middle of a QR code', async () => {
+    const image = decodePng(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'png', { size: 400, logo: makeLogo() }));
+
+    expect(pixelAt(image, Math.floor(image.width / 2), Math.floor(image.height / 2))).toEqual([255, 0, 0, 255]);
+  });
+
+  test('switches to the highest error correction level for a logo', async () => {
+    const plain = svgSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'svg', { size: 100, eclevel: 'L' }));
+    const high = svgSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'svg', { size: 100, eclevel: 'H' }));
+    const withLogo = svgSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'svg', { size: 100, eclevel: 'L', logo: makeLogo() }));
+
+    expect(withLogo).toEqual(high);
+    expect(withLogo.width).toBeGreaterThan(plain.width);
+  });
+
+  test('embeds the logo in SVG and PDF output', async () => {
+    const svg = await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'svg', { size: 400, logo: makeLogo() });
+    const pdf = await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'pdf', { size: 400, logo: makeLogo() });
+
+    expect(svg).toMatch(/<image [^>]*href="data:image\/png;base64,/);
+    expect(pdf.toString('latin1')).toMatch(/\/Subtype \/Image/);
+  });
+
+  test('leaves other symbologies without a logo', async () => {
+    const svg = await generateBarcodeImage(CODE, 'datamatrix', BASE_URL, {}, 'svg', { size: 400, logo: makeLogo() });
+    expect(svg).not.toMatch(/<image /);
+  });
+
+  test('prints a caption under the code', async () => {
+    const plain = pngSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'png', { size: 400 }));
+    const captioned = pngSize(await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'png', { size: 400, caption: 'Jane Doe' }));
+
+    expect(captioned.height).toBeGreaterThan(captioned.width);
+    expect(captioned.height).toBeLessThanOrEqual(400);
+    expect(plain.height).toBe(plain.width);
+  });
+
+  test('keeps the digits under EAN-13 codes instead of a caption', async () => {
+    const plain = await generateBarcodeImage('4006381333931', 'ean13', BASE_URL, {}, 'svg', { size: 400 });
+    const captioned = await generateBarcodeImage('4006381333931', 'ean13', BASE_URL, {}, 'svg', { size: 400, caption: 'Jane Doe' });
+
+    expect(captioned).toBe(plain);
+  });
+});
+
+describe('numeric codes', () => {
+  test.each([['ean13', 13], ['upca', 12]])('generates %s codes with a valid check digit', (type, length) => {
+    const code = generateUniqueCode(type);
+
+    expect(code).toMatch(new RegExp(`^\\d{${length}}$`));
+    expect(codeTypeFor(code)).toBe(type);
+    expect(encodingError(code, type)).toBeNull();
+  });
+
+  test('treats other codes as QR codes', () => {
+    expect(codeTypeFor(generateUniqueCode())).toBe('qrcode');
+    expect(codeTypeFor('4006381333931')).toBe('ean13');
+    expect(codeTypeFor('4006381333932')).toBe('qrcode');
+  });
+});
+
+describe('parseImageOptions', () => {
+  test('fills in defaults', () => {
+    expect(parseImageOptions({})).toEqual({
+      options: { type: 'qrcode', format: 'png', size: 1000, eclevel: 'M', quietZone: null }
+    });
+  });
+
+  test('accepts query string values', () => {
+    const { options } = parseImageOptions({ type: 'pdf417', format: 'pdf', size: '600', eclevel: 'h', quietZone: '0' });
+    expect(options).toEqual({ type: 'pdf417', format: 'pdf', size: 600, eclevel: 'H', quietZone: 0 });
+  });
+
+  test.each([
+    [{ type: 'maxicode' }, /Type/],
+    [{ format: 'gif' }, /Format/],
+    [{ size: '50' }, /Size/],
+    [{ size: String(MAX_IMAGE_SIZE + 1) }, /Size/],
+    [{ size: 'big' }, /Size/],
+    [{ eclevel: 'X' }, /Error correction/],
+    [{ quietZone: '-1' }, /Quiet zone/]
+  ])('rejects %o', (input, message) => {
+    expect(parseImageOptions(input).error).toMatch(message);
+  });
+});
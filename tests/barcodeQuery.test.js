@@ -0,0 +1,61 @@
+const { buildBarcodeFilter, buildBarcodeSort } = require('../services/barcodeQuery');
+
+describe('buildBarcodeFilter', () => {
+  test('searches the holder, code and purpose', () => {
+    const { filter } = buildBarcodeFilter({ search: ' ada.l ' });
+    const pattern = { $regex: 'ada\\.l', $options: 'i' };
+
+    expect(filter).toEqual({ $and: [{ $or: [{ issuedTo: pattern }, { code: pattern }, { purpose: pattern }] }] });
+  });
+
+  test('ignores a blank search', () => {
+    expect(buildBarcodeFilter({ search: '   ' }).filter).toEqual({});
+  });
+
+  test('includes the whole of a bare end day', () => {
+    const { filter } = buildBarcodeFilter({ issuedAfter: '2024-06-01', issuedBefore: '2024-06-15' });
+
+    expect(filter.$and[0].issuedAt).toEqual({
+      $gte: new Date('2024-06-01T00:00:00Z'),
+      $lt: new Date('2024-06-16T00:00:00Z')
+    });
+  });
+
+  test('keeps an exact end time as given', () => {
+    const { filter } = buildBarcodeFilter({ issuedBefore: '2024-06-15T12:00:00Z' });
+    expect(filter.$and[0].issuedAt).toEqual({ $lte: new Date('2024-06-15T12:00:00Z') });
+  });
+
+  test('combines every filter', () => {
+    const { filter } = buildBarcodeFilter({ search: 'ada', status: 'revoked', event: 'none', issuedAfter: '2024-06-01' });
+    expect(filter.$and).toHaveLength(4);
+  });
+
+  test.each([
+    [{ status: 'lost' }, 'Status must be one of: active, used, expired, revoked, suspended'],
+    [{ event: 'summit' }, 'event must be an event id or "none"'],
+    [{ issuedBefore: 'soon' }, 'issuedBefore is not a valid date']
+  ])('rejects %p', (query, error) => {
+    expect(buildBarcodeFilter(query).error).toBe(error);
+  });
+});
+
+describe('buildBarcodeSort', () => {
+  test('lists the newest passes first by default', () => {
+    expect(buildBarcodeSort().sort).toEqual({ issuedAt: -1, _id: -1 });
+  });
+
+  test('sorts text columns A to Z unless told otherwise', () => {
+    expect(buildBarcodeSort({ sort: 'issuedTo' }).sort).toEqual({ issuedTo: 1, _id: 1 });
+    expect(buildBarcodeSort({ sort: 'issuedTo', order: 'desc' }).sort).toEqual({ issuedTo: -1, _id: -1 });
+  });
+
+  test('sorts entries by the use count', () => {
+    expect(buildBarcodeSort({ sort: 'entries', order: 'asc' }).sort).toEqual({ useCount: 1, _id: 1 });
+  });
+
+  test('rejects unknown columns and orders', () => {
+    expect(buildBarcodeSort({ sort: 'password' }).error).toMatch(/^sort must be one of: /);
+    expect(buildBarcodeSort({ order: 'up' }).error).toBe('order must be asc or desc');
+  });
+});
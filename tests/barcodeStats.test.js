@@ -0,0 +1,63 @@
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const { buildBarcodeFilter, summarizeStatuses } = require('../services/barcodeQuery');
+const { getStatus } = require('../services/accessPolicy');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+const seed = () => Barcode.insertMany([
+  { code: 'ACTIVE01', issuedTo: 'Ada Lovelace', purpose: 'Speaker' },
+  { code: 'ACTIVE02', issuedTo: 'Alan Turing', expiresAt: new Date('2024-06-16T00:00:00Z'), useCount: 1, maxUses: 3 },
+  { code: 'USED0001', issuedTo: 'Grace Hopper', used: true, useCount: 1 },
+  { code: 'EXPIRED1', issuedTo: 'Edsger Dijkstra', expiresAt: new Date('2024-06-14T00:00:00Z') },
+  { code: 'SUSPEND1', issuedTo: 'Barbara Liskov', suspendedAt: now },
+  { code: 'REVOKED1', issuedTo: 'Ken Thompson', revokedAt: now, suspendedAt: now, used: true, useCount: 2 }
+]);
+
+describe('summarizeStatuses', () => {
+  test('counts every pass by the same status the pass pages show', async () => {
+    const barcodes = await seed();
+
+    const summary = await summarizeStatuses({}, now);
+
+    expect(summary).toEqual({ total: 6, entries: 4, active: 2, used: 1, expired: 1, suspended: 1, revoked: 1 });
+    barcodes.forEach((barcode) => {
+      expect(summary[getStatus(barcode, now)]).toBeGreaterThan(0);
+    });
+  });
+
+  test('counts only passes matching a filter', async () => {
+    await seed();
+    const { filter } = buildBarcodeFilter({ search: 'a' }, now);
+
+    const summary = await summarizeStatuses(filter, now);
+    const matching = await Barcode.countDocuments(filter);
+
+    expect(summary.total).toBe(matching);
+  });
+
+  test('reports zeros for an empty collection', async () => {
+    expect(await summarizeStatuses({}, now)).toEqual({ total: 0, entries: 0, active: 0, used: 0, expired: 0, suspended: 0, revoked: 0 });
+  });
+});
+
+describe('search', () => {
+  test('finds passes by holder, code or purpose', async () => {
+    await seed();
+
+    const find = async (search) => {
+      const { filter } = buildBarcodeFilter({ search }, now);
+      return (await Barcode.find(filter).sort({ code: 1 }).lean()).map((barcode) => barcode.code);
+    };
+
+    expect(await find('turing')).toEqual(['ACTIVE02']);
+    expect(await find('used0')).toEqual(['USED0001']);
+    expect(await find('speak')).toEqual(['ACTIVE01']);
+  });
+});
@@ -0,0 +1,26 @@
+// In-memory MongoDB for tests that need real query semantics
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongod;
+
+const connect = async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+};
+
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
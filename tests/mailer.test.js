@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isValidEmail, createTransport, setTransport, sendMail } = require('../services/mailer');
+const { buildPassEmail } = require('../services/passDelivery');
+
+const june = (dayOfMonth) => new Date(Date.UTC(2024, 5, dayOfMonth));
+
+afterEach(() => setTransport(null));
+
+describe('isValidEmail', () => {
+  test.each(['ada@example.com', 'grace.hopper+pass@mail.example.org'])('accepts %s', (address) => {
+    expect(isValidEmail(address)).toBe(true);
+  });
+
+  test.each(['', 'ada', 'ada@example', 'ada @example.com', null])('rejects %p', (address) => {
+    expect(isValidEmail(address)).toBe(false);
+  });
+});
+
+describe('transports', () => {
+  test('reject an unknown transport name', () => {
+    expect(() => createTransport('pigeon')).toThrow('Unknown mail transport "pigeon"');
+  });
+
+  test('the file transport writes each message as an .eml file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-test-'));
+    setTransport(createTransport('file', directory));
+
+    const { messageId, transport } = await sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Your pass' });
+
+    const files = fs.readdirSync(directory);
+    const content = fs.readFileSync(path.join(directory, files[0]), 'utf8');
+    expect(transport).toBe('file');
+    expect(messageId).toMatch(/^<.+>$/);
+    expect(files).toHaveLength(1);
+    expect(content).toContain('To: ada@example.com');
+    expect(content).toContain('Subject: Hello');
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('sendMail uses the transport that was set', async () => {
+    const sent = [];
+    setTransport({ name: 'memory', send: async (message) => { sent.push(message); return { messageId: '<1@test>' }; } });
+
+    const result = await sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+
+    expect(result).toEqual({ messageId: '<1@test>', transport: 'memory' });
+    expect(sent[0].from).toBeTruthy();
+  });
+});
+
+describe('buildPassEmail', () => {
+  const pass = {
+    code: 'ABC123',
+    issuedTo: 'Ada Lovelace',
+    purpose: 'Speaker',
+    event: { name: 'Lagos Tech Summit', venue: 'Eko Hall' },
+    activeDate: june(15),
+    activeEndDate: june(16),
+    activeTime: '09:00',
+    endTime: '17:00',
+    timezone: 'Africa/Lagos',
+    maxUses: 2
+  };
+
+  test('embeds the QR code and the schedule', async () => {
+    const message = await buildPassEmail(pass, 'https://gate.example', 'ABC123');
+    const [attachment] = message.attachments;
+
+    expect(message.subject).toBe('Your pass for Lagos Tech Summit');
+    expect(message.html).toContain(`cid:${attachment.cid}`);
+    expect(message.html).toContain('Sat 15 Jun 2024 – Sun 16 Jun 2024');
+    expect(message.html).toContain('https://gate.example/pass/ABC123');
+    expect(message.text).toContain('Valid: Sat 15 Jun 2024 – Sun 16 Jun 2024, 09:00 - 17:00 (Africa/Lagos)');
+    expect(message.text).toContain('Entries: 2');
+    expect(attachment.contentType).toBe('image/png');
+    expect(attachment.content.subarray(1, 4).toString()).toBe('PNG');
+  });
+
+  test('links to wallet passes when they are available', async () => {
+    process.env.WALLET_UNSIGNED = 'true';
+    const message = await buildPassEmail(pass, 'https://gate.example', 'ABC123');
+    delete process.env.WALLET_UNSIGNED;
+
+    expect(message.html).toContain('https://gate.example/pass/ABC123/wallet.pkpass');
+    expect(message.text).toContain('Add to Google Wallet: https://gate.example/pass/ABC123/google-wallet');
+  });
+
+  test('escapes holder details in the HTML body', async () => {
+    const message = await buildPassEmail({ ...pass, issuedTo: '<b>Mallory</b>', event: null }, 'https://gate.example', 'ABC123');
+
+    expect(message.subject).toBe('Your pass for <b>Mallory</b>');
+    expect(message.html).toContain('&lt;b&gt;Mallory&lt;/b&gt;');
+    expect(message.text).toContain('Pass for <b>Mallory</b>');
+  });
+});
@@ -0,0 +1,153 @@
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const Event = require('../models/Event');
+const ScanEvent = require('../models/ScanEvent');
+const Scanner = require('../models/Scanner');
+const { evaluateAccess } = require('../services/accessPolicy');
+const { revokePass } = require('../services/passLifecycle');
+const {
+  CONFLICTS,
+  toSnapshotPass,
+  syncOfflineScans,
+  countOpenConflicts,
+  resolveConflict
+} = require('../services/offlineSync');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const createScanner = async (name) => {
+  const scanner = new Scanner({ name });
+  scanner.rotateApiKey();
+  return scanner.save();
+};
+
+const scanAt = (id, scannedAt, overrides = {}) => ({
+  id,
+  code: 'GATE0001',
+  scannedAt: new Date(scannedAt).toISOString(),
+  granted: true,
+  ...overrides
+});
+
+describe('toSnapshotPass', () => {
+  test('decides the same way after a JSON round trip, including an inherited schedule', async () => {
+    const event = await Event.create({
+      name: 'Night Market',
+      startDate: new Date('2024-06-14T00:00:00Z'),
+      endDate: new Date('2024-06-16T00:00:00Z'),
+      dailyStartTime: '20:00',
+      dailyEndTime: '02:00',
+      timezone: 'Africa/Lagos'
+    });
+    await Barcode.create({ code: 'GATE0001', issuedTo: 'Ada', event: event._id, maxUses: 2 });
+    const barcode = await Barcode.findOne({ code: 'GATE0001' }).populate('event').lean();
+
+    const snapshot = JSON.parse(JSON.stringify(toSnapshotPass(barcode)));
+
+    [
+      '2024-06-14T19:30:00Z',
+      '2024-06-15T00:30:00Z',
+      '2024-06-15T02:00:00Z',
+      '2024-06-17T00:30:00Z'
+    ].forEach((time) => {
+      const now = new Date(time);
+      expect(evaluateAccess(snapshot, now).reason).toBe(evaluateAccess(barcode, now).reason);
+    });
+  });
+});
+
+describe('syncOfflineScans', () => {
+  test('applies offline entries and logs them against the scanner', async () => {
+    const scanner = await createScanner('East Gate');
+    await Barcode.create({ code: 'GATE0001', issuedTo: 'Ada', maxUses: 2 });
+
+    const { results } = await syncOfflineScans([scanAt('a1', '2024-06-15T10:00:00Z')], { scanner });
+
+    expect(results).toEqual([{ id: 'a1', code: 'GATE0001', status: 'applied', useCount: 1 }]);
+    const logged = await ScanEvent.findOne({ clientScanId: 'a1' });
+    expect(logged).toMatchObject({ source: 'offline-sync', scannerId: 'East Gate', outcome: 'granted' });
+    expect(logged.timestamp.toISOString()).toBe('2024-06-15T10:00:00.000Z');
+  });
+
+  test('ignores a re-uploaded queue', async () => {
+    const scanner = await createScanner('East Gate');
+    await Barcode.create({ code: 'GATE0001', issuedTo: 'Ada', maxUses: 0 });
+    const scans = [scanAt('a1', '2024-06-15T10:00:00Z')];
+
+    await syncOfflineScans(scans, { scanner });
+    const { results } = await syncOfflineScans(scans, { scanner });
+
+    expect(results[0].status).toBe('duplicate');
+    expect((await Barcode.findOne({ code: 'GATE0001' })).useCount).toBe(1);
+  });
+
+  test('flags the later of two offline entries on a single-use pass', async () => {
+    const east = await createScanner('East Gate');
+    const west = await createScanner('West Gate');
+    await Barcode.create({ code: 'GATE0001', issuedTo: 'Ada' });
+
+    await syncOfflineScans([scanAt('e1', '2024-06-15T10:05:00Z')], { scanner: east });
+    const { results } = await syncOfflineScans([scanAt('w1', '2024-06-15T10:00:00Z')], { scanner: west });
+
+    expect(results[0].status).toBe('conflict');
+    expect(results[0].conflict.type).toBe(CONFLICTS.OVER_REDEEMED);
+    expect(results[0].conflict.message).toContain('East Gate');
+    expect(await countOpenConflicts()).toBe(1);
+  });
+
+  test('flags entries made after the pass was revoked but applies earlier ones', async () => {
+    const scanner = await createScanner('East Gate');
+    await Barcode.create({ code: 'GATE0001', issuedTo: 'Ada', maxUses: 0 });
+    await revokePass('GATE0001', { reason: 'Refunded', now: new Date('2024-06-15T12:00:00Z') });
+
+    const { results } = await syncOfflineScans([
+      scanAt('late', '2024-06-15T13:00:00Z'),
+      scanAt('early', '2024-06-15T11:00:00Z')
+    ], { scanner });
+
+    expect(results.map((result) => [result.id, result.status])).toEqual([
+      ['early', 'applied'],
+      ['late', 'conflict']
+    ]);
+    expect(results[1].conflict.type).toBe(CONFLICTS.REVOKED);
+  });
+
+  test('only logs denied offline scans', async () => {
+    const scanner = await createScanner('East Gate');
+    await Barcode.create({ code: 'GATE0001', issuedTo: 'Ada' });
+
+    const { results } = await syncOfflineScans([
+      scanAt('d1', '2024-06-15T10:00:00Z', { granted: false, reason: 'WINDOW_CLOSED' })
+    ], { scanner });
+
+    expect(results[0].status).toBe('logged');
+    expect((await Barcode.findOne({ code: 'GATE0001' })).useCount).toBe(0);
+    expect((await ScanEvent.findOne({ clientScanId: 'd1' })).reason).toBe('WINDOW_CLOSED');
+  });
+
+  test('rejects an upload with an invalid scan', async () => {
+    const scanner = await createScanner('East Gate');
+
+    const { error } = await syncOfflineScans([{ id: 'x1', code: 'GATE0001', scannedAt: 'soon' }], { scanner });
+
+    expect(error).toMatch(/scannedAt/);
+  });
+
+  test('resolves a conflict once', async () => {
+    const scanner = await createScanner('East Gate');
+
+    const { results } = await syncOfflineScans([scanAt('u1', '2024-06-15T10:00:00Z', { code: 'NOPE0001' })], { scanner });
+    expect(results[0].conflict.type).toBe(CONFLICTS.UNKNOWN_CODE);
+
+    const conflict = await ScanEvent.findOne({ clientScanId: 'u1' });
+    const resolved = await resolveConflict(String(conflict._id), 'boss');
+
+    expect(resolved.conflict.resolvedBy).toBe('boss');
+    expect(await resolveConflict(String(conflict._id), 'boss')).toBeNull();
+    expect(await countOpenConflicts()).toBe(0);
+  });
+});
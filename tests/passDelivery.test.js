@@ -0,0 +1,92 @@
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const { setTransport } = require('../services/mailer');
+const { deliverPass } = require('../services/passDelivery');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(async () => {
+  setTransport(null);
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+const baseUrl = 'https://gate.example';
+
+// Collects sent messages; `failWith` makes every send reject
+const memoryTransport = (failWith = null) => {
+  const sent = [];
+  return {
+    sent,
+    name: 'memory',
+    send: async (message) => {
+      if (failWith) throw new Error(failWith);
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    }
+  };
+};
+
+const createBarcode = (overrides = {}) => Barcode.create({
+  code: 'MAIL0001',
+  issuedTo: 'Ada Lovelace',
+  recipientEmail: 'ada@example.com',
+  ...overrides
+});
+
+describe('deliverPass', () => {
+  test('sends the pass and records the delivery', async () => {
+    const transport = memoryTransport();
+    setTransport(transport);
+    await createBarcode();
+
+    const { barcode, error } = await deliverPass('MAIL0001', { baseUrl, actor: 'admin' });
+
+    expect(error).toBeUndefined();
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].to).toBe('ada@example.com');
+    expect(barcode.delivery).toMatchObject({
+      status: 'sent',
+      attempts: 1,
+      sentTo: 'ada@example.com',
+      sentBy: 'admin',
+      transport: 'memory',
+      messageId: '<1@test>'
+    });
+  });
+
+  test('resending to a new address saves it on the pass', async () => {
+    setTransport(memoryTransport());
+    await createBarcode();
+
+    await deliverPass('MAIL0001', { baseUrl });
+    const { barcode } = await deliverPass('MAIL0001', { baseUrl, to: ' Grace@Example.com ' });
+
+    expect(barcode.recipientEmail).toBe('grace@example.com');
+    expect(barcode.delivery.attempts).toBe(2);
+    expect(barcode.delivery.sentTo).toBe('grace@example.com');
+  });
+
+  test('records a failed send', async () => {
+    setTransport(memoryTransport('Connection refused'));
+    await createBarcode();
+
+    const { barcode, error } = await deliverPass('MAIL0001', { baseUrl });
+
+    expect(error).toBe('Email to ada@example.com failed: Connection refused');
+    expect(barcode.delivery).toMatchObject({ status: 'failed', attempts: 1, error: 'Connection refused' });
+  });
+
+  test('refuses passes without a recipient or that are no longer active', async () => {
+    const transport = memoryTransport();
+    setTransport(transport);
+    await createBarcode({ recipientEmail: null });
+    await createBarcode({ code: 'MAIL0002', revokedAt: new Date() });
+
+    expect((await deliverPass('MAIL0001', { baseUrl })).error).toBe('Barcode MAIL0001 has no recipient email');
+    expect((await deliverPass('MAIL0002', { baseUrl })).error).toBe('Barcode MAIL0002 is revoked and cannot be emailed');
+    expect((await deliverPass('MAIL0001', { baseUrl, to: 'not-an-address' })).error).toBe('Recipient email must be a valid address');
+    expect(transport.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,149 @@
+const {
+  isSignedToken,
+  createKeyMaterial,
+  buildClaims,
+  signClaims,
+  verifyToken,
+  evaluateOfflineToken,
+  toPublishedKey
+} = require('../services/passSigning');
+const { REASONS } = require('../services/accessPolicy');
+
+// Fixed instants in June 2024, in UTC
+const june = (dayOfMonth, hours = 0, minutes = 0) => new Date(Date.UTC(2024, 5, dayOfMonth, hours, minutes));
+
+const makeKey = (algorithm = 'Ed25519') => ({ ...createKeyMaterial(algorithm), algorithm, status: 'active' });
+
+const makeBarcode = (overrides = {}) => ({
+  code: 'ABC123',
+  issuedTo: 'Ada Lovelace',
+  activeDate: june(15),
+  activeTime: '09:00',
+  endTime: '17:00',
+  timezone: 'Africa/Lagos',
+  ...overrides
+});
+
+// Swaps the claims for different ones while keeping the original signature
+const tamper = (token) => {
+  const parts = token.split('.');
+  const claims = JSON.parse(Buffer.from(parts[2], 'base64url').toString('utf8'));
+  parts[2] = Buffer.from(JSON.stringify({ ...claims, h: 'Mallory' })).toString('base64url');
+  return parts.join('.');
+};
+
+describe.each(['Ed25519', 'HS256'])('%s tokens', (algorithm) => {
+  const key = makeKey(algorithm);
+
+  test('round-trip the claims', () => {
+    const token = signClaims(buildClaims(makeBarcode(), june(1)), key);
+
+    expect(isSignedToken(token)).toBe(true);
+    expect(verifyToken(token, [key]).claims).toEqual({
+      c: 'ABC123',
+      h: 'Ada Lovelace',
+      iat: june(1).getTime() / 1000,
+      w: ['2024-06-15', '2024-06-15', '09:00', '17:00', 'Africa/Lagos', 0]
+    });
+  });
+
+  test('reject tampered claims', () => {
+    const token = signClaims(buildClaims(makeBarcode()), key);
+    expect(verifyToken(tamper(token), [key]).error).toBe('Signature does not match');
+  });
+
+  test('reject a token signed by a different key', () => {
+    const token = signClaims(buildClaims(makeBarcode()), key);
+    const other = { ...makeKey(algorithm), kid: key.kid };
+    expect(verifyToken(token, [other]).error).toBe('Signature does not match');
+  });
+});
+
+describe('verifyToken', () => {
+  test('names an unknown key id', () => {
+    const token = signClaims(buildClaims(makeBarcode()), makeKey());
+    expect(verifyToken(token, [makeKey()]).error).toBe('Signed with an unknown or deleted key');
+  });
+
+  test('keeps verifying tokens from a retired key after rotation', () => {
+    const oldKey = { ...makeKey(), status: 'retired' };
+    const newKey = makeKey('HS256');
+    const token = signClaims(buildClaims(makeBarcode()), oldKey);
+
+    expect(verifyToken(token, [newKey, oldKey]).claims.c).toBe('ABC123');
+  });
+
+  test('rejects text that is not a token', () => {
+    expect(isSignedToken('ABC123')).toBe(false);
+    expect(verifyToken('ABC123', [makeKey()]).error).toBe('Not a signed pass');
+  });
+});
+
+describe('buildClaims', () => {
+  test('signs the schedule inherited from the event', () => {
+    const barcode = makeBarcode({
+      activeDate: null,
+      activeTime: null,
+      endTime: null,
+      timezone: null,
+      event: {
+        startDate: june(14),
+        endDate: june(16),
+        dailyStartTime: '22:00',
+        dailyEndTime: '02:00',
+        timezone: 'Asia/Tokyo',
+        allowEarlyAccess: true
+      }
+    });
+
+    expect(buildClaims(barcode).w).toEqual(['2024-06-14', '2024-06-16', '22:00', '02:00', 'Asia/Tokyo', 1]);
+  });
+
+  test('leaves out the window and expiry when the pass has none', () => {
+    const claims = buildClaims(makeBarcode({ activeDate: null }));
+    expect(claims.w).toBeUndefined();
+    expect(claims.exp).toBeUndefined();
+  });
+
+  test('carries the expiry in seconds', () => {
+    expect(buildClaims(makeBarcode({ expiresAt: june(15, 12) })).exp).toBe(june(15, 12).getTime() / 1000);
+  });
+});
+
+describe('evaluateOfflineToken', () => {
+  const key = makeKey();
+  const keys = [toPublishedKey(key)];
+  const token = signClaims(buildClaims(makeBarcode({ expiresAt: june(15, 14) })), key);
+
+  test('verifies with the published public key alone', () => {
+    expect(keys[0].secret).toBeUndefined();
+    expect(evaluateOfflineToken(token, keys, june(15, 9, 0))).toMatchObject({
+      granted: true,
+      code: 'ABC123',
+      issuedTo: 'Ada Lovelace'
+    });
+  });
+
+  test('shares an HS256 secret only when asked to', () => {
+    const hsKey = makeKey('HS256');
+
+    expect(toPublishedKey(hsKey).secret).toBeUndefined();
+    expect(toPublishedKey(hsKey, { includeSecret: true }).secret).toBe(hsKey.secret);
+  });
+
+  test('checks the schedule in the pass timezone', () => {
+    // 09:00 in Lagos is 08:00 UTC
+    expect(evaluateOfflineToken(token, keys, june(15, 7, 59)).reason).toBe(REASONS.NOT_YET_ACTIVE);
+    expect(evaluateOfflineToken(token, keys, june(15, 8, 0)).granted).toBe(true);
+  });
+
+  test('checks the expiry', () => {
+    expect(evaluateOfflineToken(token, keys, june(15, 14, 1)).reason).toBe(REASONS.EXPIRED);
+  });
+
+  test('denies a forged token', () => {
+    const decision = evaluateOfflineToken(tamper(token), keys, june(15, 9, 0));
+    expect(decision.reason).toBe(REASONS.INVALID_SIGNATURE);
+    expect(decision.granted).toBe(false);
+  });
+});
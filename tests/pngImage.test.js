@@ -0,0 +1,119 @@
+const zlib = require('zlib');
+const { isPng, decodePng, encodePng, overlayLogo } = require('../services/pngImage');
+
+const solid = (width, height, rgba) => ({
+  width,
+  height,
+  pixels: Buffer.from(Array.from({ length: width * height }, () => rgba).flat())
+});
+
+// A PNG with the given color type, built by hand so every row filter is exercised
+const handMadePng = ({ width, height, colorType, channels, samples, palette, transparency }) => {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    // decodePng does not check CRCs
+    return Buffer.concat([length, Buffer.from(type), body, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+
+  // Row y uses filter y % 5 applied to the raw samples
+  const stride = width * channels;
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = Buffer.alloc(stride + 1);
+    row[0] = y % 5;
+    for (let x = 0; x < stride; x++) {
+      const raw = samples[y * stride + x];
+      const left = x >= channels ? samples[y * stride + x - channels] : 0;
+      const up = y > 0 ? samples[(y - 1) * stride + x] : 0;
+      const upLeft = x >= channels && y > 0 ? samples[(y - 1) * stride + x - channels] : 0;
+      const estimate = left + up - upLeft;
+      const paeth = [left, up, upLeft].sort((a, b) => Math.abs(estimate - a) - Math.abs(estimate - b))[0];
+      const predicted = [0, left, up, (left + up) >> 1, paeth][row[0]];
+      row[x + 1] = (raw - predicted) & 255;
+    }
+    rows.push(row);
+  }
+
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk('IHDR', header),
+    ...(palette ? [chunk('PLTE', palette)] : []),
+    ...(transparency ? [chunk('tRNS', transparency)] : []),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+describe('decodePng and encodePng', () => {
+  test('round-trip RGBA pixels', () => {
+    const image = solid(3, 2, [10, 20, 30, 128]);
+    image.pixels[0] = 200;
+
+    const decoded = decodePng(encodePng(image));
+    expect(decoded.width).toBe(3);
+    expect(decoded.height).toBe(2);
+    expect(decoded.pixels.equals(image.pixels)).toBe(true);
+  });
+
+  test('undoes every row filter', () => {
+    const samples = Array.from({ length: 6 * 5 * 3 }, (value, index) => (index * 37) % 256);
+    const decoded = decodePng(handMadePng({ width: 6, height: 5, colorType: 2, channels: 3, samples }));
+
+    expect(Array.from(decoded.pixels.subarray(0, 8))).toEqual([samples[0], samples[1], samples[2], 255, samples[3], samples[4], samples[5], 255]);
+    const last = (6 * 5 - 1) * 3;
+    expect(Array.from(decoded.pixels.subarray(-4))).toEqual([samples[last], samples[last + 1], samples[last + 2], 255]);
+  });
+
+  test('reads palette images with transparency', () => {
+    const decoded = decodePng(handMadePng({
+      width: 2,
+      height: 1,
+      colorType: 3,
+      channels: 1,
+      samples: [0, 1],
+      palette: Buffer.from([255, 0, 0, 0, 0, 255]),
+      transparency: Buffer.from([0])
+    }));
+
+    expect(Array.from(decoded.pixels)).toEqual([255, 0, 0, 0, 0, 0, 255, 255]);
+  });
+
+  test('rejects files that are not PNGs', () => {
+    expect(isPng(Buffer.from('GIF89a not a png'))).toBe(false);
+    expect(() => decodePng(Buffer.from('GIF89a not a png'))).toThrow('Not a PNG image');
+  });
+
+  test('rejects truncated images', () => {
+    const png = encodePng(solid(4, 4, [0, 0, 0, 255]));
+    expect(() => decodePng(png.subarray(0, 40))).toThrow();
+  });
+});
+
+describe('overlayLogo', () => {
+  test('draws the logo over a background square, keeping its shape', () => {
+    const image = solid(20, 20, [0, 0, 0, 255]);
+    const logo = solid(4, 2, [255, 0, 0, 255]);
+
+    overlayLogo(image, logo, { left: 5, top: 5, size: 10, margin: 1, background: 'FFFFFF' });
+
+    const at = (x, y) => Array.from(image.pixels.subarray((y * 20 + x) * 4, (y * 20 + x) * 4 + 4));
+    expect(at(0, 0)).toEqual([0, 0, 0, 255]);
+    expect(at(5, 5)).toEqual([255, 255, 255, 255]);
+    expect(at(10, 10)).toEqual([255, 0, 0, 255]);
+    // A 2:1 logo 8 pixels wide is 4 tall, so the rows above it stay background
+    expect(at(10, 7)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('blends transparent logo pixels with the background', () => {
+    const image = solid(4, 4, [0, 0, 0, 255]);
+    overlayLogo(image, solid(2, 2, [255, 0, 0, 0]), { left: 0, top: 0, size: 4, margin: 1, background: '00FF00' });
+
+    expect(Array.from(image.pixels.subarray(20, 24))).toEqual([0, 255, 0, 255]);
+  });
+});
@@ -0,0 +1,119 @@
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const { redeemCode } = require('../services/redemption');
+const { REASONS } = require('../services/accessPolicy');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const createBarcode = (overrides = {}) => Barcode.create({
+  code: 'RACE0001',
+  issuedTo: 'Race Tester',
+  ...overrides
+});
+
+describe('redeemCode', () => {
+  test('redeems an unused code and records the scanner', async () => {
+    await createBarcode();
+
+    const { decision, barcode } = await redeemCode(' race0001 ', { scannerId: 'north-gate' });
+
+    expect(decision.reason).toBe(REASONS.GRANTED);
+    expect(barcode.used).toBe(true);
+    expect(barcode.scannerId).toBe('north-gate');
+    expect(barcode.usedAt).toBeInstanceOf(Date);
+  });
+
+  test.each([
+    'https://gate.example/pass/race0001',
+    'https://gate.example/mobile-scan/RACE0001?ref=print'
+  ])('redeems a code read from a QR link: %s', async (scanned) => {
+    await createBarcode();
+
+    const { code, decision } = await redeemCode(scanned);
+
+    expect(code).toBe('RACE0001');
+    expect(decision.reason).toBe(REASONS.GRANTED);
+  });
+
+  test('denies a QR link with a malformed escape as an unknown code', async () => {
+    const { code, decision } = await redeemCode('https://gate.example/mobile-scan/%E0%A4%A');
+
+    expect(code).toBe('%E0%A4%A');
+    expect(decision.reason).toBe(REASONS.UNKNOWN_CODE);
+  });
+
+  test('denies an unknown code without writing anything', async () => {
+    const { decision, barcode } = await redeemCode('NOPE');
+
+    expect(decision.reason).toBe(REASONS.UNKNOWN_CODE);
+    expect(barcode).toBeNull();
+  });
+
+  test('grants exactly one of many parallel scans', async () => {
+    await createBarcode();
+
+    const scanners = Array.from({ length: 10 }, (_, i) => `gate-${i}`);
+    const results = await Promise.all(
+      scanners.map((scannerId) => redeemCode('RACE0001', { scannerId }))
+    );
+
+    const granted = results.filter((r) => r.decision.granted);
+    const denied = results.filter((r) => !r.decision.granted);
+
+    expect(granted).toHaveLength(1);
+    expect(denied).toHaveLength(scanners.length - 1);
+
+    const winner = granted[0].barcode.scannerId;
+    const stored = await Barcode.findOne({ code: 'RACE0001' });
+    expect(stored.scannerId).toBe(winner);
+
+    denied.forEach(({ decision }) => {
+      expect(decision.reason).toBe(REASONS.USED);
+      expect(decision.message).toContain(winner);
+      expect(decision.message).toContain(new Date(stored.usedAt).toLocaleString());
+    });
+  });
+
+  test('counts entries on a multi-use pass and exhausts it at the quota', async () => {
+    await createBarcode({ maxUses: 2 });
+
+    const first = await redeemCode('RACE0001');
+    const second = await redeemCode('RACE0001');
+    const third = await redeemCode('RACE0001');
+
+    expect(first.barcode.useCount).toBe(1);
+    expect(first.barcode.used).toBe(false);
+    expect(second.barcode.useCount).toBe(2);
+    expect(second.barcode.used).toBe(true);
+    expect(third.decision.reason).toBe(REASONS.USED);
+  });
+
+  test('never exceeds the quota under parallel scans', async () => {
+    await createBarcode({ maxUses: 3 });
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => redeemCode('RACE0001', { scannerId: `gate-${i}` }))
+    );
+
+    expect(results.filter((r) => r.decision.granted)).toHaveLength(3);
+    const stored = await Barcode.findOne({ code: 'RACE0001' });
+    expect(stored.useCount).toBe(3);
+    expect(stored.used).toBe(true);
+  });
+
+  test('grants only one entry during a re-entry cooldown', async () => {
+    await createBarcode({ maxUses: 0, reentryCooldownMinutes: 10 });
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => redeemCode('RACE0001'))
+    );
+
+    const denied = results.filter((r) => !r.decision.granted);
+    expect(results.filter((r) => r.decision.granted)).toHaveLength(1);
+    denied.forEach(({ decision }) => expect(decision.reason).toBe(REASONS.COOLDOWN));
+  });
+});
@@ -0,0 +1,69 @@
+const { contrastRatio, checkColors, readQrCode, isReadableQrCode } = require('../services/scannability');
+const { generateBarcodeImage, getPassUrl } = require('../services/barcodeImage');
+const { encodePng } = require('../services/pngImage');
+
+const BASE_URL = 'http://localhost:3000';
+const CODE = '0123456789ABCDEF0123456789ABCDEF';
+
+describe('checkColors', () => {
+  test('measures contrast like WCAG', () => {
+    expect(contrastRatio('000000', 'FFFFFF')).toBeCloseTo(21);
+    expect(contrastRatio('FFFFFF', 'FFFFFF')).toBeCloseTo(1);
+  });
+
+  test('fills in black on white and strips the hash', () => {
+    expect(checkColors({})).toEqual({
+      colors: { background: 'FFFFFF', foreground: '000000', border: '000000' },
+      contrast: expect.any(Number),
+      warnings: []
+    });
+    expect(checkColors({ foreground: '#1a2b3c' }).colors.foreground).toBe('1A2B3C');
+  });
+
+  test.each([
+    ['background', 'white'],
+    ['foreground', '#12345'],
+    ['border', '#GGGGGG']
+  ])('reports a bad %s hex as an error', (field, value) => {
+    expect(checkColors({ [field]: value }).error).toMatch(/must be a hex color/);
+  });
+
+  test('rejects light on light', () => {
+    expect(checkColors({ background: '#FFFFFF', foreground: '#DDDDDD' }).error).toMatch(/too close to scan/);
+  });
+
+  test('warns about inverted codes', () => {
+    const { warnings } = checkColors({ background: '#000000', foreground: '#FFFFFF' });
+    expect(warnings).toEqual([expect.stringMatching(/inverted/)]);
+  });
+
+  test('warns about low contrast it still accepts', () => {
+    const { error, warnings } = checkColors({ background: '#FFFFFF', foreground: '#888888' });
+    expect(error).toBeUndefined();
+    expect(warnings).toEqual([expect.stringMatching(/Contrast is low/)]);
+  });
+});
+
+describe('readQrCode', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('reads back a rendered QR code, logo and all', async () => {
+    const logo = encodePng({ width: 2, height: 2, pixels: Buffer.alloc(16, 200) });
+    const png = await generateBarcodeImage(CODE, 'qrcode', BASE_URL, {}, 'png', { size: 300, logo, caption: 'Ada' });
+
+    expect(readQrCode(png)).toBe(getPassUrl(BASE_URL, CODE));
+    expect(isReadableQrCode(png, getPassUrl(BASE_URL, CODE))).toBe(true);
+    expect(isReadableQrCode(png, getPassUrl(BASE_URL, 'OTHER'))).toBe(false);
+  });
+
+  test('cannot read light-on-light codes', async () => {
+    const png = await generateBarcodeImage(CODE, 'qrcode', BASE_URL, { foreground: 'EEEEEE' }, 'png', { size: 300 });
+    expect(readQrCode(png)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const { TIME_PATTERN, isValidTimezone, toDay, addDays, getLocalTime, toInstant, getScheduleBounds, locate } = require('../services/schedule');
+
+describe('isValidTimezone', () => {
+  test('accepts IANA names', () => {
+    expect(isValidTimezone('Africa/Lagos')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+  });
+
+  test('rejects unknown or empty names', () => {
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(null)).toBe(false);
+  });
+});
+
+describe('TIME_PATTERN', () => {
+  test('matches 24-hour HH:MM times only', () => {
+    ['00:00', '09:30', '23:59'].forEach((time) => expect(TIME_PATTERN.test(time)).toBe(true));
+    ['24:00', '9:30', '12:60', '12:00:00'].forEach((time) => expect(TIME_PATTERN.test(time)).toBe(false));
+  });
+});
+
+describe('calendar days', () => {
+  test('reads a stored date as its UTC calendar day', () => {
+    expect(toDay(new Date('2024-06-15'))).toBe('2024-06-15');
+  });
+
+  test('adds days across month and year ends', () => {
+    expect(addDays('2024-06-30', 1)).toBe('2024-07-01');
+    expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  });
+});
+
+describe('getLocalTime', () => {
+  const instant = new Date('2024-06-15T23:30:00Z');
+
+  test.each([
+    ['UTC', '2024-06-15', '23:30'],
+    ['Africa/Lagos', '2024-06-16', '00:30'],
+    ['America/New_York', '2024-06-15', '19:30'],
+    ['Asia/Kolkata', '2024-06-16', '05:00'],
+    ['Pacific/Auckland', '2024-06-16', '11:30']
+  ])('in %s', (timezone, day, time) => {
+    expect(getLocalTime(instant, timezone)).toEqual({ day, time });
+  });
+
+  test('follows daylight saving changes', () => {
+    // London is UTC+0 in January and UTC+1 in July
+    expect(getLocalTime(new Date('2024-01-15T12:00:00Z'), 'Europe/London').time).toBe('12:00');
+    expect(getLocalTime(new Date('2024-07-15T12:00:00Z'), 'Europe/London').time).toBe('13:00');
+  });
+
+  test('writes midnight as 00:00', () => {
+    expect(getLocalTime(new Date('2024-06-15T00:00:00Z'), 'UTC').time).toBe('00:00');
+  });
+});
+
+describe('toInstant', () => {
+  test.each([
+    ['UTC', '2024-06-15T09:00:00.000Z'],
+    ['Africa/Lagos', '2024-06-15T08:00:00.000Z'],
+    ['America/New_York', '2024-06-15T13:00:00.000Z'],
+    ['Asia/Kolkata', '2024-06-15T03:30:00.000Z']
+  ])('reads 09:00 in %s', (timezone, expected) => {
+    expect(toInstant('2024-06-15', '09:00', timezone).toISOString()).toBe(expected);
+  });
+
+  test('uses the offset in force on that day', () => {
+    expect(toInstant('2024-01-15', '12:00', 'Europe/London').toISOString()).toBe('2024-01-15T12:00:00.000Z');
+    expect(toInstant('2024-07-15', '12:00', 'Europe/London').toISOString()).toBe('2024-07-15T11:00:00.000Z');
+    // The morning after London's clocks go forward
+    expect(toInstant('2024-03-31', '09:00', 'Europe/London').toISOString()).toBe('2024-03-31T08:00:00.000Z');
+  });
+});
+
+describe('getScheduleBounds', () => {
+  test('runs from the first opening to the last closing', () => {
+    const bounds = getScheduleBounds({ firstDay: '2024-06-15', lastDay: '2024-06-16', startTime: '09:00', endTime: '17:00', timezone: 'Africa/Lagos' });
+
+    expect(bounds.opensAt.toISOString()).toBe('2024-06-15T08:00:00.000Z');
+    expect(bounds.closesAt.toISOString()).toBe('2024-06-16T16:00:00.000Z');
+  });
+
+  test('closes the morning after the last day for overnight windows', () => {
+    const bounds = getScheduleBounds({ firstDay: '2024-06-15', lastDay: '2024-06-15', startTime: '22:00', endTime: '02:00', timezone: 'UTC' });
+
+    expect(bounds.closesAt.toISOString()).toBe('2024-06-16T02:00:00.000Z');
+  });
+
+  test('is null for passes valid on any day', () => {
+    expect(getScheduleBounds({ firstDay: null, startTime: '09:00', endTime: '17:00', timezone: 'UTC' })).toBeNull();
+  });
+});
+
+describe('locate', () => {
+  const schedule = { firstDay: '2024-06-14', lastDay: '2024-06-16', startTime: '09:00', endTime: '17:00' };
+
+  test('finds the next opening before, between and after windows', () => {
+    expect(locate(schedule, { day: '2024-06-13', time: '12:00' })).toEqual({ open: false, opensOn: '2024-06-14' });
+    expect(locate(schedule, { day: '2024-06-14', time: '08:00' })).toEqual({ open: false, opensOn: '2024-06-14' });
+    expect(locate(schedule, { day: '2024-06-14', time: '12:00' })).toEqual({ open: true });
+    expect(locate(schedule, { day: '2024-06-14', time: '18:00' })).toEqual({ open: false, opensOn: '2024-06-15' });
+    expect(locate(schedule, { day: '2024-06-16', time: '18:00' })).toEqual({ open: false, opensOn: null });
+  });
+
+  test('treats an end before the start as an overnight window', () => {
+    const overnight = { ...schedule, startTime: '22:00', endTime: '02:00' };
+    expect(locate(overnight, { day: '2024-06-17', time: '01:59' })).toEqual({ open: true });
+    expect(locate(overnight, { day: '2024-06-17', time: '02:01' })).toEqual({ open: false, opensOn: null });
+  });
+});
@@ -0,0 +1,64 @@
+const { PassThrough } = require('stream');
+const { LAYOUTS, writeTicketsPdf } = require('../services/ticketPdf');
+
+const BASE_URL = 'http://localhost:3000';
+
+const barcode = (index) => ({
+  code: `CODE${index}`,
+  issuedTo: `Holder ${index}`,
+  purpose: 'Conference',
+  activeDate: new Date(2024, 5, 15),
+  activeTime: '09:00',
+  endTime: '17:00'
+});
+
+const renderPdf = async (barcodes, options) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await writeTicketsPdf(barcodes, { baseUrl: BASE_URL, ...options }, output);
+  return Buffer.concat(chunks).toString('latin1');
+};
+
+const countPages = (pdf) => (pdf.match(/\/Type \/Page\b/g) || []).length;
+
+describe('writeTicketsPdf', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('offers single, label and sheet layouts', () => {
+    expect(LAYOUTS).toEqual(['single', 'label', 'sheet']);
+  });
+
+  test('renders one page per ticket for the single layout', async () => {
+    const pdf = await renderPdf([barcode(1), barcode(2)], { layout: 'single' });
+
+    expect(pdf.startsWith('%PDF-')).toBe(true);
+    expect(countPages(pdf)).toBe(2);
+  });
+
+  test('packs ten badges onto each A4 sheet', async () => {
+    const barcodes = Array.from({ length: 11 }, (_, index) => barcode(index));
+    const pdf = await renderPdf(barcodes, { layout: 'sheet' });
+
+    expect(countPages(pdf)).toBe(2);
+  });
+
+  test('accepts a stored template with missing fields', async () => {
+    const pdf = await renderPdf([barcode(1)], {
+      layout: 'label',
+      template: { name: 'Gala', heading: 'GALA NIGHT', accentColor: 'AA0000' }
+    });
+
+    expect(countPages(pdf)).toBe(1);
+  });
+
+  test('rejects an unknown layout', async () => {
+    await expect(renderPdf([barcode(1)], { layout: 'poster' })).rejects.toThrow('Unknown ticket layout');
+  });
+});
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+  getWalletConfig,
+  describePass,
+  buildPkpassFiles,
+  buildPkpass,
+  buildGoogleWalletPass
+} = require('../services/walletPass');
+
+// Fixed instants in June 2024, in UTC
+const june = (dayOfMonth, hours = 0) => new Date(Date.UTC(2024, 5, dayOfMonth, hours));
+
+const makeBarcode = (overrides = {}) => ({
+  code: 'ABC123',
+  issuedTo: 'Ada Lovelace',
+  purpose: 'Speaker',
+  event: { name: 'Lagos Tech Summit', venue: 'Eko Hall' },
+  activeDate: june(15),
+  activeEndDate: june(16),
+  activeTime: '09:00',
+  endTime: '17:00',
+  timezone: 'Africa/Lagos',
+  maxUses: 2,
+  ...overrides
+});
+
+const describe15th = (overrides = {}) => describePass(makeBarcode(overrides), {
+  baseUrl: 'https://gate.example',
+  payload: 'ABC123',
+  now: june(15, 10)
+});
+
+const unsigned = getWalletConfig({ WALLET_UNSIGNED: 'true' });
+
+// Self-signed certificate standing in for the Apple pass and WWDR certificates
+const makeSigning = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.publicKeyFromPem(publicKey);
+  certificate.serialNumber = '01';
+  certificate.validity.notBefore = new Date('2024-01-01');
+  certificate.validity.notAfter = new Date('2034-01-01');
+  certificate.setSubject([{ name: 'commonName', value: 'Pass Type ID: pass.example.test' }]);
+  certificate.setIssuer([{ name: 'commonName', value: 'Pass Type ID: pass.example.test' }]);
+  certificate.sign(forge.pki.privateKeyFromPem(privateKey), forge.md.sha256.create());
+
+  const pem = forge.pki.certificateToPem(certificate);
+  return { certificate: pem, key: privateKey, keyPassphrase: null, wwdr: pem, privateKey };
+};
+
+describe('describePass', () => {
+  test('carries the holder, event and time window', () => {
+    const pass = describe15th();
+
+    expect(pass).toMatchObject({
+      holder: 'Ada Lovelace',
+      purpose: 'Speaker',
+      eventName: 'Lagos Tech Summit',
+      days: 'Sat 15 Jun 2024 – Sun 16 Jun 2024',
+      window: '09:00 – 17:00 (Africa/Lagos)',
+      entries: '2',
+      status: 'active',
+      passUrl: 'https://gate.example/pass/ABC123'
+    });
+    expect(pass.startsAt.toISOString()).toBe('2024-06-15T08:00:00.000Z');
+    expect(pass.endsAt.toISOString()).toBe('2024-06-16T16:00:00.000Z');
+  });
+
+  test('ends at the expiry when it comes before the last window', () => {
+    expect(describe15th({ expiresAt: june(15, 12) }).endsAt).toEqual(june(15, 12));
+  });
+
+  test('has no dates for passes valid on any day', () => {
+    const pass = describe15th({ activeDate: null, activeEndDate: null, event: null });
+
+    expect(pass.days).toBe('Any day');
+    expect(pass.startsAt).toBeNull();
+    expect(pass.endsAt).toBeNull();
+  });
+});
+
+describe('Apple Wallet', () => {
+  test('lists every file in the manifest with its SHA-1', () => {
+    const files = buildPkpassFiles(describe15th(), { passTypeId: 'pass.example.test', teamId: 'TEAM1', organization: 'Org' });
+    const manifest = JSON.parse(files['manifest.json']);
+
+    expect(Object.keys(files).sort()).toEqual(['icon.png', 'icon@2x.png', 'manifest.json', 'pass.json']);
+    Object.keys(manifest).forEach((name) => {
+      expect(manifest[name]).toBe(crypto.createHash('sha1').update(files[name]).digest('hex'));
+    });
+  });
+
+  test('pass.json carries the QR payload, holder and schedule', () => {
+    const files = buildPkpassFiles(describe15th(), { passTypeId: 'pass.example.test', teamId: 'TEAM1', organization: 'Org' });
+    const pass = JSON.parse(files['pass.json']);
+
+    expect(pass.serialNumber).toBe('ABC123');
+    expect(pass.barcodes[0]).toMatchObject({ format: 'PKBarcodeFormatQR', message: 'https://gate.example/pass/ABC123' });
+    expect(pass.eventTicket.primaryFields[0].value).toBe('Ada Lovelace');
+    expect(pass.eventTicket.auxiliaryFields.map((field) => field.value)).toEqual([
+      'Sat 15 Jun 2024 – Sun 16 Jun 2024',
+      '09:00 – 17:00 (Africa/Lagos)'
+    ]);
+    expect(pass.relevantDate).toBe('2024-06-15T08:00:00.000Z');
+    expect(pass.expirationDate).toBe('2024-06-16T16:00:00.000Z');
+    expect(pass.voided).toBeUndefined();
+  });
+
+  test('signs the manifest with a detached PKCS#7 signature', () => {
+    const signing = makeSigning();
+    const files = buildPkpassFiles(describe15th(), { passTypeId: 'pass.example.test', teamId: 'TEAM1', organization: 'Org', signing });
+
+    const signed = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(files.signature.toString('binary')));
+    expect(signed.certificates).toHaveLength(2);
+    expect(signed.rawCapture.content).toBeUndefined();
+
+    // The signed attributes hold the manifest digest
+    const digest = crypto.createHash('sha256').update(files['manifest.json']).digest();
+    expect(files.signature.includes(digest)).toBe(true);
+  });
+
+  test('builds a ZIP in unsigned mode and refuses without configuration', async () => {
+    const { pkpass } = await buildPkpass(describe15th(), unsigned);
+    expect(pkpass.subarray(0, 2).toString()).toBe('PK');
+
+    const { error } = await buildPkpass(describe15th(), getWalletConfig({}));
+    expect(error).toMatch(/Apple Wallet passes are not configured/);
+  });
+});
+
+describe('Google Wallet', () => {
+  test('builds a generic object with the same barcode payload', () => {
+    const { object } = buildGoogleWalletPass(describe15th(), unsigned);
+
+    expect(object.id).toMatch(/\.ABC123$/);
+    expect(object.state).toBe('ACTIVE');
+    expect(object.header.defaultValue.value).toBe('Ada Lovelace');
+    expect(object.barcode).toEqual({ type: 'QR_CODE', value: 'https://gate.example/pass/ABC123', alternateText: 'ABC123' });
+    expect(object.validTimeInterval).toEqual({
+      start: { date: '2024-06-15T08:00:00.000Z' },
+      end: { date: '2024-06-16T16:00:00.000Z' }
+    });
+  });
+
+  test('signs the save JWT with the service account key', () => {
+    const { privateKey } = makeSigning();
+    const config = { unsigned: false, organization: 'Org', google: { issuerId: '123', classSuffix: 'passes', clientEmail: 'wallet@example.iam', privateKey } };
+    const { jwt, saveUrl } = buildGoogleWalletPass(describe15th(), config);
+    const [header, claims, signature] = jwt.split('.');
+
+    expect(saveUrl).toBe(`https://pay.google.com/gp/v/save/${jwt}`);
+    expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({ alg: 'RS256', typ: 'JWT' });
+    const payload = JSON.parse(Buffer.from(claims, 'base64url'));
+    expect(payload).toMatchObject({ iss: 'wallet@example.iam', aud: 'google', typ: 'savetowallet' });
+    expect(payload.payload.genericObjects[0].classId).toBe('123.passes');
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    expect(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  test('leaves the JWT unsigned in test mode and refuses without configuration', () => {
+    const { jwt } = buildGoogleWalletPass(describe15th(), unsigned);
+    expect(jwt.endsWith('.')).toBe(true);
+
+    expect(buildGoogleWalletPass(describe15th(), getWalletConfig({})).error).toMatch(/Google Wallet passes are not configured/);
+  });
+});
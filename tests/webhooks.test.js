@@ -0,0 +1,300 @@
+const http = require('http');
+const db = require('./helpers/db');
+const Barcode = require('../models/Barcode');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  MAX_ATTEMPTS,
+  buildSignatureHeader,
+  verifyWebhookSignature,
+  retryDelaySeconds,
+  emitWebhookEvent,
+  attemptDelivery,
+  settleWebhookDeliveries,
+  replayDelivery,
+  parseWebhookInput,
+  createWebhook,
+  deleteWebhook,
+  sweepExpiredPasses,
+  runWebhookWorker
+} = require('../services/webhooks');
+const { issueBarcode, announceBarcode } = require('../services/barcodeIssuer');
+const { processScan } = require('../services/scanning');
+const { revokePass } = require('../services/passLifecycle');
+
+jest.setTimeout(60000);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const staffRequest = { user: { username: 'north-gate' }, get: () => 'jest', ip: '127.0.0.1' };
+
+// A local receiver that records every request and answers with respond(requestNumber)
+const startReceiver = (respond = () => 200) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.statusCode = respond(requests.length);
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hooks` });
+  });
+});
+
+let receiver;
+
+afterEach(() => new Promise((resolve) => {
+  if (!receiver) return resolve();
+  receiver.server.close(resolve);
+  receiver = null;
+}));
+
+const subscribe = (events, url = receiver.url) => createWebhook({ name: 'CRM', url, events }, { actor: 'admin' });
+
+describe('signatures', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'barcode.created' });
+
+  test('verifies a signature made with the same secret', () => {
+    const header = buildSignatureHeader('whsec_test', body);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature('whsec_test', header, body)).toBe(true);
+  });
+
+  test('rejects another secret, a changed body and an old timestamp', () => {
+    const header = buildSignatureHeader('whsec_test', body, new Date('2024-06-15T12:00:00Z'));
+
+    expect(verifyWebhookSignature('whsec_other', header, body, new Date('2024-06-15T12:00:00Z'))).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', header, `${body} `, new Date('2024-06-15T12:00:00Z'))).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', header, body, new Date('2024-06-15T12:10:00Z'))).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', 'garbage', body)).toBe(false);
+  });
+
+  test('backs off exponentially up to an hour', () => {
+    expect([1, 2, 3, 4].map(retryDelaySeconds)).toEqual([30, 60, 120, 240]);
+    expect(retryDelaySeconds(20)).toBe(3600);
+  });
+});
+
+describe('parseWebhookInput', () => {
+  test('accepts one event or a list and drops repeats', () => {
+    expect(parseWebhookInput({ name: ' CRM ', url: 'https://crm.example/hooks', events: 'barcode.created' }).data)
+      .toEqual({ name: 'CRM', url: 'https://crm.example/hooks', events: ['barcode.created'] });
+    expect(parseWebhookInput({ name: 'CRM', url: 'http://localhost:4000', events: ['barcode.denied', 'barcode.denied'] }).data.events)
+      .toEqual(['barcode.denied']);
+  });
+
+  test('rejects missing names, non-HTTP URLs and unknown events', () => {
+    expect(parseWebhookInput({ url: 'https://crm.example', events: 'barcode.created' }).error).toMatch(/name is required/);
+    expect(parseWebhookInput({ name: 'CRM', url: 'ftp://crm.example', events: 'barcode.created' }).error).toMatch(/http/);
+    expect(parseWebhookInput({ name: 'CRM', url: 'crm.example', events: 'barcode.created' }).error).toMatch(/http/);
+    expect(parseWebhookInput({ name: 'CRM', url: 'https://crm.example' }).error).toMatch(/at least one event/);
+    expect(parseWebhookInput({ name: 'CRM', url: 'https://crm.example', events: ['barcode.exploded'] }).error).toMatch(/Unknown event/);
+  });
+});
+
+describe('deliveries', () => {
+  test('POSTs signed JSON that the receiver can verify', async () => {
+    receiver = await startReceiver();
+    const { secret } = await subscribe(['barcode.created']);
+
+    const [queued] = await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } });
+    await settleWebhookDeliveries();
+
+    expect(receiver.requests).toHaveLength(1);
+    const [request] = receiver.requests;
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.headers['x-webhook-event']).toBe('barcode.created');
+    expect(request.headers['x-webhook-id']).toBe(String(queued._id));
+    expect(verifyWebhookSignature(secret, request.headers['x-webhook-signature'], request.body)).toBe(true);
+    expect(request.json).toMatchObject({ id: queued.eventId, type: 'barcode.created', data: { barcode: { code: 'ABC123' } } });
+
+    const delivery = await WebhookDelivery.findById(queued._id);
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, responseStatus: 200, nextAttemptAt: null });
+    expect((await Webhook.findOne()).lastDeliveryStatus).toBe('succeeded');
+  });
+
+  test('only sends events an active webhook subscribed to', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.revoked']);
+    const { webhook: paused } = await subscribe(['barcode.created']);
+    await Webhook.updateOne({ _id: paused._id }, { $set: { active: false } });
+
+    expect(await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } })).toEqual([]);
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+  });
+
+  test('retries failed deliveries with backoff until one succeeds', async () => {
+    receiver = await startReceiver((count) => (count === 1 ? 500 : 204));
+    await subscribe(['barcode.created']);
+
+    const [queued] = await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } });
+    await settleWebhookDeliveries();
+
+    const failed = await WebhookDelivery.findById(queued._id).lean();
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500, error: 'Receiver responded with HTTP 500' });
+    const wait = failed.nextAttemptAt - failed.lastAttemptAt;
+    expect(wait).toBe(30 * 1000);
+
+    // Not due yet, then due
+    expect(await attemptDelivery(queued._id, new Date(failed.lastAttemptAt.getTime() + 1000))).toBeNull();
+    const retried = await attemptDelivery(queued._id, failed.nextAttemptAt);
+
+    expect(retried).toMatchObject({ status: 'succeeded', attempts: 2, responseStatus: 204 });
+    expect(retried.attemptLog.map((attempt) => attempt.responseStatus)).toEqual([500, 204]);
+    expect(receiver.requests.map((request) => request.json.id)).toEqual([queued.eventId, queued.eventId]);
+  });
+
+  test('gives up after the last attempt', async () => {
+    receiver = await startReceiver(() => 503);
+    await subscribe(['barcode.created']);
+
+    const [queued] = await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } });
+    await settleWebhookDeliveries();
+
+    let delivery = await WebhookDelivery.findById(queued._id).lean();
+    while (delivery.status === 'pending') {
+      delivery = await attemptDelivery(queued._id, delivery.nextAttemptAt);
+    }
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, nextAttemptAt: null });
+    expect(receiver.requests).toHaveLength(MAX_ATTEMPTS);
+  });
+
+  test('records receivers that cannot be reached', async () => {
+    const closed = await startReceiver();
+    await new Promise((resolve) => closed.server.close(resolve));
+    await subscribe(['barcode.created'], closed.url);
+
+    const [queued] = await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } });
+    await settleWebhookDeliveries();
+
+    const delivery = await WebhookDelivery.findById(queued._id).lean();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+    expect(delivery.error).toMatch(/ECONNREFUSED/);
+  });
+
+  test('replays a delivery as a new delivery of the same event', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.created']);
+
+    const [original] = await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } });
+    await settleWebhookDeliveries();
+
+    const { delivery } = await replayDelivery(original._id, { actor: 'admin' });
+    await settleWebhookDeliveries();
+
+    expect(delivery).toMatchObject({ eventId: original.eventId, replayOf: original._id, replayedBy: 'admin' });
+    expect(receiver.requests.map((request) => request.headers['x-webhook-id'])).toEqual([String(original._id), String(delivery._id)]);
+    expect(receiver.requests[1].json).toEqual(receiver.requests[0].json);
+    expect((await WebhookDelivery.findById(delivery._id)).status).toBe('succeeded');
+  });
+
+  test('will not replay to a deleted webhook', async () => {
+    receiver = await startReceiver();
+    const { webhook } = await subscribe(['barcode.created']);
+    const [original] = await emitWebhookEvent('barcode.created', { barcode: { code: 'ABC123' } });
+    await settleWebhookDeliveries();
+
+    await deleteWebhook(webhook._id);
+
+    expect(await replayDelivery(original._id)).toMatchObject({ errorCode: 'WEBHOOK_DELETED' });
+    expect(await replayDelivery('000000000000000000000000')).toMatchObject({ errorCode: 'NOT_FOUND' });
+  });
+});
+
+describe('pass lifecycle events', () => {
+  test('fire from issuing, scanning and revoking a pass', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.created', 'barcode.redeemed', 'barcode.denied', 'barcode.revoked']);
+
+    const { barcode } = await issueBarcode({ issuedTo: 'Ada Lovelace', purpose: 'Speaker' });
+    await processScan(barcode.code, staffRequest, 'verify');
+    await processScan(barcode.code, staffRequest, 'verify');
+    await processScan(barcode.code, staffRequest, 'verify', 'exit');
+    await revokePass(barcode.code, { reason: 'Left early', actor: 'admin' });
+    await settleWebhookDeliveries();
+
+    // Deliveries run side by side, so they may arrive in any order; the exit sends nothing
+    const received = {};
+    receiver.requests.forEach((request) => {
+      received[request.json.type] = request.json.data;
+    });
+    expect(receiver.requests).toHaveLength(4);
+    expect(received['barcode.created'].barcode).toMatchObject({ code: barcode.code, issuedTo: 'Ada Lovelace', status: 'active' });
+    expect(received['barcode.redeemed']).toMatchObject({
+      code: barcode.code,
+      barcode: { status: 'used', useCount: 1 },
+      scan: { granted: true, scannerId: 'north-gate', source: 'verify' }
+    });
+    expect(received['barcode.denied'].scan).toMatchObject({ granted: false, reason: 'USED' });
+    expect(received['barcode.revoked'].barcode).toMatchObject({ status: 'revoked', revokedReason: 'Left early' });
+  });
+
+  test('stores scan deliveries before the scan resolves', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.redeemed', 'barcode.denied']);
+    const { barcode } = await issueBarcode({ issuedTo: 'Ada Lovelace' });
+
+    await processScan(barcode.code, staffRequest, 'verify');
+    expect(await WebhookDelivery.find().distinct('event')).toEqual(['barcode.redeemed']);
+
+    await processScan(barcode.code, staffRequest, 'verify');
+    expect(await WebhookDelivery.countDocuments({ event: 'barcode.denied' })).toBe(1);
+    await settleWebhookDeliveries();
+  });
+
+  test('holds barcode.created until the issuer announces the pass', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.created']);
+
+    const { barcode } = await issueBarcode({ issuedTo: 'Ada Lovelace' }, { announce: false });
+    await settleWebhookDeliveries();
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+
+    await announceBarcode(barcode);
+    await settleWebhookDeliveries();
+    expect(receiver.requests.map((request) => request.json.data.barcode.code)).toEqual([barcode.code]);
+  });
+
+  test('announces each pass that expires once', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.expired']);
+    const now = new Date();
+    await Barcode.insertMany([
+      { code: 'EXPIRED1', issuedTo: 'Ada', expiresAt: new Date(now.getTime() - 60 * 1000) },
+      { code: 'LONGAGO1', issuedTo: 'Alan', expiresAt: new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000) },
+      { code: 'REVOKED1', issuedTo: 'Grace', expiresAt: new Date(now.getTime() - 60 * 1000), revokedAt: now },
+      { code: 'ACTIVE01', issuedTo: 'Edsger', expiresAt: new Date(now.getTime() + 60 * 60 * 1000) }
+    ]);
+
+    expect(await sweepExpiredPasses(now)).toBe(1);
+    expect(await sweepExpiredPasses(now)).toBe(0);
+    await settleWebhookDeliveries();
+
+    expect(receiver.requests.map((request) => request.json.data.barcode)).toEqual([
+      expect.objectContaining({ code: 'EXPIRED1', status: 'expired' })
+    ]);
+  });
+
+  test('a worker run reports what it announced', async () => {
+    receiver = await startReceiver();
+    await subscribe(['barcode.expired']);
+    const now = new Date();
+    await Barcode.create({ code: 'EXPIRED1', issuedTo: 'Ada', expiresAt: new Date(now.getTime() - 60 * 1000) });
+
+    expect(await runWebhookWorker(now)).toEqual({ expired: 1, delivered: expect.any(Number) });
+    await settleWebhookDeliveries();
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(await runWebhookWorker(now)).toEqual({ expired: 0, delivered: 0 });
+  });
+});
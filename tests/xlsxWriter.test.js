@@ -0,0 +1,83 @@
+const { PassThrough } = require('stream');
+const { escapeFormula, columnName, toSerialDate, toRowXml, createXlsxWriter } = require('../services/xlsxWriter');
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+describe('columnName', () => {
+  test('names columns like a spreadsheet does', () => {
+    expect([0, 1, 25, 26, 27, 51, 52, 701, 702].map(columnName))
+      .toEqual(['A', 'B', 'Z', 'AA', 'AB', 'AZ', 'BA', 'ZZ', 'AAA']);
+  });
+});
+
+describe('escapeFormula', () => {
+  test('prefixes text a spreadsheet would run as a formula', () => {
+    ['=1+1', '+1', '-1', '@SUM(A1)', '\tx', '\rx'].forEach((value) => expect(escapeFormula(value)).toBe(`'${value}`));
+  });
+
+  test('leaves other values alone', () => {
+    expect(escapeFormula('Ada Lovelace')).toBe('Ada Lovelace');
+    expect(escapeFormula('a=b')).toBe('a=b');
+    expect(escapeFormula(-1)).toBe(-1);
+    expect(escapeFormula(null)).toBe(null);
+  });
+});
+
+describe('toSerialDate', () => {
+  test('counts days from the 1899-12-30 epoch', () => {
+    expect(toSerialDate(new Date('1970-01-01T00:00:00Z'))).toBe(25569);
+    expect(toSerialDate(new Date('2024-06-15T09:00:00Z'))).toBe(45458.375);
+  });
+});
+
+describe('toRowXml', () => {
+  test('writes strings inline, numbers and dates as values, and skips blanks', () => {
+    const xml = toRowXml(['Ada', 3, null, new Date('1970-01-02T00:00:00Z'), ''], 2);
+
+    expect(xml).toBe('<row r="2">' +
+      '<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ada</t></is></c>' +
+      '<c r="B2"><v>3</v></c>' +
+      '<c r="D2" s="1"><v>25570</v></c>' +
+      '</row>');
+  });
+
+  test('escapes markup and drops characters XML cannot hold', () => {
+    const xml = toRowXml(['Summit & "Co" <VIP>\u0001'], 1);
+    expect(xml).toContain('>Summit &amp; &quot;Co&quot; &lt;VIP&gt;</t>');
+  });
+
+  test('writes formula-like text as plain text', () => {
+    const xml = toRowXml(['=HYPERLINK("http://evil.test","Ada")', '+cmd|calc', -5], 1);
+
+    expect(xml).toContain('>\'=HYPERLINK(&quot;http://evil.test&quot;,&quot;Ada&quot;)</t>');
+    expect(xml).toContain('>\'+cmd|calc</t>');
+    expect(xml).toContain('<v>-5</v>');
+  });
+
+  test('applies a style to every cell', () => {
+    expect(toRowXml(['code', 'issuedTo'], 1, 2)).toContain('<c r="B1" t="inlineStr" s="2">');
+  });
+});
+
+describe('createXlsxWriter', () => {
+  test('writes a ZIP with the workbook parts and every row', async () => {
+    const output = new PassThrough();
+    const file = collect(output);
+    const writer = createXlsxWriter(output, { sheetName: 'Passes' });
+
+    writer.writeHeader(['code', 'issuedTo']);
+    writer.writeRow(['ABC123', 'Ada Lovelace']);
+    await writer.finish();
+
+    const zip = await file;
+    expect(zip.subarray(0, 2).toString()).toBe('PK');
+    ['[Content_Types].xml', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'].forEach((name) => {
+      expect(zip.includes(name)).toBe(true);
+    });
+  });
+});